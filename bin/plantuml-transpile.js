@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+const Cli = require('../dist/cli');
+
+process.exitCode = new Cli().run(process.argv.slice(2));
\ No newline at end of file
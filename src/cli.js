@@ -0,0 +1,315 @@
+const fs = require('fs');
+const path = require('path');
+const PlantUMLTranspiler = require('./index');
+
+const ExitCode = {
+  SUCCESS: 0,
+  PARSE_ERROR: 1, // At least one input has syntax errors
+  USAGE_ERROR: 2 // Bad arguments, unsupported language or unreadable input
+};
+
+// Extensions picked up when a directory is given as input
+const PLANTUML_EXTENSIONS = ['.puml', '.plantuml', '.pu', '.iuml', '.wsd'];
+
+const USAGE = `Usage: plantuml-transpile [options] [inputs...]
+
+Transpiles PlantUML class diagrams to source code. Inputs may be files, directories
+(searched for ${PLANTUML_EXTENSIONS.join(', ')} files) or glob patterns such as 'docs/**/*.puml'.
+Without inputs, or with '-', the diagram is read from stdin.
+
+Options:
+  -l, --lang <languages>  Target language(s), comma-separated or repeated
+  -o, --out <directory>   Write one file per type below <directory>; with several
+                          languages, each gets its own subdirectory
+      --stdout            Print the generated code (the default without --out)
+      --list-languages    Print the supported languages and exit
+  -h, --help              Print this help and exit
+
+Exit codes: 0 on success, 1 if an input has syntax errors (it is not transpiled),
+2 on invalid arguments or unreadable inputs.
+`;
+
+class UsageError extends Error {}
+
+class Cli {
+  /**
+   * @param {Object} [io] - Streams to use instead of the process ones, mainly for tests
+   */
+  constructor(io = {}) {
+    this.stdout = io.stdout || process.stdout;
+    this.stderr = io.stderr || process.stderr;
+    this.readStdin = io.readStdin || (() => fs.readFileSync(0, 'utf8'));
+    this.transpiler = new PlantUMLTranspiler();
+    
+    // A reader that stops early, such as 'head', closes the pipe; the rest of the output is dropped
+    if (typeof this.stdout.on === 'function') {
+      this.stdout.on('error', error => {
+        if (error.code !== 'EPIPE') throw error;
+      });
+    }
+  }
+  
+  /**
+   * Runs the command line
+   * @param {string[]} argv - Arguments without the node executable and script path
+   * @returns {number} - The process exit code
+   */
+  run(argv) {
+    let options;
+    let inputs;
+    
+    try {
+      options = this.parseArguments(argv);
+      
+      if (options.help) {
+        this.stdout.write(USAGE);
+        return ExitCode.SUCCESS;
+      }
+      
+      if (options.listLanguages) {
+        this.stdout.write(this.transpiler.getSupportedLanguages().join('\n') + '\n');
+        return ExitCode.SUCCESS;
+      }
+      
+      this.validateLanguages(options.languages);
+      inputs = this.readInputs(options.inputs);
+    } catch (error) {
+      if (!(error instanceof UsageError)) throw error;
+      
+      this.stderr.write(`plantuml-transpile: ${error.message}\n`);
+      return ExitCode.USAGE_ERROR;
+    }
+    
+    let exitCode = ExitCode.SUCCESS;
+    const outputs = [];
+    
+    for (const input of inputs) {
+      const classDiagram = this.transpiler.parser.parse(input.source);
+      
+      for (const diagnostic of classDiagram.diagnostics) {
+        this.stderr.write(`${input.name}:${diagnostic}\n`);
+      }
+      
+      // A diagram with syntax errors would silently lose the lines that failed to parse
+      if (classDiagram.diagnostics.some(d => d.severity === 'error')) {
+        exitCode = ExitCode.PARSE_ERROR;
+        continue;
+      }
+      
+      for (const language of options.languages) {
+        outputs.push({ input, language, classDiagram });
+      }
+    }
+    
+    if (options.out) {
+      this.writeFiles(outputs, options);
+    }
+    
+    if (options.stdout || !options.out) {
+      this.printCode(outputs, !options.out);
+    }
+    
+    return exitCode;
+  }
+  
+  parseArguments(argv) {
+    const options = { languages: [], inputs: [], out: null, stdout: false, listLanguages: false, help: false };
+    
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+      const [name, inlineValue] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [arg];
+      const value = () => {
+        if (inlineValue !== undefined) return inlineValue;
+        if (i + 1 >= argv.length) throw new UsageError(`option ${name} needs a value`);
+        return argv[++i];
+      };
+      
+      switch (name) {
+        case '-l': case '--lang':
+          options.languages.push(...value().split(',').map(l => l.trim().toLowerCase()).filter(l => l));
+          break;
+        case '-o': case '--out':
+          options.out = value();
+          break;
+        case '--stdout':
+          options.stdout = true;
+          break;
+        case '--list-languages':
+          options.listLanguages = true;
+          break;
+        case '-h': case '--help':
+          options.help = true;
+          break;
+        default:
+          if (arg.startsWith('-') && arg !== '-') {
+            throw new UsageError(`unknown option ${arg}\n\n${USAGE}`);
+          }
+          options.inputs.push(arg);
+      }
+    }
+    
+    options.languages = [...new Set(options.languages)];
+    return options;
+  }
+  
+  validateLanguages(languages) {
+    const supported = this.transpiler.getSupportedLanguages();
+    
+    if (languages.length === 0) {
+      throw new UsageError(`no target language given; use --lang with one of: ${supported.join(', ')}`);
+    }
+    
+    for (const language of languages) {
+      if (!supported.includes(language)) {
+        throw new UsageError(`unsupported language '${language}'; expected one of: ${supported.join(', ')}`);
+      }
+    }
+  }
+  
+  readInputs(patterns) {
+    if (patterns.length === 0) {
+      patterns = ['-'];
+    }
+    
+    const inputs = [];
+    
+    for (const pattern of patterns) {
+      if (pattern === '-') {
+        inputs.push({ name: '<stdin>', source: this.readStdin() });
+        continue;
+      }
+      
+      const files = this.expandInput(pattern);
+      if (files.length === 0) {
+        throw new UsageError(`no PlantUML files match '${pattern}'`);
+      }
+      
+      for (const file of files) {
+        try {
+          inputs.push({ name: file, source: fs.readFileSync(file, 'utf8') });
+        } catch (error) {
+          throw new UsageError(`cannot read ${file}: ${error.message}`);
+        }
+      }
+    }
+    
+    return inputs;
+  }
+  
+  // Turns a file, directory or glob pattern into the list of files it names
+  expandInput(pattern) {
+    if (!/[*?[]/.test(pattern)) {
+      if (fs.existsSync(pattern) && fs.statSync(pattern).isDirectory()) {
+        return this.listFiles(pattern).filter(file => PLANTUML_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+      }
+      return fs.existsSync(pattern) ? [pattern] : [];
+    }
+    
+    // Walk from the part of the pattern before the first wildcard
+    const segments = pattern.split(/[\\/]/);
+    const firstWildcard = segments.findIndex(segment => /[*?[]/.test(segment));
+    const root = segments.slice(0, firstWildcard).join('/') || '.';
+    const matcher = this.globToRegExp(pattern.replace(/\\/g, '/').replace(/^\.\//, ''));
+    
+    if (!fs.existsSync(root)) return [];
+    
+    return this.listFiles(root).filter(file => matcher.test(file.replace(/\\/g, '/').replace(/^\.\//, '')));
+  }
+  
+  listFiles(directory) {
+    const files = [];
+    
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...this.listFiles(entryPath));
+      } else if (entry.isFile()) {
+        files.push(entryPath);
+      }
+    }
+    
+    return files;
+  }
+  
+  // Supports '**' (any number of directories), '*', '?' and character classes like '[ab]'
+  globToRegExp(pattern) {
+    let source = '';
+    
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      
+      if (char === '*' && pattern[i + 1] === '*') {
+        const followedBySlash = pattern[i + 2] === '/';
+        source += followedBySlash ? '(?:.*/)?' : '.*';
+        i += followedBySlash ? 2 : 1;
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '[') {
+        const end = pattern.indexOf(']', i);
+        source += end === -1 ? '\\[' : pattern.slice(i, end + 1);
+        i = end === -1 ? i : end;
+      } else {
+        source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+      }
+    }
+    
+    return new RegExp(`^${source}$`);
+  }
+  
+  writeFiles(outputs, options) {
+    const separateLanguages = options.languages.length > 1;
+    const writtenBy = new Map(); // Target path -> name of the input it was generated from
+    
+    for (const { input, language, classDiagram } of outputs) {
+      const directory = separateLanguages ? path.join(options.out, language) : options.out;
+      const generator = this.transpiler.generators[language];
+      const files = generator.generateFiles(classDiagram);
+      this.printWarnings(input, generator);
+      
+      for (const [filePath, content] of Object.entries(files)) {
+        const target = path.join(directory, filePath);
+        
+        // Inputs declaring a type of the same name would overwrite each other's file
+        if (writtenBy.has(target)) {
+          this.stderr.write(`plantuml-transpile: ${input.name}: not writing ${target}, already generated from ${writtenBy.get(target)}\n`);
+          continue;
+        }
+        writtenBy.set(target, input.name);
+        
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, content);
+      }
+    }
+  }
+  
+  printCode(outputs, withWarnings) {
+    for (const { input, language, classDiagram } of outputs) {
+      // The reader has closed the pipe
+      if (this.stdout.destroyed) return;
+      
+      // Like 'tail', only label the output when there is more than one
+      if (outputs.length > 1) {
+        this.stdout.write(`==> ${input.name} (${language}) <==\n`);
+      }
+      const generator = this.transpiler.generators[language];
+      this.stdout.write(generator.generate(classDiagram));
+      
+      // With --out as well, writeFiles() has already printed the warnings
+      if (withWarnings) {
+        this.printWarnings(input, generator);
+      }
+    }
+  }
+  
+  // Warnings about what the target language cannot represent, in the format of parse diagnostics
+  printWarnings(input, generator) {
+    for (const diagnostic of generator.diagnostics) {
+      this.stderr.write(`${input.name}:${diagnostic}\n`);
+    }
+  }
+}
+
+module.exports = Cli;
+module.exports.ExitCode = ExitCode;
\ No newline at end of file
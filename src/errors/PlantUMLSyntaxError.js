@@ -0,0 +1,12 @@
+class PlantUMLSyntaxError extends Error {
+  constructor(diagnostics) {
+    const count = diagnostics.length;
+    const details = diagnostics.map(d => `  ${d.toString()}`).join('\n');
+    super(`PlantUML diagram has ${count} syntax error${count === 1 ? '' : 's'}:\n${details}`);
+    
+    this.name = 'PlantUMLSyntaxError';
+    this.diagnostics = diagnostics; // Array of Diagnostic objects
+  }
+}
+
+module.exports = PlantUMLSyntaxError;
\ No newline at end of file
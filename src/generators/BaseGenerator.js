@@ -1,37 +1,40 @@
+const path = require('path');
+const Attribute = require('../models/Attribute');
+const Method = require('../models/Method');
+const Parameter = require('../models/Parameter');
+const Diagnostic = require('../models/Diagnostic');
+const TypeRef = require('../models/TypeRef');
+
 class BaseGenerator {
   constructor() {
     this.indentSize = 4;
+    this.stereotypeMappings = { ...this.defaultStereotypeMappings() };
+    this.diagnostics = []; // Warnings about the last generate() or generateFiles() call
+    this.typeNames = new Map(); // Qualified names of the diagram's types to how the code names them
+  }
+  
+  // Clears the diagnostics of the last run and names the diagram's types by their simple names until
+  // findTypeNames() has worked out those of the file at hand
+  startGeneration(classDiagram) {
+    this.diagnostics = [];
+    this.typeNames = new Map([...classDiagram.classes, ...classDiagram.interfaces, ...classDiagram.enums]
+      .filter(entity => entity.packageName)
+      .map(entity => [entity.qualifiedName, entity.name]));
   }
   
   generate(classDiagram) {
-    let code = this.generateHeader(classDiagram);
+    this.startGeneration(classDiagram);
+    this.typeNames = this.findTypeNames(classDiagram);
+    const header = this.generateHeader(classDiagram);
+    const imports = this.generateImports([...classDiagram.classes, ...classDiagram.interfaces, ...classDiagram.enums], classDiagram);
+    let code = '';
     
     // Generate code for each package if supported
     if (this.supportsPackages()) {
-      for (const packageName in classDiagram.packages) {
-        code += this.generatePackageStart(packageName);
-        
-        // Generate classes, interfaces, and enums in this package
-        for (const className of classDiagram.packages[packageName]) {
-          const classObj = classDiagram.classes.find(c => c.name === className);
-          if (classObj) {
-            code += this.generateClass(classObj, classDiagram);
-            continue;
-          }
-          
-          const interfaceObj = classDiagram.interfaces.find(i => i.name === className);
-          if (interfaceObj) {
-            code += this.generateInterface(interfaceObj, classDiagram);
-            continue;
-          }
-          
-          const enumObj = classDiagram.enums.find(e => e.name === className);
-          if (enumObj) {
-            code += this.generateEnum(enumObj, classDiagram);
-          }
+      for (const packageObj of Object.values(classDiagram.packages)) {
+        if (!packageObj.parent) {
+          code += this.generatePackage(packageObj, classDiagram);
         }
-        
-        code += this.generatePackageEnd(packageName);
       }
       
       // Generate entities without a package
@@ -52,37 +55,173 @@ class BaseGenerator {
       }
     }
     
-    code += this.generateFooter(classDiagram);
+    // Java and Kotlin expect imports below the package declaration, the others at the top
+    code = this.importsFollowPackageDeclaration()
+      ? this.insertAfterPackageDeclaration(code, imports, classDiagram)
+      : imports + code;
     
-    return code;
+    return header + code + this.generateFooter(classDiagram);
   }
   
-  generateEntitiesWithoutPackage(classDiagram, code) {
-    const entitiesInPackages = new Set();
+  // Inserts imports below the first package declaration in the code, or at the top without one
+  insertAfterPackageDeclaration(code, imports, classDiagram) {
+    const declarations = Object.keys(classDiagram.packages)
+      .map(name => this.generatePackageStart(name))
+      .map(declaration => ({ end: code.indexOf(declaration) + declaration.length, found: code.includes(declaration) }))
+      .filter(declaration => declaration.found)
+      .sort((a, b) => a.end - b.end);
+    
+    if (declarations.length === 0) {
+      return imports + code;
+    }
+    
+    return code.slice(0, declarations[0].end) + imports + code.slice(declarations[0].end);
+  }
+  
+  /**
+   * Generates one source file per class, interface and enum, laid out the way the target
+   * language expects (e.g. com/example/model/User.java)
+   * @param {ClassDiagram} classDiagram - The diagram
+   * @returns {Object<string, string>} - File contents keyed by relative path
+   */
+  generateFiles(classDiagram) {
+    this.startGeneration(classDiagram);
+    const files = {};
+    
+    for (const entity of [...classDiagram.classes, ...classDiagram.interfaces, ...classDiagram.enums]) {
+      this.typeNames = this.findTypeNames(classDiagram, entity);
+      files[this.getFilePath(entity)] = this.generateFile(entity, classDiagram);
+    }
+    
+    return files;
+  }
+  
+  generateFile(entity, classDiagram) {
+    let code = this.generateHeader(classDiagram);
+    const imports = this.generateImports([entity], classDiagram);
     
-    for (const packageName in classDiagram.packages) {
-      for (const entityName of classDiagram.packages[packageName]) {
-        entitiesInPackages.add(entityName);
+    if (entity.packageName && this.supportsPackages()) {
+      // Java and Kotlin expect imports below the package declaration, the others above the block
+      if (this.importsFollowPackageDeclaration()) {
+        code += this.generatePackageStart(entity.packageName) + imports;
+      } else {
+        code += imports + this.generatePackageStart(entity.packageName);
       }
+      code += this.generatePackageContents(this.generateEntity(entity, classDiagram), entity.packageName);
+      code += this.generatePackageEnd(entity.packageName);
+    } else {
+      code += imports + this.generateEntity(entity, classDiagram);
+    }
+    
+    code += this.generateFooter(classDiagram);
+    
+    return code.replace(/\n+$/, '\n');
+  }
+  
+  /**
+   * Generates a package with its classes, interfaces and enums, followed or, where the language
+   * nests packages, enclosed by its subpackages
+   * @param {Package} packageObj - The package
+   * @param {ClassDiagram} classDiagram - The diagram
+   * @returns {string} - The generated code
+   */
+  generatePackage(packageObj, classDiagram) {
+    const entities = packageObj.entities
+      .map(name => this.findEntity(`${packageObj.name}.${name}`, classDiagram))
+      .filter(entity => entity)
+      .map(entity => this.generateEntity(entity, classDiagram))
+      .join('');
+    const subpackages = packageObj.packages
+      .map(name => this.generatePackage(classDiagram.packages[name], classDiagram))
+      .join('');
+    
+    if (this.nestsPackages()) {
+      return this.generatePackageStart(packageObj.localName) +
+        this.generatePackageContents(entities, packageObj.localName) +
+        this.indent(subpackages) +
+        this.generatePackageEnd(packageObj.localName);
     }
     
+    // Packages without types of their own, like 'com' above 'com.example', are not declared
+    if (!entities) {
+      return subpackages;
+    }
+    
+    return this.generatePackageStart(packageObj.name) + entities + this.generatePackageEnd(packageObj.name) + subpackages;
+  }
+  
+  generateEntity(entity, classDiagram) {
+    if (classDiagram.classes.includes(entity)) {
+      return this.generateClass(entity, classDiagram);
+    }
+    
+    if (classDiagram.interfaces.includes(entity)) {
+      return this.generateInterface(entity, classDiagram);
+    }
+    
+    return this.generateEnum(entity, classDiagram);
+  }
+  
+  getFilePath(entity) {
+    return this.joinPath(this.packageDirectory(entity.packageName), entity.name); // To be overridden by language-specific generators
+  }
+  
+  // Path of another generated file relative to the given one, without extension, e.g. '../billing/invoice'
+  relativeModulePath(fromEntity, toEntity) {
+    const fromDirectory = path.posix.dirname(this.getFilePath(fromEntity));
+    const target = this.getFilePath(toEntity).replace(/\.\w+$/, '');
+    const relativePath = path.posix.relative(fromDirectory, target);
+    return relativePath.startsWith('.') ? relativePath : './' + relativePath;
+  }
+  
+  // 'com.example.model' -> 'com/example/model'
+  packageDirectory(packageName, transform = part => part) {
+    return packageName ? packageName.split('.').map(transform).join('/') : '';
+  }
+  
+  joinPath(...parts) {
+    return parts.filter(part => part).join('/');
+  }
+  
+  // 'OrderLine' -> 'order_line'
+  toSnakeCase(name) {
+    return name
+      .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+      .toLowerCase();
+  }
+  
+  // 'OrderLine' -> 'order-line'
+  toKebabCase(name) {
+    return this.toSnakeCase(name).replace(/_/g, '-');
+  }
+  
+  // 'id' -> 'Id', 'IN_PROGRESS' -> 'InProgress'
+  toPascalCase(name) {
+    if (/^[A-Z0-9_]+$/.test(name) && /[A-Z]/.test(name)) {
+      return name.toLowerCase().split('_').filter(part => part).map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+    }
+    return name.charAt(0).toUpperCase() + name.slice(1);
+  }
+  
+  generateEntitiesWithoutPackage(classDiagram, code) {
     // Generate classes without a package
     for (const classObj of classDiagram.classes) {
-      if (!entitiesInPackages.has(classObj.name)) {
+      if (!classObj.packageName) {
         code += this.generateClass(classObj, classDiagram);
       }
     }
     
     // Generate interfaces without a package
     for (const interfaceObj of classDiagram.interfaces) {
-      if (!entitiesInPackages.has(interfaceObj.name)) {
+      if (!interfaceObj.packageName) {
         code += this.generateInterface(interfaceObj, classDiagram);
       }
     }
     
     // Generate enums without a package
     for (const enumObj of classDiagram.enums) {
-      if (!entitiesInPackages.has(enumObj.name)) {
+      if (!enumObj.packageName) {
         code += this.generateEnum(enumObj, classDiagram);
       }
     }
@@ -94,6 +233,174 @@ class BaseGenerator {
     return true; // Override in language-specific generators if needed
   }
   
+  // Whether packages are blocks that can contain each other, like C# namespaces or Ruby modules
+  nestsPackages() {
+    return false; // Override in language-specific generators if needed
+  }
+  
+  importsFollowPackageDeclaration() {
+    return false; // Override in language-specific generators if needed
+  }
+  
+  generateImports(entities, classDiagram) {
+    return ''; // To be overridden by language-specific generators
+  }
+  
+  // Maps a type name used in generated code to the standard library import that provides it,
+  // e.g. { List: 'java.util.List' }
+  standardImports() {
+    return {}; // To be overridden by language-specific generators
+  }
+  
+  // How common stereotypes are rendered, keyed by stereotype name; see registerStereotype()
+  defaultStereotypeMappings() {
+    return {}; // To be overridden by language-specific generators
+  }
+  
+  /**
+   * Sets the code generated for classes, interfaces and enums with a stereotype, replacing
+   * any mapping the generator has for it
+   * @param {string} stereotype - Stereotype name as written in the diagram, e.g. 'Entity'
+   * @param {Object} mapping
+   * @param {string[]} [mapping.annotations] - Lines placed above the declaration, such as
+   *   '@Entity' or '[Table("{name}")]'
+   * @param {string} [mapping.baseClass] - Class extended when the diagram gives no parent class;
+   *   in both, '{name}' is replaced by the entity name
+   * @param {string[]} [mapping.imports] - Imports the generated code needs, written like the
+   *   values of standardImports(), e.g. 'jakarta.persistence.Entity' in Java
+   */
+  registerStereotype(stereotype, mapping) {
+    this.stereotypeMappings[stereotype] = mapping;
+  }
+  
+  // Stereotypes match regardless of case, so <<entity>> uses the mapping for Entity
+  findStereotypeMappings(entity) {
+    const names = Object.keys(this.stereotypeMappings);
+    
+    return (entity.stereotypes || [])
+      .map(stereotype => names.find(name => name === stereotype) ||
+        names.find(name => name.toLowerCase() === stereotype.toLowerCase()))
+      .filter(name => name)
+      .map(name => this.stereotypeMappings[name]);
+  }
+  
+  // Annotations, attributes or decorators for the stereotypes of an entity, one per line
+  generateStereotypeAnnotations(entity) {
+    const annotations = this.findStereotypeMappings(entity)
+      .flatMap(mapping => mapping.annotations || [])
+      .map(annotation => annotation.replace(/\{name\}/g, entity.name));
+    
+    return [...new Set(annotations)].map(annotation => annotation + '\n').join('');
+  }
+  
+  // The class a class extends in generated code: its parent in the diagram or, failing that,
+  // the base class of one of its stereotypes, e.g. ApplicationRecord for <<Entity>> in Ruby
+  findParentClassName(classObj, classDiagram) {
+    const parentClass = this.findParentClass(classObj, classDiagram);
+    if (parentClass) return parentClass.name;
+    
+    const mapping = this.findStereotypeMappings(classObj).find(m => m.baseClass);
+    return mapping ? mapping.baseClass.replace(/\{name\}/g, classObj.name) : null;
+  }
+  
+  mapType(type) {
+    return type; // To be overridden by language-specific generators
+  }
+  
+  /**
+   * Works out how the generated code names each type of a package: by its simple name, brought
+   * into scope by an import, unless another type the code refers to has the same name. Those are
+   * written as formatQualifiedName() has it, or, where the language cannot, by their simple name
+   * with a warning.
+   * @param {ClassDiagram} classDiagram - The diagram
+   * @param {Class|Interface|Enum} [scope] - The entity of the file, for the types its file refers to;
+   *   without one, all types are taken to be in the same file
+   * @returns {Map<string, string>} - The name for each qualified name, e.g. 'com.example.User' -> 'User'
+   */
+  findTypeNames(classDiagram, scope = null) {
+    const entities = [...classDiagram.classes, ...classDiagram.interfaces, ...classDiagram.enums];
+    const visible = scope ? [scope, ...this.findImports([scope], classDiagram).entities] : entities;
+    const typeNames = new Map();
+    
+    for (const entity of entities.filter(e => e.packageName)) {
+      const namesakes = visible.includes(entity) ? visible.filter(other => other !== entity && other.name === entity.name) : [];
+      const qualifiedName = namesakes.length > 0 ? this.formatQualifiedName(entity) : null;
+      
+      // Reported once for each name, with the first of the types that have it
+      if (namesakes.length > 0 && !qualifiedName && entities.indexOf(entity) < Math.min(...namesakes.map(other => entities.indexOf(other)))) {
+        this.warn('ambiguous-type-name', `'${entity.qualifiedName}' and ${namesakes.map(other => `'${other.qualifiedName}'`).join(', ')} ` +
+          `are all named '${entity.name}' in the generated code`, scope || entity);
+      }
+      typeNames.set(entity.qualifiedName, qualifiedName || entity.name);
+    }
+    
+    return typeNames;
+  }
+  
+  // How code names a type whose simple name another type shares, e.g. 'com.example.User' in Java;
+  // null where the language has no such name for it
+  formatQualifiedName(entity) {
+    return null; // Override in language-specific generators if needed
+  }
+  
+  // Whether the code names a type with its package rather than importing it; see findTypeNames()
+  isWrittenQualified(entity) {
+    return this.typeNames.has(entity.qualifiedName) && this.typeNames.get(entity.qualifiedName) !== entity.name;
+  }
+  
+  // Replaces the qualified names of the diagram's types by how the code names them, e.g.
+  // 'List<com.example.User>' -> 'List<User>'; see findTypeNames()
+  simplifyType(type) {
+    if (!type || this.typeNames.size === 0) return type;
+    return type.replace(/[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)+/g, name => this.typeNames.get(name) || name);
+  }
+  
+  mapFieldType(attr) {
+    return this.mapType(attr.type);
+  }
+  
+  /**
+   * Declares the type parameters of a class, interface or method, e.g. '<T extends Entity & Comparable<T>>'.
+   * Languages that write bounds elsewhere also override formatTypeConstraints().
+   * @param {Class|Interface|Method} entity - The generic class, interface or method
+   * @returns {string} - The declaration, or '' if the entity has no type parameters
+   */
+  formatTypeParameters(entity) {
+    if (!entity.generics || entity.generics.length === 0) return '';
+    
+    return '<' + entity.generics.map(typeParameter => {
+      if (typeParameter.bounds.length === 0) return typeParameter.name;
+      return `${typeParameter.name} extends ${typeParameter.bounds.map(bound => this.mapType(bound)).join(' & ')}`;
+    }).join(', ') + '>';
+  }
+  
+  // Bounds declared after the class header or method signature, such as C#'s ' where T : Entity'
+  formatTypeConstraints(entity) {
+    return ''; // Override in language-specific generators if needed
+  }
+  
+  // The type parameters of a generic method followed by a space, for languages that declare them
+  // in front of the method name or return type, as in 'public <T> List<T> convert(T input)'
+  formatMethodTypeParameters(method) {
+    const typeParameters = this.formatTypeParameters(method);
+    return typeParameters ? typeParameters + ' ' : '';
+  }
+  
+  /**
+   * Parses a type string into a TypeRef, e.g. 'int[]' into base name 'int' with one array dimension
+   * @param {string} type - The type as written in the diagram
+   * @returns {TypeRef|null} - The parsed type
+   */
+  parseType(type) {
+    return TypeRef.parse(type);
+  }
+  
+  // Whether the parameter takes a variable number of arguments, as in 'args: String...'
+  isVarargs(param) {
+    const typeRef = this.parseType(param.type);
+    return Boolean(typeRef && typeRef.isVarargs);
+  }
+  
   generateHeader(classDiagram) {
     return ''; // To be overridden by language-specific generators
   }
@@ -110,6 +417,11 @@ class BaseGenerator {
     return ''; // To be overridden by language-specific generators
   }
   
+  // Adjusts the code generated for the types of a package to sit between its start and end
+  generatePackageContents(code, packageName) {
+    return code;
+  }
+  
   generateClass(classObj, classDiagram) {
     return ''; // To be overridden by language-specific generators
   }
@@ -122,13 +434,129 @@ class BaseGenerator {
     return ''; // To be overridden by language-specific generators
   }
   
+  /**
+   * Works out what the code generated for the given entities needs to import
+   * @param {Array<Class|Interface|Enum>} entities - The entities generated into one file
+   * @param {ClassDiagram} classDiagram - The diagram
+   * @returns {{standard: string[], entities: Array<Class|Interface|Enum>}} - Standard library
+   *   imports (values of standardImports()) and the diagram entities generated elsewhere
+   */
+  findImports(entities, classDiagram) {
+    const standardImports = this.standardImports();
+    const standard = new Set();
+    const imported = [];
+    
+    for (const entity of entities) {
+      for (const mapping of this.findStereotypeMappings(entity)) {
+        (mapping.imports || []).forEach(standardImport => standard.add(standardImport));
+      }
+      
+      for (const name of this.collectTypeReferences(entity, classDiagram)) {
+        const referenced = this.findEntity(name, classDiagram, entity.packageName);
+        
+        if (referenced) {
+          if (!entities.includes(referenced) && !imported.includes(referenced)) {
+            imported.push(referenced);
+          }
+        } else if (standardImports[name]) {
+          standard.add(standardImports[name]);
+        }
+      }
+    }
+    
+    return { standard: [...standard].sort(), entities: imported };
+  }
+  
+  /**
+   * Collects the type names the generated code of an entity refers to: attribute, parameter and
+   * return types as mapped for the target language (including generic arguments), the parent
+   * class and implemented or extended interfaces. Types of the diagram are given by qualified name
+   * where they are in a package, so that two types of the same name are told apart.
+   * @param {Class|Interface|Enum} entity - The entity
+   * @param {ClassDiagram} classDiagram - The diagram
+   * @returns {string[]} - Type names, each listed once
+   */
+  collectTypeReferences(entity, classDiagram) {
+    // Mapped with the diagram's types left qualified; see simplifyType()
+    const typeNames = this.typeNames;
+    this.typeNames = new Map();
+    
+    const types = [];
+    const addMethod = method => {
+      types.push(...(method.generics || []).flatMap(typeParameter => typeParameter.bounds.map(bound => this.mapType(bound))));
+      types.push(...method.parameters.map(param => this.mapType(param.type)));
+      if (method.returnType) {
+        types.push(this.mapType(method.returnType));
+      }
+    };
+    
+    try {
+      if (classDiagram.classes.includes(entity)) {
+        const fields = [...entity.attributes, ...this.findAssociationFields(entity, classDiagram)];
+        types.push(...fields.map(attr => this.mapFieldType(attr)));
+        entity.constructors.forEach(addMethod);
+        this.resolveMethods(entity, classDiagram).forEach(addMethod);
+        
+        const parentClass = this.findParentClass(entity, classDiagram);
+        if (parentClass) {
+          types.push(parentClass.qualifiedName);
+        }
+        types.push(...this.findImplementedInterfaces(entity, classDiagram).map(i => i.qualifiedName));
+      } else if (classDiagram.interfaces.includes(entity)) {
+        entity.methods.forEach(addMethod);
+        types.push(...this.findExtendedInterfaces(entity, classDiagram).map(i => i.qualifiedName));
+      }
+      
+      types.push(...this.collectLanguageReferences(entity, classDiagram));
+      
+      for (const typeParameter of entity.generics || []) {
+        types.push(...typeParameter.bounds.map(bound => this.mapType(bound)));
+      }
+    } finally {
+      this.typeNames = typeNames;
+    }
+    
+    // Split 'Map<String, List<com.example.OrderLine>>' into its names, keeping those of the diagram's
+    // types whole and leaving out the entity itself and its own type parameters
+    const ownNames = [entity.name, entity.qualifiedName, ...(entity.generics || []).map(typeParameter => typeParameter.name)];
+    const names = types.flatMap(type => this.typeNamesIn(type))
+      .flatMap(name => typeNames.has(name) ? [name] : name.split('.'));
+    return [...new Set(names)].filter(name => !ownNames.includes(name));
+  }
+  
+  // The names in a type, e.g. ['Map', 'String', 'com.example.User'] for 'Map<String, com.example.User[]>'
+  typeNamesIn(type) {
+    return (type || '').match(/[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*/g) || [];
+  }
+  
+  // Names the generated code uses regardless of the diagram's types, e.g. Python's ABC base class
+  collectLanguageReferences(entity, classDiagram) {
+    return []; // Override in language-specific generators if needed
+  }
+  
+  /**
+   * Finds a class, interface or enum by qualified name, or by simple name as used in member
+   * types, preferring the one declared in the given package
+   * @param {string} name - 'com.example.User' or 'User'
+   * @param {ClassDiagram} classDiagram - The diagram
+   * @param {string|null} [packageName] - The package of the code referring to the entity
+   * @returns {Class|Interface|Enum|undefined} - The entity
+   */
+  findEntity(name, classDiagram, packageName = null) {
+    const entities = [...classDiagram.classes, ...classDiagram.interfaces, ...classDiagram.enums];
+    
+    return entities.find(entity => entity.qualifiedName === name) ||
+      entities.find(entity => entity.name === name && entity.packageName === packageName) ||
+      entities.find(entity => entity.name === name);
+  }
+  
   findParentClass(classObj, classDiagram) {
     const inheritance = classDiagram.relationships.find(
-      r => r.type === 'inheritance' && r.sourceClass === classObj.name
+      r => r.type === 'inheritance' && r.sourceClass === classObj.qualifiedName
     );
     
     if (inheritance) {
-      return classDiagram.classes.find(c => c.name === inheritance.targetClass);
+      return classDiagram.classes.find(c => c.qualifiedName === inheritance.targetClass);
     }
     
     return null;
@@ -136,25 +564,514 @@ class BaseGenerator {
   
   findImplementedInterfaces(classObj, classDiagram) {
     const implementations = classDiagram.relationships.filter(
-      r => r.type === 'implementation' && r.sourceClass === classObj.name
+      r => r.type === 'implementation' && r.sourceClass === classObj.qualifiedName
     );
     
     return implementations.map(impl => 
-      classDiagram.interfaces.find(i => i.name === impl.targetClass)
+      classDiagram.interfaces.find(i => i.qualifiedName === impl.targetClass)
     ).filter(i => i);
   }
   
+  // The parent class followed by the implemented interfaces, i.e. what a class is declared with
+  findBaseClasses(classObj, classDiagram) {
+    const parentClass = this.findParentClass(classObj, classDiagram);
+    return [...(parentClass ? [parentClass] : []), ...this.findImplementedInterfaces(classObj, classDiagram)];
+  }
+  
+  /**
+   * Follows the inheritance chain of a class upwards
+   * @param {Class} classObj - The class
+   * @param {ClassDiagram} classDiagram - The diagram
+   * @returns {Class[]} - The parent, grandparent and so on, closest first
+   */
+  findAncestorClasses(classObj, classDiagram) {
+    const ancestors = [];
+    let parentClass = this.findParentClass(classObj, classDiagram);
+    
+    // Guard against inheritance cycles in malformed diagrams
+    while (parentClass && parentClass !== classObj && !ancestors.includes(parentClass)) {
+      ancestors.push(parentClass);
+      parentClass = this.findParentClass(parentClass, classDiagram);
+    }
+    
+    return ancestors;
+  }
+  
+  /**
+   * Collects every interface the given classes implement, including the interfaces those extend
+   * @param {Class[]} classes - The classes
+   * @param {ClassDiagram} classDiagram - The diagram
+   * @returns {Interface[]} - The interfaces, each listed once
+   */
+  findAllImplementedInterfaces(classes, classDiagram) {
+    const interfaces = [];
+    const pending = classes.flatMap(classObj => this.findImplementedInterfaces(classObj, classDiagram));
+    
+    while (pending.length > 0) {
+      const interfaceObj = pending.shift();
+      if (interfaces.includes(interfaceObj)) continue;
+      
+      interfaces.push(interfaceObj);
+      
+      pending.push(...this.findExtendedInterfaces(interfaceObj, classDiagram));
+    }
+    
+    return interfaces;
+  }
+  
+  findExtendedInterfaces(interfaceObj, classDiagram) {
+    // 'Child --|> Parent' and 'Child ..|> Parent' between interfaces both mean extension
+    return classDiagram.relationships
+      .filter(r => (r.type === 'inheritance' || r.type === 'implementation') && r.sourceClass === interfaceObj.qualifiedName)
+      .map(r => classDiagram.interfaces.find(i => i.qualifiedName === r.targetClass))
+      .filter(i => i);
+  }
+  
+  /**
+   * Returns the methods to generate for a class: its own methods, followed by TODO stubs for
+   * the interface and abstract methods a concrete class leaves unimplemented. Methods that
+   * implement or override an inherited method have `overrides` set to 'interface', 'abstract'
+   * or 'class'. The diagram itself is not modified; marked methods and stubs are copies.
+   * @param {Class} classObj - The class
+   * @param {ClassDiagram} classDiagram - The diagram
+   * @returns {Method[]} - The methods in generation order
+   */
+  resolveMethods(classObj, classDiagram) {
+    const ancestors = this.findAncestorClasses(classObj, classDiagram);
+    const interfaces = this.findAllImplementedInterfaces([classObj, ...ancestors], classDiagram);
+    const bindings = this.findTypeBindings(classObj, classDiagram);
+    
+    // Inherited instance methods by signature; the declaration closest to the class wins,
+    // so an abstract method implemented further up the chain counts as implemented
+    const inherited = new Map();
+    const inherit = (method, overrides, owner) => {
+      const key = this.methodSignatureKey(method);
+      if (!method.isStatic && !inherited.has(key)) {
+        inherited.set(key, { method, overrides, owner });
+      }
+    };
+    
+    for (const ancestor of ancestors) {
+      for (const method of ancestor.methods) {
+        inherit(method, method.isAbstract ? 'abstract' : 'class', ancestor);
+      }
+    }
+    
+    for (const interfaceObj of interfaces) {
+      for (const method of interfaceObj.methods) {
+        inherit(method, 'interface', interfaceObj);
+      }
+    }
+    
+    const methods = classObj.methods.map(method => {
+      const inheritedMethod = !method.isStatic && inherited.get(this.methodSignatureKey(method));
+      return inheritedMethod ? this.copyMethod(method, { overrides: inheritedMethod.overrides }) : method;
+    });
+    
+    if (!classObj.isAbstract) {
+      const declared = new Set(classObj.methods.map(method => this.methodSignatureKey(method)));
+      
+      for (const [key, { method, overrides, owner }] of inherited) {
+        if (overrides === 'class' || declared.has(key)) continue;
+        
+        // The stub is written in the types the class gives the type parameters of the declaring type
+        methods.push(this.copyMethod(this.bindTypeParameters(method, bindings.get(owner) || {}), {
+          isAbstract: false,
+          visibility: overrides === 'interface' ? 'public' : method.visibility,
+          overrides,
+          inheritedFrom: { entity: owner, method }
+        }));
+      }
+    }
+    
+    return methods;
+  }
+  
+  /**
+   * Works out what the type parameters of the ancestors and interfaces of a class or interface stand
+   * for in it, following the type arguments of each relationship, as in 'class UserRepository
+   * implements Repository<User>'. A type parameter given no type argument stands for the type
+   * parameter of the same name of the type extending it, if it has one, and is otherwise erased to
+   * Object, which is reported as a warning.
+   * @param {Class|Interface} entity - The class or interface
+   * @param {ClassDiagram} classDiagram - The diagram
+   * @returns {Map<Class|Interface, Object>} - For each supertype, the type each of its type parameters stands for
+   */
+  findTypeBindings(entity, classDiagram) {
+    const bindings = new Map([[entity, {}]]);
+    const pending = [entity];
+    
+    while (pending.length > 0) {
+      const subtype = pending.shift();
+      const supertypes = classDiagram.interfaces.includes(subtype)
+        ? this.findExtendedInterfaces(subtype, classDiagram)
+        : this.findBaseClasses(subtype, classDiagram);
+      
+      for (const supertype of supertypes.filter(s => !bindings.has(s))) {
+        const relationship = classDiagram.relationships.find(r => r.sourceClass === subtype.qualifiedName &&
+          r.targetClass === supertype.qualifiedName && (r.type === 'inheritance' || r.type === 'implementation'));
+        const typeArguments = relationship ? relationship.typeArguments : [];
+        const supertypeBindings = {};
+        
+        supertype.generics.forEach((typeParameter, i) => {
+          if (typeArguments[i]) {
+            supertypeBindings[typeParameter.name] = this.substituteTypeParameters(typeArguments[i], bindings.get(subtype));
+          } else if (subtype.generics.some(own => own.name === typeParameter.name)) {
+            supertypeBindings[typeParameter.name] = this.substituteTypeParameters(typeParameter.name, bindings.get(subtype));
+          } else {
+            supertypeBindings[typeParameter.name] = 'Object';
+            this.warn('erased-type-argument',
+              `'${subtype.name}' gives no type argument for '${typeParameter.name}' of '${supertype.name}'; it is replaced by Object`, subtype);
+          }
+        });
+        
+        bindings.set(supertype, supertypeBindings);
+        pending.push(supertype);
+      }
+    }
+    
+    bindings.delete(entity);
+    return bindings;
+  }
+  
+  // The types a class or interface gives the type parameters of one of its supertypes, e.g. ['User']
+  findBaseTypeArguments(entity, supertype, classDiagram) {
+    const bindings = this.findTypeBindings(entity, classDiagram).get(supertype) || {};
+    return supertype.generics.map(typeParameter => bindings[typeParameter.name]);
+  }
+  
+  // 'Repository<User>' for a supertype as named in the declaration of a type extending it,
+  // mapped to the target language as a whole so type arguments follow its rules, e.g. boxing in Java
+  formatBaseType(entity, supertype, classDiagram, mapType = type => this.mapType(type)) {
+    const typeArguments = this.findBaseTypeArguments(entity, supertype, classDiagram);
+    return typeArguments.length > 0
+      ? mapType(`${supertype.qualifiedName}<${typeArguments.join(', ')}>`)
+      : this.simplifyType(supertype.qualifiedName);
+  }
+  
+  // The parent class as named in a class declaration, e.g. 'Base<User>'; see findParentClassName()
+  formatParentType(classObj, classDiagram, mapType = type => this.mapType(type)) {
+    const parentClass = this.findParentClass(classObj, classDiagram);
+    return parentClass ? this.formatBaseType(classObj, parentClass, classDiagram, mapType) : this.findParentClassName(classObj, classDiagram);
+  }
+  
+  // 'List<T>' with { T: 'User' } becomes 'List<User>'
+  substituteTypeParameters(type, bindings) {
+    if (!type) return type;
+    return type.replace(/[A-Za-z_$][\w$]*/g, name => Object.prototype.hasOwnProperty.call(bindings, name) ? bindings[name] : name);
+  }
+  
+  // A copy of an inherited method with the type parameters of its declaring type replaced; those
+  // of the method itself are left as they are
+  bindTypeParameters(method, bindings) {
+    const ownBindings = { ...bindings };
+    method.generics.forEach(typeParameter => delete ownBindings[typeParameter.name]);
+    if (Object.keys(ownBindings).length === 0) return method;
+    
+    const substitute = type => this.substituteTypeParameters(type, ownBindings);
+    return this.copyMethod(method, {
+      returnType: substitute(method.returnType),
+      parameters: method.parameters.map(param => Object.assign(new Parameter(param.name, param.type), param, { type: substitute(param.type) }))
+    });
+  }
+  
+  // Methods are matched by name and parameter count, since parameter types are often
+  // spelled differently in an interface and its implementation (e.g. 'T' and 'String')
+  methodSignatureKey(method) {
+    return `${method.name}/${method.parameters.length}`;
+  }
+  
+  /**
+   * Groups methods that share a name, i.e. overloads, keeping the order in which each name first
+   * appears. Static and instance methods of the same name are grouped separately.
+   * @param {Method[]} methods - The methods of a class or interface
+   * @returns {Method[][]} - One group per name, most with a single method
+   */
+  groupOverloads(methods) {
+    const groups = new Map();
+    
+    for (const method of methods) {
+      const key = `${method.isStatic ? 'static ' : ''}${method.name}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(method);
+    }
+    
+    return [...groups.values()];
+  }
+  
+  /**
+   * Merges the parameter lists of overloads into one, for languages that allow a single method or
+   * constructor of a name. Parameters at the same position share a slot named after all the names
+   * used there ('idOrName'); slots that only some overloads have are optional; varargs end the list.
+   * @param {Method[]} overloads - Methods or constructors of the same name
+   * @returns {Array<{name: string, names: string[], types: string[], optional: boolean, isVarargs: boolean}>} - The slots
+   */
+  mergeOverloadParameters(overloads) {
+    const minLength = Math.min(...overloads.map(overload => overload.parameters.length));
+    const maxLength = Math.max(...overloads.map(overload => overload.parameters.length));
+    const slots = [];
+    
+    for (let i = 0; i < maxLength; i++) {
+      const params = overloads.map(overload => overload.parameters[i]).filter(param => param);
+      const names = [...new Set(params.map(param => param.name))];
+      
+      slots.push({
+        name: names.map((name, j) => j === 0 ? name : name.charAt(0).toUpperCase() + name.slice(1)).join('Or'),
+        names,
+        types: [...new Set(params.map(param => param.type))],
+        optional: i >= minLength,
+        isVarargs: params.some(param => this.isVarargs(param))
+      });
+      
+      if (slots[i].isVarargs) break;
+    }
+    
+    return slots;
+  }
+  
+  /**
+   * Replaces each group of overloads by a single method taking the merged parameters, for languages
+   * where a later method of the same name would replace an earlier one
+   * @param {Method[]} methods - Methods or constructors
+   * @param {Class|Interface} entity - The class or interface declaring them
+   * @param {string} language - Name of the target language for warnings
+   * @returns {Method[]} - The methods with one method per name
+   */
+  mergeOverloadedMethods(methods, entity, language) {
+    return this.groupOverloads(methods).map(overloads => {
+      if (overloads.length === 1) return overloads[0];
+      
+      this.checkOverloadArity(overloads, entity, language);
+      
+      const parameters = this.mergeOverloadParameters(overloads).map(slot => {
+        const param = new Parameter(slot.name, slot.isVarargs ? slot.types.find(type => this.parseType(type).isVarargs) : slot.types.join(', '));
+        param.isOptional = slot.optional && !slot.isVarargs;
+        param.mergedNames = slot.names.length > 1 ? slot.names : [];
+        return param;
+      });
+      const returnTypes = [...new Set(overloads.map(overload => overload.returnType))];
+      
+      return this.copyMethod(overloads[0], {
+        parameters,
+        returnType: returnTypes.length === 1 ? returnTypes[0] : 'Object',
+        isAbstract: overloads.every(overload => overload.isAbstract)
+      });
+    });
+  }
+  
+  /**
+   * Warns when overloads take the same number of parameters, which a language without parameter
+   * types cannot tell apart once they are merged into one method
+   * @param {Method[]} overloads - Methods or constructors of the same name
+   * @param {Class|Interface} entity - The class or interface declaring them
+   * @param {string} language - Name of the target language for the message
+   */
+  checkOverloadArity(overloads, entity, language) {
+    const counts = overloads.map(overload => overload.parameters.length);
+    const clash = overloads.find((overload, i) => counts.indexOf(counts[i]) !== i);
+    
+    if (clash) {
+      const kind = clash.returnType === null ? 'constructors' : `overloads of '${clash.name}'`;
+      this.warn('unrepresentable-overload',
+        `The ${kind} of '${entity.name}' take the same number of parameters, which ${language} cannot tell apart; they are merged into one`,
+        clash);
+    }
+  }
+  
+  /**
+   * For languages without overloading, gives all but one overload of a name a name of their own:
+   * the overload with the fewest parameters keeps the name and the others get one from
+   * overloadName(), such as findWithName. Each renamed overload is reported as a warning.
+   * @param {Method[]} methods - Methods or constructors of one type
+   * @param {Class|Interface} entity - The class or interface declaring them
+   * @param {string} language - Name of the target language for warnings
+   * @param {string} [baseName] - Name for all of them, such as NewUser for constructors
+   * @returns {Map<Method, string>} - The name of each method
+   */
+  resolveOverloadNames(methods, entity, language, baseName = null) {
+    const names = new Map();
+    
+    for (const overloads of this.groupOverloads(methods)) {
+      const name = baseName || overloads[0].name;
+      const kept = overloads.reduce((fewest, method) => method.parameters.length < fewest.parameters.length ? method : fewest);
+      
+      for (const method of overloads) {
+        if (method === kept) {
+          names.set(method, name);
+          continue;
+        }
+        
+        let renamed = this.overloadName(name, method);
+        while ([...names.values()].includes(renamed)) {
+          renamed += '_';
+        }
+        names.set(method, renamed);
+        
+        this.warn('renamed-overload',
+          `${language} has no overloading; an overload of '${name}' of '${entity.name}' is generated as ${renamed}`, method);
+      }
+    }
+    
+    return names;
+  }
+  
+  // The name of a renamed overload, e.g. 'findWithName' for 'find(name: String)'
+  overloadName(name, method) {
+    return `${name}With${method.parameters.map(param => this.toPascalCase(param.name)).join('And')}`;
+  }
+  
+  /**
+   * Records a problem representing the diagram in the target language; the transpiler reports
+   * these along with the parse diagnostics
+   * @param {string} code - Stable identifier such as 'unrepresentable-overload'
+   * @param {string} message - Description of the problem
+   * @param {Object} [model] - The model concerned, for its source location and name
+   */
+  warn(code, message, model = null) {
+    const start = model && model.location ? model.location.start : { line: 0, column: 0 };
+    
+    // The same model is often looked at more than once per generation, e.g. for imports and declarations
+    if (this.diagnostics.some(d => d.code === code && d.message === message && d.line === start.line && d.column === start.column)) return;
+    this.diagnostics.push(new Diagnostic('warning', code, message, start.line, start.column, model ? model.name : ''));
+  }
+  
+  copyMethod(method, changes) {
+    const copy = new Method(method.name, method.returnType, method.parameters, method.visibility);
+    return Object.assign(copy, method, changes);
+  }
+  
   findAssociations(classObj, classDiagram) {
     return classDiagram.relationships.filter(
       r => (r.type === 'association' || r.type === 'aggregation' || r.type === 'composition') &&
-           r.sourceClass === classObj.name
+           r.sourceClass === classObj.qualifiedName
     );
   }
   
+  /**
+   * Builds the fields implied by the associations, aggregations and compositions a class
+   * navigates to, e.g. 'lines: OrderLine' (a collection) for 'Order *--> "0..*" OrderLine'.
+   * The role name is used as the field name; ends already declared as attributes are skipped.
+   * @param {Class} classObj - The class owning the fields
+   * @param {ClassDiagram} classDiagram - The diagram
+   * @returns {Attribute[]} - Private attributes typed with the target class name
+   */
+  findAssociationFields(classObj, classDiagram) {
+    const fields = [];
+    
+    for (const association of this.findAssociations(classObj, classDiagram)) {
+      // Fields are typed with the qualified name, which the code writes as it names the target
+      const target = this.findEntity(association.targetClass, classDiagram);
+      const targetName = target ? target.name : association.targetClass.split('.').pop();
+      const isCollection = this.isManyMultiplicity(association.targetMultiplicity);
+      const name = association.targetRole || this.defaultFieldName(targetName, isCollection);
+      
+      const declared = classObj.attributes.some(attr => attr.name === name ||
+        this.typeNamesIn(attr.type).some(typeName => target
+          ? this.findEntity(typeName, classDiagram, classObj.packageName) === target
+          : typeName.split('.').pop() === targetName)
+      );
+      if (declared || fields.some(field => field.name === name)) {
+        continue;
+      }
+      
+      const field = new Attribute(name, target ? target.qualifiedName : targetName, 'private');
+      field.isCollection = isCollection;
+      field.location = association.location;
+      fields.push(field);
+    }
+    
+    return fields;
+  }
+  
+  /**
+   * Determines if a multiplicity allows more than one value, e.g. '*', '0..*', '1..n' or '5'
+   * @param {string|null} multiplicity - The multiplicity
+   * @returns {boolean} - True if the multiplicity is many
+   */
+  isManyMultiplicity(multiplicity) {
+    if (!multiplicity) return false;
+    
+    const upperBound = multiplicity.split('..').pop();
+    return /^(\*|n|many)$/i.test(upperBound) || parseInt(upperBound, 10) > 1;
+  }
+  
+  // Field name used when an association has no role name: 'customer', or 'orderLines' for many
+  defaultFieldName(className, isCollection) {
+    const name = className.charAt(0).toLowerCase() + className.slice(1);
+    if (!isCollection) return name;
+    
+    if (/(s|x|z|ch|sh)$/.test(name)) return name + 'es';
+    if (/[^aeiou]y$/.test(name)) return name.slice(0, -1) + 'ies';
+    return name + 's';
+  }
+  
+  // How the target language spells the literals default values are translated to
+  literals() {
+    return { true: 'true', false: 'false', null: 'null', quote: '"' }; // Override in language-specific generators if needed
+  }
+  
+  /**
+   * Translates the default value of an attribute into the target language: string literals are
+   * requoted, booleans and null take the language's spelling, and references to enum constants
+   * such as Status.ACTIVE go through formatEnumConstant(). Anything else is kept as written.
+   * @param {Attribute} attr - The attribute
+   * @param {ClassDiagram} classDiagram - The diagram
+   * @returns {string|null} - The expression, or null if the attribute has no default value
+   */
+  formatDefaultValue(attr, classDiagram) {
+    const value = attr && attr.defaultValue;
+    if (value === null || value === undefined) return null;
+    
+    const literals = this.literals();
+    const stringMatch = value.match(/^"(.*)"$/s);
+    if (stringMatch) {
+      const text = stringMatch[1].replace(/\\"/g, '"');
+      return literals.quote + text.split(literals.quote).join('\\' + literals.quote) + literals.quote;
+    }
+    
+    if (/^(true|false)$/i.test(value)) return literals[value.toLowerCase()];
+    if (/^(null|nil|none)$/i.test(value)) return literals.null;
+    
+    const enumMatch = value.match(/^([A-Za-z_$][\w$]*)\.([A-Za-z_$][\w$]*)$/);
+    const enumObj = enumMatch && classDiagram.enums.find(e => e.name === enumMatch[1]);
+    if (enumObj && enumObj.values.includes(enumMatch[2])) {
+      return this.formatEnumConstant(enumObj, enumMatch[2]);
+    }
+    
+    return value;
+  }
+  
+  formatEnumConstant(enumObj, value) {
+    return `${enumObj.name}.${value}`; // Override in language-specific generators if needed
+  }
+  
+  // The default value of the attribute a constructor parameter initializes, if any
+  findParameterDefault(classObj, param, classDiagram) {
+    const attr = classObj.attributes.find(a => a.name === param.name && !a.isStatic);
+    return this.formatDefaultValue(attr, classDiagram);
+  }
+  
+  /**
+   * Returns the name shown in the diagram, used for documentation comments
+   * @param {Class|Interface|Enum} entity - The entity
+   * @returns {string} - The display name, e.g. "Order Line Item" for OrderLineItem
+   */
+  getDisplayName(entity) {
+    return entity.displayName || entity.name;
+  }
+  
   indent(code, level = 1) {
     const indent = ' '.repeat(this.indentSize * level);
     return code.split('\n').map(line => line ? indent + line : line).join('\n');
   }
+  
+  // Reverses indent(), e.g. for code generated to sit inside a namespace block
+  outdent(code, level = 1) {
+    const indent = ' '.repeat(this.indentSize * level);
+    return code.split('\n').map(line => line.startsWith(indent) ? line.slice(indent.length) : line).join('\n');
+  }
 
   /**
    * Determines if a type is a complex generic type (contains angle brackets)
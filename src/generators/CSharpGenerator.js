@@ -1,8 +1,78 @@
 const BaseGenerator = require('./BaseGenerator');
 
+// Namespaces to bring in when the generated code uses one of their types
+const STANDARD_IMPORTS = {
+  List: 'System.Collections.Generic',
+  Dictionary: 'System.Collections.Generic',
+  HashSet: 'System.Collections.Generic',
+  ICollection: 'System.Collections.Generic',
+  IEnumerable: 'System.Collections.Generic',
+  IList: 'System.Collections.Generic',
+  IDictionary: 'System.Collections.Generic',
+  ISet: 'System.Collections.Generic',
+  KeyValuePair: 'System.Collections.Generic',
+  DateTime: 'System',
+  DateTimeOffset: 'System',
+  TimeSpan: 'System',
+  Guid: 'System',
+  Uri: 'System',
+  Exception: 'System'
+};
+
+// Attributes and base classes for common stereotypes, e.g. <<Entity>> -> [Table("Order")]
+const STEREOTYPE_MAPPINGS = {
+  Entity: { annotations: ['[Table("{name}")]'], imports: ['System.ComponentModel.DataAnnotations.Schema'] },
+  Serializable: { annotations: ['[Serializable]'], imports: ['System'] },
+  Controller: { annotations: ['[ApiController]'], baseClass: 'ControllerBase', imports: ['Microsoft.AspNetCore.Mvc'] }
+};
+
+// .NET equivalents of common generic collection types, by lower-case name
+const GENERIC_TYPES = {
+  list: 'List',
+  arraylist: 'List',
+  map: 'Dictionary',
+  hashmap: 'Dictionary',
+  set: 'HashSet',
+  hashset: 'HashSet',
+  collection: 'ICollection',
+  iterable: 'IEnumerable'
+};
+
 class CSharpGenerator extends BaseGenerator {
   generateHeader(classDiagram) {
-    return "// Generated C# code from PlantUML class diagram\nusing System;\nusing System.Collections.Generic;\n\n";
+    return "// Generated C# code from PlantUML class diagram\n\n";
+  }
+  
+  standardImports() {
+    return STANDARD_IMPORTS;
+  }
+  
+  defaultStereotypeMappings() {
+    return STEREOTYPE_MAPPINGS;
+  }
+  
+  // Each entity is looked at on its own, so a single file with several namespaces still gets
+  // a using directive for the types one namespace takes from another
+  generateImports(entities, classDiagram) {
+    const namespaces = new Set();
+    
+    for (const entity of entities) {
+      const { standard, entities: imported } = this.findImports([entity], classDiagram);
+      standard.forEach(namespace => namespaces.add(namespace));
+      
+      for (const referenced of imported) {
+        if (referenced.packageName && referenced.packageName !== entity.packageName && !this.isWrittenQualified(referenced)) {
+          namespaces.add(referenced.packageName);
+        }
+      }
+    }
+    
+    const lines = [...namespaces].sort().map(namespace => `using ${namespace};`);
+    return lines.length > 0 ? lines.join('\n') + '\n\n' : '';
+  }
+  
+  nestsPackages() {
+    return true;
   }
   
   generatePackageStart(packageName) {
@@ -13,13 +83,19 @@ class CSharpGenerator extends BaseGenerator {
     return '}\n\n';
   }
   
+  getFilePath(entity) {
+    // Folders follow the namespace, e.g. App/Models/User.cs for App.Models
+    return this.joinPath(this.packageDirectory(entity.packageName), `${entity.name}.cs`);
+  }
+  
   generateClass(classObj, classDiagram) {
     let code = '';
     
     // Class documentation
     code += this.indent("/// <summary>\n");
-    code += this.indent(`/// ${classObj.name} class\n`);
+    code += this.indent(`/// ${this.getDisplayName(classObj)} class\n`);
     code += this.indent("/// </summary>\n");
+    code += this.indent(this.generateStereotypeAnnotations(classObj));
     
     // Class declaration
     if (classObj.isAbstract) {
@@ -31,31 +107,31 @@ class CSharpGenerator extends BaseGenerator {
     code += classObj.name;
     
     // Generic parameters
-    if (classObj.generics.length > 0) {
-      code += '<' + classObj.generics.join(', ') + '>';
-    }
+    code += this.formatTypeParameters(classObj);
     
     // Inheritance
-    const parentClass = this.findParentClass(classObj, classDiagram);
+    const parentName = this.formatParentType(classObj, classDiagram);
     const interfaces = this.findImplementedInterfaces(classObj, classDiagram);
     
     const inheritance = [];
-    if (parentClass) {
-      inheritance.push(parentClass.name);
+    if (parentName) {
+      inheritance.push(parentName);
     }
     
     if (interfaces.length > 0) {
-      inheritance.push(...interfaces.map(i => i.name));
+      inheritance.push(...interfaces.map(i => this.formatBaseType(classObj, i, classDiagram)));
     }
     
     if (inheritance.length > 0) {
       code += ' : ' + inheritance.join(', ');
     }
     
+    code += this.formatTypeConstraints(classObj);
     code += '\n' + this.indent('{\n');
     
-    // Attributes
-    for (const attr of classObj.attributes) {
+    // Attributes, followed by properties for associated classes
+    const attributes = [...classObj.attributes, ...this.findAssociationFields(classObj, classDiagram)];
+    for (const attr of attributes) {
       code += this.indent("/// <summary>\n", 2);
       code += this.indent(`/// ${attr.name} property\n`, 2);
       code += this.indent("/// </summary>\n", 2);
@@ -71,7 +147,14 @@ class CSharpGenerator extends BaseGenerator {
         code += 'readonly ';
       }
       
-      code += `${this.mapCSharpType(attr.type)} ${attr.name} { get; set; }\n\n`;
+      code += `${this.mapCSharpFieldType(attr)} ${attr.name} { get; set; }`;
+      
+      const defaultValue = this.formatDefaultValue(attr, classDiagram);
+      if (defaultValue !== null) {
+        code += ` = ${defaultValue};`;
+      }
+      
+      code += '\n\n';
     }
     
     // Constructors
@@ -91,7 +174,7 @@ class CSharpGenerator extends BaseGenerator {
         code += ')\n' + this.indent('{\n', 2);
         
         // Constructor body - may call base() if there's a parent
-        if (parentClass) {
+        if (parentName) {
           code += this.indent('// Call base constructor\n', 3);
           code += this.indent('// base();\n\n', 3);
         }
@@ -108,7 +191,7 @@ class CSharpGenerator extends BaseGenerator {
       code += this.indent(`public ${classObj.name}()\n`, 2);
       code += this.indent('{\n', 2);
       
-      if (parentClass) {
+      if (parentName) {
         code += this.indent('// Call base constructor\n', 3);
         code += this.indent('// base();\n\n', 3);
       }
@@ -117,8 +200,8 @@ class CSharpGenerator extends BaseGenerator {
       code += this.indent('}\n\n', 2);
     }
     
-    // Methods
-    for (const method of classObj.methods) {
+    // Methods, including stubs for unimplemented interface and abstract methods
+    for (const method of this.resolveMethods(classObj, classDiagram)) {
       code += this.indent("/// <summary>\n", 2);
       code += this.indent(`/// ${method.name} method\n`, 2);
       
@@ -154,14 +237,19 @@ class CSharpGenerator extends BaseGenerator {
         code += 'abstract ';
       }
       
-      code += `${this.mapCSharpType(method.returnType)} ${method.name}(`;
+      // Interface methods are implemented without a modifier; only abstract ones are overridden
+      if (method.overrides === 'abstract') {
+        code += 'override ';
+      }
+      
+      code += `${this.mapCSharpType(method.returnType)} ${method.name}${this.formatTypeParameters(method)}(`;
       
       // Parameters
       code += method.parameters.map(
         param => `${this.mapCSharpType(param.type)} ${param.name}`
       ).join(', ');
       
-      code += ')';
+      code += ')' + this.formatTypeConstraints(method);
       
       // Method body or semicolon
       if (method.isAbstract) {
@@ -201,17 +289,24 @@ class CSharpGenerator extends BaseGenerator {
     
     // Interface documentation
     code += this.indent("/// <summary>\n");
-    code += this.indent(`/// ${interfaceObj.name} interface\n`);
+    code += this.indent(`/// ${this.getDisplayName(interfaceObj)} interface\n`);
     code += this.indent("/// </summary>\n");
+    code += this.indent(this.generateStereotypeAnnotations(interfaceObj));
     
     // Interface declaration
     code += this.indent('public interface ' + interfaceObj.name);
     
     // Generic parameters
-    if (interfaceObj.generics.length > 0) {
-      code += '<' + interfaceObj.generics.join(', ') + '>';
+    code += this.formatTypeParameters(interfaceObj, true);
+    
+    // Extended interfaces, before the constraints
+    const extendedInterfaces = this.findExtendedInterfaces(interfaceObj, classDiagram);
+    if (extendedInterfaces.length > 0) {
+      code += ' : ' + extendedInterfaces.map(i => this.formatBaseType(interfaceObj, i, classDiagram)).join(', ');
     }
     
+    code += this.formatTypeConstraints(interfaceObj);
+    
     code += '\n' + this.indent('{\n');
     
     // Methods
@@ -241,14 +336,14 @@ class CSharpGenerator extends BaseGenerator {
       code += this.indent("/// </summary>\n", 2);
       
       // Method signature - in C# interfaces, methods are implicitly public and abstract
-      code += this.indent(`${this.mapCSharpType(method.returnType)} ${method.name}(`, 2);
+      code += this.indent(`${this.mapCSharpType(method.returnType)} ${method.name}${this.formatTypeParameters(method)}(`, 2);
       
       // Parameters
       code += method.parameters.map(
         param => `${this.mapCSharpType(param.type)} ${param.name}`
       ).join(', ');
       
-      code += ');\n\n';
+      code += ')' + this.formatTypeConstraints(method) + ';\n\n';
     }
     
     code += this.indent('}\n\n');
@@ -261,8 +356,9 @@ class CSharpGenerator extends BaseGenerator {
     
     // Enum documentation
     code += this.indent("/// <summary>\n");
-    code += this.indent(`/// ${enumObj.name} enum\n`);
+    code += this.indent(`/// ${this.getDisplayName(enumObj)} enum\n`);
     code += this.indent("/// </summary>\n");
+    code += this.indent(this.generateStereotypeAnnotations(enumObj));
     
     // Enum declaration
     code += this.indent('public enum ' + enumObj.name + '\n');
@@ -287,23 +383,57 @@ class CSharpGenerator extends BaseGenerator {
     }
   }
   
+  // Only interfaces may declare variance ('out T'); bounds go in 'where' clauses
+  formatTypeParameters(entity, allowVariance = false) {
+    if (!entity.generics || entity.generics.length === 0) return '';
+    
+    return '<' + entity.generics.map(typeParameter =>
+      (allowVariance && typeParameter.variance ? `${typeParameter.variance} ` : '') + typeParameter.name
+    ).join(', ') + '>';
+  }
+  
+  formatTypeConstraints(entity) {
+    return (entity.generics || [])
+      .filter(typeParameter => typeParameter.bounds.length > 0)
+      .map(typeParameter => ` where ${typeParameter.name} : ${typeParameter.bounds.map(bound => this.mapCSharpType(bound)).join(', ')}`)
+      .join('');
+  }
+  
+  // From the global namespace, so that no nested namespace of the same name can get in the way
+  formatQualifiedName(entity) {
+    return `global::${entity.qualifiedName}`;
+  }
+  
+  mapType(type) {
+    return this.mapCSharpType(type);
+  }
+  
+  mapFieldType(attr) {
+    return this.mapCSharpFieldType(attr);
+  }
+  
+  mapCSharpFieldType(attr) {
+    const type = this.mapCSharpType(attr.type);
+    return attr.isCollection ? `List<${type}>` : type;
+  }
+  
   mapCSharpType(type) {
     if (!type) return 'void';
+    type = this.simplifyType(type);
     
-    // Handle complex generic types
-    if (this.isComplexGenericType(type)) {
-      // Extract the base type (e.g., "Map" from "Map<String, Integer>")
-      const baseType = this.extractBaseGenericType(type).toLowerCase();
-      
-      // Map common collection types
-      switch (baseType) {
-        case 'list': case 'arraylist': return 'List<object>';
-        case 'map': case 'hashmap': return 'Dictionary<object, object>';
-        case 'set': case 'hashset': return 'HashSet<object>';
-        case 'collection': return 'ICollection<object>';
-        case 'iterable': return 'IEnumerable<object>';
-        default: return `${baseType.charAt(0).toUpperCase() + baseType.slice(1)}<object>`;
-      }
+    // Varargs become a 'params' array
+    const typeRef = this.parseType(type);
+    if (typeRef.isArray || typeRef.isNullable) {
+      const mapped = this.mapCSharpType(typeRef.elementType.toString()) +
+        '[]'.repeat(typeRef.arrayDimensions + (typeRef.isVarargs ? 1 : 0)) + (typeRef.isNullable ? '?' : '');
+      return typeRef.isVarargs ? `params ${mapped}` : mapped;
+    }
+    
+    // Generic types keep their arguments, mapped recursively
+    if (typeRef.typeArguments.length > 0) {
+      const typeArguments = typeRef.typeArguments.map(argument => this.mapCSharpType(argument.toString()));
+      if (typeRef.name.toLowerCase() === 'optional' && typeArguments.length === 1) return `${typeArguments[0]}?`;
+      return `${GENERIC_TYPES[typeRef.name.toLowerCase()] || typeRef.name}<${typeArguments.join(', ')}>`;
     }
     
     // Regular type mapping
@@ -0,0 +1,584 @@
+const BaseGenerator = require('./BaseGenerator');
+
+// Standard headers by the name generated code uses from them, e.g. std::vector
+const STANDARD_IMPORTS = {
+  string: '<string>',
+  vector: '<vector>',
+  unordered_map: '<unordered_map>',
+  unordered_set: '<unordered_set>',
+  optional: '<optional>',
+  shared_ptr: '<memory>',
+  any: '<any>',
+  chrono: '<chrono>',
+  int8_t: '<cstdint>',
+  int16_t: '<cstdint>',
+  int64_t: '<cstdint>',
+  is_base_of_v: '<type_traits>'
+};
+
+// Collection types by lower-case name
+const LIST_TYPES = ['list', 'arraylist', 'linkedlist', 'collection', 'iterable'];
+const SET_TYPES = ['set', 'hashset'];
+const MAP_TYPES = ['map', 'hashmap', 'dict'];
+
+// Initializers for members the diagram gives no default value, which would otherwise be left indeterminate
+const SCALAR_TYPES = ['int', 'std::int64_t', 'std::int16_t', 'std::int8_t', 'float', 'double', 'bool', 'char'];
+
+// Order of the access sections of a class
+const ACCESS_SECTIONS = ['public', 'protected', 'private'];
+
+class CppGenerator extends BaseGenerator {
+  constructor() {
+    super();
+    this.indentSize = 4;
+  }
+  
+  generateHeader(classDiagram) {
+    return "// Generated C++ code from PlantUML class diagram\n\n";
+  }
+  
+  standardImports() {
+    return STANDARD_IMPORTS;
+  }
+  
+  literals() {
+    return { ...super.literals(), null: 'nullptr' };
+  }
+  
+  formatEnumConstant(enumObj, value) {
+    return `${enumObj.name}::${value}`;
+  }
+  
+  // Interfaces and abstract classes are held by shared_ptr, which needs <memory>; bounds are checked with <type_traits>
+  collectLanguageReferences(entity, classDiagram) {
+    const names = [];
+    const types = classDiagram.classes.includes(entity)
+      ? [...entity.attributes.map(attr => attr.type), ...[...entity.constructors, ...entity.methods].flatMap(method => [method.returnType, ...method.parameters.map(param => param.type)])]
+      : (entity.methods || []).flatMap(method => [method.returnType, ...method.parameters.map(param => param.type)]);
+    
+    if (types.some(type => this.mapCppType(type, classDiagram).includes('std::shared_ptr<')) ||
+        (classDiagram.classes.includes(entity) && this.findAssociationFields(entity, classDiagram).length > 0)) {
+      names.push('shared_ptr');
+    }
+    if ((entity.generics || []).some(typeParameter => typeParameter.bounds.length > 0)) {
+      names.push('is_base_of_v');
+    }
+    
+    return names;
+  }
+  
+  // 'com.example.model' -> 'com::example::model'
+  cppNamespace(packageName) {
+    return packageName.split('.').join('::');
+  }
+  
+  // Wraps declarations or definitions in the namespace of a package, if any
+  wrapInNamespace(code, packageName) {
+    if (!packageName) return code;
+    
+    const namespace = this.cppNamespace(packageName);
+    return `namespace ${namespace} {\n\n${code.replace(/\n+$/, '\n')}\n}  // namespace ${namespace}\n\n`;
+  }
+  
+  /**
+   * Generates a single translation unit: the declarations of all types, in an order where every
+   * type comes after the types it needs complete, followed by the definitions of their members.
+   * Packages become namespaces, opened again wherever the order switches between them.
+   * @param {ClassDiagram} classDiagram - The diagram
+   * @returns {string} - The generated code
+   */
+  generate(classDiagram) {
+    this.startGeneration(classDiagram);
+    this.typeNames = this.findTypeNames(classDiagram);
+    const entities = this.sortByDependencies([...classDiagram.enums, ...classDiagram.interfaces, ...classDiagram.classes], classDiagram);
+    
+    let code = this.generateHeader(classDiagram);
+    code += this.generateIncludes(this.findImports(entities, classDiagram).standard, entities.some(entity => this.hasDefinitions(entity, classDiagram)));
+    
+    // Classes are declared up front, so that they can be referred to by pointer in any order
+    const declared = entities.filter(entity => !classDiagram.enums.includes(entity));
+    code += this.generateForwardDeclarations(declared);
+    
+    code += this.groupByPackage(entities).map(group =>
+      this.wrapInNamespace(group.entities.map(entity => this.generateEntity(entity, classDiagram)).join(''), group.packageName)
+    ).join('');
+    
+    code += this.groupByPackage(entities.filter(entity => this.hasDefinitions(entity, classDiagram))).map(group =>
+      this.wrapInNamespace(group.entities.map(entity => this.generateDefinitions(entity, classDiagram)).join(''), group.packageName)
+    ).join('');
+    
+    return code.replace(/\n+$/, '\n');
+  }
+  
+  // A header per type, with a source file of member definitions for classes that have any
+  generateFiles(classDiagram) {
+    this.startGeneration(classDiagram);
+    const files = {};
+    
+    for (const entity of [...classDiagram.classes, ...classDiagram.interfaces, ...classDiagram.enums]) {
+      this.typeNames = this.findTypeNames(classDiagram, entity);
+      files[this.getFilePath(entity)] = this.generateFile(entity, classDiagram);
+      
+      if (this.hasDefinitions(entity, classDiagram)) {
+        files[this.getFilePath(entity).replace(/\.h$/, '.cpp')] = this.generateSourceFile(entity, classDiagram);
+      }
+    }
+    
+    return files;
+  }
+  
+  getFilePath(entity) {
+    return this.joinPath(this.packageDirectory(entity.packageName), `${entity.name}.h`);
+  }
+  
+  // The header: includes for the types needed complete, forward declarations for the others
+  generateFile(entity, classDiagram) {
+    const { complete, forward } = this.findDependencies(entity, classDiagram);
+    
+    let code = this.generateHeader(classDiagram) + '#pragma once\n\n';
+    const definesTemplates = classDiagram.classes.includes(entity) && (entity.generics.length > 0 || entity.methods.some(method => method.generics.length > 0));
+    code += this.generateIncludes(this.findImports([entity], classDiagram).standard, definesTemplates, complete);
+    code += this.generateForwardDeclarations(forward);
+    code += this.wrapInNamespace(this.generateEntity(entity, classDiagram), entity.packageName);
+    
+    return code.replace(/\n+$/, '\n');
+  }
+  
+  // The source file: its own header first, then the headers of the forward-declared types
+  generateSourceFile(entity, classDiagram) {
+    const { forward } = this.findDependencies(entity, classDiagram);
+    
+    let code = this.generateHeader(classDiagram) + `#include "${this.getFilePath(entity)}"\n\n`;
+    code += this.generateIncludes([], true, forward);
+    code += this.wrapInNamespace(this.generateDefinitions(entity, classDiagram), entity.packageName);
+    
+    return code.replace(/\n+$/, '\n');
+  }
+  
+  // '#include <string>' lines, <stdexcept> for the stubs that throw, then the headers of diagram types
+  generateIncludes(standard, throws, entities = []) {
+    const systemHeaders = [...new Set([...standard, ...(throws ? ['<stdexcept>'] : [])])].sort();
+    const headers = entities.map(entity => `"${this.getFilePath(entity)}"`).sort();
+    
+    return [systemHeaders, headers]
+      .filter(group => group.length > 0)
+      .map(group => group.map(header => `#include ${header}\n`).join('') + '\n')
+      .join('');
+  }
+  
+  // 'class User;' for each class and interface, in the namespace of its package
+  generateForwardDeclarations(entities) {
+    return this.groupByPackage(entities).map(group => {
+      const declarations = group.entities.map(entity => `${this.formatTemplateHeader(entity)}class ${entity.name};\n`).join('');
+      return group.packageName ? `namespace ${this.cppNamespace(group.packageName)} {\n${declarations}}\n\n` : declarations + '\n';
+    }).join('');
+  }
+  
+  // Splits entities into runs of the same package, keeping their order
+  groupByPackage(entities) {
+    const groups = [];
+    
+    for (const entity of entities) {
+      const last = groups[groups.length - 1];
+      if (last && last.packageName === entity.packageName) {
+        last.entities.push(entity);
+      } else {
+        groups.push({ packageName: entity.packageName, entities: [entity] });
+      }
+    }
+    
+    return groups;
+  }
+  
+  /**
+   * Sorts the entities so that each comes after those it needs complete, keeping the given
+   * order otherwise; cycles, which a valid diagram only has through pointers, are left as they are
+   * @param {Array<Class|Interface|Enum>} entities - The entities
+   * @param {ClassDiagram} classDiagram - The diagram
+   * @returns {Array<Class|Interface|Enum>} - The sorted entities
+   */
+  sortByDependencies(entities, classDiagram) {
+    const sorted = [];
+    const visiting = new Set();
+    
+    const visit = entity => {
+      if (sorted.includes(entity) || visiting.has(entity)) return;
+      
+      visiting.add(entity);
+      this.findDependencies(entity, classDiagram).complete.forEach(visit);
+      sorted.push(entity);
+    };
+    
+    entities.forEach(visit);
+    return sorted;
+  }
+  
+  /**
+   * Splits the diagram types an entity refers to into those its declaration needs complete (base
+   * classes, members held by value, enums and templates) and those a forward declaration will do for
+   * @param {Class|Interface|Enum} entity - The entity
+   * @param {ClassDiagram} classDiagram - The diagram
+   * @returns {{complete: Array<Class|Interface|Enum>, forward: Array<Class|Interface>}} - The types
+   */
+  findDependencies(entity, classDiagram) {
+    const complete = [];
+    const forward = [];
+    
+    const bases = classDiagram.classes.includes(entity)
+      ? this.findBaseClasses(entity, classDiagram)
+      : classDiagram.interfaces.includes(entity) ? this.findExtendedInterfaces(entity, classDiagram) : [];
+    const memberTypes = (entity.attributes || []).map(attr => this.mapCppType(attr.type, classDiagram));
+    
+    for (const referenced of this.findImports([entity], classDiagram).entities) {
+      const heldByValue = memberTypes.some(type =>
+        this.typeNamesIn(type.replace(/std::shared_ptr<[^<>]*>/g, '').replace(/\w+::/g, '')).includes(referenced.name));
+      
+      if (bases.includes(referenced) || heldByValue || classDiagram.enums.includes(referenced) || (referenced.generics || []).length > 0) {
+        complete.push(referenced);
+      } else {
+        forward.push(referenced);
+      }
+    }
+    
+    return { complete, forward };
+  }
+  
+  // Whether a class has members defined outside its declaration; templates are defined in the header
+  hasDefinitions(entity, classDiagram) {
+    return classDiagram.classes.includes(entity) && entity.generics.length === 0 &&
+      [...entity.constructors, ...this.resolveMethods(entity, classDiagram)].some(method => !this.isPureVirtual(entity, method) && method.generics.length === 0);
+  }
+  
+  // Abstract methods of abstract classes are pure virtual, without a definition
+  isPureVirtual(classObj, method) {
+    return classObj.isAbstract && method.isAbstract;
+  }
+  
+  // Classes with subclasses and abstract classes have virtual methods and a virtual destructor
+  isPolymorphic(classObj, classDiagram) {
+    return classObj.isAbstract || classDiagram.classes.some(other => this.findParentClass(other, classDiagram) === classObj);
+  }
+  
+  generateClass(classObj, classDiagram) {
+    let code = '';
+    const isPolymorphic = this.isPolymorphic(classObj, classDiagram);
+    
+    code += '/**\n';
+    code += ` * ${this.getDisplayName(classObj)} ${classObj.isAbstract ? 'abstract class' : 'class'}\n`;
+    code += ' */\n';
+    code += this.generateStereotypeAnnotations(classObj);
+    code += `${this.formatTemplateHeader(classObj)}class ${classObj.name}`;
+    
+    // Base classes; interfaces are abstract classes inherited alongside the parent class
+    const parentClass = this.findParentClass(classObj, classDiagram);
+    const parentName = parentClass ? this.formatCppBaseType(classObj, parentClass, classDiagram) : this.findParentClassName(classObj, classDiagram);
+    const bases = [...(parentName ? [parentName] : []), ...this.findImplementedInterfaces(classObj, classDiagram)
+      .map(i => this.formatCppBaseType(classObj, i, classDiagram))];
+    if (bases.length > 0) {
+      code += ' : ' + bases.map(base => `public ${base}`).join(', ');
+    }
+    
+    code += ' {\n';
+    
+    // Members are grouped into sections by access, each with constructors, methods and then data
+    const sections = Object.fromEntries(ACCESS_SECTIONS.map(access => [access, []]));
+    const add = (visibility, group, declaration) => {
+      sections[this.mapCppAccess(visibility)].push({ group, declaration });
+    };
+    
+    for (const typeParameter of classObj.generics.filter(t => t.bounds.length > 0)) {
+      for (const bound of typeParameter.bounds) {
+        add('private', 0, `static_assert(std::is_base_of_v<${this.mapCppType(bound)}, ${typeParameter.name}>, "${typeParameter.name} must derive from ${bound}");`);
+      }
+    }
+    
+    for (const constructor of classObj.constructors) {
+      const params = constructor.parameters.map(param => this.formatCppParameter(param, classDiagram, classObj.packageName));
+      add(constructor.visibility, 1, `${params.length === 1 ? 'explicit ' : ''}${classObj.name}(${params.join(', ')});`);
+    }
+    
+    if (isPolymorphic && !parentName) {
+      add('public', 1, `virtual ~${classObj.name}() = default;`);
+    }
+    
+    for (const method of this.resolveMethods(classObj, classDiagram)) {
+      let declaration = this.formatMethodDeclaration(method, method.name, classDiagram, classObj.packageName);
+      
+      if (method.isStatic) {
+        declaration = 'static ' + declaration;
+      } else if (method.overrides) {
+        declaration += ' override';
+      } else if (isPolymorphic) {
+        declaration = 'virtual ' + declaration;
+      }
+      
+      add(method.visibility, 2, `${this.formatTemplateHeader(method)}${declaration}${this.isPureVirtual(classObj, method) ? ' = 0' : ''};`);
+    }
+    
+    // Static data members are inline, so they need no definition in the source file
+    for (const attr of classObj.attributes) {
+      const type = this.mapCppType(attr.type, classDiagram, classObj.packageName);
+      let declaration = `${attr.isStatic ? 'static inline ' : ''}${attr.isFinal ? 'const ' : ''}${type} ${attr.name}`;
+      
+      const defaultValue = this.formatDefaultValue(attr, classDiagram);
+      if (defaultValue !== null) {
+        declaration += ` = ${defaultValue}`;
+      } else if (SCALAR_TYPES.includes(type) || classDiagram.enums.some(e => e.name === type) || attr.isStatic) {
+        declaration += '{}';
+      }
+      
+      add(attr.visibility, attr.isStatic ? 3 : 4, declaration + ';');
+    }
+    
+    // Associated objects are shared, except enum values
+    for (const field of this.findAssociationFields(classObj, classDiagram)) {
+      const target = this.qualifyType(field.type, classDiagram, classObj.packageName);
+      const type = classDiagram.enums.some(e => e.name === field.type) ? target : `std::shared_ptr<${target}>`;
+      add(field.visibility, 5, `${field.isCollection ? `std::vector<${type}>` : type} ${field.name};`);
+    }
+    
+    const sectionCode = ACCESS_SECTIONS.filter(access => sections[access].length > 0).map(access => {
+      const members = sections[access].sort((a, b) => a.group - b.group);
+      const lines = members.map((member, i) => (i > 0 && member.group !== members[i - 1].group ? '\n' : '') + this.indent(member.declaration));
+      return `${access}:\n${lines.join('\n')}\n`;
+    });
+    
+    code += sectionCode.join('\n');
+    code += '};\n\n';
+    
+    // Templates are defined where they are declared
+    if (classObj.generics.length > 0 || classObj.methods.some(method => method.generics.length > 0)) {
+      code += this.generateDefinitions(classObj, classDiagram, true);
+    }
+    
+    return code;
+  }
+  
+  /**
+   * Generates the stub definitions of a class's constructors and methods, either those of the
+   * source file or, with templates set, those a header has to hold
+   * @param {Class} classObj - The class
+   * @param {ClassDiagram} classDiagram - The diagram
+   * @param {boolean} [templates] - Whether to generate the definitions of templates instead
+   * @returns {string} - The definitions
+   */
+  generateDefinitions(classObj, classDiagram, templates = false) {
+    const isTemplate = method => classObj.generics.length > 0 || method.generics.length > 0;
+    const owner = classObj.name + this.formatTemplateArguments(classObj);
+    const definitions = [];
+    
+    for (const constructor of classObj.constructors.filter(c => isTemplate(c) === templates)) {
+      const params = constructor.parameters.map(param => this.formatCppParameter(param, classDiagram, classObj.packageName));
+      let code = `${this.formatTemplateHeader(classObj)}${owner}::${classObj.name}(${params.join(', ')})`;
+      
+      // Members are initialized from the parameters of the same name
+      const initializers = this.formatParentInitializer(classObj, constructor, classDiagram);
+      for (const param of constructor.parameters) {
+        if (classObj.attributes.some(attr => attr.name === param.name && !attr.isStatic)) {
+          initializers.push(`${param.name}(${param.name})`);
+        }
+      }
+      if (initializers.length > 0) {
+        code += `\n${this.indent(': ' + initializers.join(', '))}`;
+      }
+      
+      definitions.push(code + ' {\n}\n');
+    }
+    
+    for (const method of this.resolveMethods(classObj, classDiagram).filter(m => !this.isPureVirtual(classObj, m) && isTemplate(m) === templates)) {
+      const returnType = this.mapCppType(method.returnType, classDiagram, classObj.packageName);
+      let code = `${this.formatTemplateHeader(classObj)}${this.formatTemplateHeader(method)}`;
+      code += `${this.formatMethodDeclaration(method, `${owner}::${method.name}`, classDiagram, classObj.packageName)} {\n`;
+      
+      for (const typeParameter of method.generics.filter(t => t.bounds.length > 0)) {
+        for (const bound of typeParameter.bounds) {
+          code += this.indent(`static_assert(std::is_base_of_v<${this.mapCppType(bound)}, ${typeParameter.name}>, "${typeParameter.name} must derive from ${bound}");`) + '\n';
+        }
+      }
+      
+      code += this.indent('// TODO: Implement method') + '\n';
+      if (returnType !== 'void') {
+        code += this.indent('throw std::logic_error("Not implemented");') + '\n';
+      }
+      
+      definitions.push(code + '}\n');
+    }
+    
+    return definitions.map(definition => definition + '\n').join('');
+  }
+  
+  // The initializer of the parent class, for parents whose constructors all take arguments:
+  // the parameters of the same name, else value-initialized arguments
+  formatParentInitializer(classObj, constructor, classDiagram) {
+    const parentClass = this.findParentClass(classObj, classDiagram);
+    if (!parentClass || parentClass.constructors.length === 0 || parentClass.constructors.some(c => c.parameters.length === 0)) return [];
+    
+    const parentConstructor = parentClass.constructors
+      .reduce((fewest, c) => c.parameters.length < fewest.parameters.length ? c : fewest);
+    const args = parentConstructor.parameters.map(param => constructor.parameters.some(p => p.name === param.name) ? param.name : '{}');
+    return [`${parentClass.name}(${args.join(', ')})`];
+  }
+  
+  // 'double area()' or, for a definition, 'std::string User::getName()'
+  formatMethodDeclaration(method, name, classDiagram, packageName) {
+    const params = method.parameters.map(param => this.formatCppParameter(param, classDiagram, packageName));
+    return `${this.mapCppType(method.returnType, classDiagram, packageName)} ${name}(${params.join(', ')})`;
+  }
+  
+  generateInterface(interfaceObj, classDiagram) {
+    let code = '';
+    
+    // Interfaces are abstract classes with pure virtual methods only
+    code += '/**\n';
+    code += ` * ${this.getDisplayName(interfaceObj)} interface\n`;
+    code += ' */\n';
+    code += this.generateStereotypeAnnotations(interfaceObj);
+    code += `${this.formatTemplateHeader(interfaceObj)}class ${interfaceObj.name}`;
+    
+    const extendedInterfaces = this.findExtendedInterfaces(interfaceObj, classDiagram);
+    if (extendedInterfaces.length > 0) {
+      code += ' : ' + extendedInterfaces.map(i => `public ${this.formatCppBaseType(interfaceObj, i, classDiagram)}`).join(', ');
+    }
+    
+    code += ' {\npublic:\n';
+    code += this.indent(`virtual ~${interfaceObj.name}() = default;`) + '\n';
+    
+    const methods = interfaceObj.methods.map(method => method.isStatic
+      ? `static ${this.formatMethodDeclaration(method, method.name, classDiagram, interfaceObj.packageName)};`
+      : `virtual ${this.formatMethodDeclaration(method, method.name, classDiagram, interfaceObj.packageName)} = 0;`);
+    if (methods.length > 0) {
+      code += '\n' + methods.map(method => this.indent(method)).join('\n') + '\n';
+    }
+    
+    code += '};\n\n';
+    
+    return code;
+  }
+  
+  generateEnum(enumObj, classDiagram) {
+    let code = '';
+    
+    code += '/**\n';
+    code += ` * ${this.getDisplayName(enumObj)} enum\n`;
+    code += ' */\n';
+    code += this.generateStereotypeAnnotations(enumObj);
+    code += `enum class ${enumObj.name} {\n`;
+    code += enumObj.values.map(value => this.indent(value)).join(',\n') + '\n';
+    code += '};\n\n';
+    
+    return code;
+  }
+  
+  mapCppAccess(visibility) {
+    return visibility === 'private' || visibility === 'protected' ? visibility : 'public'; // C++ has no package access
+  }
+  
+  // 'template <typename T, typename U>\n' for generic classes, interfaces and methods
+  formatTemplateHeader(entity) {
+    if (!entity.generics || entity.generics.length === 0) return '';
+    return `template <${entity.generics.map(typeParameter => `typename ${typeParameter.name}`).join(', ')}>\n`;
+  }
+  
+  // '<T, U>' for generic classes and interfaces
+  formatTemplateArguments(entity) {
+    return entity.generics.length > 0 ? `<${entity.generics.map(typeParameter => typeParameter.name).join(', ')}>` : '';
+  }
+  
+  // Varargs are passed as a vector
+  formatCppParameter(param, classDiagram, packageName) {
+    return `${this.mapCppType(param.type, classDiagram, packageName)} ${param.name}`;
+  }
+  
+  // The name of a type as written from the given package: qualified when it is in another namespace
+  qualifyName(entity, packageName) {
+    return entity.packageName && entity.packageName !== packageName ? `${this.cppNamespace(entity.packageName)}::${entity.name}` : entity.name;
+  }
+  
+  // A base class with the template arguments the class or interface gives it, e.g. 'model::Repository<User>'
+  formatCppBaseType(entity, supertype, classDiagram) {
+    const typeArguments = this.findBaseTypeArguments(entity, supertype, classDiagram)
+      .map(type => this.mapCppType(type, classDiagram, entity.packageName));
+    return this.qualifyName(supertype, entity.packageName) + (typeArguments.length > 0 ? `<${typeArguments.join(', ')}>` : '');
+  }
+  
+  qualifyType(name, classDiagram, packageName) {
+    const entity = classDiagram && this.findEntity(name, classDiagram, packageName);
+    return entity ? this.qualifyName(entity, packageName) : name;
+  }
+  
+  // Left qualified for mapCppType(), which writes the namespaces relative to the code using the type
+  formatQualifiedName(entity) {
+    return entity.qualifiedName;
+  }
+  
+  mapType(type) {
+    return this.mapCppType(type);
+  }
+  
+  /**
+   * Maps a type from the diagram to C++
+   * @param {string} type - The type as written in the diagram
+   * @param {ClassDiagram} [classDiagram] - The diagram, to hold interfaces and abstract classes by
+   *   shared_ptr and to qualify types of other namespaces
+   * @param {string|null} [packageName] - The package of the code using the type
+   * @returns {string} - The C++ type, e.g. 'std::vector<std::string>' for 'List<String>'
+   */
+  mapCppType(type, classDiagram = null, packageName = null) {
+    if (!type) return 'void';
+    type = this.simplifyType(type);
+    
+    // Arrays and varargs become vectors, nullable types optionals; pointers can already be null
+    const typeRef = this.parseType(type);
+    if (typeRef.isArray || typeRef.isNullable) {
+      let mappedType = this.mapCppType(typeRef.elementType.toString(), classDiagram, packageName);
+      for (let i = 0; i < typeRef.arrayDimensions + (typeRef.isVarargs ? 1 : 0); i++) {
+        mappedType = `std::vector<${mappedType}>`;
+      }
+      return typeRef.isNullable && !mappedType.startsWith('std::shared_ptr<') ? `std::optional<${mappedType}>` : mappedType;
+    }
+    
+    // Generic types keep their arguments, mapped recursively
+    if (typeRef.typeArguments.length > 0) {
+      const name = typeRef.name.toLowerCase();
+      const typeArguments = typeRef.typeArguments.map(argument => this.mapCppType(argument.toString(), classDiagram, packageName));
+      
+      if (LIST_TYPES.includes(name)) return `std::vector<${typeArguments[0]}>`;
+      // Hashed containers key classes by pointer, as classes have no std::hash
+      const key = argument => classDiagram && classDiagram.classes.some(c => c.name === argument.name) && !argument.isArray && !argument.isNullable
+        ? `std::shared_ptr<${this.qualifyType(argument.name, classDiagram, packageName)}>`
+        : this.mapCppType(argument.toString(), classDiagram, packageName);
+      if (SET_TYPES.includes(name)) return `std::unordered_set<${key(typeRef.typeArguments[0])}>`;
+      if (MAP_TYPES.includes(name)) return `std::unordered_map<${[key(typeRef.typeArguments[0]), ...typeArguments.slice(1)].join(', ')}>`;
+      if (name === 'optional') return typeArguments[0].startsWith('std::shared_ptr<') ? typeArguments[0] : `std::optional<${typeArguments[0]}>`;
+      return `${this.qualifyType(typeRef.name, classDiagram, packageName)}<${typeArguments.join(', ')}>`;
+    }
+    
+    // Interfaces and abstract classes cannot be held by value
+    const entity = classDiagram && this.findEntity(type, classDiagram, packageName);
+    if (entity && (classDiagram.interfaces.includes(entity) || entity.isAbstract)) {
+      return `std::shared_ptr<${this.qualifyName(entity, packageName)}>`;
+    }
+    if (entity) {
+      return this.qualifyName(entity, packageName);
+    }
+    
+    // Regular type mapping
+    switch (type.toLowerCase()) {
+      case 'boolean': case 'bool': return 'bool';
+      case 'integer': case 'int': return 'int';
+      case 'long': return 'std::int64_t';
+      case 'short': return 'std::int16_t';
+      case 'byte': return 'std::int8_t';
+      case 'float': return 'float';
+      case 'double': return 'double';
+      case 'char': return 'char';
+      case 'string': return 'std::string';
+      case 'void': return 'void';
+      case 'object': return 'std::any';
+      case 'date': case 'localdatetime': case 'instant': return 'std::chrono::system_clock::time_point';
+      default: return type; // Keep custom types as is
+    }
+  }
+}
+
+module.exports = CppGenerator;
\ No newline at end of file
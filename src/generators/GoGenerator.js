@@ -0,0 +1,427 @@
+const BaseGenerator = require('./BaseGenerator');
+const Parameter = require('../models/Parameter');
+
+// Standard library packages by the name generated code qualifies their types with, e.g. time.Time
+const STANDARD_IMPORTS = {
+  big: 'math/big',
+  fmt: 'fmt',
+  time: 'time'
+};
+
+// Package of the types of a diagram that declares none
+const DEFAULT_PACKAGE = 'model';
+
+// Collection types by lower-case name, by the Go type they become
+const SLICE_TYPES = ['list', 'arraylist', 'linkedlist', 'collection', 'iterable'];
+const SET_TYPES = ['set', 'hashset'];
+const MAP_TYPES = ['map', 'hashmap', 'dict'];
+
+class GoGenerator extends BaseGenerator {
+  constructor() {
+    super();
+    this.indentSize = 1; // One tab, as gofmt indents
+  }
+  
+  // A single file holds one package, named after the first package of the diagram
+  generateHeader(classDiagram) {
+    const entities = [...classDiagram.classes, ...classDiagram.interfaces, ...classDiagram.enums];
+    const entity = entities.find(e => e.packageName);
+    const packageClause = this.generatePackageClause(entity ? entity.packageName : null);
+    
+    if (new Set(entities.map(e => e.packageName || null)).size > 1) {
+      this.warn('merged-packages',
+        `A Go file holds a single package; the types of all packages are generated into '${packageClause.trim()}', use one file per type to keep them apart`);
+    }
+    
+    return "// Generated Go code from PlantUML class diagram\n\n" + packageClause;
+  }
+  
+  supportsPackages() {
+    return false; // Every package is a directory of its own; see generateFiles()
+  }
+  
+  // 'package model' for 'com.example.model'
+  generatePackageClause(packageName) {
+    const name = packageName ? packageName.split('.').pop().toLowerCase().replace(/[^a-z0-9_]/g, '') : DEFAULT_PACKAGE;
+    return `package ${name || DEFAULT_PACKAGE}\n\n`;
+  }
+  
+  standardImports() {
+    return STANDARD_IMPORTS;
+  }
+  
+  literals() {
+    return { ...super.literals(), null: 'nil' };
+  }
+  
+  formatEnumConstant(enumObj, value) {
+    return enumObj.name + this.toPascalCase(value);
+  }
+  
+  collectLanguageReferences(entity, classDiagram) {
+    return classDiagram.enums.includes(entity) ? ['fmt'] : []; // For the String() method
+  }
+  
+  // Types of the diagram are not imported: Go imports packages by module path, which the diagram does not know
+  generateImports(entities, classDiagram) {
+    const { standard } = this.findImports(entities, classDiagram);
+    
+    if (standard.length === 0) return '';
+    if (standard.length === 1) return `import "${standard[0]}"\n\n`;
+    return `import (\n${standard.map(name => this.indent(`"${name}"`)).join('\n')}\n)\n\n`;
+  }
+  
+  getFilePath(entity) {
+    return this.joinPath(this.packageDirectory(entity.packageName, part => part.toLowerCase()), `${this.toSnakeCase(entity.name)}.go`);
+  }
+  
+  generateFile(entity, classDiagram) {
+    // Go imports a package by its module path, which the diagram does not give
+    for (const referenced of this.findImports([entity], classDiagram).entities) {
+      if (referenced.packageName !== entity.packageName) {
+        this.warn('unresolved-package',
+          `'${entity.name}' uses '${referenced.name}' from package '${referenced.packageName || DEFAULT_PACKAGE}', which needs an import of its module path and a qualifier`, entity);
+      }
+    }
+    
+    // Each file declares the package of its own type
+    let code = "// Generated Go code from PlantUML class diagram\n\n" + this.generatePackageClause(entity.packageName);
+    code += this.generateImports([entity], classDiagram) + this.generateEntity(entity, classDiagram);
+    return code.replace(/\n+$/, '\n');
+  }
+  
+  generateClass(classObj, classDiagram) {
+    let code = '';
+    const typeParameterNames = classObj.generics.map(typeParameter => typeParameter.name);
+    const receiverType = classObj.name + (typeParameterNames.length > 0 ? `[${typeParameterNames.join(', ')}]` : '');
+    
+    // Struct declaration
+    code += `// ${classObj.name} ${classObj.isAbstract ? 'abstract class' : 'class'}`;
+    code += this.getDisplayName(classObj) !== classObj.name ? ` (${this.getDisplayName(classObj)})\n` : '\n';
+    code += this.generateStereotypeAnnotations(classObj);
+    code += `type ${classObj.name}${this.formatTypeParameters(classObj)} struct {\n`;
+    
+    // The parent class is embedded, which promotes its fields and methods; a generic one is
+    // instantiated with the type arguments the class passes it, e.g. 'Base[string]'
+    const parentName = this.formatParentType(classObj, classDiagram);
+    if (parentName) {
+      code += this.indent(parentName) + '\n';
+    }
+    
+    // Fields, exported when public
+    for (const attr of classObj.attributes.filter(a => !a.isStatic)) {
+      code += this.indent(`${this.goName(attr.name, attr.visibility)} ${this.mapGoType(attr.type)}`) + '\n';
+    }
+    
+    // Fields for associated classes, which start out nil; single objects are held by pointer
+    for (const field of this.findAssociationFields(classObj, classDiagram)) {
+      const fieldType = field.isCollection ? this.mapGoFieldType(field) : `*${this.mapGoType(field.type)}`;
+      code += this.indent(`${this.goName(field.name, field.visibility)} ${fieldType}`) + '\n';
+    }
+    
+    code += '}\n\n';
+    
+    // Go interfaces are satisfied implicitly; the assertions make the compiler check it
+    const interfaces = this.findImplementedInterfaces(classObj, classDiagram);
+    if (typeParameterNames.length === 0 && interfaces.some(i => i.generics.length === 0)) {
+      for (const interfaceObj of interfaces.filter(i => i.generics.length === 0)) {
+        code += `var _ ${interfaceObj.name} = (*${classObj.name})(nil)\n`;
+      }
+      code += '\n';
+    }
+    
+    // Static attributes become package-level variables, or constants when final with a value
+    const staticAttrs = classObj.attributes.filter(a => a.isStatic);
+    for (const attr of staticAttrs) {
+      const name = this.goName(classObj.name + this.toPascalCase(attr.name), attr.visibility);
+      const defaultValue = this.formatDefaultValue(attr, classDiagram);
+      
+      if (attr.isFinal && defaultValue !== null) {
+        code += `const ${name} ${this.mapGoType(attr.type)} = ${defaultValue}\n`;
+      } else {
+        code += `var ${name} ${this.mapGoType(attr.type)}${defaultValue === null ? '' : ` = ${defaultValue}`}\n`;
+      }
+    }
+    
+    if (staticAttrs.length > 0) {
+      code += '\n';
+    }
+    
+    // Constructors become New functions
+    if (!classObj.isAbstract || classObj.constructors.length > 0) {
+      const constructors = classObj.constructors.length > 0 ? classObj.constructors : [null];
+      const names = this.resolveOverloadNames(classObj.constructors, classObj, 'Go', `New${classObj.name}`);
+      
+      for (const constructor of constructors) {
+        code += this.generateConstructor(classObj, constructor, constructor ? names.get(constructor) : `New${classObj.name}`, receiverType, classDiagram);
+      }
+    }
+    
+    // Static methods become package-level functions, which may have type parameters of their own
+    const methods = this.resolveMethods(classObj, classDiagram);
+    const staticMethods = methods.filter(m => m.isStatic);
+    const staticNames = this.resolveOverloadNames(staticMethods, classObj, 'Go');
+    for (const method of staticMethods) {
+      const name = this.goName(classObj.name + this.toPascalCase(staticNames.get(method)), method.visibility);
+      
+      code += `// ${name} static method of ${classObj.name}\n`;
+      code += `func ${name}${this.formatTypeParameters(method)}(${this.formatGoParameters(method)})${this.formatGoReturnType(method.returnType)} {\n`;
+      code += this.generateMethodBody(method, classObj, [...typeParameterNames, ...method.generics.map(t => t.name)], classDiagram);
+      code += '}\n\n';
+    }
+    
+    // Instance methods, including stubs for unimplemented interface and abstract methods
+    const receiver = classObj.name.charAt(0).toLowerCase();
+    const instanceMethods = methods.filter(m => !m.isStatic);
+    const instanceNames = this.resolveOverloadNames(instanceMethods, classObj, 'Go');
+    for (const method of instanceMethods) {
+      const name = this.goName(instanceNames.get(method), method.visibility);
+      const erased = this.eraseMethodTypeParameters(method, classObj);
+      
+      code += `// ${name} method\n`;
+      code += `func (${receiver} *${receiverType}) ${name}(${this.formatGoParameters(erased)})${this.formatGoReturnType(erased.returnType)} {\n`;
+      code += this.generateMethodBody(erased, classObj, typeParameterNames, classDiagram);
+      code += '}\n\n';
+    }
+    
+    return code;
+  }
+  
+  // 'func NewUser(id int) *User' returning the struct with the fields the parameters or default values set
+  generateConstructor(classObj, constructor, name, receiverType, classDiagram) {
+    const params = constructor ? constructor.parameters : [];
+    const typeParameters = this.formatTypeParameters(classObj);
+    let code = `// ${name} returns a new ${classObj.name}\n`;
+    
+    code += `func ${name}${typeParameters}(${constructor ? this.formatGoParameters(constructor) : ''}) *${receiverType} {\n`;
+    
+    const fields = [];
+    for (const attr of classObj.attributes.filter(a => !a.isStatic)) {
+      const param = params.find(p => p.name === attr.name);
+      const value = param ? param.name : this.formatDefaultValue(attr, classDiagram);
+      if (value !== null) {
+        fields.push(`${this.goName(attr.name, attr.visibility)}: ${value},`);
+      }
+    }
+    
+    if (fields.length === 0) {
+      code += this.indent(`return &${receiverType}{}`) + '\n';
+    } else {
+      code += this.indent(`return &${receiverType}{`) + '\n';
+      code += fields.map(field => this.indent(field, 2)).join('\n') + '\n';
+      code += this.indent('}') + '\n';
+    }
+    
+    return code + '}\n\n';
+  }
+  
+  generateMethodBody(method, entity, typeParameterNames, classDiagram) {
+    if (method.isAbstract) {
+      return this.indent(`panic("${entity.name}.${method.name} is abstract and must be implemented")`) + '\n';
+    }
+    
+    let code = this.indent('// TODO: Implement method') + '\n';
+    
+    const mappedReturnType = this.mapGoType(method.returnType);
+    if (mappedReturnType) {
+      code += this.indent(`return ${this.goZeroValue(mappedReturnType, typeParameterNames, classDiagram)}`) + '\n';
+    }
+    
+    return code;
+  }
+  
+  /**
+   * Go methods cannot declare type parameters, so those of a generic instance method are replaced
+   * by 'any', and the method is reported as a warning
+   * @param {Method} method - The method
+   * @param {Class|Interface} entity - The class or interface declaring it
+   * @returns {Method} - The method, or a copy without type parameters
+   */
+  eraseMethodTypeParameters(method, entity) {
+    if (method.generics.length === 0) return method;
+    
+    this.warn('unrepresentable-generic-method',
+      `Go methods cannot have type parameters; those of '${method.name}' of '${entity.name}' are replaced by any`, method);
+    
+    const pattern = new RegExp(`\\b(${method.generics.map(typeParameter => typeParameter.name).join('|')})\\b`, 'g');
+    const erase = type => type && type.replace(pattern, 'Object');
+    
+    return this.copyMethod(method, {
+      generics: [],
+      returnType: erase(method.returnType),
+      parameters: method.parameters.map(param => new Parameter(param.name, erase(param.type)))
+    });
+  }
+  
+  generateInterface(interfaceObj, classDiagram) {
+    let code = '';
+    
+    // Interface declaration
+    code += `// ${interfaceObj.name} interface\n`;
+    code += this.generateStereotypeAnnotations(interfaceObj);
+    code += `type ${interfaceObj.name}${this.formatTypeParameters(interfaceObj)} interface {\n`;
+    
+    // Extended interfaces are embedded
+    for (const extended of this.findExtendedInterfaces(interfaceObj, classDiagram)) {
+      code += this.indent(extended.name) + '\n';
+    }
+    
+    // Methods, which are always exported
+    const names = this.resolveOverloadNames(interfaceObj.methods, interfaceObj, 'Go');
+    for (const method of interfaceObj.methods) {
+      const erased = this.eraseMethodTypeParameters(method, interfaceObj);
+      code += this.indent(`${this.toPascalCase(names.get(method))}(${this.formatGoParameters(erased)})${this.formatGoReturnType(erased.returnType)}`) + '\n';
+    }
+    
+    code += '}\n\n';
+    
+    return code;
+  }
+  
+  generateEnum(enumObj, classDiagram) {
+    let code = '';
+    const receiver = enumObj.name.charAt(0).toLowerCase();
+    
+    // Enums are typed integer constants
+    code += `// ${enumObj.name} enum\n`;
+    code += this.generateStereotypeAnnotations(enumObj);
+    code += `type ${enumObj.name} int\n\n`;
+    
+    if (enumObj.values.length > 0) {
+      code += 'const (\n';
+      enumObj.values.forEach((value, i) => {
+        code += this.indent(this.formatEnumConstant(enumObj, value) + (i === 0 ? ` ${enumObj.name} = iota` : '')) + '\n';
+      });
+      code += ')\n\n';
+    }
+    
+    // String() returns the name as written in the diagram
+    code += `// String returns the name of the ${enumObj.name} value\n`;
+    code += `func (${receiver} ${enumObj.name}) String() string {\n`;
+    code += this.indent(`switch ${receiver} {`) + '\n';
+    for (const value of enumObj.values) {
+      code += this.indent(`case ${this.formatEnumConstant(enumObj, value)}:`) + '\n';
+      code += this.indent(`return "${value}"`, 2) + '\n';
+    }
+    code += this.indent('default:') + '\n';
+    code += this.indent(`return fmt.Sprintf("${enumObj.name}(%d)", int(${receiver}))`, 2) + '\n';
+    code += this.indent('}') + '\n';
+    code += '}\n\n';
+    
+    return code;
+  }
+  
+  indent(code, level = 1) {
+    const indent = '\t'.repeat(this.indentSize * level);
+    return code.split('\n').map(line => line ? indent + line : line).join('\n');
+  }
+  
+  // Exported (capitalized) for public members, unexported otherwise
+  goName(name, visibility) {
+    return visibility === 'public' ? this.toPascalCase(name) : name.charAt(0).toLowerCase() + name.slice(1);
+  }
+  
+  // Type parameters with their constraints, e.g. '[T Entity, K any]'
+  formatTypeParameters(entity) {
+    if (!entity.generics || entity.generics.length === 0) return '';
+    
+    return '[' + entity.generics.map(typeParameter => {
+      const bounds = typeParameter.bounds.map(bound => this.mapGoType(bound));
+      if (bounds.length === 0) return `${typeParameter.name} any`;
+      if (bounds.length === 1) return `${typeParameter.name} ${bounds[0]}`;
+      return `${typeParameter.name} interface{ ${bounds.join('; ')} }`;
+    }).join(', ') + ']';
+  }
+  
+  formatGoParameters(method) {
+    return method.parameters.map(param => `${param.name} ${this.isVarargs(param) ? '...' : ''}${this.mapGoType(param.type)}`).join(', ');
+  }
+  
+  // ' string' after the parameter list, or '' for a method returning nothing
+  formatGoReturnType(returnType) {
+    const mappedType = this.mapGoType(returnType);
+    return mappedType ? ` ${mappedType}` : '';
+  }
+  
+  /**
+   * The zero value of a type, which TODO bodies return
+   * @param {string} mappedType - The Go type
+   * @param {string[]} typeParameterNames - Type parameters in scope
+   * @param {ClassDiagram} classDiagram - The diagram, to tell structs from interfaces
+   * @returns {string} - An expression of the type
+   */
+  goZeroValue(mappedType, typeParameterNames, classDiagram) {
+    if (mappedType === 'bool') return 'false';
+    if (mappedType === 'string') return '""';
+    if (/^(u?int(8|16|32|64)?|float(32|64)|byte|rune)$/.test(mappedType)) return '0';
+    if (/^(\*|\[\]|map\[)/.test(mappedType) || mappedType === 'any' || mappedType === 'error') return 'nil';
+    if (typeParameterNames.includes(mappedType)) return `*new(${mappedType})`;
+    
+    const entity = this.findEntity(mappedType.replace(/\[.*$/, ''), classDiagram);
+    if (entity && classDiagram.interfaces.includes(entity)) return 'nil';
+    if (entity && classDiagram.enums.includes(entity)) return '0';
+    return `${mappedType}{}`;
+  }
+  
+  mapType(type) {
+    return this.mapGoType(type);
+  }
+  
+  mapFieldType(attr) {
+    return this.mapGoFieldType(attr);
+  }
+  
+  // Many associated objects are held as a slice of pointers, e.g. '[]*OrderLine'
+  mapGoFieldType(attr) {
+    const type = this.mapGoType(attr.type);
+    return attr.isCollection ? `[]*${type}` : type;
+  }
+  
+  mapGoType(type) {
+    if (!type) return '';
+    type = this.simplifyType(type);
+    
+    // Varargs keep their element type here; formatGoParameters() adds the '...'
+    const typeRef = this.parseType(type);
+    if (typeRef.isArray || typeRef.isNullable) {
+      const mapped = this.mapGoType(typeRef.elementType.toString());
+      return '[]'.repeat(typeRef.arrayDimensions) + (typeRef.isNullable && !/^(\*|\[\]|map\[|any$)/.test(mapped) ? '*' : '') + mapped;
+    }
+    
+    // Collections become slices and maps, other generic types keep their arguments
+    if (typeRef.typeArguments.length > 0) {
+      const typeArguments = typeRef.typeArguments.map(argument => this.mapGoType(argument.toString()));
+      const name = typeRef.name.toLowerCase();
+      
+      if (SLICE_TYPES.includes(name)) return `[]${typeArguments[0]}`;
+      if (SET_TYPES.includes(name)) return `map[${typeArguments[0]}]struct{}`;
+      if (MAP_TYPES.includes(name)) return `map[${typeArguments[0]}]${typeArguments[1] || 'any'}`;
+      if (name === 'optional') return `*${typeArguments[0]}`;
+      return `${typeRef.name}[${typeArguments.join(', ')}]`;
+    }
+    
+    // Regular type mapping
+    switch (type.toLowerCase()) {
+      case 'boolean': case 'bool': return 'bool';
+      case 'integer': case 'int': return 'int';
+      case 'long': return 'int64';
+      case 'short': return 'int16';
+      case 'byte': return 'byte';
+      case 'float': return 'float32';
+      case 'double': return 'float64';
+      case 'string': return 'string';
+      case 'char': return 'rune';
+      case 'void': return '';
+      case 'object': return 'any';
+      case 'list': case 'collection': return '[]any';
+      case 'map': case 'hashmap': return 'map[string]any';
+      case 'date': case 'localdate': case 'localdatetime': case 'datetime': case 'instant': return 'time.Time';
+      case 'duration': return 'time.Duration';
+      case 'bigdecimal': return '*big.Float';
+      case 'biginteger': return '*big.Int';
+      default: return type; // Keep custom types as is
+    }
+  }
+}
+
+module.exports = GoGenerator;
\ No newline at end of file
@@ -1,5 +1,63 @@
 const BaseGenerator = require('./BaseGenerator');
 
+// Standard library types that need an import when the generated code uses them
+const STANDARD_IMPORTS = {
+  List: 'java.util.List',
+  ArrayList: 'java.util.ArrayList',
+  LinkedList: 'java.util.LinkedList',
+  Map: 'java.util.Map',
+  HashMap: 'java.util.HashMap',
+  Set: 'java.util.Set',
+  HashSet: 'java.util.HashSet',
+  Collection: 'java.util.Collection',
+  Iterator: 'java.util.Iterator',
+  Optional: 'java.util.Optional',
+  Date: 'java.util.Date',
+  UUID: 'java.util.UUID',
+  LocalDate: 'java.time.LocalDate',
+  LocalDateTime: 'java.time.LocalDateTime',
+  LocalTime: 'java.time.LocalTime',
+  Instant: 'java.time.Instant',
+  Duration: 'java.time.Duration',
+  BigDecimal: 'java.math.BigDecimal',
+  BigInteger: 'java.math.BigInteger'
+};
+
+// JPA and Spring annotations for common stereotypes, e.g. <<Entity>> -> @Entity
+const STEREOTYPE_MAPPINGS = {
+  Entity: { annotations: ['@Entity'], imports: ['jakarta.persistence.Entity'] },
+  Embeddable: { annotations: ['@Embeddable'], imports: ['jakarta.persistence.Embeddable'] },
+  Service: { annotations: ['@Service'], imports: ['org.springframework.stereotype.Service'] },
+  Repository: { annotations: ['@Repository'], imports: ['org.springframework.stereotype.Repository'] },
+  Component: { annotations: ['@Component'], imports: ['org.springframework.stereotype.Component'] },
+  Controller: { annotations: ['@RestController'], imports: ['org.springframework.web.bind.annotation.RestController'] },
+  FunctionalInterface: { annotations: ['@FunctionalInterface'] }
+};
+
+// Wrapper classes used for nullable primitives such as 'int?'
+const BOXED_TYPES = {
+  boolean: 'Boolean',
+  byte: 'Byte',
+  char: 'Character',
+  short: 'Short',
+  int: 'Integer',
+  long: 'Long',
+  float: 'Float',
+  double: 'Double'
+};
+
+// Collection types by lower-case name, for generic types written in any case such as 'list<User>'
+const GENERIC_TYPES = {
+  list: 'List',
+  arraylist: 'ArrayList',
+  map: 'Map',
+  hashmap: 'Map',
+  set: 'Set',
+  hashset: 'Set',
+  collection: 'Collection',
+  iterable: 'Iterable'
+};
+
 class JavaGenerator extends BaseGenerator {
   generateHeader(classDiagram) {
     return '// Generated Java code from PlantUML class diagram\n\n';
@@ -13,11 +71,42 @@ class JavaGenerator extends BaseGenerator {
     return '\n'; // No special end for Java packages
   }
   
+  importsFollowPackageDeclaration() {
+    return true;
+  }
+  
+  standardImports() {
+    return STANDARD_IMPORTS;
+  }
+  
+  defaultStereotypeMappings() {
+    return STEREOTYPE_MAPPINGS;
+  }
+  
+  generateImports(entities, classDiagram) {
+    const { standard, entities: imported } = this.findImports(entities, classDiagram);
+    const packageNames = entities.map(entity => entity.packageName);
+    
+    // Types in the same package, or in the default package, cannot or need not be imported
+    const projectImports = imported
+      .filter(entity => entity.packageName && !packageNames.includes(entity.packageName) && !this.isWrittenQualified(entity))
+      .map(entity => `${entity.packageName}.${entity.name}`);
+    
+    const lines = [...projectImports, ...standard].sort().map(name => `import ${name};`);
+    return lines.length > 0 ? lines.join('\n') + '\n\n' : '';
+  }
+  
+  getFilePath(entity) {
+    // One public type per file, in a directory matching its package
+    return this.joinPath(this.packageDirectory(entity.packageName), `${entity.name}.java`);
+  }
+  
   generateClass(classObj, classDiagram) {
     let code = '';
     
     // Class documentation
-    code += `/**\n * ${classObj.name} class\n */\n`;
+    code += `/**\n * ${this.getDisplayName(classObj)} class\n */\n`;
+    code += this.generateStereotypeAnnotations(classObj);
     
     // Class declaration
     if (classObj.isAbstract) {
@@ -29,26 +118,25 @@ class JavaGenerator extends BaseGenerator {
     code += classObj.name;
     
     // Generic parameters
-    if (classObj.generics.length > 0) {
-      code += '<' + classObj.generics.join(', ') + '>';
-    }
+    code += this.formatTypeParameters(classObj);
     
     // Inheritance
-    const parentClass = this.findParentClass(classObj, classDiagram);
-    if (parentClass) {
-      code += ` extends ${parentClass.name}`;
+    const parentName = this.formatParentType(classObj, classDiagram);
+    if (parentName) {
+      code += ` extends ${parentName}`;
     }
     
     // Implementations
     const interfaces = this.findImplementedInterfaces(classObj, classDiagram);
     if (interfaces.length > 0) {
-      code += ' implements ' + interfaces.map(i => i.name).join(', ');
+      code += ' implements ' + interfaces.map(i => this.formatBaseType(classObj, i, classDiagram)).join(', ');
     }
     
     code += ' {\n';
     
-    // Attributes
-    for (const attr of classObj.attributes) {
+    // Attributes, followed by fields for associated classes
+    const attributes = [...classObj.attributes, ...this.findAssociationFields(classObj, classDiagram)];
+    for (const attr of attributes) {
       code += this.indent(`${attr.visibility} `);
       
       if (attr.isStatic) {
@@ -59,10 +147,17 @@ class JavaGenerator extends BaseGenerator {
         code += 'final ';
       }
       
-      code += `${this.mapJavaType(attr.type)} ${attr.name};\n`;
+      code += `${this.mapJavaFieldType(attr)} ${attr.name}`;
+      
+      const defaultValue = this.formatDefaultValue(attr, classDiagram);
+      if (defaultValue !== null) {
+        code += ` = ${defaultValue}`;
+      }
+      
+      code += ';\n';
     }
     
-    if (classObj.attributes.length > 0) {
+    if (attributes.length > 0) {
       code += '\n';
     }
     
@@ -80,7 +175,7 @@ class JavaGenerator extends BaseGenerator {
         code += ') {\n';
         
         // Constructor body - may call super() if there's a parent
-        if (parentClass) {
+        if (parentName) {
           code += this.indent('super();', 2);
         }
         
@@ -92,7 +187,7 @@ class JavaGenerator extends BaseGenerator {
       code += this.indent(`/**\n * Default constructor for ${classObj.name}\n */\n`);
       code += this.indent(`public ${classObj.name}() {\n`);
       
-      if (parentClass) {
+      if (parentName) {
         code += this.indent('super();', 2);
       }
       
@@ -100,8 +195,8 @@ class JavaGenerator extends BaseGenerator {
       code += this.indent('}\n\n');
     }
     
-    // Methods
-    for (const method of classObj.methods) {
+    // Methods, including stubs for unimplemented interface and abstract methods
+    for (const method of this.resolveMethods(classObj, classDiagram)) {
       code += this.indent('/**\n');
       
       // Method documentation
@@ -117,6 +212,10 @@ class JavaGenerator extends BaseGenerator {
       
       code += this.indent(' */\n');
       
+      if (method.overrides) {
+        code += this.indent('@Override\n');
+      }
+      
       // Method signature
       code += this.indent(`${method.visibility} `);
       
@@ -128,7 +227,7 @@ class JavaGenerator extends BaseGenerator {
         code += 'abstract ';
       }
       
-      code += `${this.mapJavaType(method.returnType)} ${method.name}(`;
+      code += `${this.formatMethodTypeParameters(method)}${this.mapJavaType(method.returnType)} ${method.name}(`;
       
       // Parameters
       code += method.parameters.map(
@@ -175,14 +274,19 @@ class JavaGenerator extends BaseGenerator {
     let code = '';
     
     // Interface documentation
-    code += `/**\n * ${interfaceObj.name} interface\n */\n`;
+    code += `/**\n * ${this.getDisplayName(interfaceObj)} interface\n */\n`;
+    code += this.generateStereotypeAnnotations(interfaceObj);
     
     // Interface declaration
     code += 'public interface ' + interfaceObj.name;
     
     // Generic parameters
-    if (interfaceObj.generics.length > 0) {
-      code += '<' + interfaceObj.generics.join(', ') + '>';
+    code += this.formatTypeParameters(interfaceObj);
+    
+    // Extended interfaces
+    const extendedInterfaces = this.findExtendedInterfaces(interfaceObj, classDiagram);
+    if (extendedInterfaces.length > 0) {
+      code += ' extends ' + extendedInterfaces.map(i => this.formatBaseType(interfaceObj, i, classDiagram)).join(', ');
     }
     
     code += ' {\n';
@@ -205,7 +309,7 @@ class JavaGenerator extends BaseGenerator {
       code += this.indent(' */\n');
       
       // Method signature - in Java interfaces, methods are implicitly public and abstract
-      code += this.indent(`${this.mapJavaType(method.returnType)} ${method.name}(`);
+      code += this.indent(`${this.formatMethodTypeParameters(method)}${this.mapJavaType(method.returnType)} ${method.name}(`);
       
       // Parameters
       code += method.parameters.map(
@@ -224,7 +328,8 @@ class JavaGenerator extends BaseGenerator {
     let code = '';
     
     // Enum documentation
-    code += `/**\n * ${enumObj.name} enum\n */\n`;
+    code += `/**\n * ${this.getDisplayName(enumObj)} enum\n */\n`;
+    code += this.generateStereotypeAnnotations(enumObj);
     
     // Enum declaration
     code += 'public enum ' + enumObj.name + ' {\n';
@@ -239,24 +344,54 @@ class JavaGenerator extends BaseGenerator {
     return code;
   }
   
+  // A type whose simple name another type shares is written with its package instead of imported
+  formatQualifiedName(entity) {
+    return entity.qualifiedName;
+  }
+  
+  mapType(type) {
+    return this.mapJavaType(type);
+  }
+  
+  // Type arguments are always boxed, so a stub for 'K key()' of 'Base<int>' returns Integer
+  findTypeBindings(entity, classDiagram) {
+    const bindings = super.findTypeBindings(entity, classDiagram);
+    bindings.forEach(supertypeBindings => Object.keys(supertypeBindings).forEach(name => {
+      supertypeBindings[name] = BOXED_TYPES[this.mapJavaType(supertypeBindings[name])] || supertypeBindings[name];
+    }));
+    return bindings;
+  }
+  
+  mapFieldType(attr) {
+    return this.mapJavaFieldType(attr);
+  }
+  
+  mapJavaFieldType(attr) {
+    const type = this.mapJavaType(attr.type);
+    return attr.isCollection ? `List<${type}>` : type;
+  }
+  
   mapJavaType(type) {
     if (!type) return 'void';
+    type = this.simplifyType(type);
     
-    // Handle complex generic types
-    if (this.isComplexGenericType(type)) {
-      // Extract the base type (e.g., "Map" from "Map<String, Integer>")
-      const baseType = this.extractBaseGenericType(type);
-      
-      // Map common collection types
-      switch (baseType.toLowerCase()) {
-        case 'list': return 'List<Object>';
-        case 'arraylist': return 'ArrayList<Object>';
-        case 'map': case 'hashmap': return 'Map<Object, Object>';
-        case 'set': case 'hashset': return 'Set<Object>';
-        case 'collection': return 'Collection<Object>';
-        case 'iterable': return 'Iterable<Object>';
-        default: return `${baseType}<Object>`;
+    // Arrays keep Java's syntax; Java has no nullable types, but a nullable primitive is boxed
+    const typeRef = this.parseType(type);
+    if (typeRef.isArray || typeRef.isNullable) {
+      let mapped = this.mapJavaType(typeRef.elementType.toString());
+      if (typeRef.isNullable && !typeRef.isArray) {
+        mapped = BOXED_TYPES[mapped] || mapped;
       }
+      return mapped + '[]'.repeat(typeRef.arrayDimensions) + (typeRef.isVarargs ? '...' : '');
+    }
+    
+    // Generic types keep their arguments, mapped recursively; type arguments cannot be primitives
+    if (typeRef.typeArguments.length > 0) {
+      const typeArguments = typeRef.typeArguments.map(argument => {
+        const mapped = this.mapJavaType(argument.toString());
+        return BOXED_TYPES[mapped] || mapped;
+      });
+      return `${GENERIC_TYPES[typeRef.name.toLowerCase()] || typeRef.name}<${typeArguments.join(', ')}>`;
     }
     
     // For simple types, return the type as is
@@ -14,21 +14,53 @@ class JavaScriptGenerator extends BaseGenerator {
     return false; // JavaScript doesn't have built-in package system
   }
   
+  literals() {
+    return { ...super.literals(), quote: "'" };
+  }
+  
+  generateImports(entities, classDiagram) {
+    const { standard, entities: imported } = this.findImports(entities, classDiagram);
+    
+    // Only parent classes are needed at runtime; other types appear in comments alone
+    const parentClasses = entities
+      .filter(entity => classDiagram.classes.includes(entity))
+      .map(classObj => this.findParentClass(classObj, classDiagram));
+    
+    // Imports of stereotype mappings are written as 'module#Name', e.g. 'events#EventEmitter'
+    const lines = standard
+      .map(standardImport => standardImport.split('#'))
+      .map(([moduleName, name]) => `const { ${name} } = require('${moduleName}');`)
+      .concat(imported
+        .filter(entity => parentClasses.includes(entity))
+        .map(entity => `const ${entity.name} = require('${this.relativeModulePath(entities[0], entity)}');`));
+    
+    return lines.length > 0 ? lines.join('\n') + '\n\n' : '';
+  }
+  
+  getFilePath(entity) {
+    return this.joinPath('src', this.packageDirectory(entity.packageName), `${this.toKebabCase(entity.name)}.js`);
+  }
+  
+  generateFile(entity, classDiagram) {
+    const code = super.generateFile(entity, classDiagram);
+    return `${code}\nmodule.exports = ${entity.name};\n`;
+  }
+  
   generateClass(classObj, classDiagram) {
     let code = '';
     
     // Class documentation
-    code += `/**\n * ${classObj.name} class\n */\n`;
+    code += `/**\n * ${this.getDisplayName(classObj)} class\n */\n`;
     
     // Find inheritance
-    const parentClass = this.findParentClass(classObj, classDiagram);
+    const parentName = this.findParentClassName(classObj, classDiagram);
     
     // Class declaration
     code += 'class ' + classObj.name;
     
     // Inheritance
-    if (parentClass) {
-      code += ` extends ${parentClass.name}`;
+    if (parentName) {
+      code += ` extends ${parentName}`;
     }
     
     code += ' {\n';
@@ -39,24 +71,35 @@ class JavaScriptGenerator extends BaseGenerator {
     code += this.indent(` */\n`);
     
     if (classObj.constructors.length > 0) {
-      const constructor = classObj.constructors[0]; // Use the first constructor
+      // JavaScript has a single constructor, taking the parameters of all constructors in the diagram
+      const [constructor] = this.mergeOverloadedMethods(classObj.constructors, classObj, 'JavaScript');
       
       code += this.indent('constructor(');
       
       // Parameters
-      code += constructor.parameters.map(p => p.name).join(', ');
+      code += constructor.parameters.map(p => this.formatJsParameter(p)).join(', ');
       
       code += ') {\n';
       
       // Call super if extending another class
-      if (parentClass) {
+      if (parentName) {
         code += this.indent('super();', 2) + '\n';
       }
       
-      // Initialize instance properties
+      // Initialize instance properties, then attributes with a default value the parameters leave out
       for (const param of constructor.parameters) {
-        code += this.indent(`this.${param.name} = ${param.name};`, 2) + '\n';
+        if (param.mergedNames.length > 0) {
+          code += this.indent(`// TODO: Initialize ${param.mergedNames.join(' or ')} from ${param.name}`, 2) + '\n';
+        } else {
+          code += this.indent(`this.${param.name} = ${param.name};`, 2) + '\n';
+        }
+      }
+      for (const attr of classObj.attributes.filter(a => !a.isStatic && a.defaultValue !== null)) {
+        if (!constructor.parameters.some(param => param.name === attr.name)) {
+          code += this.indent(`this.${attr.name} = ${this.formatDefaultValue(attr, classDiagram)};`, 2) + '\n';
+        }
       }
+      code += this.generateAssociationFields(classObj, classDiagram);
       
       code += this.indent('}\n\n');
     } else {
@@ -64,20 +107,22 @@ class JavaScriptGenerator extends BaseGenerator {
       code += this.indent('constructor() {\n');
       
       // Call super if extending another class
-      if (parentClass) {
+      if (parentName) {
         code += this.indent('super();', 2) + '\n';
       }
       
       // Initialize instance properties from attributes
       for (const attr of classObj.attributes.filter(a => !a.isStatic)) {
-        code += this.indent(`this.${attr.name} = null;`, 2) + '\n';
+        const defaultValue = this.formatDefaultValue(attr, classDiagram);
+        code += this.indent(`this.${attr.name} = ${defaultValue === null ? 'null' : defaultValue};`, 2) + '\n';
       }
+      code += this.generateAssociationFields(classObj, classDiagram);
       
       code += this.indent('}\n\n');
     }
     
-    // Methods
-    for (const method of classObj.methods) {
+    // Methods, including stubs for unimplemented interface and abstract methods, with overloads merged
+    for (const method of this.mergeOverloadedMethods(this.resolveMethods(classObj, classDiagram), classObj, 'JavaScript')) {
       // Method documentation
       code += this.indent(`/**\n`);
       code += this.indent(` * ${method.name} method\n`);
@@ -110,7 +155,7 @@ class JavaScriptGenerator extends BaseGenerator {
       }
       
       // Parameters
-      code += method.parameters.map(p => p.name).join(', ');
+      code += method.parameters.map(p => this.formatJsParameter(p)).join(', ');
       
       code += ') {\n';
       
@@ -143,7 +188,8 @@ class JavaScriptGenerator extends BaseGenerator {
       
       for (const attr of staticAttrs) {
         code += `// Static property\n`;
-        code += `${classObj.name}.${attr.name} = null;\n`;
+        const defaultValue = this.formatDefaultValue(attr, classDiagram);
+        code += `${classObj.name}.${attr.name} = ${defaultValue === null ? 'null' : defaultValue};\n`;
       }
       
       return code;
@@ -158,7 +204,7 @@ class JavaScriptGenerator extends BaseGenerator {
     let code = '';
     
     // Interface documentation
-    code += `/**\n * ${interfaceObj.name} interface\n */\n`;
+    code += `/**\n * ${this.getDisplayName(interfaceObj)} interface\n */\n`;
     
     // In JavaScript, interfaces don't exist, so we'll create a base class or comment
     code += `// Interface: ${interfaceObj.name}\n`;
@@ -175,8 +221,8 @@ class JavaScriptGenerator extends BaseGenerator {
     code += this.indent('}', 2) + '\n';
     code += this.indent('}\n\n');
     
-    // Methods
-    for (const method of interfaceObj.methods) {
+    // Methods, with overloads merged
+    for (const method of this.mergeOverloadedMethods(interfaceObj.methods, interfaceObj, 'JavaScript')) {
       // Method documentation
       code += this.indent(`/**\n`);
       code += this.indent(` * ${method.name} method - must be implemented by subclasses\n`);
@@ -205,7 +251,7 @@ class JavaScriptGenerator extends BaseGenerator {
       code += this.indent(`${method.name}(`);
       
       // Parameters
-      code += method.parameters.map(p => p.name).join(', ');
+      code += method.parameters.map(p => this.formatJsParameter(p)).join(', ');
       
       code += ') {\n';
       code += this.indent("throw new Error('Method must be implemented by subclass');", 2) + '\n';
@@ -221,7 +267,7 @@ class JavaScriptGenerator extends BaseGenerator {
     let code = '';
     
     // Enum documentation
-    code += `/**\n * ${enumObj.name} enum\n */\n`;
+    code += `/**\n * ${this.getDisplayName(enumObj)} enum\n */\n`;
     
     // In JavaScript, enums can be implemented using objects with frozen values
     code += `const ${enumObj.name} = Object.freeze({\n`;
@@ -240,10 +286,25 @@ class JavaScriptGenerator extends BaseGenerator {
     return code;
   }
   
+  // Initializes the properties holding associated objects, inside the constructor
+  generateAssociationFields(classObj, classDiagram) {
+    let code = '';
+    
+    for (const field of this.findAssociationFields(classObj, classDiagram)) {
+      code += this.indent(`this.${field.name} = ${field.isCollection ? '[]' : 'null'};`, 2) + '\n';
+    }
+    
+    return code;
+  }
+  
+  formatJsParameter(param) {
+    return (this.isVarargs(param) ? '...' : '') + param.name;
+  }
+  
   // Helper method to handle complex types in documentation
   mapJsType(type) {
     // JavaScript doesn't have static types, but we can use this for documentation
-    return type;
+    return this.simplifyType(type);
   }
 }
 
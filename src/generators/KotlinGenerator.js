@@ -1,5 +1,66 @@
 const BaseGenerator = require('./BaseGenerator');
 
+// JVM types that need an import when the generated code uses them; Kotlin's own
+// collections and primitives are imported by default
+const STANDARD_IMPORTS = {
+  BigDecimal: 'java.math.BigDecimal',
+  BigInteger: 'java.math.BigInteger',
+  LocalDate: 'java.time.LocalDate',
+  LocalDateTime: 'java.time.LocalDateTime',
+  LocalTime: 'java.time.LocalTime',
+  Instant: 'java.time.Instant',
+  Duration: 'java.time.Duration',
+  Date: 'java.util.Date',
+  UUID: 'java.util.UUID'
+};
+
+// JPA and Spring annotations for common stereotypes, e.g. <<Entity>> -> @Entity
+const STEREOTYPE_MAPPINGS = {
+  Entity: { annotations: ['@Entity'], imports: ['jakarta.persistence.Entity'] },
+  Embeddable: { annotations: ['@Embeddable'], imports: ['jakarta.persistence.Embeddable'] },
+  Service: { annotations: ['@Service'], imports: ['org.springframework.stereotype.Service'] },
+  Repository: { annotations: ['@Repository'], imports: ['org.springframework.stereotype.Repository'] },
+  Component: { annotations: ['@Component'], imports: ['org.springframework.stereotype.Component'] },
+  Controller: { annotations: ['@RestController'], imports: ['org.springframework.web.bind.annotation.RestController'] }
+};
+
+// Kotlin's arrays of primitives, used for one-dimensional arrays such as 'int[]'
+const PRIMITIVE_ARRAY_TYPES = {
+  Boolean: 'BooleanArray',
+  Byte: 'ByteArray',
+  Char: 'CharArray',
+  Short: 'ShortArray',
+  Int: 'IntArray',
+  Long: 'LongArray',
+  Float: 'FloatArray',
+  Double: 'DoubleArray'
+};
+
+// Values for arguments a secondary constructor passes on to the primary one, by mapped type
+const ZERO_VALUES = {
+  Boolean: 'false',
+  Byte: '0',
+  Short: '0',
+  Int: '0',
+  Long: '0L',
+  Float: '0f',
+  Double: '0.0',
+  Char: "'\\u0000'",
+  String: '""'
+};
+
+// Kotlin collection types by lower-case name, for generic types written in any case such as 'list<User>'
+const GENERIC_TYPES = {
+  list: 'List',
+  arraylist: 'ArrayList',
+  map: 'Map',
+  hashmap: 'Map',
+  set: 'Set',
+  hashset: 'Set',
+  collection: 'Collection',
+  iterable: 'Iterable'
+};
+
 class KotlinGenerator extends BaseGenerator {
   constructor() {
     super();
@@ -22,11 +83,109 @@ class KotlinGenerator extends BaseGenerator {
     return '\n'; // No explicit package end in Kotlin
   }
   
+  importsFollowPackageDeclaration() {
+    return true;
+  }
+  
+  standardImports() {
+    return STANDARD_IMPORTS;
+  }
+  
+  defaultStereotypeMappings() {
+    return STEREOTYPE_MAPPINGS;
+  }
+  
+  // ' = 0' for an attribute declared with a default value, for properties and constructor parameters alike
+  kotlinInitializer(attr, classDiagram) {
+    const defaultValue = this.formatDefaultValue(attr, classDiagram);
+    return defaultValue === null ? '' : ` = ${defaultValue}`;
+  }
+  
+  // 'private var count: Int = 0'; properties without a default value start at a zero value, or are lateinit
+  formatBodyProperty(attr, classDiagram) {
+    const declaration = `${attr.name}: ${this.mapKotlinType(attr.type)}`;
+    const visibility = this.mapKotlinVisibility(attr.visibility);
+    const initializer = this.kotlinInitializer(attr, classDiagram);
+    if (initializer) return `${visibility} ${attr.isFinal ? 'val' : 'var'} ${declaration}${initializer}`;
+    
+    const zeroValue = this.kotlinZeroValue(attr.type);
+    if (zeroValue === 'TODO()' && !attr.isFinal) return `${visibility} lateinit var ${declaration}`;
+    return `${visibility} ${attr.isFinal ? 'val' : 'var'} ${declaration} = ${zeroValue}`;
+  }
+  
+  findPrimaryConstructor(classObj) {
+    return classObj.constructors.reduce((primary, constructor) =>
+      (!primary || constructor.parameters.length > primary.parameters.length ? constructor : primary), null);
+  }
+  
+  /**
+   * The arguments a secondary constructor passes to the primary one: its own parameter of the same
+   * name, else the default value of the attribute, else a zero value for the type
+   * @param {Method} constructor - The secondary constructor
+   * @param {Method} primaryConstructor - The primary constructor
+   * @param {Class} classObj - The class
+   * @param {ClassDiagram} classDiagram - The class diagram
+   * @returns {string[]} - One argument per parameter of the primary constructor
+   */
+  delegationArguments(constructor, primaryConstructor, classObj, classDiagram) {
+    const args = [];
+    
+    for (const param of primaryConstructor.parameters) {
+      const own = constructor.parameters.find(p => p.name === param.name);
+      const attr = classObj.attributes.find(a => a.name === param.name);
+      const defaultValue = attr ? this.formatDefaultValue(attr, classDiagram) : null;
+      
+      if (own) {
+        args.push(this.isVarargs(param) ? `*${own.name}` : own.name);
+      } else if (defaultValue !== null) {
+        args.push(defaultValue);
+      } else if (!this.isVarargs(param)) {
+        args.push(this.kotlinZeroValue(param.type));
+      }
+    }
+    
+    return args;
+  }
+  
+  // A placeholder value of a type; TODO() for types without an obvious one
+  kotlinZeroValue(type) {
+    const mappedType = this.mapKotlinType(type);
+    if (mappedType.endsWith('?')) return 'null';
+    if (ZERO_VALUES[mappedType]) return ZERO_VALUES[mappedType];
+    
+    const collection = mappedType.match(/^(List|Set|Map|Collection|Iterable)\b/);
+    if (collection) {
+      return { List: 'emptyList()', Collection: 'emptyList()', Iterable: 'emptyList()', Set: 'emptySet()', Map: 'emptyMap()' }[collection[1]];
+    }
+    return 'TODO()';
+  }
+  
+  formatKotlinParameter(param) {
+    return `${this.isVarargs(param) ? 'vararg ' : ''}${param.name}: ${this.mapKotlinType(param.type)}`;
+  }
+  
+  generateImports(entities, classDiagram) {
+    const { standard, entities: imported } = this.findImports(entities, classDiagram);
+    const packageNames = entities.map(entity => entity.packageName);
+    
+    const projectImports = imported
+      .filter(entity => entity.packageName && !packageNames.includes(entity.packageName) && !this.isWrittenQualified(entity))
+      .map(entity => `${entity.packageName}.${entity.name}`);
+    
+    const lines = [...projectImports, ...standard].sort().map(name => `import ${name}`);
+    return lines.length > 0 ? lines.join('\n') + '\n\n' : '';
+  }
+  
+  getFilePath(entity) {
+    return this.joinPath(this.packageDirectory(entity.packageName), `${entity.name}.kt`);
+  }
+  
   generateClass(classObj, classDiagram) {
     let code = '';
     
     // Class documentation
-    code += `/**\n * ${classObj.name} class\n */\n`;
+    code += `/**\n * ${this.getDisplayName(classObj)} class\n */\n`;
+    code += this.generateStereotypeAnnotations(classObj);
     
     // Class declaration
     if (classObj.isAbstract) {
@@ -38,29 +197,29 @@ class KotlinGenerator extends BaseGenerator {
     code += classObj.name;
     
     // Generic parameters
-    if (classObj.generics.length > 0) {
-      code += '<' + classObj.generics.join(', ') + '>';
-    }
+    code += this.formatTypeParameters(classObj);
     
-    // Constructor parameters (properties)
+    // Constructor parameters (properties); the constructor with the most parameters is the primary one
     const constructorParams = [];
-    if (classObj.constructors.length > 0) {
-      const constructor = classObj.constructors[0]; // Use the first constructor
-      for (const param of constructor.parameters) {
+    const primaryConstructor = this.findPrimaryConstructor(classObj);
+    if (primaryConstructor) {
+      for (const param of primaryConstructor.parameters) {
         // Find if there's a corresponding attribute
         const attr = classObj.attributes.find(a => a.name === param.name);
         if (attr) {
           // This is a property
-          constructorParams.push(`${this.mapKotlinVisibility(attr.visibility)} ${attr.isVal ? 'val' : 'var'} ${param.name}: ${this.mapKotlinType(param.type)}`);
+          constructorParams.push(`${this.mapKotlinVisibility(attr.visibility)} ${attr.isFinal ? 'val' : 'var'} ${param.name}: ${this.mapKotlinType(param.type)}` +
+            this.kotlinInitializer(attr, classDiagram));
         } else {
           // This is just a constructor parameter
-          constructorParams.push(`${param.name}: ${this.mapKotlinType(param.type)}`);
+          constructorParams.push(this.formatKotlinParameter(param));
         }
       }
     } else {
       // If no constructor is specified, use primary attributes
       for (const attr of classObj.attributes.filter(a => !a.isStatic)) {
-        constructorParams.push(`${this.mapKotlinVisibility(attr.visibility)} ${attr.isFinal ? 'val' : 'var'} ${attr.name}: ${this.mapKotlinType(attr.type)}`);
+        constructorParams.push(`${this.mapKotlinVisibility(attr.visibility)} ${attr.isFinal ? 'val' : 'var'} ${attr.name}: ${this.mapKotlinType(attr.type)}` +
+          this.kotlinInitializer(attr, classDiagram));
       }
     }
     
@@ -69,32 +228,62 @@ class KotlinGenerator extends BaseGenerator {
     }
     
     // Inheritance
-    const parentClass = this.findParentClass(classObj, classDiagram);
-    if (parentClass) {
-      code += ` : ${parentClass.name}()`;
+    const parentName = this.formatParentType(classObj, classDiagram);
+    if (parentName) {
+      code += ` : ${parentName}()`;
     }
     
     // Implementations
     const interfaces = this.findImplementedInterfaces(classObj, classDiagram);
     if (interfaces.length > 0) {
-      if (!parentClass) {
-        code += ' :';
-      }
-      code += ' ' + interfaces.map(i => i.name).join(', ');
+      code += parentName ? ', ' : ' : ';
+      code += interfaces.map(i => this.formatBaseType(classObj, i, classDiagram)).join(', ');
     }
     
+    code += this.formatTypeConstraints(classObj);
     code += ' {\n';
     
+    // Attributes the primary constructor does not declare are properties in the body
+    const bodyAttrs = classObj.attributes.filter(attr => !attr.isStatic &&
+      primaryConstructor && !primaryConstructor.parameters.some(param => param.name === attr.name));
+    for (const attr of bodyAttrs) {
+      code += this.indent(this.formatBodyProperty(attr, classDiagram)) + '\n';
+    }
+    
+    if (bodyAttrs.length > 0) {
+      code += '\n';
+    }
+    
+    // Properties for associated classes, which start out empty
+    const associationFields = this.findAssociationFields(classObj, classDiagram);
+    for (const field of associationFields) {
+      const initialValue = field.isCollection ? 'mutableListOf()' : 'null';
+      code += this.indent(`${this.mapKotlinVisibility(field.visibility)} var ${field.name}: ${this.mapKotlinFieldType(field)} = ${initialValue}`) + '\n';
+    }
+    
+    if (associationFields.length > 0) {
+      code += '\n';
+    }
+    
+    // Secondary constructors, delegating to the primary one
+    for (const constructor of classObj.constructors.filter(c => c !== primaryConstructor)) {
+      const params = constructor.parameters.map(param => this.formatKotlinParameter(param));
+      const args = this.delegationArguments(constructor, primaryConstructor, classObj, classDiagram);
+      code += this.indent(`${this.mapKotlinVisibility(constructor.visibility)} constructor(${params.join(', ')}) : this(${args.join(', ')})`) + '\n\n';
+    }
+    
     // Companion object for static members
     const staticAttrs = classObj.attributes.filter(a => a.isStatic);
-    const staticMethods = classObj.methods.filter(m => m.isStatic);
+    const methods = this.resolveMethods(classObj, classDiagram);
+    const staticMethods = methods.filter(m => m.isStatic);
     
     if (staticAttrs.length > 0 || staticMethods.length > 0) {
       code += this.indent('companion object {\n');
       
       // Static attributes
       for (const attr of staticAttrs) {
-        code += this.indent(`${this.mapKotlinVisibility(attr.visibility)} ${attr.isFinal ? 'val' : 'var'} ${attr.name}: ${this.mapKotlinType(attr.type)}`, 2);
+        code += this.indent(`${this.mapKotlinVisibility(attr.visibility)} ${attr.isFinal ? 'val' : 'var'} ${attr.name}: ${this.mapKotlinType(attr.type)}` +
+          this.kotlinInitializer(attr, classDiagram), 2);
         code += '\n';
       }
       
@@ -122,14 +311,14 @@ class KotlinGenerator extends BaseGenerator {
         code += this.indent(' */\n', 2);
         
         // Method signature
-        code += this.indent(`${this.mapKotlinVisibility(method.visibility)} fun ${method.name}(`, 2);
+        code += this.indent(`${this.mapKotlinVisibility(method.visibility)} fun ${this.formatMethodTypeParameters(method)}${method.name}(`, 2);
         
         // Parameters
         code += method.parameters.map(
-          param => `${param.name}: ${this.mapKotlinType(param.type)}`
+          param => this.formatKotlinParameter(param)
         ).join(', ');
         
-        code += `): ${this.mapKotlinType(method.returnType)} {\n`;
+        code += `): ${this.mapKotlinType(method.returnType)}${this.formatTypeConstraints(method)} {\n`;
         
         // Method body
         code += this.indent('// TODO: Implement method\n', 3);
@@ -155,8 +344,8 @@ class KotlinGenerator extends BaseGenerator {
       code += this.indent('}\n\n');
     }
     
-    // Instance methods
-    const instanceMethods = classObj.methods.filter(m => !m.isStatic);
+    // Instance methods, including stubs for unimplemented interface and abstract methods
+    const instanceMethods = methods.filter(m => !m.isStatic);
     for (const method of instanceMethods) {
       // Method documentation
       code += this.indent('/**\n');
@@ -182,14 +371,18 @@ class KotlinGenerator extends BaseGenerator {
         code += 'abstract ';
       }
       
-      code += `fun ${method.name}(`;
+      if (method.overrides) {
+        code += 'override ';
+      }
+      
+      code += `fun ${this.formatMethodTypeParameters(method)}${method.name}(`;
       
       // Parameters
       code += method.parameters.map(
-        param => `${param.name}: ${this.mapKotlinType(param.type)}`
+        param => this.formatKotlinParameter(param)
       ).join(', ');
       
-      code += `): ${this.mapKotlinType(method.returnType)}`;
+      code += `): ${this.mapKotlinType(method.returnType)}${this.formatTypeConstraints(method)}`;
       
       // Method body or semicolon
       if (method.isAbstract) {
@@ -226,16 +419,23 @@ class KotlinGenerator extends BaseGenerator {
     let code = '';
     
     // Interface documentation
-    code += `/**\n * ${interfaceObj.name} interface\n */\n`;
+    code += `/**\n * ${this.getDisplayName(interfaceObj)} interface\n */\n`;
+    code += this.generateStereotypeAnnotations(interfaceObj);
     
     // Interface declaration
     code += 'interface ' + interfaceObj.name;
     
     // Generic parameters
-    if (interfaceObj.generics.length > 0) {
-      code += '<' + interfaceObj.generics.join(', ') + '>';
+    code += this.formatTypeParameters(interfaceObj);
+    
+    // Extended interfaces, before the constraints
+    const extendedInterfaces = this.findExtendedInterfaces(interfaceObj, classDiagram);
+    if (extendedInterfaces.length > 0) {
+      code += ' : ' + extendedInterfaces.map(i => this.formatBaseType(interfaceObj, i, classDiagram)).join(', ');
     }
     
+    code += this.formatTypeConstraints(interfaceObj);
+    
     code += ' {\n';
     
     // Methods
@@ -258,14 +458,14 @@ class KotlinGenerator extends BaseGenerator {
       code += this.indent(' */\n');
       
       // Method signature
-      code += this.indent(`fun ${method.name}(`);
+      code += this.indent(`fun ${this.formatMethodTypeParameters(method)}${method.name}(`);
       
       // Parameters
       code += method.parameters.map(
-        param => `${param.name}: ${this.mapKotlinType(param.type)}`
+        param => this.formatKotlinParameter(param)
       ).join(', ');
       
-      code += `): ${this.mapKotlinType(method.returnType)}\n\n`;
+      code += `): ${this.mapKotlinType(method.returnType)}${this.formatTypeConstraints(method)}\n\n`;
     }
     
     code += '}\n\n';
@@ -277,7 +477,8 @@ class KotlinGenerator extends BaseGenerator {
     let code = '';
     
     // Enum documentation
-    code += `/**\n * ${enumObj.name} enum\n */\n`;
+    code += `/**\n * ${this.getDisplayName(enumObj)} enum\n */\n`;
+    code += this.generateStereotypeAnnotations(enumObj);
     
     // Enum declaration
     code += 'enum class ' + enumObj.name + ' {\n';
@@ -302,24 +503,64 @@ class KotlinGenerator extends BaseGenerator {
     }
   }
   
+  // A single bound is declared inline, as in '<out T : Entity>', several in a 'where' clause
+  formatTypeParameters(entity) {
+    if (!entity.generics || entity.generics.length === 0) return '';
+    
+    return '<' + entity.generics.map(typeParameter => {
+      let text = (typeParameter.variance ? `${typeParameter.variance} ` : '') + typeParameter.name;
+      if (typeParameter.bounds.length === 1) {
+        text += ` : ${this.mapKotlinType(typeParameter.bounds[0])}`;
+      }
+      return text;
+    }).join(', ') + '>';
+  }
+  
+  formatTypeConstraints(entity) {
+    const constraints = (entity.generics || [])
+      .filter(typeParameter => typeParameter.bounds.length > 1)
+      .flatMap(typeParameter => typeParameter.bounds.map(bound => `${typeParameter.name} : ${this.mapKotlinType(bound)}`));
+    return constraints.length > 0 ? ` where ${constraints.join(', ')}` : '';
+  }
+  
+  // A type whose simple name another type shares is written with its package instead of imported
+  formatQualifiedName(entity) {
+    return entity.qualifiedName;
+  }
+  
+  mapType(type) {
+    return this.mapKotlinType(type);
+  }
+  
+  mapFieldType(attr) {
+    return this.mapKotlinFieldType(attr);
+  }
+  
+  mapKotlinFieldType(attr) {
+    const type = this.mapKotlinType(attr.type);
+    if (attr.isCollection) return `MutableList<${type}>`;
+    return type.endsWith('?') ? type : `${type}?`;
+  }
+  
   mapKotlinType(type) {
     if (!type) return 'Unit';
+    type = this.simplifyType(type);
     
-    // Handle complex generic types
-    if (this.isComplexGenericType(type)) {
-      // Extract the base type (e.g., "Map" from "Map<String, Integer>")
-      const baseType = this.extractBaseGenericType(type).toLowerCase();
-      
-      // Map common collection types
-      switch (baseType) {
-        case 'list': return 'List<Any>';
-        case 'arraylist': return 'ArrayList<Any>';
-        case 'map': case 'hashmap': return 'Map<Any, Any>';
-        case 'set': case 'hashset': return 'Set<Any>';
-        case 'collection': return 'Collection<Any>';
-        case 'iterable': return 'Iterable<Any>';
-        default: return `${baseType.charAt(0).toUpperCase() + baseType.slice(1)}<Any>`;
+    // Varargs keep their element type here; formatKotlinParameter() adds 'vararg'
+    const typeRef = this.parseType(type);
+    if (typeRef.isArray || typeRef.isNullable) {
+      let mapped = this.mapKotlinType(typeRef.elementType.toString());
+      for (let i = 0; i < typeRef.arrayDimensions; i++) {
+        mapped = (i === 0 && PRIMITIVE_ARRAY_TYPES[mapped]) || `Array<${mapped}>`;
       }
+      return typeRef.isNullable ? `${mapped}?` : mapped;
+    }
+    
+    // Generic types keep their arguments, mapped recursively
+    if (typeRef.typeArguments.length > 0) {
+      const typeArguments = typeRef.typeArguments.map(argument => this.mapKotlinType(argument.toString()));
+      if (typeRef.name.toLowerCase() === 'optional' && typeArguments.length === 1) return `${typeArguments[0]}?`;
+      return `${GENERIC_TYPES[typeRef.name.toLowerCase()] || typeRef.name}<${typeArguments.join(', ')}>`;
     }
     
     // Regular type mapping
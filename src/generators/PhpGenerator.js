@@ -0,0 +1,556 @@
+const BaseGenerator = require('./BaseGenerator');
+const Parameter = require('../models/Parameter');
+
+// Collection types by lower-case name, which PHP holds in arrays
+const LIST_TYPES = ['list', 'arraylist', 'linkedlist', 'collection', 'iterable'];
+const SET_TYPES = ['set', 'hashset'];
+const MAP_TYPES = ['map', 'hashmap', 'dict'];
+
+class PhpGenerator extends BaseGenerator {
+  constructor() {
+    super();
+    this.indentSize = 4;
+  }
+  
+  // 'declare' has to be the first statement, so a single file declares it once for all namespaces
+  generateHeader(classDiagram) {
+    return "<?php\n\n// Generated PHP code from PlantUML class diagram\n\ndeclare(strict_types=1);\n\n";
+  }
+  
+  literals() {
+    return { ...super.literals(), quote: "'" };
+  }
+  
+  formatEnumConstant(enumObj, value) {
+    return `${enumObj.name}::${this.toPascalCase(value)}`;
+  }
+  
+  // Namespaces are bracketed, as one file can only mix several of them that way
+  generatePackageStart(packageName) {
+    return `namespace ${this.phpNamespace(packageName)} {\n\n`;
+  }
+  
+  generatePackageEnd(packageName) {
+    return '}\n\n';
+  }
+  
+  /**
+   * Generates a namespace block with the 'use' statements and types of a package, followed by
+   * its subpackages; packages without types of their own are not declared
+   * @param {Package} packageObj - The package
+   * @param {ClassDiagram} classDiagram - The diagram
+   * @returns {string} - The generated code
+   */
+  generatePackage(packageObj, classDiagram) {
+    const entities = packageObj.entities
+      .map(name => this.findEntity(`${packageObj.name}.${name}`, classDiagram))
+      .filter(entity => entity);
+    const subpackages = packageObj.packages
+      .map(name => this.generatePackage(classDiagram.packages[name], classDiagram))
+      .join('');
+    
+    if (entities.length === 0) {
+      return subpackages;
+    }
+    
+    const code = this.generateUseStatements(entities, classDiagram) + entities.map(entity => this.generateEntity(entity, classDiagram)).join('');
+    return this.generatePackageStart(packageObj.name) + this.indent(code).replace(/\n+$/, '\n') + this.generatePackageEnd(packageObj.name) + subpackages;
+  }
+  
+  // Types outside any package go into the global namespace, which needs a block of its own next to others
+  generateEntitiesWithoutPackage(classDiagram, code) {
+    const entities = [...classDiagram.classes, ...classDiagram.interfaces, ...classDiagram.enums].filter(entity => !entity.packageName);
+    if (entities.length === 0 || Object.keys(classDiagram.packages).length === 0) {
+      return super.generateEntitiesWithoutPackage(classDiagram, code);
+    }
+    
+    const globalCode = super.generateEntitiesWithoutPackage(classDiagram, this.generateUseStatements(entities, classDiagram));
+    return code + 'namespace {\n\n' + this.indent(globalCode).replace(/\n+$/, '\n') + '}\n\n';
+  }
+  
+  // In a single file, each namespace block has its own 'use' statements
+  generateImports(entities, classDiagram) {
+    return '';
+  }
+  
+  // 'use Com\Example\Model\User;' for the types of other namespaces the given entities refer to
+  generateUseStatements(entities, classDiagram) {
+    const namespace = entities[0].packageName;
+    const lines = this.findImports(entities, classDiagram).entities
+      .filter(entity => entity.packageName && entity.packageName !== namespace)
+      .map(entity => `use ${this.phpNamespace(entity.packageName)}\\${entity.name};`)
+      .sort();
+    
+    return lines.length > 0 ? lines.join('\n') + '\n\n' : '';
+  }
+  
+  // PSR-4: the directories follow the namespace, and the file is named after the type
+  getFilePath(entity) {
+    return this.joinPath('src', this.packageDirectory(entity.packageName, part => this.toPascalCase(part)), `${entity.name}.php`);
+  }
+  
+  generateFile(entity, classDiagram) {
+    let code = this.generateHeader(classDiagram);
+    
+    if (entity.packageName) {
+      code += `namespace ${this.phpNamespace(entity.packageName)};\n\n`;
+    }
+    
+    code += this.generateUseStatements([entity], classDiagram) + this.generateEntity(entity, classDiagram);
+    return code.replace(/\n+$/, '\n');
+  }
+  
+  generateClass(classObj, classDiagram) {
+    let code = '';
+    const typeParameters = classObj.generics.map(typeParameter => typeParameter.name);
+    
+    // Class documentation, with the type parameters PHP can only declare in PHPDoc
+    code += '/**\n';
+    code += ` * ${this.getDisplayName(classObj)} class\n`;
+    code += this.formatDocTags([...this.findTemplateTags(classObj), ...this.findInheritanceTags(classObj, classDiagram, typeParameters)]);
+    code += ' */\n';
+    code += this.generateStereotypeAnnotations(classObj);
+    
+    code += `${classObj.isAbstract ? 'abstract ' : ''}class ${classObj.name}`;
+    
+    const parentName = this.findParentClassName(classObj, classDiagram);
+    if (parentName) {
+      code += ` extends ${parentName}`;
+    }
+    
+    const interfaces = this.findImplementedInterfaces(classObj, classDiagram);
+    if (interfaces.length > 0) {
+      code += ' implements ' + interfaces.map(i => i.name).join(', ');
+    }
+    
+    code += '\n{\n';
+    
+    // Constants for final static attributes with a value, static properties for the others
+    const members = [];
+    for (const attr of classObj.attributes.filter(a => a.isStatic)) {
+      const defaultValue = this.formatDefaultValue(attr, classDiagram);
+      
+      if (attr.isFinal && defaultValue !== null) {
+        members.push(`${this.mapPhpVisibility(attr.visibility)} const ${attr.name} = ${defaultValue};\n`);
+      } else {
+        members.push(this.generateProperty(attr, `${this.mapPhpVisibility(attr.visibility)} static`, defaultValue, typeParameters));
+      }
+    }
+    
+    // Properties the constructor does not promote, including those of associations
+    const [constructor] = this.mergePhpOverloads(classObj.constructors, classObj);
+    const promoted = constructor ? this.findPromotedAttributes(classObj, constructor) : [];
+    
+    for (const attr of classObj.attributes.filter(a => !a.isStatic && !promoted.includes(a))) {
+      // Readonly properties cannot have a default value; the constructor sets it
+      const defaultValue = attr.isFinal ? null : this.formatDefaultValue(attr, classDiagram);
+      members.push(this.generateProperty(attr, `${this.mapPhpVisibility(attr.visibility)}${attr.isFinal ? ' readonly' : ''}`, defaultValue, typeParameters));
+    }
+    
+    for (const field of this.findAssociationFields(classObj, classDiagram)) {
+      const type = field.isCollection ? `List<${field.type}>` : `${field.type}?`;
+      members.push(this.generateProperty({ ...field, type }, this.mapPhpVisibility(field.visibility), field.isCollection ? '[]' : 'null', typeParameters));
+    }
+    
+    // A constructor, also where the diagram has none but readonly properties have a value to set
+    const readonlyDefaults = classObj.attributes.filter(a => !a.isStatic && a.isFinal && a.defaultValue !== null && !promoted.includes(a));
+    if (constructor || readonlyDefaults.length > 0) {
+      members.push(this.generateConstructor(classObj, constructor, promoted, readonlyDefaults, classDiagram));
+    }
+    
+    // Methods, including stubs for unimplemented interface and abstract methods, with overloads merged
+    for (const method of this.mergePhpOverloads(this.resolveMethods(classObj, classDiagram), classObj)) {
+      members.push(this.generateMethod(method, typeParameters, classObj.isAbstract && method.isAbstract ? 'abstract' : 'body'));
+    }
+    
+    code += members.map(member => this.indent(member)).join('\n');
+    code += '}\n\n';
+    
+    return code;
+  }
+  
+  // Attributes the constructor declares as promoted parameters, i.e. those it has a parameter of the same name for
+  findPromotedAttributes(classObj, constructor) {
+    return classObj.attributes.filter(attr => !attr.isStatic && constructor.parameters.some(param => param.name === attr.name && param.mergedNames.length === 0));
+  }
+  
+  // 'private string $name = 'anon';', with a PHPDoc type where the native type is less precise
+  generateProperty(attr, modifiers, defaultValue, typeParameters) {
+    const nativeType = this.mapPhpType(attr.type, typeParameters);
+    const docType = this.mapPhpDocType(attr.type, typeParameters);
+    
+    let code = this.needsDocType(nativeType, docType) ? `/** @var ${docType} */\n` : '';
+    code += `${modifiers} ${nativeType} $${attr.name}`;
+    if (defaultValue !== null) {
+      code += ` = ${defaultValue}`;
+    } else if (!attr.isFinal && nativeType.startsWith('?')) {
+      code += ' = null';
+    }
+    
+    return code + ';\n';
+  }
+  
+  /**
+   * Generates the constructor, promoting the parameters named like attributes to properties
+   * @param {Class} classObj - The class
+   * @param {Method|null} constructor - The constructors of the diagram merged into one, if any
+   * @param {Attribute[]} promoted - The attributes promoted by the constructor
+   * @param {Attribute[]} readonlyDefaults - Readonly properties the constructor sets to their default value
+   * @param {ClassDiagram} classDiagram - The diagram
+   * @returns {string} - The constructor
+   */
+  generateConstructor(classObj, constructor, promoted, readonlyDefaults, classDiagram) {
+    const typeParameters = classObj.generics.map(typeParameter => typeParameter.name);
+    const params = constructor ? constructor.parameters : [];
+    
+    const formattedParams = params.map(param => {
+      const attr = promoted.find(a => a.name === param.name);
+      const modifiers = attr ? `${this.mapPhpVisibility(attr.visibility)}${attr.isFinal ? ' readonly' : ''} ` : '';
+      return modifiers + this.formatPhpParameter(param, typeParameters);
+    });
+    
+    let code = this.generateDocBlock(`Creates a ${this.getDisplayName(classObj)}`, params, null, typeParameters);
+    code += `${this.mapPhpVisibility(constructor ? constructor.visibility : 'public')} function __construct(`;
+    code += promoted.length > 0
+      ? '\n' + formattedParams.map(param => this.indent(param)).join(',\n') + ',\n) {\n'
+      : formattedParams.join(', ') + ') {\n';
+    
+    // The parent constructor is called when the parent class has one it can be called without arguments
+    const parentClass = this.findParentClass(classObj, classDiagram);
+    if (parentClass && this.hasPhpConstructor(parentClass)) {
+      const canCall = parentClass.constructors.length === 0 || parentClass.constructors.some(c => c.parameters.length === 0);
+      code += this.indent(canCall ? 'parent::__construct();' : `// TODO: Call parent::__construct() with the arguments of ${parentClass.name}`) + '\n';
+    }
+    
+    for (const param of params.filter(p => p.mergedNames.length > 0)) {
+      code += this.indent(`// TODO: Initialize ${param.mergedNames.join(' or ')} from $${param.name}`) + '\n';
+    }
+    
+    for (const attr of classObj.attributes.filter(a => !a.isStatic && !promoted.includes(a))) {
+      if (params.some(param => param.name === attr.name)) {
+        code += this.indent(`$this->${attr.name} = $${attr.name};`) + '\n';
+      } else if (readonlyDefaults.includes(attr)) {
+        code += this.indent(`$this->${attr.name} = ${this.formatDefaultValue(attr, classDiagram)};`) + '\n';
+      }
+    }
+    
+    return code + '}\n';
+  }
+  
+  // Whether the code generated for a class has a constructor
+  hasPhpConstructor(classObj) {
+    return classObj.constructors.length > 0 ||
+      classObj.attributes.some(a => !a.isStatic && a.isFinal && a.defaultValue !== null);
+  }
+  
+  /**
+   * Generates a method, with a body, as an abstract method or as an interface method
+   * @param {Method} method - The method, with its overloads merged
+   * @param {string[]} typeParameters - Type parameters of the class or interface
+   * @param {string} kind - 'body', 'abstract' or 'interface'
+   * @returns {string} - The method
+   */
+  generateMethod(method, typeParameters, kind) {
+    const allTypeParameters = [...typeParameters, ...method.generics.map(typeParameter => typeParameter.name)];
+    const returnType = this.mapPhpType(method.returnType, allTypeParameters);
+    
+    let code = this.generateDocBlock(`${method.name} method`, method.parameters, method.returnType, allTypeParameters, method);
+    
+    code += `${kind === 'abstract' ? 'abstract ' : ''}${this.mapPhpVisibility(method.visibility)} ${method.isStatic ? 'static ' : ''}function ${method.name}(`;
+    code += method.parameters.map(param => this.formatPhpParameter(param, allTypeParameters, this.findDeclaredParameter(method, param, allTypeParameters))).join(', ');
+    code += `): ${returnType}`;
+    
+    if (kind !== 'body') {
+      return code + ';\n';
+    }
+    
+    code += '\n{\n';
+    for (const param of method.parameters.filter(p => p.mergedNames.length > 0)) {
+      code += this.indent(`// TODO: Handle ${param.mergedNames.join(' or ')} in $${param.name}`) + '\n';
+    }
+    code += this.indent('// TODO: Implement method') + '\n';
+    if (returnType !== 'void') {
+      code += this.indent("throw new \\LogicException('Not implemented');") + '\n';
+    }
+    
+    return code + '}\n';
+  }
+  
+  /**
+   * Generates a PHPDoc block with the tags PHP's native types cannot express: method type
+   * parameters, and parameter and return types with generic arguments or type parameters
+   * @param {string} summary - The first line
+   * @param {Parameter[]} params - The parameters
+   * @param {string|null} returnType - The return type as written in the diagram
+   * @param {string[]} typeParameters - Type parameters in scope
+   * @param {Method} [method] - The method, for its own type parameters
+   * @returns {string} - The doc block
+   */
+  generateDocBlock(summary, params, returnType, typeParameters, method = null) {
+    const tags = method ? this.findTemplateTags(method) : [];
+    
+    for (const param of params) {
+      const { nativeType, docType } = this.mapPhpParameterTypes(param, typeParameters, method ? this.findDeclaredParameter(method, param, typeParameters) : undefined);
+      if (this.needsDocType(nativeType, docType)) {
+        tags.push(`@param ${docType} ${this.isVarargs(param) ? '...' : ''}$${param.name}`);
+      }
+    }
+    
+    if (returnType && this.needsDocType(this.mapPhpType(returnType, typeParameters), this.mapPhpDocType(returnType, typeParameters))) {
+      tags.push(`@return ${this.mapPhpDocType(returnType, typeParameters)}`);
+    }
+    
+    return `/**\n * ${summary}\n${this.formatDocTags(tags)} */\n`;
+  }
+  
+  // Doc block lines for the given tags, set off from the summary by an empty line
+  formatDocTags(tags) {
+    return tags.length > 0 ? ' *\n' + tags.map(tag => ` * ${tag}\n`).join('') : '';
+  }
+  
+  // '@template T of Entity' for each type parameter of a class, interface or method
+  findTemplateTags(entity) {
+    return (entity.generics || []).map(typeParameter => {
+      const bounds = typeParameter.bounds.map(bound => this.mapPhpDocType(bound));
+      return `@template ${typeParameter.name}${bounds.length > 0 ? ' of ' + bounds.join('&') : ''}`;
+    });
+  }
+  
+  // '@extends Base<User>' and '@implements Repository<User>' for the generic supertypes of a class or interface
+  findInheritanceTags(entity, classDiagram, typeParameters) {
+    const mapType = type => this.mapPhpDocType(type, typeParameters);
+    const supertypes = classDiagram.interfaces.includes(entity)
+      ? this.findExtendedInterfaces(entity, classDiagram).map(i => ['@extends', i])
+      : [...[this.findParentClass(entity, classDiagram)].filter(Boolean).map(parentClass => ['@extends', parentClass]),
+        ...this.findImplementedInterfaces(entity, classDiagram).map(i => ['@implements', i])];
+    
+    return supertypes.filter(([, supertype]) => supertype.generics.length > 0)
+      .map(([tag, supertype]) => `${tag} ${this.formatBaseType(entity, supertype, classDiagram, mapType)}`);
+  }
+  
+  /**
+   * Replaces each group of overloads by one method taking the merged parameters, as PHP has no
+   * overloading. The parameters keep the types of all overloads in `types`, for union types.
+   * @param {Method[]} methods - Methods or constructors
+   * @param {Class|Interface} entity - The class or interface declaring them
+   * @returns {Method[]} - The methods with one method per name
+   */
+  mergePhpOverloads(methods, entity) {
+    return this.groupOverloads(methods).map(overloads => {
+      const [merged] = this.mergeOverloadedMethods(overloads, entity, 'PHP');
+      const slots = this.mergeOverloadParameters(overloads);
+      
+      return this.copyMethod(merged, {
+        parameters: merged.parameters.map((param, i) => Object.assign(new Parameter(param.name, param.type), param, { types: slots[i].types })),
+        generics: overloads.flatMap(overload => overload.generics)
+          .filter((typeParameter, i, all) => all.findIndex(other => other.name === typeParameter.name) === i)
+      });
+    });
+  }
+  
+  /**
+   * Maps the type of a parameter, which for merged overloads is a union of their types, to a
+   * native and a PHPDoc type; optional parameters are nullable and variadic ones have their element type
+   * @param {Parameter} param - The parameter
+   * @param {string[]} typeParameters - Type parameters in scope
+   * @param {{param: Parameter, typeParameters: string[]}} [declared] - The parameter whose native type to use; see findDeclaredParameter()
+   * @returns {{nativeType: string, docType: string}} - The types
+   */
+  mapPhpParameterTypes(param, typeParameters, declared = { param, typeParameters }) {
+    const typesOf = p => this.isVarargs(p)
+      ? [this.parseType(p.type).elementType.toString()]
+      : p.types || [p.type];
+    const types = typesOf(param);
+    
+    const docTypes = [...new Set(types.map(type => this.mapPhpDocType(type, typeParameters)))];
+    if (param.isOptional && !docTypes.some(type => type === 'mixed' || type.endsWith('|null'))) {
+      docTypes.push('null');
+    }
+    
+    const nativeTypes = typesOf(declared.param).map(type => this.mapPhpType(type, declared.typeParameters));
+    return { nativeType: this.phpUnion(nativeTypes, param.isOptional), docType: docTypes.join('|') };
+  }
+  
+  /**
+   * Finds the parameter whose native type a parameter takes. An override stub keeps the native type
+   * of the method it implements, as PHP does not let parameter types narrow, so 'save(T $item)' of
+   * 'Repository<User>' is implemented as 'save(mixed $item)' with User given in the doc block.
+   * @param {Method} method - The method
+   * @param {Parameter} param - One of its parameters
+   * @param {string[]} typeParameters - Type parameters in scope
+   * @returns {{param: Parameter, typeParameters: string[]}} - The parameter and the type parameters in its scope
+   */
+  findDeclaredParameter(method, param, typeParameters) {
+    const index = method.parameters.indexOf(param);
+    const declared = method.inheritedFrom && method.inheritedFrom.method.parameters[index];
+    if (!declared || (param.types && param.types.length > 1)) {
+      return { param, typeParameters };
+    }
+    
+    const { entity, method: declaringMethod } = method.inheritedFrom;
+    return { param: declared, typeParameters: [...entity.generics, ...declaringMethod.generics].map(typeParameter => typeParameter.name) };
+  }
+  
+  // 'int|string $idOrName', '?User $user = null' or 'string ...$names'
+  formatPhpParameter(param, typeParameters, declared = { param, typeParameters }) {
+    const { nativeType } = this.mapPhpParameterTypes(param, typeParameters, declared);
+    if (this.isVarargs(param)) return `${nativeType} ...$${param.name}`;
+    return `${nativeType} $${param.name}${param.isOptional ? ' = null' : ''}`;
+  }
+  
+  // Combines native types into one, e.g. 'int|string', '?User' or 'mixed'
+  phpUnion(types, nullable = false) {
+    const names = [...new Set(types.flatMap(type => type.startsWith('?') ? [type.slice(1), 'null'] : [type]))];
+    if (nullable && !names.includes('null')) names.push('null');
+    
+    if (names.includes('mixed')) return 'mixed';
+    if (names.length === 1) return names[0];
+    
+    const withoutNull = names.filter(name => name !== 'null');
+    if (withoutNull.length === 1) return `?${withoutNull[0]}`;
+    return names.join('|');
+  }
+  
+  generateInterface(interfaceObj, classDiagram) {
+    let code = '';
+    const typeParameters = interfaceObj.generics.map(typeParameter => typeParameter.name);
+    
+    code += '/**\n';
+    code += ` * ${this.getDisplayName(interfaceObj)} interface\n`;
+    code += this.formatDocTags([...this.findTemplateTags(interfaceObj), ...this.findInheritanceTags(interfaceObj, classDiagram, typeParameters)]);
+    code += ' */\n';
+    code += this.generateStereotypeAnnotations(interfaceObj);
+    code += `interface ${interfaceObj.name}`;
+    
+    const extendedInterfaces = this.findExtendedInterfaces(interfaceObj, classDiagram);
+    if (extendedInterfaces.length > 0) {
+      code += ' extends ' + extendedInterfaces.map(i => i.name).join(', ');
+    }
+    
+    code += '\n{\n';
+    code += this.mergePhpOverloads(interfaceObj.methods, interfaceObj)
+      .map(method => this.indent(this.generateMethod(method, typeParameters, 'interface')))
+      .join('\n');
+    code += '}\n\n';
+    
+    return code;
+  }
+  
+  generateEnum(enumObj, classDiagram) {
+    let code = '';
+    
+    // Backed by the names in the diagram, e.g. Status::InProgress->value === 'IN_PROGRESS'
+    code += '/**\n';
+    code += ` * ${this.getDisplayName(enumObj)} enum\n`;
+    code += ' */\n';
+    code += this.generateStereotypeAnnotations(enumObj);
+    code += `enum ${enumObj.name}: string\n{\n`;
+    
+    for (const value of enumObj.values) {
+      code += this.indent(`case ${this.toPascalCase(value)} = '${value}';`) + '\n';
+    }
+    
+    code += '}\n\n';
+    
+    return code;
+  }
+  
+  mapPhpVisibility(visibility) {
+    switch (visibility) {
+      case 'private': return 'private';
+      case 'protected': return 'protected';
+      default: return 'public'; // PHP has no package visibility
+    }
+  }
+  
+  // 'com.example.model' -> 'Com\Example\Model'
+  phpNamespace(packageName) {
+    return packageName.split('.').map(part => this.toPascalCase(part)).join('\\');
+  }
+  
+  // Whether a PHPDoc type says more than the native type, e.g. 'list<User>' for 'array'
+  needsDocType(nativeType, docType) {
+    const normalized = nativeType.startsWith('?') ? `${nativeType.slice(1)}|null` : nativeType;
+    return docType !== normalized;
+  }
+  
+  // The PHPDoc type, so that imports also cover the types of collection elements
+  mapType(type) {
+    return this.mapPhpDocType(type);
+  }
+  
+  /**
+   * Maps a type from the diagram to a native PHP type; collections are arrays and type parameters mixed
+   * @param {string} type - The type as written in the diagram
+   * @param {string[]} [typeParameters] - Names of the type parameters in scope
+   * @returns {string} - The PHP type, e.g. '?array' for 'List<User>?'
+   */
+  mapPhpType(type, typeParameters = []) {
+    if (!type) return 'void';
+    type = this.simplifyType(type);
+    
+    const typeRef = this.parseType(type);
+    if (typeRef.isNullable) {
+      const mappedType = this.mapPhpType(typeRef.isArray ? 'array' : typeRef.elementType.toString(), typeParameters);
+      return mappedType === 'mixed' || mappedType.startsWith('?') ? mappedType : `?${mappedType}`;
+    }
+    if (typeRef.isArray) return 'array';
+    
+    if (typeRef.typeArguments.length > 0) {
+      const name = typeRef.name.toLowerCase();
+      if ([...LIST_TYPES, ...SET_TYPES, ...MAP_TYPES].includes(name)) return 'array';
+      if (name === 'optional') return this.mapPhpType(`${typeRef.typeArguments[0]}?`, typeParameters);
+      return typeRef.name;
+    }
+    
+    if (typeParameters.includes(type)) return 'mixed';
+    
+    // Regular type mapping
+    switch (type.toLowerCase()) {
+      case 'boolean': case 'bool': return 'bool';
+      case 'integer': case 'int': case 'long': case 'short': case 'byte': return 'int';
+      case 'float': case 'double': return 'float';
+      case 'char': case 'string': return 'string';
+      case 'void': return 'void';
+      case 'object': return 'mixed';
+      case 'list': case 'collection': case 'set': case 'map': case 'hashmap': case 'array': return 'array';
+      case 'date': case 'localdate': case 'localdatetime': case 'instant': return '\\DateTimeImmutable';
+      default: return type; // Keep custom types as is
+    }
+  }
+  
+  /**
+   * Maps a type from the diagram to a PHPDoc type, which unlike native types has generics
+   * @param {string} type - The type as written in the diagram
+   * @param {string[]} [typeParameters] - Names of the type parameters in scope, kept as they are
+   * @returns {string} - The PHPDoc type, e.g. 'array<string, list<User>>' for 'Map<String, List<User>>'
+   */
+  mapPhpDocType(type, typeParameters = []) {
+    if (!type) return 'void';
+    type = this.simplifyType(type);
+    
+    const typeRef = this.parseType(type);
+    if (typeRef.isArray || typeRef.isNullable) {
+      let docType = this.mapPhpDocType(typeRef.elementType.toString(), typeParameters);
+      for (let i = 0; i < typeRef.arrayDimensions + (typeRef.isVarargs ? 1 : 0); i++) {
+        docType = `list<${docType}>`;
+      }
+      return typeRef.isNullable && docType !== 'mixed' ? `${docType}|null` : docType;
+    }
+    
+    if (typeRef.typeArguments.length > 0) {
+      const name = typeRef.name.toLowerCase();
+      const typeArguments = typeRef.typeArguments.map(argument => this.mapPhpDocType(argument.toString(), typeParameters));
+      
+      if (LIST_TYPES.includes(name)) return `list<${typeArguments[0]}>`;
+      if (SET_TYPES.includes(name)) return `array<${typeArguments[0]}>`;
+      if (MAP_TYPES.includes(name)) return `array<${typeArguments.join(', ')}>`;
+      if (name === 'optional') return `${typeArguments[0]}|null`;
+      return `${typeRef.name}<${typeArguments.join(', ')}>`;
+    }
+    
+    return typeParameters.includes(type) ? type : this.mapPhpType(type);
+  }
+}
+
+module.exports = PhpGenerator;
\ No newline at end of file
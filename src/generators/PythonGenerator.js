@@ -1,5 +1,47 @@
 const BaseGenerator = require('./BaseGenerator');
 
+// Names the generated code may use, by the module they are imported from
+const STANDARD_IMPORTS = {
+  ABC: 'abc.ABC',
+  abstractmethod: 'abc.abstractmethod',
+  Enum: 'enum.Enum',
+  Any: 'typing.Any',
+  Dict: 'typing.Dict',
+  Generic: 'typing.Generic',
+  Iterable: 'typing.Iterable',
+  List: 'typing.List',
+  Optional: 'typing.Optional',
+  Set: 'typing.Set',
+  TypeVar: 'typing.TypeVar',
+  Union: 'typing.Union',
+  overload: 'typing.overload',
+  date: 'datetime.date',
+  datetime: 'datetime.datetime',
+  Decimal: 'decimal.Decimal',
+  UUID: 'uuid.UUID'
+};
+
+// Decorators for common stereotypes, e.g. <<Entity>> -> @dataclass
+const STEREOTYPE_MAPPINGS = {
+  Entity: { annotations: ['@dataclass'], imports: ['dataclasses.dataclass'] },
+  DataClass: { annotations: ['@dataclass'], imports: ['dataclasses.dataclass'] },
+  DTO: { annotations: ['@dataclass'], imports: ['dataclasses.dataclass'] }
+};
+
+// Built-in collections (PEP 585) and typing names used for generic types, by lower-case name
+const GENERIC_TYPES = {
+  list: 'list',
+  arraylist: 'list',
+  collection: 'list',
+  map: 'dict',
+  hashmap: 'dict',
+  dict: 'dict',
+  set: 'set',
+  hashset: 'set',
+  iterable: 'Iterable',
+  optional: 'Optional'
+};
+
 class PythonGenerator extends BaseGenerator {
   constructor() {
     super();
@@ -7,7 +49,108 @@ class PythonGenerator extends BaseGenerator {
   }
   
   generateHeader(classDiagram) {
-    return "# Generated Python code from PlantUML class diagram\n\nfrom abc import ABC, abstractmethod\nfrom typing import List, Dict, Optional, Any, Union\n\n";
+    return "# Generated Python code from PlantUML class diagram\n\n";
+  }
+  
+  standardImports() {
+    return STANDARD_IMPORTS;
+  }
+  
+  defaultStereotypeMappings() {
+    return STEREOTYPE_MAPPINGS;
+  }
+  
+  literals() {
+    return { true: 'True', false: 'False', null: 'None', quote: '"' };
+  }
+  
+  collectLanguageReferences(entity, classDiagram) {
+    if (classDiagram.enums.includes(entity)) {
+      return ['Enum'];
+    }
+    
+    const names = entity.generics.length > 0 ? ['TypeVar', 'Generic'] : [];
+    if (entity.generics.length === 0 && this.findTypeVars(entity).length > 0) {
+      names.push('TypeVar');
+    }
+    
+    // Overloads are declared with @overload and implemented by a method taking '*args: Any'
+    const methods = classDiagram.classes.includes(entity) ? this.resolveMethods(entity, classDiagram) : entity.methods;
+    if ((entity.constructors || []).length > 1 || this.groupOverloads(methods).some(overloads => overloads.length > 1)) {
+      names.push('overload', 'Any');
+    }
+    
+    if (classDiagram.interfaces.includes(entity)) {
+      return [...names, ...(entity.methods.length > 0 ? ['ABC', 'abstractmethod'] : ['ABC'])];
+    }
+    
+    if (this.findAssociationFields(entity, classDiagram).some(field => !field.isCollection)) {
+      names.push('Optional');
+    }
+    if (entity.isAbstract && !this.findParentClassName(entity, classDiagram) &&
+        this.findImplementedInterfaces(entity, classDiagram).length === 0) {
+      names.push('ABC');
+    }
+    if (entity.methods.some(method => method.isAbstract)) {
+      names.push('abstractmethod');
+    }
+    return names;
+  }
+  
+  generateImports(entities, classDiagram) {
+    const { standard, entities: imported } = this.findImports(entities, classDiagram);
+    
+    // Base classes are needed when the module loads; other types only appear in annotations,
+    // so they are imported for type checkers alone, which avoids circular imports
+    const baseClasses = entities
+      .filter(entity => classDiagram.classes.includes(entity))
+      .flatMap(classObj => this.findBaseClasses(classObj, classDiagram));
+    const typeOnlyImports = imported.filter(entity => !baseClasses.includes(entity));
+    
+    const fromImports = new Map(); // Module name -> imported names
+    const addImport = (moduleName, name, target = fromImports) => {
+      if (!target.has(moduleName)) target.set(moduleName, new Set());
+      target.get(moduleName).add(name);
+    };
+    
+    for (const standardImport of standard) {
+      const separator = standardImport.lastIndexOf('.');
+      addImport(standardImport.slice(0, separator), standardImport.slice(separator + 1));
+    }
+    
+    for (const entity of imported.filter(entity => baseClasses.includes(entity))) {
+      addImport(this.pythonModuleName(entity), entity.name);
+    }
+    
+    const typeCheckingImports = new Map();
+    for (const entity of typeOnlyImports) {
+      addImport(this.pythonModuleName(entity), entity.name, typeCheckingImports);
+    }
+    if (typeOnlyImports.length > 0) {
+      addImport('typing', 'TYPE_CHECKING');
+    }
+    
+    const formatImports = imports => [...imports.keys()].sort()
+      .map(moduleName => `from ${moduleName} import ${[...imports.get(moduleName)].sort().join(', ')}\n`)
+      .join('');
+    
+    let code = '';
+    if (typeOnlyImports.length > 0) {
+      code += 'from __future__ import annotations\n\n';
+    }
+    
+    code += formatImports(fromImports);
+    
+    if (typeOnlyImports.length > 0) {
+      code += '\nif TYPE_CHECKING:\n' + this.indent(formatImports(typeCheckingImports));
+    }
+    
+    return code ? code + '\n' : '';
+  }
+  
+  // 'com.example' package, OrderLine class -> 'com.example.order_line'
+  pythonModuleName(entity) {
+    return [entity.packageName, this.toSnakeCase(entity.name)].filter(part => part).join('.');
   }
   
   supportsPackages() {
@@ -24,19 +167,42 @@ class PythonGenerator extends BaseGenerator {
     return '\n';
   }
   
+  getFilePath(entity) {
+    return this.joinPath(this.packageDirectory(entity.packageName), `${this.toSnakeCase(entity.name)}.py`);
+  }
+  
+  generateFiles(classDiagram) {
+    const files = super.generateFiles(classDiagram);
+    
+    // Every directory on the way to a module needs an __init__.py to be importable as a package
+    for (const packageName in classDiagram.packages) {
+      const parts = packageName.split('.');
+      for (let i = 1; i <= parts.length; i++) {
+        const initPath = this.joinPath(...parts.slice(0, i), '__init__.py');
+        if (!files[initPath]) {
+          files[initPath] = `"""${parts.slice(0, i).join('.')} package"""\n`;
+        }
+      }
+    }
+    
+    return files;
+  }
+  
   generateClass(classObj, classDiagram) {
     let code = '';
     
     // Class declaration
+    code += this.generateTypeVars(classObj);
+    code += this.generateStereotypeAnnotations(classObj);
     code += 'class ' + classObj.name;
     
     // Inheritance
-    const parentClass = this.findParentClass(classObj, classDiagram);
+    const parentName = this.findParentClassName(classObj, classDiagram);
     const interfaces = this.findImplementedInterfaces(classObj, classDiagram);
     
     const parents = [];
-    if (parentClass) {
-      parents.push(parentClass.name);
+    if (parentName) {
+      parents.push(parentName);
     }
     
     if (interfaces.length > 0) {
@@ -47,6 +213,10 @@ class PythonGenerator extends BaseGenerator {
       parents.push('ABC');
     }
     
+    if (classObj.generics.length > 0) {
+      parents.push(this.formatGenericBase(classObj));
+    }
+    
     if (parents.length > 0) {
       code += '(' + parents.join(', ') + ')';
     }
@@ -54,13 +224,13 @@ class PythonGenerator extends BaseGenerator {
     code += ':\n';
     
     // Class docstring
-    code += this.indent('"""' + classObj.name + ' class"""') + '\n\n';
+    code += this.indent('"""' + this.getDisplayName(classObj) + ' class"""') + '\n\n';
     
     // Static attributes (as class variables)
     const staticAttrs = classObj.attributes.filter(a => a.isStatic);
     if (staticAttrs.length > 0) {
       for (const attr of staticAttrs) {
-        code += this.indent(`${attr.name}: ${this.mapPythonType(attr.type)} = None  # Static attribute`);
+        code += this.indent(`${attr.name}: ${this.mapPythonType(attr.type)} = ${this.pythonDefault(attr, classDiagram)}  # Static attribute`);
         code += '\n';
       }
       code += '\n';
@@ -68,35 +238,58 @@ class PythonGenerator extends BaseGenerator {
     
     // Initialize method with attributes
     const instanceAttrs = classObj.attributes.filter(a => !a.isStatic);
-    if (instanceAttrs.length > 0 || classObj.constructors.length > 0) {
-      code += this.indent('def __init__(self');
-      
-      // Add parameters for each attribute or constructor parameter
-      if (classObj.constructors.length > 0) {
-        const constructor = classObj.constructors[0]; // Use the first constructor
-        for (const param of constructor.parameters) {
-          code += ', ' + param.name + ': ' + this.mapPythonType(param.type) + ' = None';
-        }
+    const associationFields = this.findAssociationFields(classObj, classDiagram);
+    if (instanceAttrs.length > 0 || associationFields.length > 0 || classObj.constructors.length > 0) {
+      if (classObj.constructors.length > 1) {
+        code += this.generateOverloadedConstructor(classObj, instanceAttrs, classDiagram);
       } else {
-        // Add parameters for each attribute
+        code += this.indent('def __init__(self');
+        
+        // Add parameters for each attribute or constructor parameter
+        if (classObj.constructors.length > 0) {
+          const constructor = classObj.constructors[0]; // Use the first constructor
+          for (const param of constructor.parameters) {
+            const defaultValue = this.findParameterDefault(classObj, param, classDiagram);
+            code += ', ' + this.formatPythonParameter(param) + (this.isVarargs(param) ? '' : ' = ' + (defaultValue === null ? 'None' : defaultValue));
+          }
+        } else {
+          // Add parameters for each attribute
+          for (const attr of instanceAttrs) {
+            code += ', ' + attr.name + ': ' + this.mapPythonType(attr.type) + ' = ' + this.pythonDefault(attr, classDiagram);
+          }
+        }
+        
+        code += '):\n';
+        code += this.indent(`"""Initialize a new ${classObj.name} instance"""`, 2) + '\n';
+        
+        // Initialize attributes, from the parameter of the same name if there is one
+        const parameterNames = classObj.constructors.length > 0 ?
+          classObj.constructors[0].parameters.map(param => param.name) : instanceAttrs.map(attr => attr.name);
         for (const attr of instanceAttrs) {
-          code += ', ' + attr.name + ': ' + this.mapPythonType(attr.type) + ' = None';
+          const value = parameterNames.includes(attr.name) ? attr.name : this.pythonDefault(attr, classDiagram);
+          code += this.indent('self.' + attr.name + ' = ' + value, 2) + '\n';
         }
+        
       }
       
-      code += '):\n';
-      code += this.indent(`"""Initialize a new ${classObj.name} instance"""`, 2) + '\n';
-      
-      // Initialize attributes
-      for (const attr of instanceAttrs) {
-        code += this.indent('self.' + attr.name + ' = ' + attr.name, 2) + '\n';
+      // Associated objects start out empty
+      for (const field of associationFields) {
+        const fieldType = field.isCollection ? this.mapPythonFieldType(field) : `Optional[${this.mapPythonFieldType(field)}]`;
+        code += this.indent(`self.${field.name}: ${fieldType} = ${field.isCollection ? '[]' : 'None'}`, 2) + '\n';
       }
       
       code += '\n';
     }
     
-    // Methods
-    for (const method of classObj.methods) {
+    // Methods, including stubs for unimplemented interface and abstract methods
+    for (const overloads of this.groupOverloads(this.resolveMethods(classObj, classDiagram))) {
+      if (overloads.length > 1) {
+        code += this.generateOverloadedMethod(overloads, classObj, overloads.every(method => method.isAbstract));
+        continue;
+      }
+      
+      const method = overloads[0];
+      
       // Add abstractmethod decorator before method definition if abstract
       if (method.isAbstract) {
         code += this.indent('@abstractmethod') + '\n';
@@ -118,7 +311,7 @@ class PythonGenerator extends BaseGenerator {
       }
       
       for (const param of method.parameters) {
-        params.push(`${param.name}: ${this.mapPythonType(param.type)}`);
+        params.push(this.formatPythonParameter(param));
       }
       
       code += params.join(', ');
@@ -162,21 +355,8 @@ class PythonGenerator extends BaseGenerator {
         code += this.indent('# TODO: Implement method', 2) + '\n';
         
         // Return statement for non-void methods
-        if (method.returnType !== 'void' && method.returnType !== 'None') {
-          const mappedReturnType = this.mapPythonType(method.returnType);
-          
-          if (mappedReturnType === 'bool') {
-            code += this.indent('return False', 2) + '\n\n';
-          } else if (['int', 'float'].includes(mappedReturnType)) {
-            code += this.indent('return 0', 2) + '\n\n';
-          } else if (mappedReturnType === 'str') {
-            code += this.indent('return ""', 2) + '\n\n';
-          } else {
-            code += this.indent('return None', 2) + '\n\n';
-          }
-        } else {
-          code += '\n';
-        }
+        const returnStatement = this.pythonReturnStatement(method.returnType);
+        code += returnStatement ? this.indent(returnStatement, 2) + '\n\n' : '\n';
       }
     }
     
@@ -187,17 +367,202 @@ class PythonGenerator extends BaseGenerator {
     return code + '\n\n';
   }
   
+  /**
+   * Python keeps one function per name, so overloads are declared as '@overload' stubs for type
+   * checkers, followed by one implementation that dispatches on the number and types of the arguments
+   * @param {Method[]} overloads - Methods of the same name
+   * @param {Class|Interface} entity - The class or interface declaring them
+   * @param {boolean} isAbstract - Whether the implementation is abstract as well
+   * @returns {string} - The stubs and the implementation
+   */
+  generateOverloadedMethod(overloads, entity, isAbstract) {
+    const { name, isStatic } = overloads[0];
+    const self = isStatic ? [] : ['self'];
+    let code = '';
+    
+    for (const overload of overloads) {
+      code += this.indent('@overload') + '\n';
+      if (isStatic) {
+        code += this.indent('@staticmethod') + '\n';
+      }
+      const params = [...self, ...overload.parameters.map(param => this.formatPythonParameter(param))];
+      code += this.indent(`def ${name}(${params.join(', ')}) -> ${this.mapPythonType(overload.returnType)}: ...`) + '\n';
+    }
+    code += '\n';
+    
+    if (isAbstract) {
+      code += this.indent('@abstractmethod') + '\n';
+    }
+    if (isStatic) {
+      code += this.indent('@staticmethod') + '\n';
+    }
+    
+    const returnTypes = [...new Set(overloads.map(overload => this.mapPythonType(overload.returnType)))];
+    code += this.indent(`def ${name}(${[...self, '*args: Any'].join(', ')}) -> ${returnTypes.length === 1 ? returnTypes[0] : 'Any'}:`) + '\n';
+    code += this.indent(`"""Dispatch to the overload of ${name} that matches the arguments"""`, 2) + '\n';
+    
+    if (isAbstract) {
+      return code + this.indent('pass', 2) + '\n\n';
+    }
+    
+    code += this.generateOverloadDispatch(overloads, entity, overload => {
+      const returnStatement = this.pythonReturnStatement(overload.returnType) || 'return';
+      return this.indent(`# TODO: Implement ${name}(${overload.parameters.map(param => param.name).join(', ')})`, 3) + '\n' +
+        this.indent(returnStatement, 3) + '\n';
+    });
+    
+    return code + '\n';
+  }
+  
+  // Like generateOverloadedMethod(), with each branch of __init__ initializing the attributes
+  generateOverloadedConstructor(classObj, instanceAttrs, classDiagram) {
+    let code = '';
+    
+    for (const constructor of classObj.constructors) {
+      const params = ['self', ...constructor.parameters.map(param => this.formatPythonParameter(param))];
+      code += this.indent('@overload') + '\n';
+      code += this.indent(`def __init__(${params.join(', ')}) -> None: ...`) + '\n';
+    }
+    code += '\n';
+    
+    code += this.indent('def __init__(self, *args: Any) -> None:') + '\n';
+    code += this.indent(`"""Initialize a new ${classObj.name} instance"""`, 2) + '\n';
+    
+    code += this.generateOverloadDispatch(classObj.constructors, classObj, constructor => {
+      let branch = '';
+      
+      // Each attribute comes from the argument of the same name if the constructor has one
+      for (const attr of instanceAttrs) {
+        const index = constructor.parameters.findIndex(param => param.name === attr.name);
+        const value = index === -1 ? this.pythonDefault(attr, classDiagram) :
+          (this.isVarargs(constructor.parameters[index]) ? `list(args[${index}:])` : `args[${index}]`);
+        branch += this.indent(`self.${attr.name} = ${value}`, 3) + '\n';
+      }
+      
+      return branch || this.indent('pass', 3) + '\n';
+    });
+    
+    return code;
+  }
+  
+  // 'if len(args) == 1 and isinstance(args[0], int):' and so on, one branch per overload
+  generateOverloadDispatch(overloads, entity, generateBranch) {
+    const typeVarNames = this.findTypeVars(entity).map(typeParameter => typeParameter.name);
+    let code = '';
+    
+    // Overloads taking varargs go last, as they also match the arguments of the others
+    const hasVarargs = overload => overload.parameters.some(param => this.isVarargs(param));
+    const ordered = [...overloads.filter(overload => !hasVarargs(overload)), ...overloads.filter(hasVarargs)];
+    
+    ordered.forEach((overload, i) => {
+      const fixedParams = overload.parameters.filter(param => !this.isVarargs(param));
+      const conditions = [`len(args) ${fixedParams.length < overload.parameters.length ? '>=' : '=='} ${fixedParams.length}`];
+      
+      // isinstance() needs a runtime class: 'list' for 'list[int]', and nothing for Any, Optional or a TypeVar
+      fixedParams.forEach((param, index) => {
+        const runtimeType = this.mapPythonType(param.type).replace(/\[.*\]$/, '');
+        if (!['Any', 'None', 'Optional', ...typeVarNames].includes(runtimeType)) {
+          conditions.push(`isinstance(args[${index}], ${runtimeType})`);
+        }
+      });
+      
+      code += this.indent(`${i === 0 ? 'if' : 'elif'} ${conditions.join(' and ')}:`, 2) + '\n';
+      code += generateBranch(overload);
+    });
+    
+    code += this.indent('else:', 2) + '\n';
+    code += this.indent(`raise TypeError(f"No overload of ${overloads[0].name} accepts {args!r}")`, 3) + '\n';
+    return code;
+  }
+  
+  // 'return 0' and the like, a placeholder for the result of a method; null for a method returning nothing
+  pythonReturnStatement(returnType) {
+    if (returnType === 'void' || returnType === 'None') return null;
+    
+    const mappedReturnType = this.mapPythonType(returnType);
+    if (mappedReturnType === 'bool') return 'return False';
+    if (['int', 'float'].includes(mappedReturnType)) return 'return 0';
+    if (mappedReturnType === 'str') return 'return ""';
+    return 'return None';
+  }
+  
+  // The type parameters of a class and of its generic methods, each name once
+  findTypeVars(entity) {
+    const typeParameters = [...entity.generics, ...entity.methods.flatMap(method => method.generics)];
+    return typeParameters.filter((typeParameter, i) =>
+      typeParameters.findIndex(other => other.name === typeParameter.name) === i);
+  }
+  
+  /**
+   * Declares a TypeVar for each type parameter of a generic class or of its generic methods,
+   * e.g. "T = TypeVar('T', bound='Entity')".
+   * The bound is quoted so that it may refer to classes defined further down or imported for type checking.
+   * @param {Class|Interface} entity - The class or interface
+   * @returns {string} - The declarations followed by a blank line, or '' for a non-generic entity
+   */
+  generateTypeVars(entity) {
+    let code = '';
+    
+    for (const typeParameter of this.findTypeVars(entity)) {
+      const args = [`'${typeParameter.name}'`];
+      if (typeParameter.bounds.length > 0) {
+        args.push(`bound='${this.mapPythonType(typeParameter.bounds[0])}'`);
+      }
+      if (typeParameter.variance === 'out') args.push('covariant=True');
+      if (typeParameter.variance === 'in') args.push('contravariant=True');
+      
+      code += `${typeParameter.name} = TypeVar(${args.join(', ')})`;
+      if (typeParameter.bounds.length > 1) {
+        code += `  # A TypeVar has a single bound; also bounded by ${typeParameter.bounds.slice(1).map(bound => this.mapPythonType(bound)).join(', ')}`;
+      }
+      code += '\n';
+    }
+    
+    return code ? code + '\n' : '';
+  }
+  
+  // 'Generic[K, V]', the base class that makes the type parameters usable in annotations
+  formatGenericBase(entity) {
+    return `Generic[${entity.generics.map(typeParameter => typeParameter.name).join(', ')}]`;
+  }
+  
+  formatPythonParameter(param) {
+    return `${this.isVarargs(param) ? '*' : ''}${param.name}: ${this.mapPythonType(param.type)}`;
+  }
+  
+  pythonDefault(attr, classDiagram) {
+    const defaultValue = this.formatDefaultValue(attr, classDiagram);
+    return defaultValue === null ? 'None' : defaultValue;
+  }
+  
   generateInterface(interfaceObj, classDiagram) {
     let code = '';
     
-    // In Python, interfaces are abstract classes
-    code += 'class ' + interfaceObj.name + '(ABC):\n';
+    // In Python, interfaces are abstract classes, deriving from the interfaces they extend
+    const extendedInterfaces = this.findExtendedInterfaces(interfaceObj, classDiagram);
+    const bases = extendedInterfaces.length > 0
+      ? extendedInterfaces.map(i => this.formatBaseType(interfaceObj, i, classDiagram))
+      : ['ABC'];
+    if (interfaceObj.generics.length > 0) {
+      bases.push(this.formatGenericBase(interfaceObj));
+    }
+    
+    code += this.generateTypeVars(interfaceObj);
+    code += this.generateStereotypeAnnotations(interfaceObj);
+    code += 'class ' + interfaceObj.name + '(' + bases.join(', ') + '):\n';
     
     // Interface docstring
-    code += this.indent('"""' + interfaceObj.name + ' interface"""') + '\n\n';
+    code += this.indent('"""' + this.getDisplayName(interfaceObj) + ' interface"""') + '\n\n';
     
     // Methods
-    for (const method of interfaceObj.methods) {
+    for (const overloads of this.groupOverloads(interfaceObj.methods)) {
+      if (overloads.length > 1) {
+        code += this.generateOverloadedMethod(overloads, interfaceObj, true);
+        continue;
+      }
+      
+      const method = overloads[0];
+      
       // Add abstractmethod decorator before method definition
       code += this.indent('@abstractmethod') + '\n';
       
@@ -206,7 +571,7 @@ class PythonGenerator extends BaseGenerator {
       
       // Parameters
       for (const param of method.parameters) {
-        code += ', ' + param.name + ': ' + this.mapPythonType(param.type);
+        code += ', ' + this.formatPythonParameter(param);
       }
       
       code += `) -> ${this.mapPythonType(method.returnType)}:\n`;
@@ -253,14 +618,12 @@ class PythonGenerator extends BaseGenerator {
   generateEnum(enumObj, classDiagram) {
     let code = '';
     
-    // In Python, enums are created using the Enum class
-    code += 'from enum import Enum\n\n';
-    
-    // Enum declaration
+    // Enum declaration, using the Enum class imported at the top of the file
+    code += this.generateStereotypeAnnotations(enumObj);
     code += 'class ' + enumObj.name + '(Enum):\n';
     
     // Enum docstring
-    code += this.indent('"""' + enumObj.name + ' enumeration"""') + '\n\n';
+    code += this.indent('"""' + this.getDisplayName(enumObj) + ' enumeration"""') + '\n\n';
     
     // Enum values
     for (let i = 0; i < enumObj.values.length; i++) {
@@ -271,24 +634,37 @@ class PythonGenerator extends BaseGenerator {
     return code + '\n\n';
   }
   
+  mapType(type) {
+    return this.mapPythonType(type);
+  }
+  
+  mapFieldType(attr) {
+    return this.mapPythonFieldType(attr);
+  }
+  
+  mapPythonFieldType(attr) {
+    const type = this.mapPythonType(attr.type);
+    return attr.isCollection ? `list[${type}]` : type;
+  }
+  
   mapPythonType(type) {
     if (!type) return 'None';
+    type = this.simplifyType(type);
     
-    // Handle complex generic types
-    if (this.isComplexGenericType(type)) {
-      // Extract the base type (e.g., "Map" from "Map<String, Integer>")
-      const baseType = this.extractBaseGenericType(type).toLowerCase();
-      
-      // Map common collection types
-      switch (baseType) {
-        case 'list': return 'List[Any]';
-        case 'arraylist': return 'List[Any]';
-        case 'map': case 'hashmap': return 'Dict[Any, Any]';
-        case 'set': case 'hashset': return 'Set[Any]';
-        case 'collection': return 'List[Any]';
-        case 'iterable': return 'Iterable[Any]';
-        default: return 'Any';  // For unknown generic types
+    // Varargs keep their element type here; formatPythonParameter() adds the '*'
+    const typeRef = this.parseType(type);
+    if (typeRef.isArray || typeRef.isNullable) {
+      let mapped = this.mapPythonType(typeRef.elementType.toString());
+      for (let i = 0; i < typeRef.arrayDimensions; i++) {
+        mapped = `list[${mapped}]`;
       }
+      return typeRef.isNullable ? `Optional[${mapped}]` : mapped;
+    }
+    
+    // Generic types keep their arguments, mapped recursively, e.g. 'dict[str, list[int]]'
+    if (typeRef.typeArguments.length > 0) {
+      const typeArguments = typeRef.typeArguments.map(argument => this.mapPythonType(argument.toString()));
+      return `${GENERIC_TYPES[typeRef.name.toLowerCase()] || typeRef.name}[${typeArguments.join(', ')}]`;
     }
     
     // Regular mapping
@@ -1,5 +1,23 @@
 const BaseGenerator = require('./BaseGenerator');
 
+// Rails base classes for common stereotypes, e.g. <<Entity>> -> class Order < ApplicationRecord
+const STEREOTYPE_MAPPINGS = {
+  Entity: { baseClass: 'ApplicationRecord' },
+  Controller: { baseClass: 'ApplicationController' }
+};
+
+// Ruby classes documented for generic collection types, by lower-case name
+const GENERIC_TYPES = {
+  list: 'Array',
+  arraylist: 'Array',
+  collection: 'Array',
+  map: 'Hash',
+  hashmap: 'Hash',
+  set: 'Set',
+  hashset: 'Set',
+  iterable: 'Enumerable'
+};
+
 class RubyGenerator extends BaseGenerator {
   constructor() {
     super();
@@ -14,14 +32,69 @@ class RubyGenerator extends BaseGenerator {
     return true; // Ruby has modules which can be used for namespacing
   }
   
+  nestsPackages() {
+    return true;
+  }
+  
   generatePackageStart(packageName) {
-    // In Ruby, packages are represented as modules
-    const moduleName = this.rubyModuleName(packageName);
-    return `module ${moduleName}\n`;
+    // In Ruby, packages are represented as modules, one per level: 'module Shop::Billing'
+    // would fail unless Shop was already defined
+    return packageName.split('.')
+      .map((part, level) => this.indent(`module ${this.rubyModuleName(part)}\n`, level))
+      .join('');
   }
   
   generatePackageEnd(packageName) {
-    return "end # module " + this.rubyModuleName(packageName) + "\n\n";
+    return packageName.split('.')
+      .map((part, level) => this.indent(`end # module ${this.rubyModuleName(part)}\n`, level))
+      .reverse()
+      .join('') + '\n';
+  }
+  
+  generatePackageContents(code, packageName) {
+    return this.indent(code, packageName.split('.').length);
+  }
+  
+  defaultStereotypeMappings() {
+    return STEREOTYPE_MAPPINGS;
+  }
+  
+  literals() {
+    return { ...super.literals(), null: 'nil' };
+  }
+  
+  // Qualified from the top when in a module, as the value may be used in a class of another one
+  formatEnumConstant(enumObj, value) {
+    return `${this.rubyConstantName(enumObj, null)}::${value}`;
+  }
+  
+  rubyDefault(attr, classDiagram) {
+    const defaultValue = this.formatDefaultValue(attr, classDiagram);
+    return defaultValue === null ? 'nil' : defaultValue;
+  }
+  
+  generateImports(entities, classDiagram) {
+    const { standard, entities: imported } = this.findImports(entities, classDiagram);
+    
+    // Only the parent class and included modules must be loaded before the class body runs
+    const baseClasses = entities
+      .filter(entity => classDiagram.classes.includes(entity))
+      .flatMap(classObj => this.findBaseClasses(classObj, classDiagram));
+    
+    // Imports of stereotype mappings are libraries to require, e.g. 'active_model'
+    const lines = standard
+      .map(library => `require '${library}'`)
+      .concat(imported
+        .filter(entity => baseClasses.includes(entity))
+        .map(entity => `require_relative '${this.relativeModulePath(entities[0], entity).replace(/^\.\//, '')}'`));
+    
+    return lines.length > 0 ? lines.join('\n') + '\n\n' : '';
+  }
+  
+  getFilePath(entity) {
+    // Gem layout: module Shop::Billing lives in lib/shop/billing
+    const directory = this.packageDirectory(entity.packageName, part => this.toSnakeCase(part));
+    return this.joinPath('lib', directory, `${this.toSnakeCase(entity.name)}.rb`);
   }
   
   rubyModuleName(name) {
@@ -31,11 +104,20 @@ class RubyGenerator extends BaseGenerator {
     ).join('::');
   }
   
+  // How code in the given package refers to a class or module: by its name in the same module,
+  // otherwise from the top, e.g. '::Shop::Base', as constants of other modules are not in scope
+  rubyConstantName(entity, packageName) {
+    if (!entity.packageName || entity.packageName === packageName) {
+      return entity.name;
+    }
+    return `::${this.rubyModuleName(entity.packageName)}::${entity.name}`;
+  }
+  
   generateClass(classObj, classDiagram) {
     let code = '';
     
     // Class documentation
-    code += "# #{classObj.name} class\n";
+    code += `# ${this.getDisplayName(classObj)} class\n`;
     
     // Class declaration
     if (classObj.isAbstract) {
@@ -46,8 +128,9 @@ class RubyGenerator extends BaseGenerator {
     
     // Inheritance
     const parentClass = this.findParentClass(classObj, classDiagram);
-    if (parentClass) {
-      code += ` < ${parentClass.name}`;
+    const parentName = parentClass ? this.rubyConstantName(parentClass, classObj.packageName) : this.findParentClassName(classObj, classDiagram);
+    if (parentName) {
+      code += ` < ${parentName}`;
     }
     
     code += '\n';
@@ -56,7 +139,7 @@ class RubyGenerator extends BaseGenerator {
     const interfaces = this.findImplementedInterfaces(classObj, classDiagram);
     if (interfaces.length > 0) {
       for (const interfaceObj of interfaces) {
-        code += this.indent(`include ${interfaceObj.name}`) + '\n';
+        code += this.indent(`include ${this.rubyConstantName(interfaceObj, classObj.packageName)}`) + '\n';
       }
       code += '\n';
     }
@@ -70,7 +153,7 @@ class RubyGenerator extends BaseGenerator {
         for (const attr of staticFinalAttrs) {
           // Use constants (uppercase) for static final attributes - more idiomatic in Ruby
           const constantName = attr.name.toUpperCase();
-          code += this.indent(`${constantName} = nil.freeze # Constant (static final)`) + '\n';
+          code += this.indent(`${constantName} = ${this.rubyDefault(attr, classDiagram)}.freeze # Constant (static final)`) + '\n';
         }
         code += '\n';
       }
@@ -79,7 +162,7 @@ class RubyGenerator extends BaseGenerator {
       const regularStaticAttrs = staticAttrs.filter(a => !a.isFinal);
       if (regularStaticAttrs.length > 0) {
         for (const attr of regularStaticAttrs) {
-          code += this.indent(`@@${attr.name} = nil # Class variable (static)`) + '\n';
+          code += this.indent(`@@${attr.name} = ${this.rubyDefault(attr, classDiagram)} # Class variable (static)`) + '\n';
         }
         
         // Class getters/setters for regular static attributes
@@ -111,9 +194,11 @@ class RubyGenerator extends BaseGenerator {
       code += '\n';
     }
     
-    // Instance attributes as attr_accessor, attr_reader, or manually handled
-    if (classObj.attributes.length > 0) {
-      const instanceAttrs = classObj.attributes.filter(a => !a.isStatic);
+    // Instance attributes as attr_accessor, attr_reader, or manually handled,
+    // followed by accessors for associated objects
+    const associationFields = this.findAssociationFields(classObj, classDiagram);
+    if (classObj.attributes.length > 0 || associationFields.length > 0) {
+      const instanceAttrs = [...classObj.attributes.filter(a => !a.isStatic), ...associationFields];
       
       if (instanceAttrs.length > 0) {
         // Group attributes by whether they're final or not
@@ -140,33 +225,42 @@ class RubyGenerator extends BaseGenerator {
     }
     
     // Constructor (initialize method)
-    if (classObj.constructors.length > 0 || classObj.attributes.length > 0) {
+    if (classObj.constructors.length > 0 || classObj.attributes.length > 0 || associationFields.length > 0) {
       code += this.indent('def initialize(');
       
       // Parameters
       const params = [];
       if (classObj.constructors.length > 0) {
-        const constructor = classObj.constructors[0]; // Use the first constructor
-        params.push(...constructor.parameters.map(p => p.name));
+        // Ruby has a single initialize, taking the parameters of all constructors in the diagram
+        const [constructor] = this.mergeOverloadedMethods(classObj.constructors, classObj, 'Ruby');
+        params.push(...constructor.parameters);
       } else {
         // If no constructor is specified, use attributes
-        params.push(...classObj.attributes
-          .filter(a => !a.isStatic) // Only instance attributes
-          .map(a => a.name));
+        params.push(...classObj.attributes.filter(a => !a.isStatic)); // Only instance attributes
       }
       
       // Add optional parameters with default values
-      const paramStrings = params.map(p => `${p} = nil`);
+      const paramStrings = params.map(p => {
+        if (this.isVarargs(p)) return `*${p.name}`;
+        
+        const defaultValue = this.findParameterDefault(classObj, p, classDiagram);
+        return `${p.name} = ${defaultValue === null ? 'nil' : defaultValue}`;
+      });
       code += paramStrings.join(', ');
       
       code += ')' + '\n';
       
+      for (const param of params.filter(p => p.mergedNames && p.mergedNames.length > 0)) {
+        code += this.indent(`# TODO: Initialize ${param.mergedNames.join(' or ')} from ${param.name}`, 2) + '\n';
+      }
+      
       // Initialize attributes in the constructor
       if (classObj.attributes.length > 0) {
         const instanceAttrs = classObj.attributes.filter(a => !a.isStatic);
         
         for (const attr of instanceAttrs) {
-          code += this.indent(`@${attr.name} = ${attr.name}`, 2) + '\n';
+          const value = params.some(p => p.name === attr.name) ? attr.name : this.rubyDefault(attr, classDiagram);
+          code += this.indent(`@${attr.name} = ${value}`, 2) + '\n';
           
           // For final attributes, freeze the value
           if (attr.isFinal) {
@@ -175,11 +269,19 @@ class RubyGenerator extends BaseGenerator {
         }
       }
       
+      // Associated objects start out empty
+      for (const field of associationFields) {
+        code += this.indent(`@${field.name} = ${field.isCollection ? '[]' : 'nil'}`, 2) + '\n';
+      }
+      
       code += this.indent('end') + '\n\n';
     }
     
+    // Own methods plus stubs for unimplemented interface and abstract methods, with overloads merged
+    const methods = this.mergeOverloadedMethods(this.resolveMethods(classObj, classDiagram), classObj, 'Ruby');
+    
     // Class methods (static methods)
-    const staticMethods = classObj.methods.filter(m => m.isStatic);
+    const staticMethods = methods.filter(m => m.isStatic);
     if (staticMethods.length > 0) {
       for (const method of staticMethods) {
         // Class method documentation
@@ -208,7 +310,7 @@ class RubyGenerator extends BaseGenerator {
         }
         
         // Class method definition
-        code += this.indent(`def self.${method.name}(${method.parameters.map(p => p.name).join(', ')})`) + '\n';
+        code += this.indent(`def self.${method.name}(${method.parameters.map(p => this.formatRubyParameter(p)).join(', ')})`) + '\n';
         
         // Method body
         if (method.isAbstract) {
@@ -236,7 +338,7 @@ class RubyGenerator extends BaseGenerator {
     }
     
     // Instance methods
-    const instanceMethods = classObj.methods.filter(m => !m.isStatic);
+    const instanceMethods = methods.filter(m => !m.isStatic);
     if (instanceMethods.length > 0) {
       for (const method of instanceMethods) {
         // Method documentation
@@ -270,7 +372,7 @@ class RubyGenerator extends BaseGenerator {
         }
         
         // Method definition
-        code += this.indent(`def ${method.name}(${method.parameters.map(p => p.name).join(', ')})`) + '\n';
+        code += this.indent(`def ${method.name}(${method.parameters.map(p => this.formatRubyParameter(p)).join(', ')})`) + '\n';
         
         // Method body
         if (method.isAbstract) {
@@ -307,13 +409,13 @@ class RubyGenerator extends BaseGenerator {
     let code = '';
     
     // Interface documentation
-    code += "# #{interfaceObj.name} module (interface)\n";
+    code += `# ${this.getDisplayName(interfaceObj)} module (interface)\n`;
     
     // In Ruby, interfaces are modules
     code += 'module ' + interfaceObj.name + '\n';
     
     // Define required methods with NotImplementedError
-    for (const method of interfaceObj.methods) {
+    for (const method of this.mergeOverloadedMethods(interfaceObj.methods, interfaceObj, 'Ruby')) {
       // Method documentation
       code += this.indent(`# ${method.name} method`) + '\n';
       
@@ -340,7 +442,7 @@ class RubyGenerator extends BaseGenerator {
       }
       
       // Method definition
-      code += this.indent(`def ${method.name}(${method.parameters.map(p => p.name).join(', ')})`) + '\n';
+      code += this.indent(`def ${method.name}(${method.parameters.map(p => this.formatRubyParameter(p)).join(', ')})`) + '\n';
       code += this.indent('raise NotImplementedError, "Method #{self.class.name}##{__method__} must be implemented"', 2) + '\n';
       code += this.indent('end') + '\n\n';
     }
@@ -354,7 +456,7 @@ class RubyGenerator extends BaseGenerator {
     let code = '';
     
     // Enum documentation
-    code += "# #{enumObj.name} module (enum)\n";
+    code += `# ${this.getDisplayName(enumObj)} module (enum)\n`;
     
     // In Ruby, enums can be modeled as modules with constants
     code += 'module ' + enumObj.name + '\n';
@@ -375,23 +477,29 @@ class RubyGenerator extends BaseGenerator {
     return code;
   }
   
+  formatRubyParameter(param) {
+    if (param.isOptional) return `${param.name} = nil`;
+    return (this.isVarargs(param) ? '*' : '') + param.name;
+  }
+  
   mapRubyType(type) {
     if (!type) return 'nil';
+    type = this.simplifyType(type);
+    
+    // Ruby has no typed arrays or nullable types, so these only matter for documentation
+    const typeRef = this.parseType(type);
+    if (typeRef.isArray) return 'Array';
+    if (typeRef.isNullable) return this.mapRubyType(typeRef.elementType.toString());
     
-    // Handle complex generic types
-    if (this.isComplexGenericType(type)) {
-      // Extract the base type (e.g., "Map" from "Map<String, Integer>")
-      const baseType = this.extractBaseGenericType(type).toLowerCase();
+    // Generic types are documented the way YARD writes them, e.g. 'Array<String>' or 'Hash{String => Integer}'
+    if (typeRef.typeArguments.length > 0) {
+      const typeArguments = typeRef.typeArguments.map(argument => this.mapRubyType(argument.toString()));
+      const baseType = GENERIC_TYPES[typeRef.name.toLowerCase()] || typeRef.name;
       
-      // Map common collection types to Ruby equivalents (for documentation)
-      switch (baseType) {
-        case 'list': case 'arraylist': return 'Array';
-        case 'map': case 'hashmap': return 'Hash';
-        case 'set': case 'hashset': return 'Set';
-        case 'collection': return 'Array';
-        case 'iterable': return 'Enumerable';
-        default: return baseType.charAt(0).toUpperCase() + baseType.slice(1);
+      if (baseType === 'Hash' && typeArguments.length === 2) {
+        return `Hash{${typeArguments[0]} => ${typeArguments[1]}}`;
       }
+      return `${baseType}<${typeArguments.join(', ')}>`;
     }
     
     // Map basic types
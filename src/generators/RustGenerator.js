@@ -0,0 +1,503 @@
+const BaseGenerator = require('./BaseGenerator');
+
+// Standard library types the generated code may use, by the path they are imported from
+const STANDARD_IMPORTS = {
+  HashMap: 'std::collections::HashMap',
+  HashSet: 'std::collections::HashSet',
+  Any: 'std::any::Any',
+  PhantomData: 'std::marker::PhantomData'
+};
+
+// Rust collection types by lower-case name, for generic types written in any case such as 'list<User>'
+const GENERIC_TYPES = {
+  list: 'Vec',
+  arraylist: 'Vec',
+  linkedlist: 'Vec',
+  collection: 'Vec',
+  iterable: 'Vec',
+  set: 'HashSet',
+  hashset: 'HashSet',
+  map: 'HashMap',
+  hashmap: 'HashMap',
+  optional: 'Option'
+};
+
+// Values for fields a constructor has neither a parameter nor a default value for, by mapped type
+const ZERO_VALUES = {
+  bool: 'false',
+  char: "'\\0'",
+  i16: '0',
+  i32: '0',
+  i64: '0',
+  u8: '0',
+  f32: '0.0',
+  f64: '0.0',
+  String: 'String::new()',
+  '&str': '""'
+};
+
+// The receiver of trait methods, which cannot know whether the types implementing them hold any fields
+const TRAIT_RECEIVER = '&mut self';
+
+// Keywords that can only be used as names in their raw form, e.g. 'r#type'
+const KEYWORDS = ['as', 'async', 'await', 'box', 'const', 'dyn', 'enum', 'extern', 'fn', 'impl', 'in', 'loop',
+  'match', 'mod', 'move', 'mut', 'ref', 'static', 'struct', 'trait', 'type', 'unsafe', 'use', 'where', 'yield'];
+
+class RustGenerator extends BaseGenerator {
+  constructor() {
+    super();
+    this.indentSize = 4;
+  }
+  
+  generateHeader(classDiagram) {
+    return "// Generated Rust code from PlantUML class diagram\n\n";
+  }
+  
+  nestsPackages() {
+    return true;
+  }
+  
+  // Each package is a module; 'use super::*' brings what the enclosing module uses into scope
+  generatePackageStart(packageName) {
+    return `pub mod ${this.rustName(packageName)} {\n${this.indent('use super::*;')}\n\n`;
+  }
+  
+  generatePackageEnd(packageName) {
+    return '}\n\n';
+  }
+  
+  generatePackageContents(code, packageName) {
+    return this.indent(code);
+  }
+  
+  // Types of other packages are not in scope through 'use super::*', so each module imports them
+  generatePackage(packageObj, classDiagram) {
+    const code = super.generatePackage(packageObj, classDiagram);
+    const entities = packageObj.entities
+      .map(name => this.findEntity(`${packageObj.name}.${name}`, classDiagram))
+      .filter(entity => entity);
+    
+    const imports = this.generatePackageImports(entities, classDiagram);
+    if (!imports) return code;
+    
+    const start = this.generatePackageStart(packageObj.localName);
+    return start + this.indent(imports) + code.slice(start.length);
+  }
+  
+  // Likewise for the types outside any package, which are generated last
+  generateEntitiesWithoutPackage(classDiagram, code) {
+    const entities = [...classDiagram.classes, ...classDiagram.interfaces, ...classDiagram.enums].filter(entity => !entity.packageName);
+    return super.generateEntitiesWithoutPackage(classDiagram, code + this.generatePackageImports(entities, classDiagram));
+  }
+  
+  // 'use' declarations for the types of packages the given entities refer to, by their module path
+  generatePackageImports(entities, classDiagram) {
+    const imports = this.findImports(entities, classDiagram).entities
+      .filter(entity => entity.packageName)
+      .map(entity => `use crate::${this.packageModulePath(entity.packageName)}::${entity.name};`)
+      .sort();
+    return imports.length > 0 ? imports.join('\n') + '\n\n' : '';
+  }
+  
+  standardImports() {
+    return STANDARD_IMPORTS;
+  }
+  
+  literals() {
+    return { ...super.literals(), null: 'None' };
+  }
+  
+  formatEnumConstant(enumObj, value) {
+    return `${enumObj.name}::${this.toPascalCase(value)}`;
+  }
+  
+  // Overloads are renamed in snake case, e.g. 'find_with_name' for 'find(name: String)'
+  overloadName(name, method) {
+    return `${this.toSnakeCase(name)}_with_${method.parameters.map(param => this.toSnakeCase(param.name)).join('_and_')}`;
+  }
+  
+  generateImports(entities, classDiagram) {
+    const { standard, entities: imported } = this.findImports(entities, classDiagram);
+    
+    const paths = [...standard, ...imported.map(entity => `crate::${this.fileModulePath(entity)}::${entity.name}`)];
+    if (paths.length === 0) return '';
+    
+    return paths.sort().map(importPath => `use ${importPath};`).join('\n') + '\n\n';
+  }
+  
+  getFilePath(entity) {
+    return this.joinPath('src', this.packageDirectory(entity.packageName, part => this.rustName(part)), `${this.toSnakeCase(entity.name)}.rs`);
+  }
+  
+  // 'com::example::model'
+  packageModulePath(packageName) {
+    return packageName.split('.').map(part => this.rustName(part)).join('::');
+  }
+  
+  // 'com::example::model::user' for the file of com.example.model.User
+  fileModulePath(entity) {
+    return this.getFilePath(entity).replace(/^src\//, '').replace(/\.rs$/, '').split('/').join('::');
+  }
+  
+  /**
+   * Generates one file per type under src/, along with the lib.rs and mod.rs files declaring
+   * the modules, since Rust only compiles the files their parent modules declare
+   * @param {ClassDiagram} classDiagram - The diagram
+   * @returns {Object<string, string>} - File contents keyed by relative path
+   */
+  generateFiles(classDiagram) {
+    const files = super.generateFiles(classDiagram);
+    const modules = new Map();
+    
+    for (const filePath of Object.keys(files)) {
+      const parts = filePath.replace(/\.rs$/, '').split('/');
+      for (let i = 1; i < parts.length; i++) {
+        const parent = i === 1 ? 'src/lib.rs' : `${parts.slice(0, i).join('/')}/mod.rs`;
+        if (!modules.has(parent)) modules.set(parent, new Set());
+        modules.get(parent).add(parts[i]);
+      }
+    }
+    
+    for (const [filePath, names] of modules) {
+      files[filePath] = [...names].sort().map(name => `pub mod ${name};`).join('\n') + '\n';
+    }
+    
+    return files;
+  }
+  
+  generateFile(entity, classDiagram) {
+    // The file is a module of its own, so the type is not wrapped in 'mod' blocks
+    const code = this.generateHeader(classDiagram) + this.generateImports([entity], classDiagram) + this.generateEntity(entity, classDiagram);
+    return code.replace(/\n+$/, '\n');
+  }
+  
+  generateClass(classObj, classDiagram) {
+    let code = '';
+    const typeParameters = this.formatTypeParameters(classObj);
+    const selfType = classObj.name + this.formatTypeArguments(classObj);
+    
+    // Struct declaration
+    code += `/// ${this.getDisplayName(classObj)} ${classObj.isAbstract ? 'abstract class' : 'class'}\n`;
+    code += this.generateStereotypeAnnotations(classObj);
+    code += `pub struct ${classObj.name}${typeParameters} {\n`;
+    
+    const parentName = this.findParentClassName(classObj, classDiagram);
+    if (parentName) {
+      this.warn('composed-parent',
+        `Rust has no inheritance; '${classObj.name}' holds its parent class '${parentName}' in the field '${this.rustName(parentName)}'`, classObj);
+    }
+    
+    const fields = this.findStructFields(classObj, classDiagram);
+    for (const field of fields) {
+      code += this.indent(`${this.mapRustVisibility(field.visibility)}${field.name}: ${field.type},`) + '\n';
+    }
+    
+    code += '}\n\n';
+    
+    // Methods of the interfaces the class or its ancestors implement go into the trait impls below
+    const methods = this.resolveMethods(classObj, classDiagram);
+    const interfaces = this.findAllImplementedInterfaces([classObj, ...this.findAncestorClasses(classObj, classDiagram)], classDiagram);
+    const interfaceKeys = new Set(interfaces.flatMap(i => i.methods.map(method => this.methodSignatureKey(method))));
+    const ownMethods = methods.filter(method => method.isStatic || !interfaceKeys.has(this.methodSignatureKey(method)));
+    const members = [];
+    
+    // Methods may change any field, so they borrow the struct mutably unless it holds nothing
+    const receiver = fields.some(field => !field.initializer) ? '&mut self' : '&self';
+    
+    // Static attributes become associated constants
+    for (const attr of classObj.attributes.filter(a => a.isStatic)) {
+      if (!attr.isFinal) {
+        this.warn('mutable-static', `Rust has no mutable static fields; '${attr.name}' of '${classObj.name}' is generated as a constant`, attr);
+      }
+      
+      const type = this.mapRustType(attr.type, classDiagram).replace(/^String$/, '&str');
+      const defaultValue = this.formatDefaultValue(attr, classDiagram);
+      members.push(`${this.mapRustVisibility(attr.visibility)}const ${this.toSnakeCase(attr.name).toUpperCase()}: ${type} = ` +
+        `${defaultValue !== null ? defaultValue : this.rustZeroValue(type)};\n`);
+    }
+    
+    // Constructors are associated functions returning Self, named 'new' unless overloaded
+    if (classObj.constructors.length > 0) {
+      const names = this.resolveOverloadNames(classObj.constructors, classObj, 'Rust', 'new');
+      for (const constructor of classObj.constructors) {
+        members.push(this.generateConstructor(classObj, constructor, names.get(constructor), classDiagram));
+      }
+    } else if (!classObj.isAbstract) {
+      members.push(this.generateConstructor(classObj, null, 'new', classDiagram));
+    }
+    
+    // Static methods are associated functions too, taking no 'self'
+    const names = this.resolveOverloadNames(ownMethods, classObj, 'Rust');
+    for (const method of ownMethods) {
+      members.push(this.generateMethod(method, names.get(method), this.mapRustVisibility(method.visibility), receiver, classDiagram));
+    }
+    
+    if (members.length > 0) {
+      code += `impl${typeParameters} ${selfType} {\n`;
+      code += members.map(member => this.indent(member)).join('\n');
+      code += '}\n\n';
+    }
+    
+    // Each interface is a trait, implemented in a block of its own
+    for (const interfaceObj of interfaces) {
+      const traitNames = this.resolveOverloadNames(interfaceObj.methods, interfaceObj, 'Rust');
+      const traitMethods = interfaceObj.methods.map(method => {
+        const implementation = methods.find(m => !m.isStatic && this.methodSignatureKey(m) === this.methodSignatureKey(method));
+        return this.generateMethod(implementation || method, traitNames.get(method), '', TRAIT_RECEIVER, classDiagram);
+      });
+      
+      code += `impl${this.formatTypeParameters(classObj)} ${this.formatRustBaseType(classObj, interfaceObj, classDiagram)} for ${selfType} {\n`;
+      code += traitMethods.map(method => this.indent(method)).join('\n');
+      code += '}\n\n';
+    }
+    
+    return code;
+  }
+  
+  /**
+   * Lists the fields of a struct: the parent class, which Rust composes rather than inherits,
+   * the instance attributes and the fields of associations. A single associated object is an
+   * Option<Box<T>>, as it may be absent and may refer back to the struct. Type parameters no field
+   * uses are held in a PhantomData marker, since Rust rejects unused ones (E0392).
+   * @param {Class} classObj - The class
+   * @param {ClassDiagram} classDiagram - The diagram
+   * @returns {Array<{name: string, type: string, visibility: string, attribute: Attribute|null, initializer: string|undefined}>} - The fields
+   */
+  findStructFields(classObj, classDiagram) {
+    const fields = [];
+    
+    const parentName = this.findParentClassName(classObj, classDiagram);
+    if (parentName) {
+      const parentClass = this.findParentClass(classObj, classDiagram);
+      const type = parentClass ? this.formatRustBaseType(classObj, parentClass, classDiagram) : parentName;
+      fields.push({ name: this.rustName(parentName), type, visibility: 'public', attribute: null });
+    }
+    
+    for (const attr of classObj.attributes.filter(a => !a.isStatic)) {
+      fields.push({ name: this.rustName(attr.name), type: this.mapRustType(attr.type, classDiagram), visibility: attr.visibility, attribute: attr });
+    }
+    
+    for (const field of this.findAssociationFields(classObj, classDiagram)) {
+      const type = this.mapRustType(field.type, classDiagram);
+      const fieldType = field.isCollection ? `Vec<${type}>` : `Option<${type.startsWith('Box<') ? type : `Box<${type}>`}>`;
+      fields.push({ name: this.rustName(field.name), type: fieldType, visibility: field.visibility, attribute: field });
+    }
+    
+    const unused = classObj.generics.map(typeParameter => typeParameter.name)
+      .filter(name => !fields.some(field => this.typeNamesIn(field.type).includes(name)));
+    if (unused.length > 0) {
+      const type = `PhantomData<${unused.length === 1 ? unused[0] : `(${unused.join(', ')})`}>`;
+      fields.push({ name: '_marker', type, visibility: 'private', attribute: null, initializer: 'PhantomData' });
+    }
+    
+    return fields;
+  }
+  
+  collectLanguageReferences(entity, classDiagram) {
+    if (!classDiagram.classes.includes(entity)) return [];
+    return this.findStructFields(entity, classDiagram).filter(field => field.initializer).map(field => field.type);
+  }
+  
+  // 'pub fn new(id: i32) -> Self', setting each field from its parameter, its default value or a zero value
+  generateConstructor(classObj, constructor, name, classDiagram) {
+    const params = constructor ? constructor.parameters : [];
+    const visibility = this.mapRustVisibility(constructor ? constructor.visibility : 'public');
+    
+    let code = `${visibility}fn ${this.rustName(name)}(${params.map(param => this.formatRustParameter(param, classDiagram)).join(', ')}) -> Self {\n`;
+    
+    const initializers = this.findStructFields(classObj, classDiagram).map(field => {
+      if (field.initializer) {
+        return `${field.name}: ${field.initializer},`;
+      }
+      
+      if (!field.attribute) {
+        // The parent is created with its own constructor if it has one without parameters
+        const parentClass = this.findParentClass(classObj, classDiagram);
+        const hasNew = parentClass && (parentClass.constructors.length > 0
+          ? parentClass.constructors.some(c => c.parameters.length === 0)
+          : !parentClass.isAbstract);
+        return `${field.name}: ${hasNew ? `${parentClass.name}::new()` : 'todo!()'},`;
+      }
+      
+      if (params.some(param => this.rustName(param.name) === field.name)) {
+        return `${field.name},`;
+      }
+      
+      const defaultValue = this.formatDefaultValue(field.attribute, classDiagram);
+      if (defaultValue !== null) {
+        return `${field.name}: ${field.type === 'String' && defaultValue.startsWith('"') ? `String::from(${defaultValue})` : defaultValue},`;
+      }
+      
+      return `${field.name}: ${this.rustZeroValue(field.type)},`;
+    });
+    
+    if (initializers.length === 0) {
+      code += this.indent('Self {}') + '\n';
+    } else {
+      code += this.indent('Self {') + '\n' + initializers.map(initializer => this.indent(initializer, 2)).join('\n') + '\n' + this.indent('}') + '\n';
+    }
+    
+    return code + '}\n';
+  }
+  
+  generateMethod(method, name, visibility, receiver, classDiagram) {
+    let code = `/// ${method.name} method\n`;
+    code += `${visibility}${this.formatRustSignature(method, name, receiver, classDiagram)} {\n`;
+    code += this.indent('todo!()') + '\n';
+    return code + '}\n';
+  }
+  
+  // 'fn find_by_name(&mut self, name: String) -> Option<User>'; static methods take no 'self'
+  formatRustSignature(method, name, receiver, classDiagram) {
+    const params = method.parameters.map(param => this.formatRustParameter(param, classDiagram));
+    if (!method.isStatic) {
+      params.unshift(receiver);
+    }
+    
+    const returnType = this.mapRustType(method.returnType, classDiagram);
+    return `fn ${this.rustName(name)}${this.formatTypeParameters(method)}(${params.join(', ')})${returnType === '()' ? '' : ` -> ${returnType}`}`;
+  }
+  
+  generateInterface(interfaceObj, classDiagram) {
+    let code = '';
+    
+    // Extended interfaces become supertraits
+    const supertraits = this.findExtendedInterfaces(interfaceObj, classDiagram).map(i => this.formatRustBaseType(interfaceObj, i, classDiagram));
+    
+    code += `/// ${this.getDisplayName(interfaceObj)} interface\n`;
+    code += this.generateStereotypeAnnotations(interfaceObj);
+    code += `pub trait ${interfaceObj.name}${this.formatTypeParameters(interfaceObj)}${supertraits.length > 0 ? ': ' + supertraits.join(' + ') : ''} {\n`;
+    
+    const names = this.resolveOverloadNames(interfaceObj.methods, interfaceObj, 'Rust');
+    code += interfaceObj.methods
+      .map(method => this.indent(`/// ${method.name} method\n${this.formatRustSignature(method, names.get(method), TRAIT_RECEIVER, classDiagram)};\n`))
+      .join('\n');
+    
+    code += '}\n\n';
+    
+    return code;
+  }
+  
+  generateEnum(enumObj, classDiagram) {
+    let code = '';
+    
+    code += `/// ${this.getDisplayName(enumObj)} enum\n`;
+    code += this.generateStereotypeAnnotations(enumObj);
+    code += '#[derive(Debug, Clone, Copy, PartialEq, Eq)]\n';
+    code += `pub enum ${enumObj.name} {\n`;
+    
+    for (const value of enumObj.values) {
+      code += this.indent(`${this.toPascalCase(value)},`) + '\n';
+    }
+    
+    code += '}\n\n';
+    
+    return code;
+  }
+  
+  mapRustVisibility(visibility) {
+    switch (visibility) {
+      case 'public': return 'pub ';
+      case 'protected': case 'package': return 'pub(crate) ';
+      default: return ''; // Private to the module
+    }
+  }
+  
+  // Snake case, in raw form for keywords
+  rustName(name) {
+    const snakeName = this.toSnakeCase(name);
+    return KEYWORDS.includes(snakeName) ? `r#${snakeName}` : snakeName;
+  }
+  
+  // Type parameters with their bounds as trait bounds, e.g. '<T: Entity + Clone>'
+  formatTypeParameters(entity) {
+    if (!entity.generics || entity.generics.length === 0) return '';
+    
+    return '<' + entity.generics.map(typeParameter => {
+      if (typeParameter.bounds.length === 0) return typeParameter.name;
+      return `${typeParameter.name}: ${typeParameter.bounds.map(bound => this.mapRustType(bound)).join(' + ')}`;
+    }).join(', ') + '>';
+  }
+  
+  // The type parameters passed on as arguments, e.g. '<T>' for 'Repository<T: Entity>'
+  formatTypeArguments(entity) {
+    return entity.generics.length > 0 ? `<${entity.generics.map(typeParameter => typeParameter.name).join(', ')}>` : '';
+  }
+  
+  // A supertype with the type arguments a class or interface gives it, e.g. 'Repository<User>' in 'impl Repository<User> for UserRepository'
+  formatRustBaseType(entity, supertype, classDiagram) {
+    const typeArguments = this.findBaseTypeArguments(entity, supertype, classDiagram);
+    return supertype.name + (typeArguments.length > 0 ? `<${typeArguments.map(type => this.mapRustType(type, classDiagram)).join(', ')}>` : '');
+  }
+  
+  // Rust has no varargs; they are passed as a Vec
+  formatRustParameter(param, classDiagram) {
+    return `${this.rustName(param.name)}: ${this.mapRustType(param.type, classDiagram)}`;
+  }
+  
+  // A value for a field of the given type, or todo!() for types without an obvious one
+  rustZeroValue(mappedType) {
+    if (ZERO_VALUES[mappedType]) return ZERO_VALUES[mappedType];
+    if (mappedType.startsWith('Option<')) return 'None';
+    
+    const collection = mappedType.match(/^(Vec|HashMap|HashSet)</);
+    return collection ? `${collection[1]}::new()` : 'todo!()';
+  }
+  
+  mapType(type) {
+    return this.mapRustType(type);
+  }
+  
+  /**
+   * Maps a type from the diagram to Rust
+   * @param {string} type - The type as written in the diagram
+   * @param {ClassDiagram} [classDiagram] - The diagram, to pass interfaces as boxed trait objects
+   * @returns {string} - The Rust type, e.g. 'Vec<Box<dyn Shape>>' for 'List<Shape>'
+   */
+  mapRustType(type, classDiagram = null) {
+    if (!type) return '()';
+    type = this.simplifyType(type);
+    
+    // Arrays and varargs become vectors, nullable types options
+    const typeRef = this.parseType(type);
+    if (typeRef.isArray || typeRef.isNullable) {
+      let mappedType = this.mapRustType(typeRef.elementType.toString(), classDiagram);
+      for (let i = 0; i < typeRef.arrayDimensions + (typeRef.isVarargs ? 1 : 0); i++) {
+        mappedType = `Vec<${mappedType}>`;
+      }
+      return typeRef.isNullable ? `Option<${mappedType}>` : mappedType;
+    }
+    
+    // Generic types keep their arguments, mapped recursively
+    if (typeRef.typeArguments.length > 0) {
+      const typeArguments = typeRef.typeArguments.map(argument => this.mapRustType(argument.toString(), classDiagram));
+      return `${GENERIC_TYPES[typeRef.name.toLowerCase()] || typeRef.name}<${typeArguments.join(', ')}>`;
+    }
+    
+    // Interfaces are traits, which values can only have as trait objects
+    if (classDiagram && classDiagram.interfaces.some(i => i.name === type || i.qualifiedName === type)) {
+      return `Box<dyn ${type.split('.').pop()}>`;
+    }
+    
+    // Regular type mapping
+    switch (type.toLowerCase()) {
+      case 'boolean': case 'bool': return 'bool';
+      case 'integer': case 'int': return 'i32';
+      case 'long': return 'i64';
+      case 'short': return 'i16';
+      case 'byte': return 'u8';
+      case 'float': return 'f32';
+      case 'double': return 'f64';
+      case 'char': return 'char';
+      case 'string': return 'String';
+      case 'void': return '()';
+      case 'object': case 'any': return 'Box<dyn Any>';
+      case 'list': case 'arraylist': case 'collection': return 'Vec<Box<dyn Any>>';
+      case 'set': case 'hashset': return 'HashSet<String>';
+      case 'map': case 'hashmap': return 'HashMap<String, Box<dyn Any>>';
+      default: return type; // Keep custom types as is
+    }
+  }
+}
+
+module.exports = RustGenerator;
\ No newline at end of file
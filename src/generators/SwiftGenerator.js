@@ -0,0 +1,411 @@
+const BaseGenerator = require('./BaseGenerator');
+
+// Types that need 'import Foundation' when the generated code uses them
+const STANDARD_IMPORTS = {
+  Date: 'Foundation',
+  Decimal: 'Foundation',
+  UUID: 'Foundation',
+  URL: 'Foundation',
+  Data: 'Foundation'
+};
+
+// Values for properties the diagram gives no default value, by mapped type
+const ZERO_VALUES = {
+  Bool: 'false',
+  Int: '0',
+  Int64: '0',
+  Int16: '0',
+  Int8: '0',
+  Float: '0.0',
+  Double: '0.0',
+  String: '""'
+};
+
+// Keywords that have to be escaped with backticks to be used as names, e.g. `default`
+const KEYWORDS = ['associatedtype', 'case', 'class', 'default', 'defer', 'deinit', 'enum', 'extension', 'fallthrough', 'func',
+  'guard', 'import', 'in', 'init', 'inout', 'internal', 'is', 'let', 'operator', 'protocol', 'repeat', 'return', 'self',
+  'static', 'struct', 'subscript', 'switch', 'typealias', 'var', 'where'];
+
+class SwiftGenerator extends BaseGenerator {
+  constructor() {
+    super();
+    this.indentSize = 4;
+  }
+  
+  generateHeader(classDiagram) {
+    return "// Generated Swift code from PlantUML class diagram\n\n";
+  }
+  
+  supportsPackages() {
+    return false; // Swift has modules but no namespaces within them
+  }
+  
+  standardImports() {
+    return STANDARD_IMPORTS;
+  }
+  
+  literals() {
+    return { ...super.literals(), null: 'nil' };
+  }
+  
+  formatEnumConstant(enumObj, value) {
+    return `${enumObj.name}.${this.swiftCaseName(value)}`;
+  }
+  
+  generateImports(entities, classDiagram) {
+    const { standard } = this.findImports(entities, classDiagram);
+    return standard.length > 0 ? standard.map(name => `import ${name}`).join('\n') + '\n\n' : '';
+  }
+  
+  getFilePath(entity) {
+    return this.joinPath(this.packageDirectory(entity.packageName), `${entity.name}.swift`);
+  }
+  
+  generateClass(classObj, classDiagram) {
+    let code = '';
+    
+    // Class documentation; abstract classes are checked at runtime, as Swift has none
+    code += `/// ${this.getDisplayName(classObj)} ${classObj.isAbstract ? 'abstract class, to be subclassed' : 'class'}\n`;
+    code += this.generateStereotypeAnnotations(classObj);
+    code += `public class ${classObj.name}${this.formatTypeParameters(classObj)}`;
+    
+    // A generic parent class is named with the type arguments the class passes it, e.g. 'Base<String>'
+    const parentName = this.formatParentType(classObj, classDiagram);
+    const supertypes = [...(parentName ? [parentName] : []), ...this.findImplementedInterfaces(classObj, classDiagram).map(i => i.name)];
+    if (supertypes.length > 0) {
+      code += ': ' + supertypes.join(', ');
+    }
+    
+    code += ' {\n';
+    
+    // Static properties
+    const staticAttrs = classObj.attributes.filter(a => a.isStatic);
+    for (const attr of staticAttrs) {
+      const defaultValue = this.formatDefaultValue(attr, classDiagram);
+      const initialValue = defaultValue !== null ? defaultValue : this.swiftZeroValue(attr.type, classDiagram);
+      code += this.indent(`${this.mapSwiftVisibility(attr.visibility)} static ${attr.isFinal ? 'let' : 'var'} ${this.swiftName(attr.name)}: ` +
+        `${this.mapSwiftType(attr.type)}${initialValue !== null ? ` = ${initialValue}` : ''}`) + '\n';
+    }
+    
+    if (staticAttrs.length > 0) {
+      code += '\n';
+    }
+    
+    // Stored properties start out with their default or zero value unless an initializer sets them
+    const attributes = classObj.attributes.filter(a => !a.isStatic);
+    for (const attr of attributes) {
+      const { initialValue, setInInitializers, isUnwrapped } = this.findPropertyInitialization(classObj, attr, classDiagram);
+      const mappedType = this.mapSwiftType(attr.type);
+      
+      let declaration = `${this.mapSwiftVisibility(attr.visibility)} ${attr.isFinal && !isUnwrapped ? 'let' : 'var'} ${this.swiftName(attr.name)}: `;
+      if (isUnwrapped) {
+        declaration += mappedType.endsWith('?') ? mappedType : `${mappedType}!`;
+      } else if (setInInitializers) {
+        declaration += mappedType;
+      } else {
+        declaration += `${mappedType} = ${initialValue}`;
+      }
+      code += this.indent(declaration) + '\n';
+    }
+    
+    // Properties for associated classes, which start out empty
+    for (const field of this.findAssociationFields(classObj, classDiagram)) {
+      const declaration = field.isCollection ? `[${field.type}] = []` : `${field.type}?`;
+      code += this.indent(`${this.mapSwiftVisibility(field.visibility)} var ${this.swiftName(field.name)}: ${declaration}`) + '\n';
+    }
+    
+    if (attributes.length > 0 || this.findAssociationFields(classObj, classDiagram).length > 0) {
+      code += '\n';
+    }
+    
+    // Initializers; abstract classes need one for the runtime check even if the diagram has none
+    const constructors = classObj.constructors.length > 0 ? classObj.constructors : (classObj.isAbstract ? [null] : []);
+    for (const constructor of constructors) {
+      code += this.indent(this.generateInitializer(classObj, constructor, classDiagram)) + '\n';
+    }
+    
+    // Methods, including stubs for unimplemented protocol and abstract methods
+    for (const method of this.resolveMethods(classObj, classDiagram)) {
+      code += this.indent(this.generateMethod(method, classDiagram)) + '\n';
+    }
+    
+    code = code.replace(/\n\n$/, '\n');
+    code += '}\n\n';
+    
+    return code;
+  }
+  
+  /**
+   * Generates an initializer setting the properties from its parameters of the same name and, for
+   * 'let' properties and those without a zero value, from their default or zero values
+   * @param {Class} classObj - The class
+   * @param {Method|null} constructor - The constructor, or null for one without parameters
+   * @param {ClassDiagram} classDiagram - The diagram
+   * @returns {string} - The initializer
+   */
+  generateInitializer(classObj, constructor, classDiagram) {
+    const params = constructor ? constructor.parameters : [];
+    const parentClass = this.findParentClass(classObj, classDiagram);
+    const isOverride = parentClass && this.findInitializers(parentClass).some(c => this.initializerKey(c) === this.initializerKey({ parameters: params }));
+    
+    let code = `/// Creates a ${this.getDisplayName(classObj)}\n`;
+    code += `${this.mapSwiftVisibility(constructor ? constructor.visibility : 'public')} ${isOverride ? 'override ' : ''}init(`;
+    code += params.map(param => this.formatSwiftParameter(param)).join(', ') + ') {\n';
+    
+    for (const attr of classObj.attributes.filter(a => !a.isStatic)) {
+      const name = this.swiftName(attr.name);
+      const { initialValue, setInInitializers } = this.findPropertyInitialization(classObj, attr, classDiagram);
+      
+      if (params.some(param => param.name === attr.name)) {
+        code += this.indent(`self.${name} = ${name}`) + '\n';
+      } else if (setInInitializers) {
+        code += this.indent(`self.${name} = ${initialValue}`) + '\n';
+      }
+    }
+    
+    if (parentClass) {
+      code += this.indent(`super.init(${this.superInitializerArguments(parentClass, params, classDiagram)})`) + '\n';
+    }
+    
+    if (classObj.isAbstract) {
+      code += this.indent(`precondition(type(of: self) != ${classObj.name}.self, "${classObj.name} is abstract; create a subclass instead")`) + '\n';
+    }
+    
+    code += '}\n';
+    return code;
+  }
+  
+  // The initializers a class has: its constructors or, without any, the inherited or implicit 'init()'
+  findInitializers(classObj) {
+    return classObj.constructors.length > 0 ? classObj.constructors : [{ parameters: [] }];
+  }
+  
+  // Initializers are told apart by their argument labels and types
+  initializerKey(constructor) {
+    return constructor.parameters.map(param => `${param.name}:${this.mapSwiftType(param.type)}`).join(',');
+  }
+  
+  // Arguments for the parent initializer with the fewest parameters: parameters of the same name,
+  // else zero values, else placeholders to fill in
+  superInitializerArguments(parentClass, params, classDiagram) {
+    const initializer = this.findInitializers(parentClass)
+      .reduce((fewest, constructor) => constructor.parameters.length < fewest.parameters.length ? constructor : fewest);
+    
+    return initializer.parameters.map(param => {
+      const own = params.find(p => p.name === param.name);
+      const zeroValue = this.swiftZeroValue(param.type, classDiagram);
+      return `${param.name}: ${own ? this.swiftName(own.name) : zeroValue !== null ? zeroValue : `<#${param.name}#>`}`;
+    }).join(', ');
+  }
+  
+  /**
+   * Works out how a stored property gets its value. It is set in the initializers when every
+   * initializer has a parameter for it, or when it is a constant some initializer has a parameter
+   * for; the others set it to its default or zero value. Otherwise it starts out with that value
+   * or, for types without one, is an implicitly unwrapped optional.
+   * @param {Class} classObj - The class
+   * @param {Attribute} attr - The instance attribute
+   * @param {ClassDiagram} classDiagram - The diagram
+   * @returns {{initialValue: string|null, setInInitializers: boolean, isUnwrapped: boolean}} - How it is initialized
+   */
+  findPropertyInitialization(classObj, attr, classDiagram) {
+    const defaultValue = this.formatDefaultValue(attr, classDiagram);
+    const initialValue = defaultValue !== null ? defaultValue : this.swiftZeroValue(attr.type, classDiagram);
+    const hasParameter = constructor => constructor.parameters.some(param => param.name === attr.name);
+    
+    const setByAll = classObj.constructors.length > 0 && classObj.constructors.every(hasParameter);
+    const setInInitializers = setByAll || (attr.isFinal && initialValue !== null && classObj.constructors.some(hasParameter));
+    return { initialValue, setInInitializers, isUnwrapped: !setInInitializers && initialValue === null };
+  }
+  
+  generateMethod(method, classDiagram) {
+    let code = `/// ${method.name} method\n`;
+    
+    let modifiers = this.mapSwiftVisibility(method.visibility) + ' ';
+    if (method.isStatic) {
+      modifiers += 'static ';
+    } else if (method.overrides === 'class' || method.overrides === 'abstract') {
+      modifiers += 'override ';
+    }
+    
+    code += `${modifiers}${this.formatSwiftSignature(method)} {\n`;
+    code += this.indent(method.isAbstract ? `fatalError("Subclasses must implement ${method.name}")` : 'fatalError("Not implemented")') + '\n';
+    code += '}\n';
+    
+    return code;
+  }
+  
+  // 'func find(id: Int) -> User?'
+  formatSwiftSignature(method) {
+    const returnType = this.mapSwiftType(method.returnType);
+    return `func ${this.swiftName(method.name)}${this.formatTypeParameters(method)}(${method.parameters.map(param => this.formatSwiftParameter(param)).join(', ')})` +
+      (returnType === 'Void' ? '' : ` -> ${returnType}`);
+  }
+  
+  generateInterface(interfaceObj, classDiagram) {
+    let code = '';
+    
+    code += `/// ${this.getDisplayName(interfaceObj)} protocol\n`;
+    code += this.generateStereotypeAnnotations(interfaceObj);
+    code += `public protocol ${interfaceObj.name}`;
+    
+    // Extended interfaces become inherited protocols
+    const extendedInterfaces = this.findExtendedInterfaces(interfaceObj, classDiagram);
+    if (extendedInterfaces.length > 0) {
+      code += ': ' + extendedInterfaces.map(i => i.name).join(', ');
+    }
+    
+    code += ' {\n';
+    
+    // Protocols have associated types instead of type parameters
+    for (const typeParameter of interfaceObj.generics) {
+      const bounds = typeParameter.bounds.map(bound => this.mapSwiftType(bound));
+      code += this.indent(`associatedtype ${typeParameter.name}${bounds.length > 0 ? ': ' + bounds.join(' & ') : ''}`) + '\n';
+    }
+    
+    if (interfaceObj.generics.length > 0 && interfaceObj.methods.length > 0) {
+      code += '\n';
+    }
+    
+    code += interfaceObj.methods
+      .map(method => this.indent(`/// ${method.name} method\n${method.isStatic ? 'static ' : ''}${this.formatSwiftSignature(method)}\n`))
+      .join('\n');
+    
+    code += '}\n\n';
+    
+    return code;
+  }
+  
+  generateEnum(enumObj, classDiagram) {
+    let code = '';
+    
+    // Raw values keep the names of the diagram
+    code += `/// ${this.getDisplayName(enumObj)} enum\n`;
+    code += this.generateStereotypeAnnotations(enumObj);
+    code += `public enum ${enumObj.name}: String {\n`;
+    
+    for (const value of enumObj.values) {
+      code += this.indent(`case ${this.swiftCaseName(value)} = "${value}"`) + '\n';
+    }
+    
+    code += '}\n\n';
+    
+    return code;
+  }
+  
+  mapSwiftVisibility(visibility) {
+    switch (visibility) {
+      case 'public': return 'public';
+      case 'private': return 'private';
+      case 'protected': return 'fileprivate';
+      default: return 'internal';
+    }
+  }
+  
+  // 'IN_PROGRESS' -> 'inProgress'
+  swiftCaseName(value) {
+    const name = this.toPascalCase(value);
+    return this.swiftName(name.charAt(0).toLowerCase() + name.slice(1));
+  }
+  
+  swiftName(name) {
+    return KEYWORDS.includes(name) ? `\`${name}\`` : name;
+  }
+  
+  // Type parameters with their constraints, e.g. '<T: Entity & Comparable>'
+  formatTypeParameters(entity) {
+    if (!entity.generics || entity.generics.length === 0) return '';
+    
+    return '<' + entity.generics.map(typeParameter => {
+      if (typeParameter.bounds.length === 0) return typeParameter.name;
+      return `${typeParameter.name}: ${typeParameter.bounds.map(bound => this.mapSwiftType(bound)).join(' & ')}`;
+    }).join(', ') + '>';
+  }
+  
+  // Variadic parameters keep Swift's '...'; elsewhere they are arrays
+  formatSwiftParameter(param) {
+    const typeRef = this.parseType(param.type);
+    if (typeRef && typeRef.isVarargs) {
+      return `${this.swiftName(param.name)}: ${this.mapSwiftType(typeRef.elementType.toString())}...`;
+    }
+    return `${this.swiftName(param.name)}: ${this.mapSwiftType(param.type)}`;
+  }
+  
+  // A value for a property of the given type; null for types without an obvious one
+  swiftZeroValue(type, classDiagram) {
+    const mappedType = this.mapSwiftType(type);
+    if (ZERO_VALUES[mappedType]) return ZERO_VALUES[mappedType];
+    if (mappedType.endsWith('?')) return 'nil';
+    if (mappedType.startsWith('Set<')) return '[]';
+    if (/^\[.*:.*\]$/.test(mappedType)) return '[:]';
+    if (mappedType.startsWith('[')) return '[]';
+    
+    const enumObj = classDiagram.enums.find(e => e.name === mappedType);
+    return enumObj && enumObj.values.length > 0 ? this.formatEnumConstant(enumObj, enumObj.values[0]) : null;
+  }
+  
+  mapType(type) {
+    return this.mapSwiftType(type);
+  }
+  
+  /**
+   * Maps a type from the diagram to Swift
+   * @param {string} type - The type as written in the diagram
+   * @returns {string} - The Swift type, e.g. '[String: [User]]' for 'Map<String, List<User>>'
+   */
+  mapSwiftType(type) {
+    if (!type) return 'Void';
+    type = this.simplifyType(type);
+    
+    // Arrays and varargs become arrays, nullable types optionals
+    const typeRef = this.parseType(type);
+    if (typeRef.isArray || typeRef.isNullable) {
+      let mappedType = this.mapSwiftType(typeRef.elementType.toString());
+      for (let i = 0; i < typeRef.arrayDimensions + (typeRef.isVarargs ? 1 : 0); i++) {
+        mappedType = `[${mappedType}]`;
+      }
+      return typeRef.isNullable ? `${mappedType}?` : mappedType;
+    }
+    
+    // Generic types keep their arguments, mapped recursively
+    if (typeRef.typeArguments.length > 0) {
+      const typeArguments = typeRef.typeArguments.map(argument => this.mapSwiftType(argument.toString()));
+      
+      switch (typeRef.name.toLowerCase()) {
+        case 'list': case 'arraylist': case 'linkedlist': case 'collection': case 'iterable':
+          return `[${typeArguments[0]}]`;
+        case 'set': case 'hashset':
+          return `Set<${typeArguments[0]}>`;
+        case 'map': case 'hashmap': case 'dict':
+          return `[${typeArguments[0]}: ${typeArguments[1] || 'Any'}]`;
+        case 'optional':
+          return `${typeArguments[0]}?`;
+        default:
+          return `${typeRef.name}<${typeArguments.join(', ')}>`;
+      }
+    }
+    
+    // Regular type mapping
+    switch (type.toLowerCase()) {
+      case 'boolean': case 'bool': return 'Bool';
+      case 'integer': case 'int': return 'Int';
+      case 'long': return 'Int64';
+      case 'short': return 'Int16';
+      case 'byte': return 'Int8';
+      case 'float': return 'Float';
+      case 'double': return 'Double';
+      case 'char': return 'Character';
+      case 'string': return 'String';
+      case 'void': return 'Void';
+      case 'object': return 'Any';
+      case 'list': case 'collection': return '[Any]';
+      case 'map': case 'hashmap': return '[String: Any]';
+      case 'date': case 'localdate': case 'localdatetime': case 'instant': return 'Date';
+      case 'bigdecimal': return 'Decimal';
+      case 'uuid': return 'UUID';
+      default: return type; // Keep custom types as is
+    }
+  }
+}
+
+module.exports = SwiftGenerator;
\ No newline at end of file
@@ -1,5 +1,23 @@
 const BaseGenerator = require('./BaseGenerator');
 
+// Decorators for common stereotypes; imports are written as 'module#Name'
+const STEREOTYPE_MAPPINGS = {
+  Entity: { annotations: ['@Entity()'], imports: ['typeorm#Entity'] },
+  Injectable: { annotations: ['@Injectable()'], imports: ['@nestjs/common#Injectable'] }
+};
+
+// Generic types generated as arrays, e.g. 'List<int>' as 'number[]'
+const ARRAY_TYPES = ['list', 'arraylist', 'collection', 'array'];
+
+// Other generic types with a TypeScript equivalent, by lower-case name
+const GENERIC_TYPES = {
+  map: 'Map',
+  hashmap: 'Map',
+  set: 'Set',
+  hashset: 'Set',
+  iterable: 'Iterable'
+};
+
 class TypeScriptGenerator extends BaseGenerator {
   constructor() {
     super();
@@ -23,13 +41,52 @@ class TypeScriptGenerator extends BaseGenerator {
     return `}\n\n`;
   }
   
+  defaultStereotypeMappings() {
+    return STEREOTYPE_MAPPINGS;
+  }
+  
+  literals() {
+    return { ...super.literals(), quote: "'" };
+  }
+  
+  generateImports(entities, classDiagram) {
+    const { standard, entities: imported } = this.findImports(entities, classDiagram);
+    
+    const namedImports = new Map(); // Module -> imported names
+    for (const standardImport of standard) {
+      const separator = standardImport.lastIndexOf('#');
+      const moduleName = standardImport.slice(0, separator);
+      if (!namedImports.has(moduleName)) namedImports.set(moduleName, []);
+      namedImports.get(moduleName).push(standardImport.slice(separator + 1));
+    }
+    
+    const lines = [...namedImports]
+      .map(([moduleName, names]) => `import { ${names.sort().join(', ')} } from '${moduleName}';`)
+      .concat(imported.map(entity => `import { ${entity.name} } from '${this.relativeModulePath(entities[0], entity)}';`))
+      .sort();
+    
+    return lines.length > 0 ? lines.join('\n') + '\n\n' : '';
+  }
+  
+  getFilePath(entity) {
+    return this.joinPath('src', this.packageDirectory(entity.packageName), `${this.toKebabCase(entity.name)}.ts`);
+  }
+  
+  generateFile(entity, classDiagram) {
+    // Each file is an ES module, so the directory replaces the namespace block
+    let code = this.generateHeader(classDiagram) + this.generateImports([entity], classDiagram);
+    code += this.outdent(this.generateEntity(entity, classDiagram));
+    return code.replace(/\n+$/, '\n');
+  }
+  
   generateClass(classObj, classDiagram) {
     let code = '';
     
     // Class documentation
     code += this.indent(`/**\n`);
-    code += this.indent(` * ${classObj.name} class\n`);
+    code += this.indent(` * ${this.getDisplayName(classObj)} class\n`);
     code += this.indent(` */\n`);
+    code += this.indent(this.generateStereotypeAnnotations(classObj));
     
     // Access modifier - in TypeScript we can add 'export'
     code += this.indent('export ');
@@ -44,26 +101,25 @@ class TypeScriptGenerator extends BaseGenerator {
     code += classObj.name;
     
     // Generic parameters
-    if (classObj.generics.length > 0) {
-      code += '<' + classObj.generics.join(', ') + '>';
-    }
+    code += this.formatTypeParameters(classObj);
     
     // Inheritance
-    const parentClass = this.findParentClass(classObj, classDiagram);
-    if (parentClass) {
-      code += ` extends ${parentClass.name}`;
+    const parentName = this.formatParentType(classObj, classDiagram);
+    if (parentName) {
+      code += ` extends ${parentName}`;
     }
     
     // Implementations
     const interfaces = this.findImplementedInterfaces(classObj, classDiagram);
     if (interfaces.length > 0) {
-      code += ' implements ' + interfaces.map(i => i.name).join(', ');
+      code += ' implements ' + interfaces.map(i => this.formatBaseType(classObj, i, classDiagram)).join(', ');
     }
     
     code += ' {\n';
     
-    // Attributes/Properties
-    for (const attr of classObj.attributes) {
+    // Attributes/Properties, followed by properties for associated classes
+    const attributes = [...classObj.attributes, ...this.findAssociationFields(classObj, classDiagram)];
+    for (const attr of attributes) {
       // Property documentation
       code += this.indent(`/**\n`, 2);
       code += this.indent(` * ${attr.name} property\n`, 2);
@@ -80,7 +136,14 @@ class TypeScriptGenerator extends BaseGenerator {
         code += 'readonly ';
       }
       
-      code += `${attr.name}: ${this.mapTsType(attr.type)};\n\n`;
+      code += `${attr.name}: ${this.mapTsFieldType(attr)}`;
+      
+      const defaultValue = this.formatDefaultValue(attr, classDiagram);
+      if (defaultValue !== null) {
+        code += ` = ${defaultValue}`;
+      }
+      
+      code += ';\n\n';
     }
     
     // Constructor
@@ -88,25 +151,28 @@ class TypeScriptGenerator extends BaseGenerator {
     code += this.indent(` * Constructor for ${classObj.name}\n`, 2);
     code += this.indent(` */\n`, 2);
     
-    if (classObj.constructors.length > 0) {
-      const constructor = classObj.constructors[0]; // Use the first constructor
+    if (classObj.constructors.length > 1) {
+      code += this.generateOverloadedConstructor(classObj, parentName, classDiagram);
+    } else if (classObj.constructors.length > 0) {
+      const constructor = classObj.constructors[0];
       
       code += this.indent(`${this.mapTsVisibility(constructor.visibility)} constructor(`, 2);
       
       // Parameters
       code += constructor.parameters.map(
-        param => `${param.name}: ${this.mapTsType(param.type)}`
+        param => this.formatTsParameter(param)
       ).join(', ');
       
       code += ') {\n';
       
       // Call super if extending another class
-      if (parentClass) {
+      if (parentName) {
         code += this.indent('super();', 3) + '\n';
       }
       
-      // Initialize instance properties
-      for (const param of constructor.parameters) {
+      // Initialize the instance properties named like a parameter
+      const properties = this.findAssignableProperties(classObj, classDiagram);
+      for (const param of constructor.parameters.filter(p => properties.has(p.name))) {
         code += this.indent(`this.${param.name} = ${param.name};`, 3) + '\n';
       }
       
@@ -116,76 +182,80 @@ class TypeScriptGenerator extends BaseGenerator {
       code += this.indent('constructor() {\n', 2);
       
       // Call super if extending another class
-      if (parentClass) {
+      if (parentName) {
         code += this.indent('super();', 3) + '\n';
       }
       
       code += this.indent('}\n\n', 2);
     }
     
-    // Methods
-    for (const method of classObj.methods) {
-      // Method documentation
-      code += this.indent(`/**\n`, 2);
-      code += this.indent(` * ${method.name} method\n`, 2);
-      
-      // Method parameters documentation
-      for (const param of method.parameters) {
-        const mappedType = this.mapTsType(param.type);
-        code += this.indent(this.generateEnhancedParamDoc(param.name, param.type, mappedType) + '\n', 2);
-      }
-      
-      // Return type documentation
-      if (method.returnType !== 'void') {
-        const mappedReturnType = this.mapTsType(method.returnType);
-        code += this.indent(this.generateEnhancedReturnDoc(method.returnType, mappedReturnType).replace('@return', '@returns') + '\n', 2);
-      }
-      
-      code += this.indent(` */\n`, 2);
-      
-      // Method signature
-      code += this.indent(`${this.mapTsVisibility(method.visibility)} `, 2);
-      
-      if (method.isStatic) {
-        code += 'static ';
-      }
-      
-      if (method.isAbstract) {
-        code += 'abstract ';
-      }
-      
-      code += `${method.name}(`;
-      
-      // Parameters
-      code += method.parameters.map(
-        param => `${param.name}: ${this.mapTsType(param.type)}`
-      ).join(', ');
-      
-      code += `): ${this.mapTsType(method.returnType)}`;
-      
-      // Method body or semicolon
-      if (method.isAbstract) {
-        code += ';\n\n';
-      } else {
-        code += ' {\n';
-        code += this.indent('// TODO: Implement method', 3) + '\n';
+    // Methods, including stubs for unimplemented interface and abstract methods; overloads are
+    // kept together as their signatures must directly precede the implementation
+    for (const overloads of this.groupOverloads(this.resolveMethods(classObj, classDiagram))) {
+      for (const method of overloads) {
+        // Method documentation
+        code += this.indent(`/**\n`, 2);
+        code += this.indent(` * ${method.name} method\n`, 2);
         
-        // Return statement for non-void methods
+        // Method parameters documentation
+        for (const param of method.parameters) {
+          const mappedType = this.mapTsType(param.type);
+          code += this.indent(this.generateEnhancedParamDoc(param.name, param.type, mappedType) + '\n', 2);
+        }
+        
+        // Return type documentation
         if (method.returnType !== 'void') {
           const mappedReturnType = this.mapTsType(method.returnType);
+          code += this.indent(this.generateEnhancedReturnDoc(method.returnType, mappedReturnType).replace('@return', '@returns') + '\n', 2);
+        }
+        
+        code += this.indent(` */\n`, 2);
+        
+        // Method signature
+        code += this.indent(`${this.mapTsVisibility(method.visibility)} `, 2);
+        
+        if (method.isStatic) {
+          code += 'static ';
+        }
+        
+        if (method.isAbstract) {
+          code += 'abstract ';
+        }
+        
+        // 'override' applies to base class members only, not to interface implementations
+        if (method.overrides === 'abstract' || method.overrides === 'class') {
+          code += 'override ';
+        }
+        
+        code += `${method.name}${this.formatTypeParameters(method)}(`;
+        
+        // Parameters
+        code += method.parameters.map(
+          param => this.formatTsParameter(param)
+        ).join(', ');
+        
+        code += `): ${this.mapTsType(method.returnType)}`;
+        
+        // Method body or semicolon
+        if (method.isAbstract) {
+          code += ';\n\n';
+        } else if (overloads.length > 1) {
+          code += ';\n';
+        } else {
+          code += ' {\n';
+          code += this.indent('// TODO: Implement method', 3) + '\n';
           
-          if (mappedReturnType === 'boolean') {
-            code += this.indent('return false;', 3) + '\n';
-          } else if (mappedReturnType === 'number') {
-            code += this.indent('return 0;', 3) + '\n';
-          } else if (mappedReturnType === 'string') {
-            code += this.indent('return "";', 3) + '\n';
-          } else {
-            code += this.indent('return null as any;', 3) + '\n';
+          // Return statement for non-void methods
+          if (method.returnType !== 'void') {
+            code += this.indent(this.tsReturnStatement(this.mapTsType(method.returnType)), 3) + '\n';
           }
+          
+          code += this.indent('}\n\n', 2);
         }
-        
-        code += this.indent('}\n\n', 2);
+      }
+      
+      if (overloads.length > 1 && !overloads[0].isAbstract) {
+        code += this.generateOverloadImplementation(overloads);
       }
     }
     
@@ -194,20 +264,112 @@ class TypeScriptGenerator extends BaseGenerator {
     return code;
   }
   
+  // Overload signatures for each constructor, then one implementation accepting the arguments of all of them
+  generateOverloadedConstructor(classObj, parentName, classDiagram) {
+    const visibility = this.mapTsVisibility(classObj.constructors[0].visibility);
+    let code = '';
+    
+    for (const constructor of classObj.constructors) {
+      code += this.indent(`${visibility} constructor(${constructor.parameters.map(param => this.formatTsParameter(param)).join(', ')});\n`, 2);
+    }
+    
+    const slots = this.mergeOverloadParameters(classObj.constructors);
+    code += this.indent(`${visibility} constructor(${slots.map(slot => this.formatTsSlot(slot)).join(', ')}) {\n`, 2);
+    
+    if (parentName) {
+      code += this.indent('super();', 3) + '\n';
+    }
+    
+    // Initialize the instance properties named like a parameter; a parameter named differently by each
+    // overload is left to the implementer
+    const properties = this.findAssignableProperties(classObj, classDiagram);
+    for (const slot of slots) {
+      if (slot.names.length > 1) {
+        code += this.indent(`// TODO: Initialize ${slot.names.join(' or ')} from ${slot.name}`, 3) + '\n';
+      } else if (!properties.has(slot.name)) {
+        continue;
+      } else if (slot.optional && !slot.isVarargs) {
+        code += this.indent(`if (${slot.name} !== undefined) this.${slot.name} = ${slot.name};`, 3) + '\n';
+      } else {
+        code += this.indent(`this.${slot.name} = ${slot.name};`, 3) + '\n';
+      }
+    }
+    
+    return code + this.indent('}\n\n', 2);
+  }
+  
+  // The names of the properties a constructor may assign: the class's own instance properties and
+  // those it inherits that are neither private nor readonly
+  findAssignableProperties(classObj, classDiagram) {
+    const inherited = this.findAncestorClasses(classObj, classDiagram)
+      .flatMap(ancestor => ancestor.attributes)
+      .filter(attr => attr.visibility !== 'private' && !attr.isFinal);
+    const properties = [...classObj.attributes, ...this.findAssociationFields(classObj, classDiagram), ...inherited];
+    
+    return new Set(properties.filter(attr => !attr.isStatic).map(attr => attr.name));
+  }
+  
+  // The implementation following overload signatures, with parameter and return types covering all of them
+  generateOverloadImplementation(overloads) {
+    const method = overloads[0];
+    const returnTypes = [...new Set(overloads.map(overload => this.mapTsType(overload.returnType)))];
+    const generics = overloads.flatMap(overload => overload.generics)
+      .filter((typeParameter, i, all) => all.findIndex(other => other.name === typeParameter.name) === i);
+    const slots = this.mergeOverloadParameters(overloads);
+    
+    let code = this.indent(`${this.mapTsVisibility(method.visibility)} `, 2);
+    
+    if (method.isStatic) {
+      code += 'static ';
+    }
+    
+    if (overloads.some(overload => overload.overrides === 'abstract' || overload.overrides === 'class')) {
+      code += 'override ';
+    }
+    
+    code += `${method.name}${this.formatTypeParameters({ generics })}(${slots.map(slot => this.formatTsSlot(slot)).join(', ')}): ${returnTypes.join(' | ')} {\n`;
+    code += this.indent('// TODO: Implement method', 3) + '\n';
+    
+    if (returnTypes.length > 1 || returnTypes[0] !== 'void') {
+      code += this.indent(this.tsReturnStatement(returnTypes.length === 1 ? returnTypes[0] : null), 3) + '\n';
+    }
+    
+    return code + this.indent('}\n\n', 2);
+  }
+  
+  // A parameter of the implementation behind overloads, e.g. 'idOrName?: number | string'
+  formatTsSlot(slot) {
+    const types = [...new Set(slot.types.map(type => this.mapTsType(type)))].join(' | ');
+    if (slot.isVarargs) return `...${slot.name}: ${types}`;
+    return `${slot.name}${slot.optional ? '?' : ''}: ${types}`;
+  }
+  
+  // 'return 0;' and the like, a placeholder for the result of a method
+  tsReturnStatement(mappedReturnType) {
+    if (mappedReturnType === 'boolean') return 'return false;';
+    if (mappedReturnType === 'number') return 'return 0;';
+    if (mappedReturnType === 'string') return 'return "";';
+    return 'return null as any;';
+  }
+  
   generateInterface(interfaceObj, classDiagram) {
     let code = '';
     
     // Interface documentation
     code += this.indent(`/**\n`);
-    code += this.indent(` * ${interfaceObj.name} interface\n`);
+    code += this.indent(` * ${this.getDisplayName(interfaceObj)} interface\n`);
     code += this.indent(` */\n`);
     
     // Interface declaration
     code += this.indent('export interface ' + interfaceObj.name);
     
     // Generic parameters
-    if (interfaceObj.generics.length > 0) {
-      code += '<' + interfaceObj.generics.join(', ') + '>';
+    code += this.formatTypeParameters(interfaceObj);
+    
+    // Extended interfaces
+    const extendedInterfaces = this.findExtendedInterfaces(interfaceObj, classDiagram);
+    if (extendedInterfaces.length > 0) {
+      code += ' extends ' + extendedInterfaces.map(i => this.formatBaseType(interfaceObj, i, classDiagram)).join(', ');
     }
     
     code += ' {\n';
@@ -233,11 +395,11 @@ class TypeScriptGenerator extends BaseGenerator {
       code += this.indent(` */\n`, 2);
       
       // Method signature
-      code += this.indent(`${method.name}(`, 2);
+      code += this.indent(`${method.name}${this.formatTypeParameters(method)}(`, 2);
       
       // Parameters
       code += method.parameters.map(
-        param => `${param.name}: ${this.mapTsType(param.type)}`
+        param => this.formatTsParameter(param)
       ).join(', ');
       
       code += `): ${this.mapTsType(method.returnType)};\n\n`;
@@ -253,7 +415,7 @@ class TypeScriptGenerator extends BaseGenerator {
     
     // Enum documentation
     code += this.indent(`/**\n`);
-    code += this.indent(` * ${enumObj.name} enum\n`);
+    code += this.indent(` * ${this.getDisplayName(enumObj)} enum\n`);
     code += this.indent(` */\n`);
     
     // Enum declaration
@@ -282,23 +444,48 @@ class TypeScriptGenerator extends BaseGenerator {
     }
   }
   
+  mapType(type) {
+    return this.mapTsType(type);
+  }
+  
+  mapFieldType(attr) {
+    return this.mapTsFieldType(attr);
+  }
+  
+  mapTsFieldType(attr) {
+    const type = this.mapTsType(attr.type);
+    if (!attr.isCollection) return type;
+    return type.includes(' | ') ? `(${type})[]` : `${type}[]`;
+  }
+  
+  formatTsParameter(param) {
+    return `${this.isVarargs(param) ? '...' : ''}${param.name}: ${this.mapTsType(param.type)}`;
+  }
+  
   mapTsType(type) {
     if (!type) return 'void';
+    type = this.simplifyType(type);
     
-    // Handle complex generic types
-    if (this.isComplexGenericType(type)) {
-      // Extract the base type (e.g., "Map" from "Map<String, Integer>")
-      const baseType = this.extractBaseGenericType(type).toLowerCase();
+    // Varargs are typed as an array; formatTsParameter() adds the rest '...'
+    const typeRef = this.parseType(type);
+    if (typeRef.isArray || typeRef.isNullable) {
+      const mapped = this.mapTsType(typeRef.elementType.toString()) +
+        '[]'.repeat(typeRef.arrayDimensions + (typeRef.isVarargs ? 1 : 0));
+      return typeRef.isNullable ? `${mapped} | null` : mapped;
+    }
+    
+    // Generic types keep their arguments, mapped recursively; lists become arrays such as 'number[]'
+    if (typeRef.typeArguments.length > 0) {
+      const typeArguments = typeRef.typeArguments.map(argument => this.mapTsType(argument.toString()));
+      const baseType = typeRef.name.toLowerCase();
       
-      // Map common collection types
-      switch (baseType) {
-        case 'list': case 'arraylist': return 'Array<any>';
-        case 'map': case 'hashmap': return 'Map<any, any>';
-        case 'set': case 'hashset': return 'Set<any>';
-        case 'collection': return 'Array<any>';
-        case 'iterable': return 'Iterable<any>';
-        default: return `${baseType.charAt(0).toUpperCase() + baseType.slice(1)}<any>`;
+      if (baseType === 'optional' && typeArguments.length === 1) {
+        return `${typeArguments[0]} | null`;
+      }
+      if (ARRAY_TYPES.includes(baseType) && typeArguments.length === 1) {
+        return /[ |]/.test(typeArguments[0]) ? `(${typeArguments[0]})[]` : `${typeArguments[0]}[]`;
       }
+      return `${GENERIC_TYPES[baseType] || typeRef.name}<${typeArguments.join(', ')}>`;
     }
     
     // Regular type mapping
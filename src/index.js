@@ -1,4 +1,6 @@
+const { performance } = require('perf_hooks');
 const PlantUMLParser = require('./parser/PlantUMLParser');
+const PlantUMLSyntaxError = require('./errors/PlantUMLSyntaxError');
 const JavaGenerator = require('./generators/JavaGenerator');
 const CSharpGenerator = require('./generators/CSharpGenerator');
 const PythonGenerator = require('./generators/PythonGenerator');
@@ -6,9 +8,22 @@ const RubyGenerator = require('./generators/RubyGenerator');
 const KotlinGenerator = require('./generators/KotlinGenerator');
 const JavaScriptGenerator = require('./generators/JavaScriptGenerator');
 const TypeScriptGenerator = require('./generators/TypeScriptGenerator');
+const GoGenerator = require('./generators/GoGenerator');
+const RustGenerator = require('./generators/RustGenerator');
+const SwiftGenerator = require('./generators/SwiftGenerator');
+const PhpGenerator = require('./generators/PhpGenerator');
+const CppGenerator = require('./generators/CppGenerator');
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
 
 class PlantUMLTranspiler {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.logger] - Receives progress and diagnostic messages through its
+   *   debug/info/warn/error methods, e.g. console; missing methods are ignored. Silent by default.
+   */
+  constructor(options = {}) {
+    this.logger = this.createLogger(options.logger);
     this.parser = new PlantUMLParser();
     this.generators = {
       'java': new JavaGenerator(),
@@ -17,11 +32,108 @@ class PlantUMLTranspiler {
       'ruby': new RubyGenerator(),
       'kotlin': new KotlinGenerator(),
       'javascript': new JavaScriptGenerator(),
-      'typescript': new TypeScriptGenerator()
+      'typescript': new TypeScriptGenerator(),
+      'go': new GoGenerator(),
+      'rust': new RustGenerator(),
+      'swift': new SwiftGenerator(),
+      'php': new PhpGenerator(),
+      'cpp': new CppGenerator()
     };
   }
   
-  transpile(plantUmlCode, targetLanguage) {
+  /**
+   * Transpiles a PlantUML class diagram to the target language.
+   * @param {string} plantUmlCode - The PlantUML source
+   * @param {string} targetLanguage - One of getSupportedLanguages()
+   * @param {Object} [options]
+   * @param {boolean} [options.strict=false] - Throw a PlantUMLSyntaxError if the diagram has parse errors
+   * @returns {string} - The generated code
+   */
+  transpile(plantUmlCode, targetLanguage, options = {}) {
+    return this.transpileWithReport(plantUmlCode, targetLanguage, options).code;
+  }
+  
+  /**
+   * Transpiles a PlantUML class diagram and reports on what was found.
+   * @param {string} plantUmlCode - The PlantUML source
+   * @param {string} targetLanguage - One of getSupportedLanguages()
+   * @param {Object} [options] - Same options as transpile()
+   * @returns {{language: string, code: string, stats: Object, diagnostics: Diagnostic[], timing: Object}} -
+   *   The generated code, entity and relationship counts, parse diagnostics followed by warnings about
+   *   what the target language cannot represent, and the time spent parsing and generating in milliseconds
+   */
+  transpileWithReport(plantUmlCode, targetLanguage, options = {}) {
+    const startTime = performance.now();
+    const { classDiagram, language } = this.prepare(plantUmlCode, targetLanguage, options);
+    const parsedTime = performance.now();
+    
+    this.logger.debug(`Transpiling to ${language}`);
+    this.logger.debug(`Found ${classDiagram.classes.length} classes, ${classDiagram.interfaces.length} interfaces, ` +
+      `${classDiagram.enums.length} enums and ${classDiagram.relationships.length} relationships`);
+    
+    // Generate code for the target language
+    const generator = this.generators[language];
+    const code = generator.generate(classDiagram);
+    const endTime = performance.now();
+    
+    this.logGeneratorWarnings(generator);
+    const diagnostics = [...classDiagram.diagnostics, ...generator.diagnostics];
+    
+    this.logger.info(`Generated ${language} code in ${(endTime - startTime).toFixed(1)} ms`);
+    
+    return {
+      language,
+      code,
+      stats: {
+        classes: classDiagram.classes.length,
+        interfaces: classDiagram.interfaces.length,
+        enums: classDiagram.enums.length,
+        packages: Object.keys(classDiagram.packages).length,
+        relationships: classDiagram.relationships.length,
+        warnings: diagnostics.filter(d => d.severity === 'warning').length,
+        errors: diagnostics.filter(d => d.severity === 'error').length
+      },
+      diagnostics,
+      timing: {
+        parseMs: parsedTime - startTime,
+        generateMs: endTime - parsedTime,
+        totalMs: endTime - startTime
+      }
+    };
+  }
+  
+  /**
+   * Transpiles a PlantUML class diagram to one source file per class, interface and enum.
+   * @param {string} plantUmlCode - The PlantUML source
+   * @param {string} targetLanguage - One of getSupportedLanguages()
+   * @param {Object} [options] - Same options as transpile()
+   * @returns {Object<string, string>} - File contents keyed by relative path, e.g. 'com/example/model/User.java'
+   */
+  transpileToFiles(plantUmlCode, targetLanguage, options = {}) {
+    const { classDiagram, language } = this.prepare(plantUmlCode, targetLanguage, options);
+    const files = this.generators[language].generateFiles(classDiagram);
+    
+    this.logGeneratorWarnings(this.generators[language]);
+    return files;
+  }
+  
+  /**
+   * Sets how one target language renders a stereotype, e.g. <<AggregateRoot>> as an annotation
+   * @param {string} targetLanguage - One of getSupportedLanguages()
+   * @param {string} stereotype - Stereotype name, e.g. 'AggregateRoot'
+   * @param {Object} mapping - { annotations, baseClass, imports }, see BaseGenerator.registerStereotype()
+   */
+  registerStereotype(targetLanguage, stereotype, mapping) {
+    const generator = this.generators[targetLanguage.toLowerCase()];
+    if (!generator) {
+      throw new Error(`Unsupported target language: ${targetLanguage}`);
+    }
+    
+    generator.registerStereotype(stereotype, mapping);
+  }
+  
+  // Validates the input and parses it, returning the diagram and the normalized language key
+  prepare(plantUmlCode, targetLanguage, options) {
     // Validate input
     if (!plantUmlCode || plantUmlCode.trim() === '') {
       throw new Error('PlantUML code cannot be empty');
@@ -38,15 +150,36 @@ class PlantUMLTranspiler {
     // Parse PlantUML code to intermediate representation
     const classDiagram = this.parser.parse(plantUmlCode);
     
-    // DEBUGGING: Log what we found during parsing
-    console.log(`Transpiling to ${language}`);
-    console.log(`Found ${classDiagram.classes.length} classes`);
-    console.log(`Found ${classDiagram.interfaces.length} interfaces`);
-    console.log(`Found ${classDiagram.enums.length} enums`);
-    console.log(`Found ${classDiagram.relationships.length} relationships`);
+    for (const diagnostic of classDiagram.diagnostics) {
+      const level = { error: 'error', warning: 'warn' }[diagnostic.severity] || 'info';
+      this.logger[level](diagnostic.toString());
+    }
     
-    // Generate code for the target language
-    return this.generators[language].generate(classDiagram);
+    // In strict mode, refuse to generate code from a diagram with unparsed input
+    if (options.strict) {
+      const errors = classDiagram.diagnostics.filter(d => d.severity === 'error');
+      if (errors.length > 0) {
+        throw new PlantUMLSyntaxError(errors);
+      }
+    }
+    
+    return { classDiagram, language };
+  }
+  
+  // Logs what the last generation could not represent, such as overloads JavaScript cannot tell apart
+  logGeneratorWarnings(generator) {
+    for (const diagnostic of generator.diagnostics) {
+      this.logger.warn(diagnostic.toString());
+    }
+  }
+  
+  // Fills in the levels a logger lacks, so console or a partial logger can be passed
+  createLogger(logger) {
+    const normalized = {};
+    for (const level of LOG_LEVELS) {
+      normalized[level] = logger && typeof logger[level] === 'function' ? logger[level].bind(logger) : () => {};
+    }
+    return normalized;
   }
   
   getSupportedLanguages() {
@@ -59,10 +192,16 @@ module.exports = PlantUMLTranspiler;
 
 // Also export individual components for advanced usage
 module.exports.PlantUMLParser = PlantUMLParser;
+module.exports.PlantUMLSyntaxError = PlantUMLSyntaxError;
 module.exports.JavaGenerator = JavaGenerator;
 module.exports.CSharpGenerator = CSharpGenerator;
 module.exports.PythonGenerator = PythonGenerator;
 module.exports.RubyGenerator = RubyGenerator;
 module.exports.KotlinGenerator = KotlinGenerator;
 module.exports.JavaScriptGenerator = JavaScriptGenerator;
-module.exports.TypeScriptGenerator = TypeScriptGenerator;
\ No newline at end of file
+module.exports.TypeScriptGenerator = TypeScriptGenerator;
+module.exports.GoGenerator = GoGenerator;
+module.exports.RustGenerator = RustGenerator;
+module.exports.SwiftGenerator = SwiftGenerator;
+module.exports.PhpGenerator = PhpGenerator;
+module.exports.CppGenerator = CppGenerator;
\ No newline at end of file
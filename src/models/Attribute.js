@@ -1,3 +1,5 @@
+const TypeRef = require('./TypeRef');
+
 class Attribute {
   constructor(name, type, visibility = 'private', isStatic = false, isFinal = false) {
     this.name = name;
@@ -5,6 +7,14 @@ class Attribute {
     this.visibility = visibility; // 'public', 'private', 'protected', 'package'
     this.isStatic = isStatic;
     this.isFinal = isFinal;
+    this.defaultValue = null; // Initial value as written in the diagram, e.g. '0', '"draft"' or 'Status.ACTIVE'
+    this.isCollection = false; // Holds many values, e.g. a field for the '0..*' end of an association
+    this.location = null; // SourceLocation in the PlantUML source
+  }
+  
+  // The type broken into base name, generic arguments, array dimensions and nullability
+  get typeRef() {
+    return TypeRef.parse(this.type);
   }
 }
 
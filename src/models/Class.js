@@ -3,10 +3,19 @@ class Class {
     this.name = name;
     this.isAbstract = isAbstract;
     this.packageName = packageName;
+    this.displayName = name; // Name shown in the diagram, e.g. "Order Line Item"
+    this.alias = null; // Alternative name relationships may use to refer to this entity
+    this.stereotypes = []; // Stereotype names, e.g. ['Entity'] for <<Entity>>
     this.attributes = []; // Array of Attribute objects
     this.methods = []; // Array of Method objects
     this.constructors = []; // Array of Method objects specifically for constructors
-    this.generics = []; // Array of strings representing generic type parameters
+    this.generics = []; // Array of TypeParameter objects, e.g. 'T extends Entity'
+    this.location = null; // SourceLocation in the PlantUML source
+  }
+  
+  // Name including the package, e.g. 'com.example.model.User'; unique within a diagram
+  get qualifiedName() {
+    return this.packageName ? `${this.packageName}.${this.name}` : this.name;
   }
 }
 
@@ -4,7 +4,8 @@ class ClassDiagram {
     this.interfaces = [];
     this.enums = [];
     this.relationships = [];
-    this.packages = {};
+    this.packages = {}; // Map of qualified package name to Package, for nested packages too
+    this.diagnostics = []; // Array of Diagnostic objects collected while parsing
   }
 }
 
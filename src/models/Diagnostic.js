@@ -0,0 +1,16 @@
+class Diagnostic {
+  constructor(severity, code, message, line, column, text = '') {
+    this.severity = severity; // 'error', 'warning' or 'info'
+    this.code = code; // Stable identifier such as 'unrecognized-statement'
+    this.message = message;
+    this.line = line; // 1-based position in the PlantUML source
+    this.column = column;
+    this.text = text; // The offending source text
+  }
+  
+  toString() {
+    return `${this.line}:${this.column} ${this.severity} ${this.code}: ${this.message}`;
+  }
+}
+
+module.exports = Diagnostic;
\ No newline at end of file
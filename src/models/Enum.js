@@ -2,7 +2,16 @@ class Enum {
   constructor(name, packageName = null) {
     this.name = name;
     this.packageName = packageName;
+    this.displayName = name; // Name shown in the diagram, e.g. "Order Line Item"
+    this.alias = null; // Alternative name relationships may use to refer to this entity
+    this.stereotypes = []; // Stereotype names, e.g. ['Entity'] for <<Entity>>
     this.values = []; // Array of strings representing enum values
+    this.location = null; // SourceLocation in the PlantUML source
+  }
+  
+  // Name including the package, e.g. 'com.example.model.User'; unique within a diagram
+  get qualifiedName() {
+    return this.packageName ? `${this.packageName}.${this.name}` : this.name;
   }
 }
 
@@ -2,8 +2,17 @@ class Interface {
   constructor(name, packageName = null) {
     this.name = name;
     this.packageName = packageName;
+    this.displayName = name; // Name shown in the diagram, e.g. "Order Line Item"
+    this.alias = null; // Alternative name relationships may use to refer to this entity
+    this.stereotypes = []; // Stereotype names, e.g. ['Entity'] for <<Entity>>
     this.methods = []; // Array of Method objects
-    this.generics = []; // Array of strings representing generic type parameters
+    this.generics = []; // Array of TypeParameter objects, e.g. 'T extends Entity'
+    this.location = null; // SourceLocation in the PlantUML source
+  }
+  
+  // Name including the package, e.g. 'com.example.model.User'; unique within a diagram
+  get qualifiedName() {
+    return this.packageName ? `${this.packageName}.${this.name}` : this.name;
   }
 }
 
@@ -1,3 +1,5 @@
+const TypeRef = require('./TypeRef');
+
 class Method {
   constructor(name, returnType, parameters = [], visibility = 'public', isStatic = false, isAbstract = false) {
     this.name = name;
@@ -6,6 +8,14 @@ class Method {
     this.visibility = visibility; // 'public', 'private', 'protected', 'package'
     this.isStatic = isStatic;
     this.isAbstract = isAbstract;
+    this.generics = []; // Array of TypeParameter objects of a generic method, e.g. '<T>'
+    this.overrides = null; // 'interface', 'abstract' or 'class' when the method implements or overrides an inherited one
+    this.location = null; // SourceLocation in the PlantUML source
+  }
+  
+  // The return type broken into base name, generic arguments, array dimensions and nullability
+  get returnTypeRef() {
+    return TypeRef.parse(this.returnType);
   }
 }
 
@@ -0,0 +1,12 @@
+class Package {
+  constructor(name, parent = null) {
+    this.name = name; // Fully qualified, e.g. 'com.example.model'
+    this.parent = parent; // Qualified name of the enclosing package, or null at the top level
+    this.localName = parent ? name.slice(parent.length + 1) : name; // Name within the parent, e.g. 'model'
+    this.packages = []; // Qualified names of the packages nested directly in this one
+    this.entities = []; // Array of class/interface/enum names declared in this package
+    this.location = null; // SourceLocation of the first declaration
+  }
+}
+
+module.exports = Package;
\ No newline at end of file
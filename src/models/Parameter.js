@@ -1,7 +1,17 @@
+const TypeRef = require('./TypeRef');
+
 class Parameter {
   constructor(name, type) {
     this.name = name;
     this.type = type;
+    this.location = null; // SourceLocation in the PlantUML source
+    this.isOptional = false; // Only some of the overloads merged into one method have it
+    this.mergedNames = []; // Names of the parameters merged into this one when they differ, e.g. ['id', 'name']
+  }
+  
+  // The type broken into base name, generic arguments, array dimensions, varargs and nullability
+  get typeRef() {
+    return TypeRef.parse(this.type);
   }
 }
 
@@ -1,9 +1,15 @@
 class Relationship {
   constructor(sourceClass, targetClass, type, label = '') {
-    this.sourceClass = sourceClass;
+    this.sourceClass = sourceClass; // Qualified name, e.g. 'com.example.Order'
     this.targetClass = targetClass;
     this.type = type; // 'inheritance', 'implementation', 'association', 'aggregation', 'composition', 'dependency'
-    this.label = label; // Relationship description (e.g. multiplicity)
+    this.label = label; // Relationship description shown on the line, e.g. 'owns'
+    this.sourceMultiplicity = null; // e.g. '1'
+    this.targetMultiplicity = null; // e.g. '0..*'
+    this.sourceRole = null; // Role name of the source end
+    this.targetRole = null; // Role name of the target end, e.g. 'lines'
+    this.typeArguments = []; // Types given to the target's type parameters, e.g. ['User'] for 'implements Repository<User>'
+    this.location = null; // SourceLocation in the PlantUML source
   }
 }
 
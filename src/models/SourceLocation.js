@@ -0,0 +1,12 @@
+class SourceLocation {
+  constructor(startLine, startColumn, endLine, endColumn) {
+    this.start = { line: startLine, column: startColumn }; // 1-based line and column
+    this.end = { line: endLine, column: endColumn }; // Column just past the last character
+  }
+  
+  toString() {
+    return `${this.start.line}:${this.start.column}`;
+  }
+}
+
+module.exports = SourceLocation;
\ No newline at end of file
@@ -0,0 +1,14 @@
+class TypeParameter {
+  constructor(name, bounds = [], variance = null) {
+    this.name = name;
+    this.bounds = bounds; // Upper bounds as type strings, e.g. ['Entity'] for 'T extends Entity'
+    this.variance = variance; // 'in', 'out' or null
+    this.location = null; // SourceLocation in the PlantUML source
+  }
+  
+  toString() {
+    return this.name;
+  }
+}
+
+module.exports = TypeParameter;
\ No newline at end of file
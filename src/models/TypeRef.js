@@ -0,0 +1,91 @@
+// Splits 'Map<String, List<User>>[]?' into its base name, generic arguments and suffixes
+const TYPE_TOKEN_PATTERN = /\s*(\.\.\.|[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*|\[\s*\]|[<>,?])/y;
+
+class TypeRef {
+  constructor(name, typeArguments = []) {
+    this.name = name; // Base name, e.g. 'Map' for 'Map<String, User>'
+    this.typeArguments = typeArguments; // Array of TypeRef objects
+    this.arrayDimensions = 0; // 2 for 'int[][]'
+    this.isVarargs = false; // 'String...'
+    this.isNullable = false; // 'String?'
+  }
+  
+  /**
+   * Parses a type as written in the diagram. Text that is not a well-formed type is kept
+   * whole as the name, so nothing written in the diagram is lost.
+   * @param {string} text - The type, e.g. 'int[]', 'String...' or 'List<User>?'
+   * @returns {TypeRef|null} - The parsed type, or null for an empty type
+   */
+  static parse(text) {
+    if (!text || !text.trim()) return null;
+    
+    const tokens = [];
+    TYPE_TOKEN_PATTERN.lastIndex = 0;
+    let match;
+    while (TYPE_TOKEN_PATTERN.lastIndex < text.length && (match = TYPE_TOKEN_PATTERN.exec(text))) {
+      tokens.push(match[1].replace(/\s+/g, ''));
+    }
+    
+    const fallback = new TypeRef(text.trim());
+    if (tokens.join('') !== text.replace(/\s+/g, '')) return fallback;
+    
+    const state = { tokens, index: 0 };
+    const typeRef = TypeRef.parseTokens(state);
+    return typeRef && state.index === tokens.length ? typeRef : fallback;
+  }
+  
+  static parseTokens(state) {
+    const name = state.tokens[state.index];
+    if (!name || !/^[A-Za-z_$]/.test(name)) return null;
+    state.index++;
+    
+    const typeRef = new TypeRef(name);
+    if (state.tokens[state.index] === '<') {
+      state.index++;
+      while (true) {
+        const argument = TypeRef.parseTokens(state);
+        if (!argument) return null;
+        typeRef.typeArguments.push(argument);
+        
+        const separator = state.tokens[state.index++];
+        if (separator === '>') break;
+        if (separator !== ',') return null;
+      }
+    }
+    
+    // '?' may be written before or after the array brackets; either way it makes the type nullable
+    for (let token = state.tokens[state.index]; token === '?' || token === '[]'; token = state.tokens[++state.index]) {
+      if (token === '?') typeRef.isNullable = true;
+      else typeRef.arrayDimensions++;
+    }
+    
+    if (state.tokens[state.index] === '...') {
+      state.index++;
+      typeRef.isVarargs = true;
+    }
+    
+    return typeRef;
+  }
+  
+  get isArray() {
+    return this.arrayDimensions > 0 || this.isVarargs;
+  }
+  
+  // The type without array dimensions, varargs and nullability, e.g. 'List<User>' for 'List<User>[]?'
+  get elementType() {
+    return new TypeRef(this.name, this.typeArguments);
+  }
+  
+  toString() {
+    let text = this.name;
+    if (this.typeArguments.length > 0) {
+      text += `<${this.typeArguments.map(argument => argument.toString()).join(', ')}>`;
+    }
+    text += '[]'.repeat(this.arrayDimensions);
+    if (this.isNullable) text += '?';
+    if (this.isVarargs) text += '...';
+    return text;
+  }
+}
+
+module.exports = TypeRef;
\ No newline at end of file
@@ -0,0 +1,477 @@
+const ClassDiagram = require('../models/ClassDiagram');
+const Class = require('../models/Class');
+const Interface = require('../models/Interface');
+const Enum = require('../models/Enum');
+const Attribute = require('../models/Attribute');
+const Method = require('../models/Method');
+const Parameter = require('../models/Parameter');
+const TypeParameter = require('../models/TypeParameter');
+const Relationship = require('../models/Relationship');
+const Package = require('../models/Package');
+const Diagnostic = require('../models/Diagnostic');
+
+/**
+ * Converts the syntax tree produced by PlantUMLParser into a ClassDiagram,
+ * copying the source location of every node onto the model built from it.
+ */
+class DiagramBuilder {
+  build(ast) {
+    this.diagram = new ClassDiagram();
+    this.relationshipSet = new Set();
+    this.pendingRelationships = [];
+    this.aliases = new Map(); // Alias or display name -> qualified name
+    this.namespaceSeparator = '.'; // Changed by 'set namespaceSeparator'; null for 'none'
+    this.diagram.diagnostics.push(...(ast.diagnostics || []));
+    
+    this.visitStatements(ast.body, null);
+    
+    // Relationships may mention an alias or a class before the entity declaring it, so they
+    // are resolved once every entity is known
+    for (const { relationship, packageName } of this.pendingRelationships) {
+      this.resolveRelationship(relationship, packageName);
+    }
+    this.diagram.diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+    
+    return this.diagram;
+  }
+  
+  visitStatements(statements, packageName) {
+    for (const statement of statements) {
+      switch (statement.type) {
+        case 'PackageDeclaration':
+          this.visitPackage(statement, packageName);
+          break;
+        case 'NamespaceSeparator':
+          this.namespaceSeparator = statement.separator === 'none' ? null : statement.separator;
+          break;
+        case 'EntityDeclaration':
+          this.visitEntity(statement, packageName);
+          break;
+        case 'Relationship':
+          this.visitRelationship(statement, packageName);
+          break;
+      }
+    }
+  }
+  
+  // 'package com.example' inside 'package org' declares org, org.com and org.com.example; qualified
+  // names always use '.', whatever separator the diagram writes them with
+  visitPackage(node, parentName) {
+    const name = this.declarePackage(this.splitNamespace(node.name), parentName, node.loc);
+    this.visitStatements(node.body, name);
+  }
+  
+  // Creates the packages named by parts below parentName and returns the qualified name of the innermost
+  declarePackage(parts, parentName, location) {
+    let name = parentName;
+    
+    for (const part of parts) {
+      const parent = name;
+      name = parent ? `${parent}.${part}` : part;
+      
+      // A package may be opened more than once; later blocks add to the same package
+      if (!this.diagram.packages[name]) {
+        const packageObj = new Package(name, parent);
+        packageObj.location = location;
+        this.diagram.packages[name] = packageObj;
+        
+        if (parent) {
+          this.diagram.packages[parent].packages.push(name);
+        }
+      }
+    }
+    
+    return name;
+  }
+  
+  splitNamespace(name) {
+    if (!this.namespaceSeparator) return [name];
+    return name.split(this.namespaceSeparator).filter(part => part);
+  }
+  
+  visitEntity(node, packageName) {
+    const names = this.entityNames(node);
+    
+    // 'class com.example.User' declares User in the package com.example, wherever it is written
+    const parts = this.splitNamespace(names.name);
+    const name = parts.pop() || names.name;
+    if (parts.length > 0) {
+      packageName = this.declarePackage(parts, null, node.loc);
+    }
+    
+    const qualifiedName = packageName ? `${packageName}.${name}` : name;
+    let entity = this.findEntity(this.aliases.get(names.name) || qualifiedName);
+    
+    if (!entity) {
+      entity = this.createEntity(name, node, packageName);
+      entity.displayName = names.displayName === names.name ? name : names.displayName;
+      entity.alias = names.alias;
+      entity.location = node.loc;
+      this.registerAliases(entity);
+      
+      if (packageName) {
+        this.diagram.packages[packageName].entities.push(entity.name);
+      }
+    }
+    
+    for (const stereotype of node.stereotypes.flatMap(text => this.parseStereotype(text))) {
+      if (!entity.stereotypes.includes(stereotype)) {
+        entity.stereotypes.push(stereotype);
+      }
+    }
+    
+    for (const parentName of node.extends) {
+      // 'interface A extends B' is the same as 'A --|> B'; enums cannot extend anything
+      if (node.entityType === 'enum') {
+        this.report('warning', 'unsupported-inheritance', `Enum '${entity.name}' cannot extend '${parentName}'; it is ignored`, node);
+        continue;
+      }
+      
+      const relationship = new Relationship(entity.qualifiedName, parentName, 'inheritance');
+      relationship.typeArguments = (node.baseTypeArguments[parentName] || []).map(type => this.normalizeType(type));
+      this.addRelationship(relationship, node.loc, packageName);
+    }
+    
+    for (const interfaceName of node.implements) {
+      const relationship = new Relationship(entity.qualifiedName, interfaceName, 'implementation');
+      relationship.typeArguments = (node.baseTypeArguments[interfaceName] || []).map(type => this.normalizeType(type));
+      this.addRelationship(relationship, node.loc, packageName);
+    }
+    
+    for (const member of node.members) {
+      this.visitMember(member, entity);
+    }
+  }
+  
+  // Works out the code identifier, display name and alias of an entity declaration:
+  //   class "Order Line Item" as OrderLineItem  -> OrderLineItem, shown as "Order Line Item"
+  //   class Customer as C                       -> Customer, also referred to as C
+  //   class Customer as "Valued Customer"       -> Customer, shown as "Valued Customer"
+  entityNames(node) {
+    if (!node.nameQuoted) {
+      if (node.alias && node.aliasQuoted) {
+        return { name: node.name, displayName: node.alias, alias: null };
+      }
+      return { name: node.name, displayName: node.name, alias: node.alias };
+    }
+    
+    if (node.alias && !node.aliasQuoted) {
+      return { name: node.alias, displayName: node.name, alias: null };
+    }
+    
+    return { name: this.toIdentifier(node.name), displayName: node.name, alias: null };
+  }
+  
+  // Turns a display name such as "Order line item" into an identifier like OrderLineItem
+  toIdentifier(displayName) {
+    const identifier = displayName
+      .split(/[^A-Za-z0-9_]+/)
+      .filter(part => part)
+      .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+      .join('');
+    
+    return /^[0-9]/.test(identifier) ? '_' + identifier : identifier || '_';
+  }
+  
+  // '(E,#FF7700) Entity' -> ['Entity'], 'Entity, Auditable' -> ['Entity', 'Auditable']; the
+  // spot character and its color only affect rendering
+  parseStereotype(text) {
+    return text
+      .replace(/^\s*\(\s*\S\s*(?:,[^)]*)?\)/, '')
+      .split(',')
+      .map(name => name.trim())
+      .filter(name => name);
+  }
+  
+  registerAliases(entity) {
+    for (const reference of [entity.alias, entity.displayName]) {
+      if (reference && reference !== entity.name && !this.aliases.has(reference)) {
+        this.aliases.set(reference, entity.qualifiedName);
+      }
+    }
+  }
+  
+  /**
+   * Works out the qualified name of the entity a relationship or member type refers to. Qualified
+   * names ('net.Foo') are taken as they are; a simple name is looked up in the package the
+   * reference is written in, then anywhere in the diagram.
+   * @param {string} name - The name as written, possibly an alias
+   * @param {string|null} packageName - The package the reference appears in
+   * @returns {string} - The qualified name, or the name itself for undeclared entities
+   */
+  resolveName(name, packageName = null) {
+    if (this.aliases.has(name)) {
+      return this.aliases.get(name);
+    }
+    
+    const qualifiedName = this.splitNamespace(name).join('.');
+    const candidates = [qualifiedName];
+    if (packageName) {
+      candidates.unshift(`${packageName}.${qualifiedName}`);
+    }
+    
+    for (const candidate of candidates) {
+      if (this.findEntity(candidate)) return candidate;
+    }
+    
+    if (!qualifiedName.includes('.')) {
+      const entity = this.allEntities().find(e => e.name === qualifiedName);
+      if (entity) return entity.qualifiedName;
+    }
+    
+    return qualifiedName;
+  }
+  
+  // Writes qualified names in member types with '.', e.g. 'List<com::example::User>' after 'set namespaceSeparator ::'
+  normalizeType(type) {
+    if (!type || !this.namespaceSeparator || this.namespaceSeparator === '.') return type;
+    return type.split(this.namespaceSeparator).join('.');
+  }
+  
+  createEntity(name, node, packageName) {
+    switch (node.entityType) {
+      case 'interface': {
+        const newInterface = new Interface(name, packageName);
+        newInterface.generics = node.generics.map(param => this.createTypeParameter(param));
+        this.diagram.interfaces.push(newInterface);
+        return newInterface;
+      }
+      case 'enum': {
+        const newEnum = new Enum(name, packageName);
+        this.diagram.enums.push(newEnum);
+        return newEnum;
+      }
+      default: {
+        const newClass = new Class(name, node.isAbstract, packageName);
+        newClass.generics = node.generics.map(param => this.createTypeParameter(param));
+        this.diagram.classes.push(newClass);
+        return newClass;
+      }
+    }
+  }
+  
+  createTypeParameter(node) {
+    const typeParameter = new TypeParameter(node.name, node.bounds.map(bound => this.normalizeType(bound)), node.variance);
+    typeParameter.location = node.loc;
+    return typeParameter;
+  }
+  
+  visitMember(node, entity) {
+    switch (node.type) {
+      case 'EnumConstant':
+        if (entity.values) {
+          entity.values.push(node.name);
+        }
+        break;
+      
+      case 'Method':
+      case 'Attribute':
+        if (!this.entitySupportsMember(entity, node)) {
+          this.report('warning', 'unsupported-member',
+            `${this.describeMember(entity, node)} cannot be represented and is ignored`, node);
+          break;
+        }
+        if (node.type === 'Method') {
+          this.visitMethod(node, entity);
+        } else {
+          this.visitAttribute(node, entity);
+        }
+        break;
+    }
+  }
+  
+  visitMethod(node, entity) {
+    const parameters = node.parameters.map(param => this.createParameter(param));
+    
+    if (this.isConstructor(node, entity)) {
+      const constructor = new Method(entity.name, null, parameters, this.parseVisibility(node.visibility));
+      constructor.location = node.loc;
+      entity.constructors.push(constructor);
+      return;
+    }
+    
+    const method = new Method(
+      node.name,
+      this.normalizeType(node.returnType) || 'void',
+      parameters,
+      this.parseVisibility(node.visibility),
+      node.modifiers.includes('static'),
+      node.modifiers.includes('abstract')
+    );
+    method.generics = node.generics.map(param => this.createTypeParameter(param));
+    method.location = node.loc;
+    entity.methods.push(method);
+  }
+  
+  visitAttribute(node, entity) {
+    const attribute = new Attribute(
+      node.name,
+      this.normalizeType(node.attributeType) || 'Object',
+      this.parseVisibility(node.visibility),
+      node.modifiers.includes('static'),
+      node.modifiers.includes('final')
+    );
+    attribute.defaultValue = node.defaultValue;
+    attribute.location = node.loc;
+    entity.attributes.push(attribute);
+  }
+  
+  // A method named after its class without a return type is a constructor
+  isConstructor(node, entity) {
+    return node.type === 'Method' && node.name === entity.name && !node.returnType;
+  }
+  
+  entitySupportsMember(entity, node) {
+    if (node.type === 'Attribute') return Boolean(entity.attributes);
+    if (this.isConstructor(node, entity)) return Boolean(entity.constructors);
+    return Boolean(entity.methods);
+  }
+  
+  describeMember(entity, node) {
+    const kind = entity.values ? 'enum' : 'interface';
+    const memberKind = node.type === 'Attribute' ? 'attribute' : this.isConstructor(node, entity) ? 'constructor' : 'method';
+    return `The ${memberKind} '${node.name}' of ${kind} '${entity.name}'`;
+  }
+  
+  report(severity, code, message, node) {
+    this.diagram.diagnostics.push(new Diagnostic(
+      severity, code, message, node.loc.start.line, node.loc.start.column, node.raw || node.name
+    ));
+  }
+  
+  createParameter(node) {
+    const parameter = new Parameter(node.name, this.normalizeType(node.parameterType) || 'Object');
+    parameter.location = node.loc;
+    return parameter;
+  }
+  
+  visitRelationship(node, packageName) {
+    const { type, reversed } = this.interpretArrow(node.arrow);
+    
+    // Relationships are stored source -> target: child -> parent, whole -> part,
+    // client -> supplier, regardless of the direction the arrow was drawn in
+    const source = reversed ? node.right : node.left;
+    const target = reversed ? node.left : node.right;
+    
+    const relationship = new Relationship(source.name, target.name, type, node.label);
+    relationship.sourceMultiplicity = source.multiplicity;
+    relationship.targetMultiplicity = target.multiplicity;
+    relationship.sourceRole = source.role;
+    relationship.targetRole = target.role;
+    
+    // 'Order *--> OrderLine : lines' names the navigable end when no role was quoted there;
+    // a label with a reading direction ('owns >') describes the link instead
+    if (!relationship.targetRole && !node.labelDirection && /^[+\-#~]?[A-Za-z_]\w*$/.test(node.label) &&
+        this.isNavigable(node.arrow, reversed)) {
+      relationship.targetRole = node.label.replace(/^[+\-#~]/, '');
+    }
+    
+    this.addRelationship(relationship, node.loc, packageName);
+  }
+  
+  // Whether the arrow has an arrow head at the target end, e.g. '-->' or '*-->' but not '--' or '*--'
+  isNavigable(arrow, reversed) {
+    return reversed ? arrow.startsWith('<') : arrow.endsWith('>');
+  }
+  
+  // Determines the relationship type of an arrow and whether it points right-to-left
+  interpretArrow(arrow) {
+    const leftHead = (arrow.match(/^(<\||<|\*|o|#|x|\+|\^)/) || [])[1] || '';
+    const rightHead = (arrow.match(/(\|>|>|\*|o|#|x|\+|\^)$/) || [])[1] || '';
+    const dotted = arrow.replace(/\[[^\]]*\]/g, '').includes('.');
+    
+    if (leftHead === '<|' || leftHead === '^' || rightHead === '|>' || rightHead === '^') {
+      return {
+        type: dotted ? 'implementation' : 'inheritance',
+        reversed: leftHead === '<|' || leftHead === '^'
+      };
+    }
+    
+    if (leftHead === '*' || rightHead === '*') {
+      return { type: 'composition', reversed: rightHead === '*' };
+    }
+    
+    if (leftHead === 'o' || rightHead === 'o') {
+      return { type: 'aggregation', reversed: rightHead === 'o' };
+    }
+    
+    return {
+      type: dotted ? 'dependency' : 'association',
+      reversed: leftHead === '<' && rightHead !== '>'
+    };
+  }
+  
+  addRelationship(relationship, location, packageName) {
+    relationship.location = location;
+    this.pendingRelationships.push({ relationship, packageName });
+  }
+  
+  resolveRelationship(relationship, packageName) {
+    relationship.sourceClass = this.resolveName(relationship.sourceClass, packageName);
+    relationship.targetClass = this.resolveName(relationship.targetClass, packageName);
+    
+    // As in PlantUML, a relationship declares the entities it names that were not declared elsewhere
+    relationship.sourceClass = this.declareImplicitEntity(relationship.sourceClass, 'class', relationship.location, packageName);
+    relationship.targetClass = this.declareImplicitEntity(relationship.targetClass,
+      relationship.type === 'implementation' ? 'interface' : 'class', relationship.location, packageName);
+    
+    const relationshipKey = `${relationship.sourceClass}|${relationship.type}|${relationship.targetClass}`;
+    
+    // Ignore relationships that were already declared, e.g. both 'A --|> B' and 'B <|-- A', but keep
+    // type arguments only the other declaration gives, as in 'class A implements B<User>' plus 'A ..|> B'
+    if (this.relationshipSet.has(relationshipKey)) {
+      const declared = this.diagram.relationships.find(r => `${r.sourceClass}|${r.type}|${r.targetClass}` === relationshipKey);
+      if (declared.typeArguments.length === 0) {
+        declared.typeArguments = relationship.typeArguments;
+      }
+      return;
+    }
+    
+    this.relationshipSet.add(relationshipKey);
+    this.diagram.relationships.push(relationship);
+  }
+  
+  // Creates the entity a relationship refers to if it is not declared: 'net.Foo' in the package net,
+  // a simple name in the package the relationship is written in. Returns its qualified name.
+  declareImplicitEntity(name, entityType, location, packageName) {
+    if (this.findEntity(name)) return name;
+    
+    const parts = name.split('.');
+    const simpleName = parts.pop();
+    if (parts.length > 0) {
+      packageName = this.declarePackage(parts, null, location);
+    }
+    
+    // A quoted end such as "Order Line Item" is the display name, as in a declaration
+    const identifier = /^[A-Za-z_$][\w$]*$/.test(simpleName) ? simpleName : this.toIdentifier(simpleName);
+    const entity = this.createEntity(identifier, { entityType, isAbstract: false, generics: [] }, packageName);
+    entity.displayName = simpleName;
+    entity.location = location;
+    this.registerAliases(entity);
+    if (packageName) {
+      this.diagram.packages[packageName].entities.push(entity.name);
+    }
+    
+    return entity.qualifiedName;
+  }
+  
+  findEntity(qualifiedName) {
+    return this.allEntities().find(entity => entity.qualifiedName === qualifiedName);
+  }
+  
+  allEntities() {
+    return [...this.diagram.classes, ...this.diagram.interfaces, ...this.diagram.enums];
+  }
+  
+  parseVisibility(symbol) {
+    switch (symbol) {
+      case '+': return 'public';
+      case '-': return 'private';
+      case '#': return 'protected';
+      case '~': return 'package';
+      default: return 'public';
+    }
+  }
+}
+
+module.exports = DiagramBuilder;
\ No newline at end of file
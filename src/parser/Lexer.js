@@ -0,0 +1,220 @@
+const Diagnostic = require('../models/Diagnostic');
+
+const TokenType = {
+  IDENTIFIER: 'identifier',
+  STRING: 'string',
+  NUMBER: 'number',
+  ARROW: 'arrow',
+  MODIFIER: 'modifier',
+  STEREOTYPE: 'stereotype',
+  ELLIPSIS: 'ellipsis',
+  SYMBOL: 'symbol',
+  NEWLINE: 'newline',
+  EOF: 'eof'
+};
+
+// Matches a PlantUML link such as '-->', '<|--', '*-->', '..|>', 'o--', '-[#red]->' or '-up->'.
+// The left head, line body and right head are captured separately so a plain '-'
+// (the private visibility marker) can be told apart from a real arrow.
+const ARROW_PATTERN = /(<\||<|\*|o|#|x|\+|\^)?([-.]+(?:\[[^\]\n]*\])?(?:(?:left|right|up|down|le|ri|do|l|r|u|d)(?=[-.]))?[-.]*)(\|>|>|\*|o(?!\w)|#|x(?!\w)|\+|\^)?/y;
+
+class Token {
+  constructor(type, value, start, end, line, column, endLine, endColumn) {
+    this.type = type;
+    this.value = value;
+    this.start = start; // Offset of the first character in the source
+    this.end = end; // Offset just past the last character
+    this.line = line; // 1-based
+    this.column = column; // 1-based
+    this.endLine = endLine;
+    this.endColumn = endColumn; // Column just past the last character
+  }
+}
+
+class Lexer {
+  tokenize(source) {
+    this.source = source;
+    this.pos = 0;
+    this.line = 1;
+    this.column = 1;
+    this.tokens = [];
+    this.diagnostics = [];
+    
+    while (this.pos < source.length) {
+      const char = source[this.pos];
+      
+      if (char === '\n') {
+        this.pushToken(TokenType.NEWLINE, '\n', 1);
+        continue;
+      }
+      
+      if (char === ' ' || char === '\t' || char === '\r') {
+        this.advance(1);
+        continue;
+      }
+      
+      // @startuml, @enduml and other diagram markers
+      if (char === '@' && this.atLineStart()) {
+        this.skipToEndOfLine();
+        continue;
+      }
+      
+      // Block comments: PlantUML's /' ... '/ and C-style /* ... */
+      if (char === '/' && (source[this.pos + 1] === "'" || source[this.pos + 1] === '*')) {
+        const terminator = source[this.pos + 1] === "'" ? "'/" : '*/';
+        const endIndex = source.indexOf(terminator, this.pos + 2);
+        if (endIndex === -1) {
+          this.report('unterminated-comment', 'Block comment is never closed', source.slice(this.pos).split('\n')[0]);
+        }
+        this.advance((endIndex === -1 ? source.length : endIndex + 2) - this.pos);
+        continue;
+      }
+      
+      // Single-line comments; elsewhere a quote is part of the line, as in "grade: char = 'A'"
+      if (char === "'" && this.atLineStart()) {
+        this.skipToEndOfLine();
+        continue;
+      }
+      
+      if (char === '"') {
+        this.readString();
+        continue;
+      }
+      
+      if (char === '<' && source[this.pos + 1] === '<') {
+        this.readStereotype();
+        continue;
+      }
+      
+      if (char === '{' && /^\{\w+\}/.test(source.slice(this.pos, this.pos + 32))) {
+        const match = source.slice(this.pos).match(/^\{(\w+)\}/);
+        this.pushToken(TokenType.MODIFIER, match[1], match[0].length);
+        continue;
+      }
+      
+      // Varargs as in 'args: String...', not a dotted link
+      if (this.atEllipsis()) {
+        this.pushToken(TokenType.ELLIPSIS, '...', 3);
+        continue;
+      }
+      
+      if (this.tryReadArrow()) {
+        continue;
+      }
+      
+      if (/[A-Za-z_$]/.test(char)) {
+        const match = source.slice(this.pos).match(/^[\w$]+/);
+        this.pushToken(TokenType.IDENTIFIER, match[0], match[0].length);
+        continue;
+      }
+      
+      if (/[0-9]/.test(char)) {
+        const match = source.slice(this.pos).match(/^\d+(?:\.\d+)?/);
+        this.pushToken(TokenType.NUMBER, match[0], match[0].length);
+        continue;
+      }
+      
+      this.pushToken(TokenType.SYMBOL, char, 1);
+    }
+    
+    this.pushToken(TokenType.EOF, '', 0);
+    return this.tokens;
+  }
+  
+  tryReadArrow() {
+    const char = this.source[this.pos];
+    if (!'<*o#x+^-.'.includes(char)) return false;
+    
+    // 'o' and 'x' are only arrow heads when they stand alone in front of the line
+    if ((char === 'o' || char === 'x') && !this.atWordBoundary()) return false;
+    
+    ARROW_PATTERN.lastIndex = this.pos;
+    const match = ARROW_PATTERN.exec(this.source);
+    if (!match) return false;
+    
+    const [text, leftHead, body, rightHead] = match;
+    const lineLength = body.replace(/\[[^\]]*\]|[a-z]/g, '').length;
+    
+    // A single '-' or '.' is a visibility marker or a dot ('-x: int', 'a.o'), not a link
+    if (lineLength < 2 && (!(leftHead || rightHead) || /^[ox]$/.test(rightHead || leftHead))) return false;
+    
+    this.pushToken(TokenType.ARROW, text, text.length);
+    return true;
+  }
+  
+  // '...' right after a type name, ']' or '>' and ending the type, unlike the dotted link in 'A...B'
+  atEllipsis() {
+    return this.source.startsWith('...', this.pos) && this.pos > 0 &&
+      /[\w$\]>?]/.test(this.source[this.pos - 1]) && /^(?:[\s,)=]|$)/.test(this.source.slice(this.pos + 3, this.pos + 4));
+  }
+  
+  readString() {
+    let endIndex = this.source.indexOf('"', this.pos + 1);
+    const newlineIndex = this.source.indexOf('\n', this.pos + 1);
+    
+    // An unterminated string runs to the end of the line
+    if (endIndex === -1 || (newlineIndex !== -1 && newlineIndex < endIndex)) {
+      endIndex = (newlineIndex === -1 ? this.source.length : newlineIndex) - 1;
+      this.report('unterminated-string', 'String literal is not closed on the same line',
+        this.source.slice(this.pos, endIndex + 1).trim());
+    }
+    
+    const raw = this.source.slice(this.pos, endIndex + 1);
+    this.pushToken(TokenType.STRING, raw.replace(/^"|"$/g, ''), raw.length);
+  }
+  
+  readStereotype() {
+    const endIndex = this.source.indexOf('>>', this.pos + 2);
+    const newlineIndex = this.source.indexOf('\n', this.pos);
+    
+    if (endIndex === -1 || (newlineIndex !== -1 && newlineIndex < endIndex)) {
+      this.pushToken(TokenType.SYMBOL, '<', 1);
+      return;
+    }
+    
+    const raw = this.source.slice(this.pos, endIndex + 2);
+    this.pushToken(TokenType.STEREOTYPE, raw.slice(2, -2).trim(), raw.length);
+  }
+  
+  pushToken(type, value, length) {
+    const start = this.pos;
+    const line = this.line;
+    const column = this.column;
+    this.advance(length);
+    this.tokens.push(new Token(type, value, start, this.pos, line, column, this.line, this.column));
+  }
+  
+  report(code, message, text) {
+    this.diagnostics.push(new Diagnostic('error', code, message, this.line, this.column, text));
+  }
+  
+  advance(length) {
+    for (let i = 0; i < length; i++) {
+      if (this.source[this.pos] === '\n') {
+        this.line++;
+        this.column = 1;
+      } else {
+        this.column++;
+      }
+      this.pos++;
+    }
+  }
+  
+  skipToEndOfLine() {
+    const newlineIndex = this.source.indexOf('\n', this.pos);
+    this.advance((newlineIndex === -1 ? this.source.length : newlineIndex) - this.pos);
+  }
+  
+  atLineStart() {
+    const lineStart = this.source.lastIndexOf('\n', this.pos - 1) + 1;
+    return this.source.slice(lineStart, this.pos).trim() === '';
+  }
+  
+  atWordBoundary() {
+    return this.pos === 0 || !/[\w$]/.test(this.source[this.pos - 1]);
+  }
+}
+
+module.exports = Lexer;
+module.exports.Token = Token;
+module.exports.TokenType = TokenType;
\ No newline at end of file
@@ -1,546 +1,911 @@
-const ClassDiagram = require('../models/ClassDiagram');
-const Class = require('../models/Class');
-const Interface = require('../models/Interface');
-const Enum = require('../models/Enum');
-const Attribute = require('../models/Attribute');
-const Method = require('../models/Method');
-const Parameter = require('../models/Parameter');
-const Relationship = require('../models/Relationship');
+const Lexer = require('./Lexer');
+const DiagramBuilder = require('./DiagramBuilder');
+const SourceLocation = require('../models/SourceLocation');
+const Diagnostic = require('../models/Diagnostic');
 
+const { TokenType } = Lexer;
+
+const ENTITY_KEYWORDS = ['class', 'abstract', 'interface', 'enum'];
+const PACKAGE_KEYWORDS = ['package', 'namespace'];
+const VISIBILITY_SYMBOLS = ['+', '-', '#', '~'];
+const MULTIPLICITY_PATTERN = /^(?:\d+|\*|n|many)(?:\.\.(?:\d+|\*|n|many))?$/i;
+
+// Lines dividing the members of a class into groups, e.g. '--', '.. Getters ..', '== Internal ==' or
+// '__ Fields __', the last of which would otherwise read as a type-first attribute named '__'
+const MEMBER_SEPARATOR_PATTERN = /^([-.=_])\1+(?:.*\1\1)?$/;
+
+// Statements that only affect rendering and are skipped without a diagnostic
+const IGNORED_DIRECTIVES = [
+  'skinparam', 'hide', 'show', 'remove', 'restore', 'left', 'top', 'scale', 'allowmixing',
+  'allow_mixing', 'set', 'title', 'header', 'footer', 'caption', 'legend', 'note', 'newpage'
+];
+
+// Directives that open a multi-line block when nothing else follows them on the line
+const BLOCK_DIRECTIVES = ['title', 'header', 'footer', 'caption', 'legend', 'note'];
+
+/**
+ * Recursive-descent parser for PlantUML class diagrams.
+ *
+ * `parseAst` turns the token stream produced by the Lexer into a syntax tree in
+ * which every node carries a SourceLocation; `parse` additionally hands that
+ * tree to the DiagramBuilder to produce the ClassDiagram used by the generators.
+ *
+ * Input that cannot be parsed is never dropped silently: it is recorded as a
+ * Diagnostic on the tree (`ast.diagnostics`) and on the resulting ClassDiagram.
+ */
 class PlantUMLParser {
   constructor() {
-    this.currentPackage = null;
-    this.relationshipSet = new Set(); // Add as an instance property
+    this.lexer = new Lexer();
   }
 
   parse(plantUmlCode) {
-    const diagram = new ClassDiagram();
-    
-    // Remove comments and sanitize input
-    plantUmlCode = this.sanitizeInput(plantUmlCode);
-    
-    // Reset the relationship set for each parse call
-    this.relationshipSet = new Set();
-    
-    // Process each line
-    let currentEntity = null;
-    let inEntityDefinition = false;
-    let packageBracketCount = 0; // Track package nesting level
-    let entityBracketCount = 0;  // Track entity nesting level separately
-    
-    const lines = plantUmlCode.split('\n');
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      
-      if (line.length === 0) continue;
-      
-      // Check for package definition
-      if (line.startsWith('package ')) {
-        const packageMatch = line.match(/^package\s+"?([^"{}]+)"?\s*{?$/);
-        if (packageMatch) {
-          this.currentPackage = packageMatch[1].trim();
-          if (line.endsWith('{')) {
-            packageBracketCount++;
-          }
-          diagram.packages[this.currentPackage] = [];
-        }
-      } 
-      // Check for end of package - only if we're not inside an entity
-      else if (line === '}' && !inEntityDefinition && packageBracketCount > 0) {
-        packageBracketCount--;
-        if (packageBracketCount === 0) {
-          this.currentPackage = null;
-        }
+    const ast = this.parseAst(plantUmlCode);
+    return new DiagramBuilder().build(ast);
+  }
+  
+  parseAst(plantUmlCode) {
+    this.source = plantUmlCode;
+    this.tokens = this.lexer.tokenize(plantUmlCode);
+    this.index = 0;
+    this.diagnostics = [...this.lexer.diagnostics];
+    this.namespaceSeparator = '.';
+    
+    const body = this.parseStatements();
+    const lastToken = this.tokens[this.tokens.length - 1];
+    
+    return {
+      type: 'Diagram',
+      body,
+      diagnostics: this.diagnostics,
+      loc: new SourceLocation(1, 1, lastToken.endLine, lastToken.endColumn)
+    };
+  }
+  
+  // Parses statements until the end of input or, inside a block, the closing brace
+  parseStatements(insideBlock = false) {
+    const statements = [];
+    
+    while (true) {
+      this.skipSeparators();
+      
+      const token = this.peek();
+      if (token.type === TokenType.EOF) break;
+      if (insideBlock && this.isSymbol(token, '}')) break;
+      
+      const statement = this.parseStatement();
+      if (statement) {
+        statements.push(statement);
       }
-      // Class, Interface, or Enum definition
-      else if (this.isEntityDefinitionStart(line)) {
-        const { entityType, entity } = this.parseEntityStart(line, diagram);
-        
-        if (entity) {
-          currentEntity = entity;
-          inEntityDefinition = true;
-          
-          // Add to current package if applicable
-          if (this.currentPackage && diagram.packages[this.currentPackage]) {
-            diagram.packages[this.currentPackage].push(entity.name);
-          }
-          
-          // Check if the definition continues on the same line
-          if (line.includes('{')) {
-            entityBracketCount++;
-          }
-        }
+    }
+    
+    return statements;
+  }
+  
+  parseStatement() {
+    const token = this.peek();
+    
+    if (token.type === TokenType.IDENTIFIER) {
+      if (PACKAGE_KEYWORDS.includes(token.value)) {
+        return this.parsePackage();
       }
-      // Check for end of entity definition
-      else if (line === '}' && inEntityDefinition) {
-        // Decrement entity bracket count
-        if (entityBracketCount > 0) {
-          entityBracketCount--;
-        }
-        
-        // If entity bracket count reaches 0, we're done with the entity
-        if (entityBracketCount === 0) {
-          inEntityDefinition = false;
-          currentEntity = null;
-        }
+      
+      if (token.value === 'set' && this.isIdentifier(this.peekAt(1), 'namespaceSeparator')) {
+        return this.parseNamespaceSeparator();
       }
-      // Check for attribute or method inside entity definition
-      else if (inEntityDefinition && currentEntity) {
-        // Check if it's a member (attribute or method)
-        if (this.isMemberDefinition(line)) {
-          this.parseMember(line, currentEntity);
-        }
-        // Check if it's an enum value
-        else if (currentEntity.values !== undefined) {
-          // This is an enum value
-          const enumValue = line.replace(/,$/, '').trim();
-          if (enumValue) {
-            currentEntity.values.push(enumValue);
-          }
-        }
+      
+      if (ENTITY_KEYWORDS.includes(token.value)) {
+        return this.parseEntity();
       }
-      // Check for relationship - only if we're not inside an entity
-      else if (!inEntityDefinition && this.isRelationship(line)) {
-        const relationship = this.parseRelationship(line);
-        if (relationship) {
-          diagram.relationships.push(relationship);
-        }
+      
+      if (IGNORED_DIRECTIVES.includes(token.value)) {
+        this.skipDirective();
+        return null;
       }
     }
     
-    return diagram;
+    // Preprocessor lines such as !include or !theme
+    if (this.isSymbol(token, '!')) {
+      this.skipStatement();
+      return null;
+    }
+    
+    if (this.statementHasArrow()) {
+      return this.parseRelationship();
+    }
+    
+    if (this.isSymbol(token, '}')) {
+      this.next();
+      this.report('error', 'unexpected-token', "Unexpected '}' without a matching '{'", token, token);
+      return null;
+    }
+    
+    this.skipStatement();
+    this.report('error', 'unrecognized-statement', 'Unrecognized statement', token, this.previousToken());
+    
+    // Skip the body of an unrecognized block so its contents are not reported line by line
+    if (this.isSymbol(this.previousToken(), '{')) {
+      this.skipBalancedBlock();
+    }
+    return null;
   }
   
-  sanitizeInput(plantUmlCode) {
-    // Remove @startuml and @enduml
-    plantUmlCode = plantUmlCode.replace(/@startuml.*?(\r?\n|\r)/g, '');
-    plantUmlCode = plantUmlCode.replace(/@enduml.*?(\r?\n|\r)?/g, '');
+  skipDirective() {
+    const keyword = this.next();
+    
+    // Block form, e.g. 'skinparam class {' ... '}'
+    if (this.statementTokens().some(t => this.isSymbol(t, '{'))) {
+      this.skipStatement();
+      this.skipBalancedBlock();
+      return;
+    }
+    
+    const rest = this.statementTokens();
+    const isBlock = BLOCK_DIRECTIVES.includes(keyword.value) && (keyword.value === 'legend' || rest.length === 0 ||
+      (keyword.value === 'note' && !rest.some(t => this.isSymbol(t, ':') || t.type === TokenType.STRING)));
     
-    // Remove single-line comments
-    plantUmlCode = plantUmlCode.replace(/'.*?(\r?\n|\r)/g, '\n');
+    this.skipStatement();
+    if (!isBlock) return;
     
-    // Remove multi-line comments
-    plantUmlCode = plantUmlCode.replace(/\/\*[\s\S]*?\*\//g, '');
+    // Multi-line notes, legends and titles run until their 'end' line
+    const endPattern = new RegExp(`^[ \\t]*end[ \\t]*${keyword.value}[ \\t]*$`, 'm');
+    const match = endPattern.exec(this.source.slice(this.peek().start));
     
-    return plantUmlCode;
+    if (!match) {
+      this.report('error', 'unclosed-block', `'${keyword.value}' block is never closed with 'end ${keyword.value}'`, keyword, keyword);
+      this.index = this.tokens.length - 1;
+      return;
+    }
+    
+    const endOffset = this.peek().start + match.index + match[0].length;
+    while (this.peek().type !== TokenType.EOF && this.peek().start < endOffset) {
+      this.next();
+    }
   }
   
-  isEntityDefinitionStart(line) {
-    return (
-      line.match(/^(abstract\s+)?class\s+\w+/) ||
-      line.match(/^interface\s+\w+/) ||
-      line.match(/^enum\s+\w+/)
-    );
+  skipBalancedBlock() {
+    let depth = 1;
+    while (depth > 0 && this.peek().type !== TokenType.EOF) {
+      const token = this.next();
+      if (this.isSymbol(token, '{')) depth++;
+      if (this.isSymbol(token, '}')) depth--;
+    }
   }
   
-  parseEntityStart(line, diagram) {
-    // Enhanced class definition with extends/implements
-    const extendedClassMatch = line.match(/^(abstract\s+)?class\s+(\w+)(?:<(\w+(?:,\s*\w+)*)>)?(?:\s+extends\s+(\w+))?(?:\s+implements\s+(\w+(?:,\s*\w+)*))?/);
-    if (extendedClassMatch) {
-      const isAbstract = !!extendedClassMatch[1];
-      const className = extendedClassMatch[2];
-      const generics = extendedClassMatch[3] ? extendedClassMatch[3].split(/,\s*/) : [];
-      const parentClass = extendedClassMatch[4];
-      const interfaces = extendedClassMatch[5] ? extendedClassMatch[5].split(/,\s*/) : [];
-      
-      const newClass = new Class(className, isAbstract, this.currentPackage);
-      newClass.generics = generics;
-      diagram.classes.push(newClass);
-      
-      // Add inheritance relationship if extends is specified
-      if (parentClass) {
-        const inheritanceKey = `${className}|inheritance|${parentClass}`;
-        if (!this.relationshipSet.has(inheritanceKey)) {
-          this.relationshipSet.add(inheritanceKey);
-          diagram.relationships.push(new Relationship(className, parentClass, 'inheritance'));
-        }
+  // Remaining tokens of the current statement, without consuming them
+  statementTokens() {
+    const tokens = [];
+    for (let i = this.index; i < this.tokens.length; i++) {
+      const token = this.tokens[i];
+      if (token.type === TokenType.NEWLINE || token.type === TokenType.EOF || this.isSymbol(token, ';')) break;
+      tokens.push(token);
+    }
+    return tokens;
+  }
+  
+  parsePackage() {
+    const keyword = this.next();
+    const name = this.peek().type === TokenType.STRING ? this.next().value.trim() : this.parsePackageName();
+    
+    // Anything between the name and the opening brace (colors, stereotypes) is ignored
+    while (!this.atStatementEnd() && !this.isSymbol(this.peek(), '{')) {
+      this.next();
+    }
+    
+    let body = [];
+    if (this.skipToBlockStart()) {
+      body = this.parseStatements(true);
+      if (!this.expectSymbol('}')) {
+        this.report('error', 'unclosed-block', `Package '${name}' is never closed with '}'`, keyword, keyword);
       }
-      
-      // Add implementation relationships for each interface
-      for (const interfaceName of interfaces) {
-        const trimmedInterfaceName = interfaceName.trim();
-        const implementationKey = `${className}|implementation|${trimmedInterfaceName}`;
-        if (!this.relationshipSet.has(implementationKey)) {
-          this.relationshipSet.add(implementationKey);
-          diagram.relationships.push(new Relationship(className, trimmedInterfaceName, 'implementation'));
-        }
+    }
+    
+    return {
+      type: 'PackageDeclaration',
+      keyword: keyword.value,
+      name,
+      body,
+      loc: this.locationFrom(keyword)
+    };
+  }
+  
+  // The separator is kept as written ('.', '::', 'none'); the DiagramBuilder splits names with it
+  parseNamespaceSeparator() {
+    const keyword = this.next();
+    this.next();
+    
+    const tokens = this.statementTokens();
+    this.skipStatement();
+    
+    if (tokens.length === 0) {
+      this.report('error', 'unrecognized-statement', 'Missing separator after namespaceSeparator', keyword, this.previousToken());
+      return null;
+    }
+    
+    this.namespaceSeparator = this.textOf(tokens);
+    
+    return {
+      type: 'NamespaceSeparator',
+      separator: this.namespaceSeparator,
+      loc: this.locationFrom(keyword)
+    };
+  }
+  
+  // A package name runs up to the first space, so it may contain any separator: 'com.example', 'com::example'
+  parsePackageName() {
+    const first = this.next();
+    let name = first.value;
+    
+    while (this.peek().start === this.previousToken().end && !this.atStatementEnd() &&
+           [TokenType.IDENTIFIER, TokenType.NUMBER, TokenType.SYMBOL].includes(this.peek().type) &&
+           !['{', '#'].includes(this.peek().value)) {
+      name += this.next().value;
+    }
+    
+    return name;
+  }
+  
+  parseEntity() {
+    const keyword = this.next();
+    let entityType = keyword.value;
+    let isAbstract = false;
+    
+    if (keyword.value === 'abstract') {
+      isAbstract = true;
+      entityType = 'class';
+      if (this.isIdentifier(this.peek(), 'class')) {
+        this.next();
       }
-      
-      return { entityType: 'class', entity: newClass };
     }
     
-    // Standard class definition (without extends/implements)
-    const classMatch = line.match(/^(abstract\s+)?class\s+(\w+)(?:<(\w+(?:,\s*\w+)*)>)?/);
-    if (classMatch) {
-      const isAbstract = !!classMatch[1];
-      const className = classMatch[2];
-      const generics = classMatch[3] ? classMatch[3].split(/,\s*/) : [];
-      
-      const newClass = new Class(className, isAbstract, this.currentPackage);
-      newClass.generics = generics;
-      diagram.classes.push(newClass);
+    if (this.peek().type !== TokenType.IDENTIFIER && this.peek().type !== TokenType.STRING) {
+      this.skipStatement();
+      this.report('error', 'missing-name', `Expected a name after '${keyword.value}'`, keyword, this.previousToken());
+      return null;
+    }
+    
+    // The name is either an identifier or a quoted display name such as "Order Line Item"
+    const nameToken = this.peek();
+    const nameQuoted = nameToken.type === TokenType.STRING;
+    const name = nameQuoted ? this.next().value.trim() : this.parseQualifiedName();
+    const generics = this.isSymbol(this.peek(), '<') ? this.parseGenericParameters() : [];
+    const stereotypes = [];
+    let alias = null;
+    let aliasQuoted = false;
+    let extendsNames = [];
+    let implementsNames = [];
+    const baseTypeArguments = {};
+    
+    while (!this.atStatementEnd() && !this.isSymbol(this.peek(), '{')) {
+      const token = this.peek();
       
-      return { entityType: 'class', entity: newClass };
+      if (token.type === TokenType.STEREOTYPE) {
+        stereotypes.push(this.next().value);
+      } else if (this.isIdentifier(token, 'as') && [TokenType.IDENTIFIER, TokenType.STRING].includes(this.peekAt(1).type)) {
+        this.next();
+        aliasQuoted = this.peek().type === TokenType.STRING;
+        alias = aliasQuoted ? this.next().value.trim() : this.parseQualifiedName();
+      } else if (this.isIdentifier(token, 'extends')) {
+        this.next();
+        extendsNames = this.parseNameList(baseTypeArguments);
+      } else if (this.isIdentifier(token, 'implements')) {
+        this.next();
+        implementsNames = this.parseNameList(baseTypeArguments);
+      } else {
+        this.next();
+      }
     }
     
-    // Interface definition
-    const interfaceMatch = line.match(/^interface\s+(\w+)(?:<(\w+(?:,\s*\w+)*)>)?/);
-    if (interfaceMatch) {
-      const interfaceName = interfaceMatch[1];
-      const generics = interfaceMatch[2] ? interfaceMatch[2].split(/,\s*/) : [];
+    const nameLocation = this.locationOf(nameToken, nameToken);
+    let members = [];
+    if (this.skipToBlockStart()) {
+      members = this.parseEntityBody(entityType);
+      if (!this.isSymbol(this.previousToken(), '}')) {
+        this.report('error', 'unclosed-block', `${entityType} '${name}' is never closed with '}'`, keyword, nameToken);
+      }
+    }
+    
+    return {
+      type: 'EntityDeclaration',
+      entityType,
+      isAbstract,
+      name,
+      nameQuoted,
+      alias,
+      aliasQuoted,
+      generics,
+      stereotypes,
+      extends: extendsNames,
+      implements: implementsNames,
+      baseTypeArguments,
+      members,
+      nameLoc: nameLocation,
+      loc: this.locationFrom(keyword)
+    };
+  }
+  
+  parseEntityBody(entityType) {
+    const members = [];
+    
+    while (true) {
+      this.skipSeparators();
       
-      const newInterface = new Interface(interfaceName, this.currentPackage);
-      newInterface.generics = generics;
-      diagram.interfaces.push(newInterface);
+      const token = this.peek();
+      if (token.type === TokenType.EOF) break;
+      if (this.isSymbol(token, '}')) {
+        this.next();
+        break;
+      }
       
-      return { entityType: 'interface', entity: newInterface };
+      // Separators only affect rendering
+      if (this.memberSeparatorAhead()) {
+        this.skipStatement();
+        continue;
+      }
+      
+      const memberTokens = this.collectMemberTokens();
+      if (memberTokens.length === 0) {
+        // A stray token that cannot start a member; skip it to guarantee progress
+        this.next();
+        continue;
+      }
+      
+      if (entityType === 'enum' && this.isEnumValueList(memberTokens)) {
+        for (const valueToken of memberTokens.filter(t => t.type === TokenType.IDENTIFIER)) {
+          members.push({
+            type: 'EnumConstant',
+            name: valueToken.value,
+            loc: this.locationOf(valueToken, valueToken)
+          });
+        }
+        continue;
+      }
+      
+      const member = this.parseMember(memberTokens);
+      if (member) {
+        members.push(member);
+      } else {
+        this.report('error', 'unrecognized-member', 'Unrecognized attribute or method',
+          memberTokens[0], memberTokens[memberTokens.length - 1]);
+      }
     }
     
-    // Enum definition
-    const enumMatch = line.match(/^enum\s+(\w+)/);
-    if (enumMatch) {
-      const enumName = enumMatch[1];
+    return members;
+  }
+  
+  // Collects the tokens of one member. Members end at a newline, ';' or the closing
+  // brace of the entity, but a parameter list may continue onto the following lines.
+  collectMemberTokens() {
+    const tokens = [];
+    let depth = 0;
+    
+    while (true) {
+      const token = this.peek();
+      if (token.type === TokenType.EOF || this.isSymbol(token, '}')) break;
+      
+      if (token.type === TokenType.NEWLINE && (depth === 0 || this.startsNewMember(this.index + 1))) break;
+      if (depth === 0 && this.isSymbol(token, ';')) break;
       
-      const newEnum = new Enum(enumName, this.currentPackage);
-      diagram.enums.push(newEnum);
+      this.next();
+      if (token.type === TokenType.NEWLINE) continue;
       
-      return { entityType: 'enum', entity: newEnum };
+      if (this.isSymbol(token, '(')) depth++;
+      if (this.isSymbol(token, ')') && depth > 0) depth--;
+      
+      tokens.push(token);
     }
     
-    return { entityType: null, entity: null };
+    return tokens;
+  }
+  
+  // Whether the rest of the current line is a member separator
+  memberSeparatorAhead() {
+    const start = this.peek().start;
+    const end = this.source.indexOf('\n', start);
+    return MEMBER_SEPARATOR_PATTERN.test(this.source.slice(start, end === -1 ? this.source.length : end).trim());
   }
   
-  isMemberDefinition(line) {
-    // Check if line defines a member (attribute or method)
-    // This matches members with visibility modifiers (+, -, #, ~)
-    // or members without visibility modifiers, including those starting with modifiers
-    return line.match(/^\s*([+\-#~]|\{[\w]+\}|\w+\s*:|\w+\s*\()/) !== null;
+  // Whether the line starting at the given token index looks like the next member,
+  // which means an unclosed parameter list should not swallow it
+  startsNewMember(index) {
+    while (this.tokens[index].type === TokenType.NEWLINE) index++;
+    
+    const token = this.tokens[index];
+    return token.type === TokenType.MODIFIER ||
+      (token.type === TokenType.SYMBOL && VISIBILITY_SYMBOLS.includes(token.value));
   }
   
-  parseMember(line, entity) {
-    // Remove leading/trailing spaces and the opening/closing curly braces if present
-    line = line.trim().replace(/\s*\{\s*$/, '');
+  isEnumValueList(tokens) {
+    return tokens.every((token, i) =>
+      i % 2 === 0 ? token.type === TokenType.IDENTIFIER : this.isSymbol(token, ',')
+    );
+  }
+  
+  parseMember(tokens) {
+    const modifiers = tokens.filter(t => t.type === TokenType.MODIFIER).map(t => t.value);
+    let rest = tokens.filter(t => t.type !== TokenType.MODIFIER);
+    const first = tokens[0];
+    const last = tokens[tokens.length - 1];
+    
+    let visibility = null;
+    if (rest.length > 0 && rest[0].type === TokenType.SYMBOL && VISIBILITY_SYMBOLS.includes(rest[0].value)) {
+      visibility = rest.shift().value;
+    }
+    
+    // Type parameters of a generic method in prefix notation, as in '<T> convert(input: T): T'
+    let generics = null;
+    if (rest.length > 0 && this.isSymbol(rest[0], '<')) {
+      const closeIndex = this.findClosing(rest, 0, '<', '>');
+      if (closeIndex === -1) return null;
+      
+      generics = this.parseTypeParameterList(rest.slice(1, closeIndex));
+      rest = rest.slice(closeIndex + 1);
+    }
     
-    // Get all modifiers from line - enhanced to support multiple modifiers
-    const modifiers = this.extractModifiers(line);
+    if (rest.length === 0 || rest[0].type !== TokenType.IDENTIFIER) {
+      return null;
+    }
     
-    // Remove modifiers from line for cleaner parsing
-    let cleanedLine = this.removeModifiers(line);
+    const loc = this.locationOf(first, last);
     
-    // First, check if it's a constructor (with or without visibility modifier)
-    const constructorWithVisibilityMatch = cleanedLine.match(/^\s*([\+\-#~])\s*(\w+)\s*\((.*?)\)\s*$/);
-    if (constructorWithVisibilityMatch && constructorWithVisibilityMatch[2] === entity.name) {
-      const visibility = this.parseVisibility(constructorWithVisibilityMatch[1]);
-      const parameters = this.parseParameters(constructorWithVisibilityMatch[3]);
+    // Method: name(params) [: returnType], or Java-style returnType name(params). The first
+    // '(' only opens a parameter list if it comes before any ':' or '=' of an attribute.
+    const openIndex = rest.findIndex(t => this.isSymbol(t, '(') || this.isSymbol(t, ':') || this.isSymbol(t, '='));
+    if (openIndex > 0 && this.isSymbol(rest[openIndex], '(')) {
+      let nameIndex = openIndex - 1;
       
-      const constructor = new Method(entity.name, null, parameters, visibility);
-      if (entity.constructors) {
-        entity.constructors.push(constructor);
+      // Type parameters in suffix notation, as in 'map<R>(fn: Function<T, R>): Stream<R>'
+      if (this.isSymbol(rest[nameIndex], '>')) {
+        const lessIndex = this.findOpening(rest, nameIndex, '<', '>');
+        if (lessIndex < 1 || generics) return null;
+        
+        generics = this.parseTypeParameterList(rest.slice(lessIndex + 1, nameIndex));
+        nameIndex = lessIndex - 1;
       }
-      return;
-    }
-    
-    // Check for constructor without visibility modifier
-    const constructorWithoutVisibilityMatch = cleanedLine.match(/^\s*(\w+)\s*\((.*?)\)\s*$/);
-    if (constructorWithoutVisibilityMatch && constructorWithoutVisibilityMatch[1] === entity.name) {
-      // Default visibility for constructors is public in many languages
-      const visibility = 'public';
-      const parameters = this.parseParameters(constructorWithoutVisibilityMatch[2]);
       
-      const constructor = new Method(entity.name, null, parameters, visibility);
-      if (entity.constructors) {
-        entity.constructors.push(constructor);
+      const nameToken = rest[nameIndex];
+      const typeTokens = rest.slice(0, nameIndex);
+      if (nameToken.type !== TokenType.IDENTIFIER) return null;
+      
+      const closeIndex = this.findClosing(rest, openIndex);
+      if (closeIndex === -1) return null;
+      
+      const trailing = rest.slice(closeIndex + 1);
+      if (trailing.length > 0 && !this.isSymbol(trailing[0], ':')) return null;
+      if (trailing.length > 0 && typeTokens.length > 0) return null; // Two return types
+      
+      let returnType = null;
+      if (typeTokens.length > 0) {
+        returnType = this.textOf(typeTokens);
+      } else if (trailing.length > 1) {
+        returnType = this.textOf(trailing.slice(1));
       }
-      return;
+      
+      return {
+        type: 'Method',
+        name: nameToken.value,
+        visibility,
+        modifiers,
+        parameters: this.parseParameters(rest.slice(openIndex + 1, closeIndex)),
+        returnType,
+        generics: generics || [],
+        raw: this.textOf(tokens),
+        loc
+      };
     }
     
-    // Check if it's a method with visibility modifier
-    const methodWithVisibilityMatch = cleanedLine.match(/^\s*([\+\-#~])\s*(\w+)\s*\((.*?)\)(?:\s*:\s*(\w+(?:<.*>)?))?/);
-    if (methodWithVisibilityMatch) {
-      const visibility = this.parseVisibility(methodWithVisibilityMatch[1]);
-      const name = methodWithVisibilityMatch[2];
-      const parameters = this.parseParameters(methodWithVisibilityMatch[3]);
-      const returnType = methodWithVisibilityMatch[4] || 'void';
+    if (generics) return null; // Only methods take type parameters
+    
+    // Attribute: name [: type] [= default], or Java-style type name [= default]
+    const equalsIndex = rest.findIndex(token => this.isSymbol(token, '='));
+    const declaration = equalsIndex === -1 ? rest : rest.slice(0, equalsIndex);
+    const javaStyle = this.isTypeFirstDeclaration(declaration);
+    
+    if (declaration.length === 1 || this.isSymbol(declaration[1], ':') || javaStyle) {
+      const defaultTokens = equalsIndex === -1 ? [] : rest.slice(equalsIndex + 1);
+      if (equalsIndex !== -1 && defaultTokens.length === 0) return null;
       
-      // Apply modifiers
-      const isAbstract = modifiers.includes('abstract');
-      const isStatic = modifiers.includes('static');
+      let attributeType = null;
+      if (javaStyle) {
+        attributeType = this.textOf(declaration.slice(0, -1));
+      } else if (declaration.length > 2) {
+        attributeType = this.textOf(declaration.slice(2));
+      }
       
-      const method = new Method(name, returnType, parameters, visibility, isStatic, isAbstract);
-      entity.methods.push(method);
-      return;
+      return {
+        type: 'Attribute',
+        name: javaStyle ? declaration[declaration.length - 1].value : rest[0].value,
+        visibility,
+        modifiers,
+        attributeType,
+        // Taken verbatim from the source so spacing inside string literals is kept
+        defaultValue: defaultTokens.length > 0 ?
+          this.source.slice(defaultTokens[0].start, defaultTokens[defaultTokens.length - 1].end) : null,
+        raw: this.textOf(tokens),
+        loc
+      };
     }
     
-    // Check if it's a method without visibility modifier
-    const methodWithoutVisibilityMatch = cleanedLine.match(/^\s*(\w+)\s*\((.*?)\)(?:\s*:\s*(\w+(?:<.*>)?))?/);
-    if (methodWithoutVisibilityMatch && cleanedLine.trim() !== '') {
-      // Default visibility for methods without modifiers is public in PlantUML
-      const visibility = 'public';
-      const name = methodWithoutVisibilityMatch[1];
-      const parameters = this.parseParameters(methodWithoutVisibilityMatch[2]);
-      const returnType = methodWithoutVisibilityMatch[3] || 'void';
+    return null;
+  }
+  
+  // Whether the tokens read 'Type name' rather than 'name: Type', e.g. 'String name' or 'List<User> users'
+  isTypeFirstDeclaration(tokens) {
+    return tokens.length > 1 && tokens[tokens.length - 1].type === TokenType.IDENTIFIER &&
+      !tokens.some(t => this.isSymbol(t, ':'));
+  }
+  
+  parseParameters(tokens) {
+    return this.splitTopLevel(tokens, ',').filter(group => group.length > 0).map(group => {
+      const colonIndex = group.findIndex(t => this.isSymbol(t, ':'));
+      let nameTokens = colonIndex === -1 ? group : group.slice(0, colonIndex);
+      let typeTokens = colonIndex === -1 ? [] : group.slice(colonIndex + 1);
       
-      // Apply modifiers
-      const isAbstract = modifiers.includes('abstract');
-      const isStatic = modifiers.includes('static');
+      // Java-style 'int id'
+      if (this.isTypeFirstDeclaration(group)) {
+        nameTokens = group.slice(-1);
+        typeTokens = group.slice(0, -1);
+      }
       
-      const method = new Method(name, returnType, parameters, visibility, isStatic, isAbstract);
-      entity.methods.push(method);
-      return;
+      // A parameter such as ': int' is left out of the method
+      if (nameTokens.length === 0) {
+        this.report('error', 'missing-name', 'Expected a parameter name before the type', group[0], group[group.length - 1]);
+        return null;
+      }
+      
+      return {
+        type: 'Parameter',
+        name: this.textOf(nameTokens),
+        parameterType: typeTokens.length > 0 ? this.textOf(typeTokens) : null,
+        loc: this.locationOf(group[0], group[group.length - 1])
+      };
+    }).filter(Boolean);
+  }
+  
+  parseRelationship() {
+    const first = this.peek();
+    const left = this.parseRelationshipEnd();
+    const leftEndLabel = this.peek().type === TokenType.STRING ? this.next().value : null;
+    
+    if (this.peek().type !== TokenType.ARROW) {
+      this.skipStatement();
+      this.report('error', 'invalid-relationship', 'Expected a class name on the left of the arrow', first, this.previousToken());
+      return null;
     }
     
-    // Check if it's an attribute with visibility modifier
-    const attributeWithVisibilityMatch = cleanedLine.match(/^\s*([\+\-#~])\s*(\w+)(?:\s*:\s*(\w+(?:<.*>)?))?/);
-    if (attributeWithVisibilityMatch && entity.attributes) {
-      const visibility = this.parseVisibility(attributeWithVisibilityMatch[1]);
-      const name = attributeWithVisibilityMatch[2];
-      const type = attributeWithVisibilityMatch[3] || 'Object';
-      
-      // Apply modifiers
-      const isStatic = modifiers.includes('static');
-      const isFinal = modifiers.includes('final');
-      
-      const attribute = new Attribute(name, type, visibility, isStatic, isFinal);
-      entity.attributes.push(attribute);
-      return;
+    const arrowToken = this.next();
+    
+    // A string right after the arrow labels that end unless it is the quoted target itself
+    let rightEndLabel = null;
+    if (this.peek().type === TokenType.STRING && this.peekAt(1).type !== TokenType.NEWLINE &&
+        this.peekAt(1).type !== TokenType.EOF && !this.isSymbol(this.peekAt(1), ':')) {
+      rightEndLabel = this.next().value;
     }
     
-    // Check if it's an attribute without visibility modifier
-    // This must be a non-empty line after removing modifiers
-    const attributeWithoutVisibilityMatch = cleanedLine.match(/^\s*(\w+)(?:\s*:\s*(\w+(?:<.*>)?))?/);
-    if (attributeWithoutVisibilityMatch && entity.attributes && cleanedLine.trim() !== '') {
-      // Default visibility for attributes without modifiers is public in PlantUML
-      const visibility = 'public';
-      const name = attributeWithoutVisibilityMatch[1];
-      const type = attributeWithoutVisibilityMatch[2] || 'Object';
-      
-      // Apply modifiers
-      const isStatic = modifiers.includes('static');
-      const isFinal = modifiers.includes('final');
+    const right = this.parseRelationshipEnd();
+    if (!left || !right) {
+      this.skipStatement();
+      this.report('error', 'invalid-relationship', `Expected a class name on the ${left ? 'right' : 'left'} of the arrow`,
+        first, this.previousToken());
+      return null;
+    }
+    
+    let label = '';
+    let labelDirection = null;
+    if (this.isSymbol(this.peek(), ':')) {
+      const colon = this.next();
+      const lineEnd = this.source.indexOf('\n', colon.end);
+      label = this.source.slice(colon.end, lineEnd === -1 ? this.source.length : lineEnd).trim();
       
-      const attribute = new Attribute(name, type, visibility, isStatic, isFinal);
-      entity.attributes.push(attribute);
-      return;
+      // Reading-direction markers such as 'owns >' or '< belongs to' are not part of the label
+      const directionMatch = label.match(/^<|>$/);
+      if (directionMatch) {
+        labelDirection = directionMatch[0];
+        label = label.replace(/^<\s*|\s*>$/g, '').trim();
+      }
     }
+    
+    this.skipStatement();
+    Object.assign(left, this.parseEndLabel(leftEndLabel));
+    Object.assign(right, this.parseEndLabel(rightEndLabel));
+    
+    return {
+      type: 'Relationship',
+      left,
+      right,
+      arrow: arrowToken.value,
+      label,
+      labelDirection,
+      arrowLoc: this.locationOf(arrowToken, arrowToken),
+      loc: this.locationFrom(first)
+    };
   }
   
-  // Method to extract all modifiers from a line
-  extractModifiers(line) {
-    const modifiers = [];
-    const modifierRegex = /\{(\w+)\}/g;
-    let match;
+  // Splits the quoted text next to a relationship end, e.g. "0..*", "lines" or "+lines 0..*",
+  // into a multiplicity and a role name
+  parseEndLabel(text) {
+    const result = { multiplicity: null, role: null };
+    if (!text) return result;
+    
+    const roleParts = [];
+    for (const part of text.trim().split(/\s+/)) {
+      if (!result.multiplicity && MULTIPLICITY_PATTERN.test(part)) {
+        result.multiplicity = part;
+      } else {
+        roleParts.push(part);
+      }
+    }
     
-    while ((match = modifierRegex.exec(line)) !== null) {
-      modifiers.push(match[1]);
+    if (roleParts.length > 0) {
+      result.role = roleParts.join(' ').replace(/^[+\-#~]/, '');
     }
     
-    return modifiers;
+    return result;
   }
   
-  // Method to remove all modifier blocks from a line
-  removeModifiers(line) {
-    return line.replace(/\{\w+\}/g, '');
+  parseRelationshipEnd() {
+    const token = this.peek();
+    
+    if (token.type === TokenType.STRING) {
+      this.next();
+      return { name: token.value, quoted: true, loc: this.locationOf(token, token) };
+    }
+    
+    if (token.type === TokenType.IDENTIFIER) {
+      const name = this.parseQualifiedName();
+      return { name, quoted: false, loc: this.locationFrom(token) };
+    }
+    
+    return null;
   }
   
-  parseVisibility(symbol) {
-    switch (symbol) {
-      case '+': return 'public';
-      case '-': return 'private';
-      case '#': return 'protected';
-      case '~': return 'package';
-      default: return 'public';
+  parseGenericParameters() {
+    this.next();
+    const tokens = [];
+    let depth = 1;
+    
+    while (this.peek().type !== TokenType.EOF && this.peek().type !== TokenType.NEWLINE) {
+      const token = this.next();
+      if (this.isSymbol(token, '<')) depth++;
+      if (this.isSymbol(token, '>') && --depth === 0) break;
+      tokens.push(token);
     }
+    
+    if (depth !== 0) {
+      return [];
+    }
+    
+    return this.parseTypeParameterList(tokens);
   }
   
-  parseParameters(paramsStr) {
-    if (!paramsStr || paramsStr.trim() === '') return [];
+  parseTypeParameterList(tokens) {
+    return this.splitTopLevel(tokens, ',').filter(group => group.length > 0).map(group => this.parseTypeParameter(group));
+  }
+  
+  // Reads 'T', 'T extends Entity', 'T extends Entity & Comparable<T>', 'T : Entity' or 'out T'
+  parseTypeParameter(tokens) {
+    const node = { type: 'TypeParameter', name: this.textOf(tokens), bounds: [], variance: null,
+      loc: this.locationOf(tokens[0], tokens[tokens.length - 1]) };
+    
+    let rest = tokens;
+    if (rest.length > 1 && (this.isIdentifier(rest[0], 'in') || this.isIdentifier(rest[0], 'out')) &&
+        rest[1].type === TokenType.IDENTIFIER) {
+      node.variance = rest[0].value;
+      rest = rest.slice(1);
+    }
     
-    // Split by commas, but not inside angle brackets (for generic types)
-    const params = [];
-    let buffer = '';
-    let angleBracketCount = 0;
+    if (rest[0].type !== TokenType.IDENTIFIER) return node;
+    
+    const boundTokens = rest.slice(2);
+    if (rest.length === 1) {
+      node.name = rest[0].value;
+    } else if ((this.isIdentifier(rest[1], 'extends') || this.isSymbol(rest[1], ':')) && boundTokens.length > 0) {
+      node.name = rest[0].value;
+      node.bounds = this.splitTopLevel(boundTokens, '&').filter(group => group.length > 0).map(group => this.textOf(group));
+    } else {
+      node.variance = null; // Not a form we know; keep the text as the name
+    }
+    
+    return node;
+  }
+  
+  // Reads 'Named, Repository<User>', recording type arguments such as ['User'] by name
+  parseNameList(typeArguments = {}) {
+    const names = [];
     
-    for (let i = 0; i < paramsStr.length; i++) {
-      const char = paramsStr[i];
+    while (this.peek().type === TokenType.IDENTIFIER) {
+      const name = this.parseQualifiedName();
+      names.push(name);
       
-      if (char === '<') {
-        angleBracketCount++;
-        buffer += char;
-      } else if (char === '>') {
-        angleBracketCount--;
-        buffer += char;
-      } else if (char === ',' && angleBracketCount === 0) {
-        params.push(buffer.trim());
-        buffer = '';
-      } else {
-        buffer += char;
+      if (this.isSymbol(this.peek(), '<')) {
+        typeArguments[name] = this.parseTypeArguments();
       }
+      if (!this.isSymbol(this.peek(), ',')) break;
+      this.next();
     }
     
-    if (buffer.trim()) {
-      params.push(buffer.trim());
+    return names;
+  }
+  
+  // Reads '<String, List<User>>' into ['String', 'List<User>']; unbalanced brackets give none
+  parseTypeArguments() {
+    this.next();
+    const tokens = [];
+    let depth = 1;
+    
+    while (this.peek().type !== TokenType.EOF && this.peek().type !== TokenType.NEWLINE) {
+      const token = this.next();
+      if (this.isSymbol(token, '<')) depth++;
+      if (this.isSymbol(token, '>') && --depth === 0) break;
+      tokens.push(token);
     }
     
-    return params.map(paramStr => {
-      const [name, type] = paramStr.split(':').map(s => s.trim());
-      return new Parameter(name, type || 'Object');
-    });
+    if (depth !== 0) return [];
+    return this.splitTopLevel(tokens, ',').filter(group => group.length > 0).map(group => this.textOf(group));
   }
   
-  isRelationship(line) {
-    return (
-      line.includes('<|--') || // inheritance
-      line.includes('--|>') || // inheritance (reverse)
-      line.includes('<|..') || // implementation
-      line.includes('..|>') || // implementation (reverse)
-      line.includes('-->') ||  // association
-      line.includes('<--') ||  // reverse association
-      line.includes('o-->') || // aggregation
-      line.includes('<--o') || // reverse aggregation
-      line.includes('*-->') || // composition
-      line.includes('<--*') || // reverse composition
-      line.includes('..>') ||  // dependency
-      line.includes('<..') ||  // reverse dependency
-      line.includes('-->')     // simple association
-    );
+  // Reads a name such as 'com.example.User', or 'com::example::User' after 'set namespaceSeparator ::'
+  parseQualifiedName() {
+    let name = this.next().value;
+    let separator;
+    
+    while ((separator = this.separatorAhead())) {
+      this.index += separator.tokenCount;
+      name += separator.text + this.next().value;
+    }
+    
+    return name;
   }
   
-  parseRelationship(line) {
-    // Extract label if present (in quotes)
-    let label = '';
-    const labelMatch = line.match(/"([^"]+)"/);
-    if (labelMatch) {
-      label = labelMatch[1];
-      // Remove the label part from the line for easier parsing
-      line = line.replace(/"[^"]+"\s*/, '');
-    }
-    
-    // Clean up the line
-    line = line.trim();
-    
-    let sourceClass, targetClass, type;
-    
-    // Correctly handle PlantUML arrow notations:
-    // Composition: '*-->' or '<--*'
-    // Aggregation: 'o-->' or '<--o'
-    // Note: In PlantUML, the * or o is adjacent to the class it belongs to
-    
-    // Composition: Container *--> Element
-    if (line.match(/\s*(\w+)\s+\*-->\s+(\w+)\s*/)) {
-      const match = line.match(/\s*(\w+)\s+\*-->\s+(\w+)\s*/);
-      sourceClass = match[1];
-      targetClass = match[2];
-      type = 'composition';
-    }
-    // Reverse Composition: Element <--* Container
-    else if (line.match(/\s*(\w+)\s+<--\*\s+(\w+)\s*/)) {
-      const match = line.match(/\s*(\w+)\s+<--\*\s+(\w+)\s*/);
-      sourceClass = match[2]; // Swap to maintain consistent source->target semantics
-      targetClass = match[1];
-      type = 'composition';
-    }
-    // Aggregation: Container o--> Element
-    else if (line.match(/\s*(\w+)\s+o-->\s+(\w+)\s*/)) {
-      const match = line.match(/\s*(\w+)\s+o-->\s+(\w+)\s*/);
-      sourceClass = match[1];
-      targetClass = match[2];
-      type = 'aggregation';
-    }
-    // Reverse Aggregation: Element <--o Container
-    else if (line.match(/\s*(\w+)\s+<--o\s+(\w+)\s*/)) {
-      const match = line.match(/\s*(\w+)\s+<--o\s+(\w+)\s*/);
-      sourceClass = match[2]; // Swap to maintain consistent source->target semantics
-      targetClass = match[1];
-      type = 'aggregation';
-    }
-    // Inheritance: Child --|> Parent
-    else if (line.includes('--|>')) {
-      const parts = line.split('--|>').map(part => part.trim());
-      if (parts.length === 2) {
-        sourceClass = parts[0];
-        targetClass = parts[1];
-        type = 'inheritance';
+  // A '.' or namespace separator written without spaces between two identifiers
+  separatorAhead() {
+    for (const separator of new Set(['.', this.namespaceSeparator])) {
+      let text = '';
+      let offset = 0;
+      
+      while (text.length < separator.length && this.peekAt(offset).type === TokenType.SYMBOL &&
+             this.peekAt(offset).start === this.peekAt(offset - 1).end) {
+        text += this.peekAt(offset++).value;
       }
-    }
-    // Inheritance (reverse): Parent <|-- Child
-    else if (line.includes('<|--')) {
-      const parts = line.split('<|--').map(part => part.trim());
-      if (parts.length === 2) {
-        sourceClass = parts[1]; // Swap to maintain consistent source->target semantics
-        targetClass = parts[0];
-        type = 'inheritance';
+      
+      const next = this.peekAt(offset);
+      if (text === separator && next.type === TokenType.IDENTIFIER && next.start === this.peekAt(offset - 1).end) {
+        return { text, tokenCount: offset };
       }
     }
-    // Implementation: Class ..|> Interface (using dashed line)
-    else if (line.includes('..|>')) {
-      const parts = line.split('..|>').map(part => part.trim());
-      if (parts.length === 2) {
-        sourceClass = parts[0];
-        targetClass = parts[1];
-        type = 'implementation';
-      }
+    
+    return null;
+  }
+  
+  // Moves past newlines to an opening brace; returns false (consuming nothing) if there is none
+  skipToBlockStart() {
+    let offset = 0;
+    while (this.peekAt(offset).type === TokenType.NEWLINE) {
+      offset++;
     }
-    // Implementation (reverse): Interface <|.. Class
-    else if (line.includes('<|..')) {
-      const parts = line.split('<|..').map(part => part.trim());
-      if (parts.length === 2) {
-        sourceClass = parts[1]; // Swap to maintain consistent source->target semantics
-        targetClass = parts[0];
-        type = 'implementation';
-      }
+    
+    if (!this.isSymbol(this.peekAt(offset), '{')) {
+      return false;
     }
-    // Dependency: User ..> Service
-    else if (line.includes('..>')) {
-      const parts = line.split('..>').map(part => part.trim());
-      if (parts.length === 2) {
-        sourceClass = parts[0];
-        targetClass = parts[1];
-        type = 'dependency';
-      }
+    
+    this.index += offset + 1;
+    return true;
+  }
+  
+  statementHasArrow() {
+    for (let i = this.index; i < this.tokens.length; i++) {
+      const token = this.tokens[i];
+      if (token.type === TokenType.ARROW) return true;
+      if (token.type === TokenType.NEWLINE || token.type === TokenType.EOF ||
+          this.isSymbol(token, '{') || this.isSymbol(token, '}')) return false;
     }
-    // Reverse Dependency: Service <.. User
-    else if (line.includes('<..')) {
-      const parts = line.split('<..').map(part => part.trim());
-      if (parts.length === 2) {
-        sourceClass = parts[1]; // Swap to maintain consistent source->target semantics
-        targetClass = parts[0];
-        type = 'dependency';
-      }
+    return false;
+  }
+  
+  skipStatement() {
+    while (!this.atStatementEnd()) {
+      this.next();
     }
-    // Association: Class --> OtherClass
-    else if (line.includes('-->')) {
-      const parts = line.split('-->').map(part => part.trim());
-      if (parts.length === 2) {
-        sourceClass = parts[0];
-        targetClass = parts[1];
-        type = 'association';
-      }
+  }
+  
+  skipSeparators() {
+    while (this.peek().type === TokenType.NEWLINE || this.isSymbol(this.peek(), ';')) {
+      this.next();
     }
-    // Reverse Association: OtherClass <-- Class
-    else if (line.includes('<--')) {
-      const parts = line.split('<--').map(part => part.trim());
-      if (parts.length === 2) {
-        sourceClass = parts[1]; // Swap to maintain consistent source->target semantics
-        targetClass = parts[0];
-        type = 'association';
-      }
+  }
+  
+  atStatementEnd() {
+    const token = this.peek();
+    return token.type === TokenType.NEWLINE || token.type === TokenType.EOF || this.isSymbol(token, ';');
+  }
+  
+  expectSymbol(value) {
+    if (this.isSymbol(this.peek(), value)) {
+      return this.next();
     }
+    return null;
+  }
+  
+  splitTopLevel(tokens, separator) {
+    const groups = [[]];
+    let depth = 0;
     
-    if (sourceClass && targetClass && type) {
-      // Create a unique key for the relationship
-      const relationshipKey = `${sourceClass}|${type}|${targetClass}`;
+    for (const token of tokens) {
+      if (this.isSymbol(token, '<') || this.isSymbol(token, '(') || this.isSymbol(token, '[')) depth++;
+      if (this.isSymbol(token, '>') || this.isSymbol(token, ')') || this.isSymbol(token, ']')) depth--;
       
-      // Check if this relationship already exists
-      if (!this.relationshipSet.has(relationshipKey)) {
-        this.relationshipSet.add(relationshipKey);
-        return new Relationship(sourceClass, targetClass, type, label);
+      if (depth === 0 && this.isSymbol(token, separator)) {
+        groups.push([]);
+      } else {
+        groups[groups.length - 1].push(token);
       }
-      
-      // Return null if relationship is redundant
-      return null;
     }
     
-    return null;
+    return groups;
+  }
+  
+  findClosing(tokens, openIndex, open = '(', close = ')') {
+    let depth = 0;
+    for (let i = openIndex; i < tokens.length; i++) {
+      if (this.isSymbol(tokens[i], open)) depth++;
+      if (this.isSymbol(tokens[i], close) && --depth === 0) return i;
+    }
+    return -1;
+  }
+  
+  // The counterpart of findClosing(), searching backwards from a closing token
+  findOpening(tokens, closeIndex, open = '(', close = ')') {
+    let depth = 0;
+    for (let i = closeIndex; i >= 0; i--) {
+      if (this.isSymbol(tokens[i], close)) depth++;
+      if (this.isSymbol(tokens[i], open) && --depth === 0) return i;
+    }
+    return -1;
+  }
+  
+  // Source text spanned by a run of tokens, with whitespace (including line breaks) collapsed
+  textOf(tokens) {
+    return this.source.slice(tokens[0].start, tokens[tokens.length - 1].end).replace(/\s+/g, ' ').trim();
+  }
+  
+  report(severity, code, message, firstToken, lastToken) {
+    const text = this.source.slice(firstToken.start, lastToken.end).trim();
+    this.diagnostics.push(new Diagnostic(severity, code, message, firstToken.line, firstToken.column, text));
+  }
+  
+  locationOf(firstToken, lastToken) {
+    return new SourceLocation(firstToken.line, firstToken.column, lastToken.endLine, lastToken.endColumn);
+  }
+  
+  locationFrom(firstToken) {
+    return this.locationOf(firstToken, this.previousToken());
+  }
+  
+  peek() {
+    return this.tokens[this.index];
+  }
+  
+  peekAt(offset) {
+    return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+  }
+  
+  next() {
+    const token = this.tokens[this.index];
+    if (this.index < this.tokens.length - 1) {
+      this.index++;
+    }
+    return token;
+  }
+  
+  previousToken() {
+    return this.tokens[Math.max(this.index - 1, 0)];
+  }
+  
+  isSymbol(token, value) {
+    return token.type === TokenType.SYMBOL && token.value === value;
+  }
+  
+  isIdentifier(token, value) {
+    return token.type === TokenType.IDENTIFIER && token.value === value;
   }
 }
 
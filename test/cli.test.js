@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Writable } = require('stream');
+const Cli = require('../src/cli');
+
+describe('Cli', () => {
+  let directory;
+  let output;
+  let errors;
+  let stdin;
+  
+  const run = (...argv) => {
+    const io = {
+      stdout: { write: text => { output += text; } },
+      stderr: { write: text => { errors += text; } },
+      readStdin: () => stdin
+    };
+    return new Cli(io).run(argv);
+  };
+  
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'plantuml-cli-'));
+    output = '';
+    errors = '';
+    stdin = '';
+  });
+  
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+  
+  test('should list the supported languages', () => {
+    expect(run('--list-languages')).toBe(Cli.ExitCode.SUCCESS);
+    expect(output.split('\n')).toContain('typescript');
+  });
+  
+  test('should read a diagram from stdin and print the code', () => {
+    stdin = 'class User {\n  -id: int\n}';
+    
+    expect(run('--lang', 'java')).toBe(Cli.ExitCode.SUCCESS);
+    expect(output).toContain('public class User');
+    expect(errors).toBe('');
+  });
+  
+  test('should write one file per type for each language from a directory', () => {
+    fs.mkdirSync(path.join(directory, 'docs', 'model'), { recursive: true });
+    fs.writeFileSync(path.join(directory, 'docs', 'model', 'user.puml'), 'package com.example {\n  class User\n}');
+    fs.writeFileSync(path.join(directory, 'docs', 'notes.txt'), 'not a diagram');
+    const out = path.join(directory, 'out');
+    
+    expect(run('-l', 'java', '--lang=python', '--out', out, path.join(directory, 'docs'))).toBe(Cli.ExitCode.SUCCESS);
+    expect(fs.existsSync(path.join(out, 'java', 'com', 'example', 'User.java'))).toBe(true);
+    expect(fs.existsSync(path.join(out, 'python', 'com', 'example', 'user.py'))).toBe(true);
+    expect(output).toBe('');
+  });
+  
+  test('should not overwrite files generated from another input', () => {
+    fs.writeFileSync(path.join(directory, 'a.puml'), 'class User {\n  -id: int\n}');
+    fs.writeFileSync(path.join(directory, 'b.puml'), 'class User {\n  -name: String\n}');
+    const out = path.join(directory, 'out');
+    
+    expect(run('-l', 'java', '--out', out, path.join(directory, 'a.puml'), path.join(directory, 'b.puml'))).toBe(Cli.ExitCode.SUCCESS);
+    expect(fs.readFileSync(path.join(out, 'User.java'), 'utf8')).toContain('private int id;');
+    expect(errors).toContain(`b.puml: not writing ${path.join(out, 'User.java')}, already generated from ${path.join(directory, 'a.puml')}`);
+  });
+  
+  test('should stop printing once the reader closes the pipe', () => {
+    const chunks = [];
+    const stdout = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk.toString());
+        callback(Object.assign(new Error('write EPIPE'), { code: 'EPIPE' }));
+      }
+    });
+    stdin = 'class User';
+    
+    expect(new Cli({ stdout, stderr: { write: () => {} }, readStdin: () => stdin }).run(['-l', 'java,python,ruby'])).toBe(Cli.ExitCode.SUCCESS);
+    expect(chunks).toHaveLength(1);
+  });
+  
+  test('should exit with distinct codes for parse errors and usage errors', () => {
+    fs.writeFileSync(path.join(directory, 'bad.puml'), 'clas User');
+    
+    expect(run('-l', 'java', path.join(directory, '*.puml'))).toBe(Cli.ExitCode.PARSE_ERROR);
+    expect(errors).toContain('bad.puml:1:1 error unrecognized-statement');
+    expect(output).toBe('');
+    
+    expect(run('-l', 'cobol', path.join(directory, 'bad.puml'))).toBe(Cli.ExitCode.USAGE_ERROR);
+    expect(run('-l', 'java', path.join(directory, 'missing.puml'))).toBe(Cli.ExitCode.USAGE_ERROR);
+  });
+});
\ No newline at end of file
@@ -30,5 +30,642 @@ describe('PlantUMLTranspiler', () => {
     expect(javaCode).toContain('public String getName()');
   });
   
+  test('should throw a PlantUMLSyntaxError in strict mode when lines cannot be parsed', () => {
+    const plantUml = `
+      @startuml
+      clas User
+      @enduml
+    `;
+    
+    expect(() => transpiler.transpile(plantUml, 'java', { strict: true })).toThrow(PlantUMLTranspiler.PlantUMLSyntaxError);
+    expect(() => transpiler.transpile(plantUml, 'java')).not.toThrow();
+    
+    try {
+      transpiler.transpile(plantUml, 'java', { strict: true });
+    } catch (error) {
+      expect(error.diagnostics).toHaveLength(1);
+      expect(error.diagnostics[0]).toMatchObject({ code: 'unrecognized-statement', line: 3 });
+    }
+  });
+  
+  test('should use display names in documentation comments', () => {
+    const plantUml = `
+      class "Order Line Item" as OrderLineItem {
+        -quantity: int
+      }
+    `;
+    
+    const javaCode = transpiler.transpile(plantUml, 'java');
+    expect(javaCode).toContain('public class OrderLineItem');
+    expect(javaCode).toContain(' * Order Line Item class');
+  });
+  
+  test('should generate fields for associations using role names and multiplicities', () => {
+    const plantUml = `
+      class Order {
+        -customer: Customer
+      }
+      class Customer
+      Order "1" *--> "0..*" OrderLine : lines
+      Order --> Customer
+      Customer o--> "1" Address
+    `;
+    
+    const javaCode = transpiler.transpile(plantUml, 'java');
+    expect(javaCode).toContain('private List<OrderLine> lines;');
+    expect(javaCode).toContain('private Address address;');
+    expect(javaCode.match(/Customer customer;/g)).toHaveLength(1);
+    
+    const pythonCode = transpiler.transpile(plantUml, 'python');
+    expect(pythonCode).toContain('self.lines: list[OrderLine] = []');
+    expect(pythonCode).toContain('self.address: Optional[Address] = None');
+  });
+  
+  test('should generate override stubs for unimplemented interface and abstract methods', () => {
+    const plantUml = `
+      interface UserService {
+        +findUser(id: int): String
+      }
+      abstract class BaseService {
+        +{abstract} start(): void
+      }
+      class UserServiceImpl
+      UserServiceImpl --|> BaseService
+      UserServiceImpl ..|> UserService
+    `;
+    
+    const javaCode = transpiler.transpile(plantUml, 'java');
+    expect(javaCode).toContain('    @Override\n    public String findUser(int id) {');
+    expect(javaCode).toContain('    @Override\n    public void start() {');
+    
+    const csharpCode = transpiler.transpile(plantUml, 'csharp');
+    expect(csharpCode).toContain('public string findUser(int id)');
+    expect(csharpCode).toContain('public override void start()');
+    
+    const typescriptCode = transpiler.transpile(plantUml, 'typescript');
+    expect(typescriptCode).toContain('public findUser(id: number): string {');
+    expect(typescriptCode).toContain('public override start(): void {');
+    
+    expect(transpiler.transpile(plantUml, 'kotlin')).toContain('public override fun findUser(id: Int): String {');
+  });
+  
+  test('should generate one file per type in the directory layout of the language', () => {
+    const plantUml = `
+      package com.example.model {
+        class User {
+          -id: int
+        }
+        enum Role {
+          ADMIN
+        }
+      }
+      class OrderLine
+    `;
+    
+    const javaFiles = transpiler.transpileToFiles(plantUml, 'java');
+    expect(Object.keys(javaFiles).sort()).toEqual([
+      'OrderLine.java',
+      'com/example/model/Role.java',
+      'com/example/model/User.java'
+    ]);
+    expect(javaFiles['com/example/model/User.java']).toContain('package com.example.model;');
+    expect(javaFiles['com/example/model/User.java']).not.toContain('enum Role');
+    
+    const pythonFiles = transpiler.transpileToFiles(plantUml, 'python');
+    expect(pythonFiles['com/example/model/user.py']).toContain('class User');
+    expect(Object.keys(pythonFiles)).toContain('com/example/__init__.py');
+    
+    expect(Object.keys(transpiler.transpileToFiles(plantUml, 'ruby'))).toContain('lib/order_line.rb');
+    expect(transpiler.transpileToFiles(plantUml, 'typescript')['src/com/example/model/user.ts']).toMatch(/^export class User/m);
+  });
+  
+  test('should import types from other packages and the standard library only when used', () => {
+    const plantUml = `
+      package com.example.model {
+        class User {
+          -createdAt: LocalDate
+        }
+      }
+      package com.example.service {
+        class UserService {
+          +find(id: int): User
+        }
+        UserService --> "*" User : cache
+      }
+    `;
+    
+    const javaFiles = transpiler.transpileToFiles(plantUml, 'java');
+    expect(javaFiles['com/example/service/UserService.java']).toContain(
+      'package com.example.service;\n\nimport com.example.model.User;\nimport java.util.List;\n'
+    );
+    expect(javaFiles['com/example/model/User.java']).toContain('import java.time.LocalDate;');
+    expect(javaFiles['com/example/model/User.java']).not.toContain('java.util');
+    
+    const csharpCode = transpiler.transpile(plantUml, 'csharp');
+    expect(csharpCode).toContain('using System.Collections.Generic;\nusing com.example.model;\n');
+    expect(csharpCode).not.toContain('using System;');
+    expect(csharpCode).not.toContain('using com.example.service;');
+    
+    const pythonFiles = transpiler.transpileToFiles(plantUml, 'python');
+    expect(pythonFiles['com/example/service/user_service.py']).toContain(
+      'if TYPE_CHECKING:\n    from com.example.model.user import User\n'
+    );
+    
+    const typescriptFiles = transpiler.transpileToFiles(plantUml, 'typescript');
+    expect(typescriptFiles['src/com/example/service/user-service.ts']).toContain("import { User } from '../model/user';");
+  });
+  
+  test('should be silent by default and log through a custom logger', () => {
+    const consoleSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const plantUml = 'class User\ninterface Service {\n  -cache: Map\n}';
+    
+    try {
+      transpiler.transpile(plantUml, 'java');
+      expect(consoleSpy).not.toHaveBeenCalled();
+    } finally {
+      consoleSpy.mockRestore();
+    }
+    
+    const messages = [];
+    const logger = { debug: message => messages.push(['debug', message]), warn: message => messages.push(['warn', message]) };
+    new PlantUMLTranspiler({ logger }).transpile(plantUml, 'java');
+    
+    expect(messages).toContainEqual(['debug', 'Transpiling to java']);
+    expect(messages.filter(([level]) => level === 'warn')).toHaveLength(1);
+  });
+  
+  test('should report stats and timing with the generated code', () => {
+    const report = transpiler.transpileWithReport(`
+      package shop {
+        class Order
+        class OrderLine
+      }
+      enum Status { OPEN }
+      Order *--> OrderLine
+      interface Service {
+        -cache: Map
+      }
+    `, 'python');
+    
+    expect(report.language).toBe('python');
+    expect(report.code).toContain('class Order');
+    expect(report.stats).toEqual({
+      classes: 2, interfaces: 1, enums: 1, packages: 1, relationships: 1, warnings: 1, errors: 0
+    });
+    expect(report.diagnostics[0].code).toBe('unsupported-member');
+    expect(report.timing.totalMs).toBeGreaterThanOrEqual(report.timing.parseMs);
+  });
+  
+  test('should nest C# namespaces and Ruby modules for nested packages', () => {
+    const plantUml = `
+      package shop {
+        class Cart
+        package billing {
+          class Invoice
+        }
+      }
+    `;
+    
+    const csharpCode = transpiler.transpile(plantUml, 'csharp');
+    expect(csharpCode).toContain('namespace shop\n{\n    /// <summary>\n    /// Cart class');
+    expect(csharpCode).toContain('    namespace billing\n    {\n        /// <summary>\n        /// Invoice class');
+    
+    const rubyCode = transpiler.transpile(plantUml, 'ruby');
+    expect(rubyCode).toContain('module Shop\n  # Cart class\n  class Cart');
+    expect(rubyCode).toContain('  module Billing\n    # Invoice class\n    class Invoice');
+    
+    const rubyFiles = transpiler.transpileToFiles(plantUml, 'ruby');
+    expect(rubyFiles['lib/shop/billing/invoice.rb']).toContain('module Shop\n  module Billing\n    # Invoice class');
+    
+    const javaFiles = transpiler.transpileToFiles(plantUml, 'java');
+    expect(javaFiles['shop/billing/Invoice.java']).toContain('package shop.billing;');
+  });
+  
+  test('should tell apart classes with the same name in different packages', () => {
+    const files = transpiler.transpileToFiles(`
+      class com.example.model.User {
+        +getName(): String
+      }
+      abstract class com.example.admin.User {
+        {abstract} +getRole(): String
+      }
+      class com.example.admin.Admin extends User
+      class app.Session {
+        -owner: com.example.model.User
+      }
+    `, 'java');
+    
+    expect(Object.keys(files).sort()).toEqual([
+      'app/Session.java',
+      'com/example/admin/Admin.java',
+      'com/example/admin/User.java',
+      'com/example/model/User.java'
+    ]);
+    expect(files['com/example/admin/Admin.java']).toContain('public class Admin extends User {');
+    expect(files['com/example/admin/Admin.java']).toContain('public String getRole() {');
+    expect(files['com/example/admin/Admin.java']).not.toContain('getName');
+    expect(files['app/Session.java']).toContain('import com.example.model.User;');
+    expect(files['app/Session.java']).toContain('private User owner;');
+  });
+  
+  test('should write types with their package where a file refers to two of the same name', () => {
+    const plantUml = 'class com.example.model.User\nclass com.example.admin.User\nclass app.Session {\n' +
+      '  -admin: com.example.admin.User\n  -owner: com.example.model.User\n}\nclass app.Login {\n  -user: com.example.admin.User\n}';
+    
+    const javaFiles = transpiler.transpileToFiles(plantUml, 'java');
+    expect(javaFiles['app/Session.java']).toContain('    private com.example.admin.User admin;\n    private com.example.model.User owner;\n');
+    expect(javaFiles['app/Session.java']).not.toContain('import com.example');
+    expect(javaFiles['app/Login.java']).toContain('import com.example.admin.User;');
+    expect(javaFiles['app/Login.java']).toContain('private User user;');
+    
+    expect(transpiler.transpileToFiles(plantUml, 'csharp')['app/Session.cs']).toContain('private global::com.example.model.User owner { get; set; }');
+    
+    // Imports still go by the qualified name where the language cannot tell the types apart
+    const tsFiles = transpiler.transpileToFiles(plantUml, 'typescript');
+    expect(tsFiles['src/app/session.ts']).toContain("import { User } from '../com/example/admin/user';\nimport { User } from '../com/example/model/user';\n");
+    expect(transpiler.generators.typescript.diagnostics.map(d => d.code)).toEqual(['ambiguous-type-name']);
+  });
+  
+  test('should match member types against class names with regex metacharacters', () => {
+    const plantUml = 'class Line$Item\nclass Order {\n  -items: List<Line$Item>\n  -last: Line$Item\n}\nOrder --> "*" Line$Item';
+    
+    expect(transpiler.transpileToFiles(plantUml, 'java')['Order.java']).not.toContain('line$Items');
+    
+    const header = transpiler.transpileToFiles(plantUml, 'cpp')['Order.h'];
+    expect(header).toContain('#include "Line$Item.h"');
+    expect(header).not.toContain('class Line$Item;');
+  });
+  
+  test('should assign only the TypeScript properties named like a constructor parameter', () => {
+    const plantUml = 'class Shape {\n  #label: String\n}\nclass Point extends Shape {\n  -x: int\n' +
+      '  +Point(x: int)\n  +Point(x: int, scale: double, label: String)\n}\nclass Line {\n  +Line(length: double)\n}';
+    
+    const code = transpiler.transpile(plantUml, 'typescript');
+    expect(code).toContain('      super();\n      this.x = x;\n      if (label !== undefined) this.label = label;\n    }');
+    expect(code).toContain('    public constructor(length: number) {\n    }');
+    expect(code).not.toContain('this.scale');
+  });
+  
+  test('should generate code for stereotypes and registered mappings', () => {
+    const plantUml = 'class Order <<entity>> {\n  -id: long\n}\nclass Cart <<AggregateRoot>>';
+    
+    const javaCode = transpiler.transpile(plantUml, 'java');
+    expect(javaCode).toContain('import jakarta.persistence.Entity;');
+    expect(javaCode).toContain(' */\n@Entity\npublic class Order {');
+    
+    expect(transpiler.transpile(plantUml, 'csharp')).toContain('    [Table("Order")]\n    public class Order');
+    expect(transpiler.transpile(plantUml, 'python')).toContain('from dataclasses import dataclass\n');
+    expect(transpiler.transpile(plantUml, 'python')).toContain('@dataclass\nclass Order:');
+    expect(transpiler.transpile(plantUml, 'ruby')).toContain('class Order < ApplicationRecord');
+    
+    transpiler.registerStereotype('typescript', 'AggregateRoot', {
+      annotations: ['@Aggregate()'],
+      baseClass: 'AggregateRoot<{name}>',
+      imports: ['@app/ddd#Aggregate', '@app/ddd#AggregateRoot']
+    });
+    const tsCode = transpiler.transpile(plantUml, 'typescript');
+    expect(tsCode).toContain("import { Aggregate, AggregateRoot } from '@app/ddd';");
+    expect(tsCode).toContain('  @Aggregate()\n  export class Cart extends AggregateRoot<Cart> {');
+    expect(tsCode).toContain('super();');
+  });
+  
+  test('should initialize attributes with their default values', () => {
+    const plantUml = [
+      'class Order {',
+      '  -count: int = 0',
+      '  +status: Status = Status.ACTIVE',
+      '  -title: String = "draft"',
+      '  -active: boolean = true',
+      '  -note: String',
+      '}',
+      'enum Status { ACTIVE, CLOSED }'
+    ].join('\n');
+    
+    const javaCode = transpiler.transpile(plantUml, 'java');
+    expect(javaCode).toContain('private int count = 0;');
+    expect(javaCode).toContain('public Status status = Status.ACTIVE;');
+    expect(javaCode).toContain('private String note;');
+    
+    expect(transpiler.transpile(plantUml, 'python')).toContain('active: bool = True, note: str = None):');
+    expect(transpiler.transpile(plantUml, 'ruby')).toContain('def initialize(count = 0, status = Status::ACTIVE, title = "draft", active = true, note = nil)');
+    expect(transpiler.transpile(plantUml, 'typescript')).toContain("private title: string = 'draft';");
+    expect(transpiler.transpile(plantUml, 'kotlin')).toContain('class Order(private var count: Int = 0, ');
+    expect(transpiler.transpile(plantUml, 'csharp')).toContain('private bool active { get; set; } = true;');
+    
+    // With a constructor, attributes it does not take stay properties with their initializers
+    const kotlinCode = transpiler.transpile('class Counter {\n  -{final} name: String\n  -count: int = 0\n  +Counter(name: String)\n}', 'kotlin');
+    expect(kotlinCode).toContain('class Counter(private val name: String) {\n    private var count: Int = 0\n');
+  });
+  
+  test('should map array, varargs and nullable types', () => {
+    const plantUml = [
+      'class Report {',
+      '  -ids: int[]',
+      '  -title: String?',
+      '  +format(pattern: String, args: Object...): String',
+      '}'
+    ].join('\n');
+    
+    const javaCode = transpiler.transpile(plantUml, 'java');
+    expect(javaCode).toContain('private int[] ids;');
+    expect(javaCode).toContain('format(String pattern, Object... args)');
+    
+    const csharpCode = transpiler.transpile(plantUml, 'csharp');
+    expect(csharpCode).toContain('private string? title { get; set; }');
+    expect(csharpCode).toContain('format(string pattern, params object[] args)');
+    
+    const kotlinCode = transpiler.transpile(plantUml, 'kotlin');
+    expect(kotlinCode).toContain('private var ids: IntArray, private var title: String?');
+    expect(kotlinCode).toContain('fun format(pattern: String, vararg args: Any): String');
+    
+    const pythonCode = transpiler.transpile(plantUml, 'python');
+    expect(pythonCode).toContain('ids: list[int] = None, title: Optional[str] = None');
+    expect(pythonCode).toContain('def format(self, pattern: str, *args: Any) -> str:');
+    
+    const tsCode = transpiler.transpile(plantUml, 'typescript');
+    expect(tsCode).toContain('private ids: number[];');
+    expect(tsCode).toContain('private title: string | null;');
+    expect(tsCode).toContain('format(pattern: string, ...args: any[]): string');
+  });
+  
+  test('should keep nested generic type arguments', () => {
+    const plantUml = 'class Catalog {\n  -index: Map<String, List<Integer>>\n  +find(ids: List<int>): Optional<Product>\n}';
+    
+    const javaCode = transpiler.transpile(plantUml, 'java');
+    expect(javaCode).toContain('private Map<String, List<Integer>> index;');
+    expect(javaCode).toContain('public Optional<Product> find(List<Integer> ids)');
+    
+    expect(transpiler.transpile(plantUml, 'csharp')).toContain('private Dictionary<string, List<int>> index');
+    expect(transpiler.transpile(plantUml, 'kotlin')).toContain('fun find(ids: List<Int>): Product?');
+    expect(transpiler.transpile(plantUml, 'python')).toContain('index: dict[str, list[int]] = None');
+    
+    const tsCode = transpiler.transpile(plantUml, 'typescript');
+    expect(tsCode).toContain('private index: Map<string, number[]>;');
+    expect(tsCode).toContain('find(ids: number[]): Product | null');
+  });
+  
+  test('should declare bounded and variant type parameters', () => {
+    const plantUml = 'class Entity\nclass Repository<T extends Entity, K>\ninterface Source<out T> {\n  +next(): T\n}';
+    
+    expect(transpiler.transpile(plantUml, 'java')).toContain('public class Repository<T extends Entity, K> {');
+    expect(transpiler.transpile(plantUml, 'typescript')).toContain('export class Repository<T extends Entity, K> {');
+    
+    const csharpCode = transpiler.transpile(plantUml, 'csharp');
+    expect(csharpCode).toContain('public class Repository<T, K> where T : Entity\n');
+    expect(csharpCode).toContain('public interface Source<out T>\n');
+    
+    const kotlinCode = transpiler.transpile(plantUml, 'kotlin');
+    expect(kotlinCode).toContain('class Repository<T : Entity, K> {');
+    expect(kotlinCode).toContain('interface Source<out T> {');
+    
+    const pythonCode = transpiler.transpile(plantUml, 'python');
+    expect(pythonCode).toContain('from typing import Generic, TypeVar\n');
+    expect(pythonCode).toContain("T = TypeVar('T', bound='Entity')\nK = TypeVar('K')\n\nclass Repository(Generic[T, K]):");
+    expect(pythonCode).toContain("T = TypeVar('T', covariant=True)\n\nclass Source(ABC, Generic[T]):");
+  });
+  
+  test('should declare the type parameters of generic methods', () => {
+    const plantUml = 'class Converter {\n  +<T> convert(input: T): List<T>\n  +max<T extends Comparable<T>>(items: List<T>): T\n}';
+    
+    const javaCode = transpiler.transpile(plantUml, 'java');
+    expect(javaCode).toContain('public <T> List<T> convert(T input) {');
+    expect(javaCode).toContain('public <T extends Comparable<T>> T max(List<T> items) {');
+    
+    expect(transpiler.transpile(plantUml, 'kotlin')).toContain('public fun <T> convert(input: T): List<T> {');
+    expect(transpiler.transpile(plantUml, 'csharp')).toContain('public T max<T>(List<T> items) where T : Comparable<T>\n');
+    expect(transpiler.transpile(plantUml, 'typescript')).toContain('public convert<T>(input: T): T[] {');
+    expect(transpiler.transpile(plantUml, 'python')).toContain("T = TypeVar('T')\n\nclass Converter:");
+  });
+  
+  test('should generate overloaded methods and constructors', () => {
+    const plantUml = 'class User {\n  -id: int\n  -name: String\n  +User(id: int)\n  +User(id: int, name: String)\n' +
+      '  +find(id: int): User\n  +find(name: String): User\n}';
+    
+    const kotlinCode = transpiler.transpile(plantUml, 'kotlin');
+    expect(kotlinCode).toContain('class User(private var id: Int, private var name: String) {');
+    expect(kotlinCode).toContain('public constructor(id: Int) : this(id, "")');
+    
+    const pythonCode = transpiler.transpile(plantUml, 'python');
+    expect(pythonCode).toContain('from typing import Any, overload\n');
+    expect(pythonCode).toContain('    @overload\n    def find(self, name: str) -> User: ...\n\n    def find(self, *args: Any) -> User:');
+    expect(pythonCode).toContain('elif len(args) == 2 and isinstance(args[0], int) and isinstance(args[1], str):\n            self.id = args[0]\n            self.name = args[1]');
+    
+    const tsCode = transpiler.transpile(plantUml, 'typescript');
+    expect(tsCode).toContain('public constructor(id: number);\n    public constructor(id: number, name: string);\n    public constructor(id: number, name?: string) {');
+    expect(tsCode).toContain('public find(name: string): User;\n    public find(idOrName: number | string): User {');
+    
+    expect(transpiler.transpile(plantUml, 'javascript')).toContain('constructor(id, name) {');
+    expect(transpiler.transpile(plantUml, 'ruby')).toContain('def find(idOrName)');
+  });
+  
+  test('should warn about overloads a language without parameter types cannot tell apart', () => {
+    const plantUml = 'class User {\n  +find(id: int): User\n  +find(name: String): User\n  +save(): void\n}';
+    
+    const report = transpiler.transpileWithReport(plantUml, 'javascript');
+    expect(report.stats.warnings).toBe(1);
+    expect(report.diagnostics[0].code).toBe('unrepresentable-overload');
+    expect(report.diagnostics[0].line).toBe(3);
+    
+    expect(transpiler.transpileWithReport(plantUml, 'java').diagnostics).toEqual([]);
+  });
+  
+  test('should generate Go structs, interfaces and enums', () => {
+    const plantUml = 'package com.example.shop {\nenum Status {\n  ACTIVE\n  IN_PROGRESS\n}\ninterface Named {\n  +getName(): String\n}\n' +
+      'class Base\nclass Box<T extends Named> {\n  -id: long\n  +label: String = "box"\n  +Box(id: long)\n  +find(id: int): T\n}\n' +
+      'class Item\nBase <|-- Item\nNamed <|.. Item\n}';
+    
+    const goCode = transpiler.transpile(plantUml, 'go');
+    expect(goCode).toContain('package shop\n\nimport "fmt"\n');
+    expect(goCode).toContain('type Box[T Named] struct {\n\tid int64\n\tLabel string\n}');
+    expect(goCode).toContain('func NewBox[T Named](id int64) *Box[T] {\n\treturn &Box[T]{\n\t\tid: id,\n\t\tLabel: "box",\n\t}\n}');
+    expect(goCode).toContain('func (b *Box[T]) Find(id int) T {\n\t// TODO: Implement method\n\treturn *new(T)\n}');
+    expect(goCode).toContain('type Item struct {\n\tBase\n}\n\nvar _ Named = (*Item)(nil)');
+    expect(goCode).toContain('type Named interface {\n\tGetName() string\n}');
+    expect(goCode).toContain('const (\n\tStatusActive Status = iota\n\tStatusInProgress\n)');
+    expect(goCode).toContain('\tcase StatusInProgress:\n\t\treturn "IN_PROGRESS"');
+    
+    expect(Object.keys(transpiler.transpileToFiles(plantUml, 'go'))).toContain('com/example/shop/box.go');
+    
+    const packages = 'package shop {\nclass Cart\n}\npackage billing {\nclass Invoice {\n  -cart: Cart\n}\n}';
+    expect(transpiler.transpileWithReport(packages, 'go').diagnostics.map(d => d.code)).toEqual(['merged-packages']);
+    transpiler.transpileToFiles(packages, 'go');
+    expect(transpiler.generators.go.diagnostics.map(d => [d.code, d.text])).toEqual([['unresolved-package', 'Invoice']]);
+  });
+  
+  test('should embed generic Go parents with their type arguments', () => {
+    const plantUml = 'class Base<T> {\n  -item: T\n}\nclass Child extends Base<String>\nclass Pair<K> extends Base<List<K>>\nclass GrandChild extends Child';
+    
+    const goCode = transpiler.transpile(plantUml, 'go');
+    expect(goCode).toContain('type Child struct {\n\tBase[string]\n}');
+    expect(goCode).toContain('type Pair[K any] struct {\n\tBase[[]K]\n}');
+    expect(goCode).toContain('type GrandChild struct {\n\tChild\n}');
+  });
+  
+  test('should generate Rust structs, traits and enums', () => {
+    const plantUml = 'package shop {\nenum Status {\n  ACTIVE\n  IN_PROGRESS\n}\ninterface Named {\n  +getName(): String\n}\n' +
+      'class Base\nclass Item {\n  -id: long\n  +label: String = "item"\n  +Item(id: long)\n  +getName(): String\n  +setLabel(label: String)\n  +{static} count(): int\n}\n' +
+      'Base <|-- Item\nNamed <|.. Item\n}';
+    
+    const result = transpiler.transpileWithReport(plantUml, 'rust');
+    expect(result.code).toContain('pub mod shop {\n    use super::*;\n');
+    expect(result.code).toContain('pub struct Item {\n        pub base: Base,\n        id: i64,\n        pub label: String,\n    }');
+    expect(result.code).toContain('pub fn new(id: i64) -> Self {\n            Self {\n                base: Base::new(),\n                id,\n                label: String::from("item"),\n');
+    expect(result.code).toContain('pub fn count() -> i32 {\n            todo!()\n        }');
+    expect(result.code).toContain('pub fn set_label(&mut self, label: String) {');
+    expect(result.code).toContain('impl Named for Item {\n        /// getName method\n        fn get_name(&mut self) -> String {\n            todo!()\n        }');
+    expect(result.code).toContain('pub trait Named {\n        /// getName method\n        fn get_name(&mut self) -> String;\n    }');
+    expect(result.code).toContain('pub enum Status {\n        Active,\n        InProgress,\n    }');
+    expect(result.diagnostics.map(d => d.code)).toContain('composed-parent');
+    
+    const files = transpiler.transpileToFiles(plantUml, 'rust');
+    expect(files['src/lib.rs']).toBe('pub mod shop;\n');
+    expect(files['src/shop/item.rs']).toContain('use crate::shop::base::Base;\nuse crate::shop::named::Named;\n');
+  });
+  
+  test('should mark unused Rust type parameters and borrow structs with fields mutably', () => {
+    const plantUml = 'class Service<T> {\n  +run(item: T)\n}\nclass Pair<K, V> {\n  -key: K\n  +scale(factor: double)\n  +{static} create(): Pair<K, V>\n}';
+    
+    const rustCode = transpiler.transpile(plantUml, 'rust');
+    expect(rustCode).toContain('use std::marker::PhantomData;\n');
+    expect(rustCode).toContain('pub struct Service<T> {\n    _marker: PhantomData<T>,\n}');
+    expect(rustCode).toContain('Self {\n            _marker: PhantomData,\n        }');
+    expect(rustCode).toContain('pub fn run(&self, item: T) {');
+    expect(rustCode).toContain('pub struct Pair<K, V> {\n    key: K,\n    _marker: PhantomData<V>,\n}');
+    expect(rustCode).toContain('pub fn scale(&mut self, factor: f64) {');
+    expect(rustCode).toContain('pub fn create() -> Pair<K, V> {');
+  });
+  
+  test('should generate Swift classes, protocols and enums', () => {
+    const plantUml = 'enum Status {\n  ACTIVE\n  IN_PROGRESS\n}\ninterface Named {\n  +getName(): String\n}\n' +
+      'abstract class Base {\n  #id: long\n}\nclass Item {\n  -label: String = "item"\n  ~status: Status\n  +owner: Named\n  +{static} count: int = 0\n' +
+      '  +Item(label: String)\n  +getName(): String\n  +find(id: int): Item?\n}\nBase <|-- Item\nNamed <|.. Item';
+    
+    const swiftCode = transpiler.transpile(plantUml, 'swift');
+    expect(swiftCode).toContain('public class Base {\n    fileprivate var id: Int64 = 0\n');
+    expect(swiftCode).toContain('precondition(type(of: self) != Base.self, "Base is abstract; create a subclass instead")');
+    expect(swiftCode).toContain('public class Item: Base, Named {\n    public static var count: Int = 0\n');
+    expect(swiftCode).toContain('    private var label: String\n    internal var status: Status = Status.active\n    public var owner: Named!\n');
+    expect(swiftCode).toContain('public init(label: String) {\n        self.label = label\n        super.init()\n    }');
+    expect(swiftCode).toContain('public func find(id: Int) -> Item? {\n        fatalError("Not implemented")\n    }');
+    expect(swiftCode).toContain('public protocol Named {\n    /// getName method\n    func getName() -> String\n}');
+    expect(swiftCode).toContain('public enum Status: String {\n    case active = "ACTIVE"\n    case inProgress = "IN_PROGRESS"\n}');
+  });
+  
+  test('should declare generic Swift parent classes with their type arguments', () => {
+    const plantUml = 'class Base<T> {\n  -item: T\n}\ninterface Named\nclass Child extends Base<String> implements Named\nclass Pair<K> extends Base<List<K>>';
+    
+    const swiftCode = transpiler.transpile(plantUml, 'swift');
+    expect(swiftCode).toContain('public class Child: Base<String>, Named {');
+    expect(swiftCode).toContain('public class Pair<K>: Base<[K]> {');
+  });
+  
+  test('should generate PHP classes, interfaces and enums', () => {
+    const plantUml = 'package com.example.shop {\nenum Status {\n  ACTIVE\n  IN_PROGRESS\n}\ninterface Repository<T> {\n  +findAll(): List<T>\n}\n' +
+      'abstract class Base {\n  #{abstract} validate(): bool\n}\nclass Item {\n  -label: String\n  +{final} sku: String = "X-1"\n  +tags: List<String>\n' +
+      '  +status: Status = Status.ACTIVE\n  +{static} {final} LIMIT: int = 10\n  +Item(label: String)\n  +find(id: int): Item?\n  +find(name: String, exact: bool): Item?\n}\n' +
+      'Base <|-- Item\n}';
+    
+    const phpCode = transpiler.transpile(plantUml, 'php');
+    expect(phpCode).toContain('<?php\n');
+    expect(phpCode).toContain('namespace Com\\Example\\Shop {\n');
+    expect(phpCode).toContain('     * @template T\n     */\n    interface Repository\n    {\n');
+    expect(phpCode).toContain('         * @return list<T>\n         */\n        public function findAll(): array;');
+    expect(phpCode).toContain('abstract protected function validate(): bool;');
+    expect(phpCode).toContain('    class Item extends Base\n    {\n        public const LIMIT = 10;\n\n        public readonly string $sku;\n\n        /** @var list<string> */\n        public array $tags;\n');
+    expect(phpCode).toContain('public function __construct(\n            private string $label,\n        ) {\n            $this->sku = \'X-1\';\n        }');
+    expect(phpCode).toContain('public function find(int|string $idOrName, ?bool $exact = null): ?Item\n');
+    expect(phpCode).toContain("enum Status: string\n    {\n        case Active = 'ACTIVE';\n        case InProgress = 'IN_PROGRESS';\n    }");
+    
+    const files = transpiler.transpileToFiles(plantUml, 'php');
+    expect(files['src/Com/Example/Shop/Item.php']).toContain('declare(strict_types=1);\n\nnamespace Com\\Example\\Shop;\n\n/**\n * Item class\n */\nclass Item');
+  });
+  
+  test('should generate C++ headers and sources', () => {
+    const plantUml = 'package com.example.shop {\nenum Status {\n  ACTIVE\n}\ninterface Priced {\n  +price(): double\n}\n' +
+      'abstract class Base {\n  #id: long\n  +Base(id: long)\n  +{abstract} validate(): bool\n}\nclass Item {\n  -label: String\n  -tags: List<String>\n' +
+      '  -stock: Map<String, Integer>\n  +status: Status = Status.ACTIVE\n  +Item(id: long, label: String)\n  +validate(): bool\n  +price(): double\n}\n' +
+      'class Box<T> {\n  +first(): T\n}\nBase <|-- Item\nItem ..|> Priced\n}';
+    
+    const cppCode = transpiler.transpile(plantUml, 'cpp');
+    expect(cppCode).toContain('namespace com::example::shop {\n');
+    expect(cppCode).toContain('enum class Status {\n    ACTIVE\n};');
+    expect(cppCode).toContain('class Priced {\npublic:\n    virtual ~Priced() = default;\n\n    virtual double price() = 0;\n};');
+    expect(cppCode).toContain('virtual bool validate() = 0;\n\nprotected:\n    std::int64_t id{};');
+    expect(cppCode).toContain('class Item : public Base, public Priced {\npublic:\n    Item(std::int64_t id, std::string label);\n\n' +
+      '    bool validate() override;\n    double price() override;\n\n    Status status = Status::ACTIVE;\n\nprivate:\n' +
+      '    std::string label;\n    std::vector<std::string> tags;\n    std::unordered_map<std::string, int> stock;\n};');
+    expect(cppCode).toContain('template <typename T>\nT Box<T>::first() {');
+    expect(cppCode).toContain('Item::Item(std::int64_t id, std::string label)\n    : Base(id), label(label) {\n}');
+    expect(cppCode.indexOf('class Base {')).toBeLessThan(cppCode.indexOf('class Item :'));
+    
+    const files = transpiler.transpileToFiles(plantUml, 'cpp');
+    expect(files['com/example/shop/Item.h']).toContain('#pragma once\n');
+    expect(files['com/example/shop/Item.h']).toContain('#include "com/example/shop/Base.h"\n');
+    expect(files['com/example/shop/Item.cpp']).toContain('#include "com/example/shop/Item.h"\n');
+    expect(files['com/example/shop/Item.cpp']).toContain('throw std::logic_error("Not implemented");');
+    expect(files['com/example/shop/Box.cpp']).toBeUndefined();
+  });
+  
+  test('should bind the type arguments of generic supertypes in override stubs', () => {
+    const plantUml = 'interface Repository<T> {\n  +save(item: T): void\n  +findAll(): List<T>\n}\nabstract class Base<K> {\n  +{abstract} key(): K\n}\n' +
+      'class User\nclass UserRepository extends Base<int> implements Repository<User>\nclass AnyRepository\nAnyRepository ..|> Repository';
+    
+    const report = transpiler.transpileWithReport(plantUml, 'java');
+    expect(report.code).toContain('public class UserRepository extends Base<Integer> implements Repository<User> {');
+    expect(report.code).toContain('public Integer key() {');
+    expect(report.code).toContain('public void save(User item) {');
+    expect(report.code).toContain('public List<User> findAll() {');
+    
+    // Without type arguments the type parameters are erased, with a warning
+    expect(report.code).toContain('public class AnyRepository implements Repository<Object> {');
+    expect(report.code).toContain('public void save(Object item) {');
+    expect(report.diagnostics).toHaveLength(1);
+    expect(report.diagnostics[0]).toMatchObject({ code: 'erased-type-argument', line: 10 });
+    
+    // PHP parameter types cannot narrow, so the bound type goes in the doc block
+    const phpCode = transpiler.transpile(plantUml, 'php');
+    expect(phpCode).toContain(' * @extends Base<int>\n * @implements Repository<User>\n */\nclass UserRepository extends Base implements Repository');
+    expect(phpCode).toContain('     * @param User $item\n     */\n    public function save(mixed $item): void');
+    
+    const cppCode = transpiler.transpile(plantUml, 'cpp');
+    expect(cppCode).toContain('class UserRepository : public Base<int>, public Repository<User> {');
+    expect(cppCode).toContain('class AnyRepository : public Repository<std::any> {');
+    
+    expect(transpiler.transpile(plantUml, 'rust')).toContain('impl Repository<User> for UserRepository {');
+  });
+  
+  test('should declare the interfaces an interface extends', () => {
+    const plantUml = 'interface Named {\n  +getName(): String\n}\ninterface Repository<T> {\n  +save(item: T): void\n}\n' +
+      'interface UserRepository extends Named, Repository<User>\nclass User\nclass UserStore implements UserRepository';
+    
+    expect(transpiler.transpile(plantUml, 'java')).toContain('public interface UserRepository extends Named, Repository<User> {');
+    expect(transpiler.transpile(plantUml, 'csharp')).toContain('public interface UserRepository : Named, Repository<User>\n');
+    expect(transpiler.transpile(plantUml, 'kotlin')).toContain('interface UserRepository : Named, Repository<User> {');
+    expect(transpiler.transpile(plantUml, 'typescript')).toContain('export interface UserRepository extends Named, Repository<User> {');
+    expect(transpiler.transpile(plantUml, 'python')).toContain('class UserRepository(Named, Repository[User]):');
+    
+    // The stubs of the implementing class override methods the interface declares through extension
+    expect(transpiler.transpile(plantUml, 'java')).toContain('    @Override\n    public void save(User item) {');
+  });
+  
+  test('should put imports below the package declaration in single-file Java and Kotlin', () => {
+    const plantUml = 'package com.shop {\nclass Order <<Entity>> {\n  -lines: List<String>\n}\n}';
+    
+    expect(transpiler.transpile(plantUml, 'java')).toContain(
+      '// Generated Java code from PlantUML class diagram\n\npackage com.shop;\n\nimport jakarta.persistence.Entity;\nimport java.util.List;\n\n/**');
+    expect(transpiler.transpile(plantUml, 'kotlin')).toContain('package com.shop\n\nimport jakarta.persistence.Entity\n\n/**');
+  });
+  
+  test('should refer to Ruby classes and modules of other modules from the top', () => {
+    const plantUml = 'package a {\nclass Base\ninterface Named\nenum Status { OPEN }\n}\npackage b {\nclass Child {\n  -status: Status = Status.OPEN\n}\nclass Other\n}\n' +
+      'b.Child --|> a.Base\nb.Child ..|> a.Named\nb.Other --|> b.Child';
+    
+    const files = transpiler.transpileToFiles(plantUml, 'ruby');
+    expect(files['lib/b/child.rb']).toContain("require_relative '../a/base'\n");
+    expect(files['lib/b/child.rb']).toContain('  class Child < ::A::Base\n    include ::A::Named\n');
+    expect(files['lib/b/child.rb']).toContain('def initialize(status = ::A::Status::OPEN)');
+    expect(files['lib/b/other.rb']).toContain('  class Other < Child\n');
+  });
+  
   // Add more tests for different languages and features
 });
\ No newline at end of file
@@ -0,0 +1,436 @@
+const PlantUMLParser = require('../src/parser/PlantUMLParser');
+const Lexer = require('../src/parser/Lexer');
+
+describe('PlantUMLParser', () => {
+  let parser;
+  
+  beforeEach(() => {
+    parser = new PlantUMLParser();
+  });
+  
+  test('should parse members that span lines and a brace on the next line', () => {
+    const diagram = parser.parse(`
+      @startuml
+      class Order
+      {
+        +addLine(product: Product,
+                 quantity: int): void
+      }
+      @enduml
+    `);
+    
+    const order = diagram.classes[0];
+    expect(order.name).toBe('Order');
+    expect(order.methods).toHaveLength(1);
+    expect(order.methods[0].parameters.map(p => p.type)).toEqual(['Product', 'int']);
+  });
+  
+  test('should parse several statements on one line', () => {
+    const diagram = parser.parse(`
+      class A { -id: int; +getId(): int }
+      enum Color { RED, GREEN, BLUE }
+    `);
+    
+    expect(diagram.classes[0].attributes.map(a => a.name)).toEqual(['id']);
+    expect(diagram.classes[0].methods.map(m => m.name)).toEqual(['getId']);
+    expect(diagram.enums[0].values).toEqual(['RED', 'GREEN', 'BLUE']);
+  });
+  
+  test('should record source locations on models', () => {
+    const diagram = parser.parse([
+      'package shop {',
+      '  class Order {',
+      '    -id: int',
+      '  }',
+      '}',
+      'Order --> Customer'
+    ].join('\n'));
+    
+    const order = diagram.classes[0];
+    expect(diagram.packages.shop.location.start).toEqual({ line: 1, column: 1 });
+    expect(order.location.start).toEqual({ line: 2, column: 3 });
+    expect(order.location.end).toEqual({ line: 4, column: 4 });
+    expect(order.attributes[0].location.start).toEqual({ line: 3, column: 5 });
+    expect(diagram.relationships[0].location.start).toEqual({ line: 6, column: 1 });
+  });
+  
+  test('should normalize arrow direction for relationships', () => {
+    const diagram = parser.parse(`
+      Parent <|-- Child
+      Whole *--> Part
+      Part2 <--o Whole2
+      Client ..> Service
+    `);
+    
+    expect(diagram.relationships.map(r => [r.sourceClass, r.type, r.targetClass])).toEqual([
+      ['Child', 'inheritance', 'Parent'],
+      ['Whole', 'composition', 'Part'],
+      ['Whole2', 'aggregation', 'Part2'],
+      ['Client', 'dependency', 'Service']
+    ]);
+  });
+  
+  test('should expose the syntax tree', () => {
+    const ast = parser.parseAst('class User {\n  +getName(): String\n}');
+    
+    expect(ast.type).toBe('Diagram');
+    expect(ast.body[0].type).toBe('EntityDeclaration');
+    expect(ast.body[0].members[0]).toMatchObject({ type: 'Method', name: 'getName', returnType: 'String' });
+    expect(ast.body[0].members[0].loc.start).toEqual({ line: 2, column: 3 });
+  });
+  
+  test('should resolve aliases and quoted display names', () => {
+    const diagram = parser.parse(`
+      Order --> C
+      class "Order Line Item" as OrderLineItem
+      class Customer as C
+      class Order
+      Order *--> "Order Line Item"
+      Customer --> Order
+      C --> Order
+    `);
+    
+    expect(diagram.classes.map(c => [c.name, c.displayName, c.alias])).toEqual([
+      ['OrderLineItem', 'Order Line Item', null],
+      ['Customer', 'Customer', 'C'],
+      ['Order', 'Order', null]
+    ]);
+    expect(diagram.relationships.map(r => `${r.sourceClass} -> ${r.targetClass}`)).toEqual([
+      'Order -> Customer',
+      'Order -> OrderLineItem',
+      'Customer -> Order'
+    ]);
+  });
+  
+  test('should parse multiplicities, role names and labels on relationship ends', () => {
+    const diagram = parser.parse(`
+      Order "1" *--> "0..*" OrderLine : lines
+      Customer "+owner 1" <-- "orders *" Order2
+      Person --> "1" Address : lives at >
+    `);
+    
+    expect(diagram.relationships.map(r => [
+      r.sourceClass, r.sourceMultiplicity, r.sourceRole,
+      r.targetClass, r.targetMultiplicity, r.targetRole, r.label
+    ])).toEqual([
+      ['Order', '1', null, 'OrderLine', '0..*', 'lines', 'lines'],
+      ['Order2', '*', 'orders', 'Customer', '1', 'owner', ''],
+      ['Person', null, null, 'Address', '1', null, 'lives at']
+    ]);
+  });
+  
+  test('should qualify nested packages and namespaces', () => {
+    const diagram = parser.parse(`
+      package com {
+        package example.model {
+          class User
+        }
+        class Config
+      }
+      set namespaceSeparator ::
+      namespace shop::billing {
+        class Invoice
+      }
+    `);
+    
+    expect(Object.keys(diagram.packages)).toEqual([
+      'com', 'com.example', 'com.example.model', 'shop', 'shop.billing'
+    ]);
+    expect(diagram.packages.com).toMatchObject({ parent: null, packages: ['com.example'], entities: ['Config'] });
+    expect(diagram.packages['com.example.model']).toMatchObject({ parent: 'com.example', localName: 'model', entities: ['User'] });
+    expect(diagram.classes.map(c => [c.name, c.packageName])).toEqual([
+      ['User', 'com.example.model'],
+      ['Config', 'com'],
+      ['Invoice', 'shop.billing']
+    ]);
+  });
+  
+  test('should resolve fully qualified names', () => {
+    const diagram = parser.parse(`
+      class com.example.model.User
+      package com.example.admin {
+        class User
+        class Admin extends User
+      }
+      set namespaceSeparator ::
+      class app::Session {
+        -owner: com::example::model::User
+        -admin: com.example.admin.User
+      }
+      app::Session --> User
+    `);
+    
+    expect(diagram.classes.map(c => [c.name, c.packageName, c.qualifiedName])).toEqual([
+      ['User', 'com.example.model', 'com.example.model.User'],
+      ['User', 'com.example.admin', 'com.example.admin.User'],
+      ['Admin', 'com.example.admin', 'com.example.admin.Admin'],
+      ['Session', 'app', 'app.Session']
+    ]);
+    expect(diagram.packages['com.example.model'].entities).toEqual(['User']);
+    expect(diagram.relationships.map(r => `${r.sourceClass} -> ${r.targetClass}`)).toEqual([
+      'com.example.admin.Admin -> com.example.admin.User',
+      'app.Session -> com.example.model.User'
+    ]);
+    expect(diagram.classes[3].attributes.map(a => a.type)).toEqual(['com.example.model.User', 'com.example.admin.User']);
+  });
+  
+  test('should declare the entities relationships name without declaring them', () => {
+    const diagram = parser.parse(`
+      net.Foo --> com.example.User
+      package shop {
+        Order ..|> Payable
+        Order *-- "Order Line"
+        "Order Line" --> Product
+      }
+    `);
+    
+    expect(diagram.classes.map(c => c.qualifiedName)).toEqual(['net.Foo', 'com.example.User', 'shop.Order', 'shop.OrderLine', 'shop.Product']);
+    expect(diagram.classes[3].displayName).toBe('Order Line');
+    expect(diagram.interfaces.map(i => i.qualifiedName)).toEqual(['shop.Payable']);
+    expect(diagram.packages['com.example'].entities).toEqual(['User']);
+    expect(diagram.classes[0].location.start.line).toBe(2);
+    expect(diagram.relationships.map(r => `${r.sourceClass} -> ${r.targetClass}`)).toEqual([
+      'net.Foo -> com.example.User',
+      'shop.Order -> shop.Payable',
+      'shop.Order -> shop.OrderLine',
+      'shop.OrderLine -> shop.Product'
+    ]);
+    expect(diagram.diagnostics).toEqual([]);
+  });
+  
+  test('should parse stereotypes with spots', () => {
+    const diagram = parser.parse(`
+      class Order << (E,#FF7700) Entity >> <<Auditable>> {
+        -id: long
+      }
+      interface OrderRepository <<Repository, Cached>>
+      enum Status <<(S,red)>>
+    `);
+    
+    expect(diagram.classes[0].stereotypes).toEqual(['Entity', 'Auditable']);
+    expect(diagram.classes[0].attributes).toHaveLength(1);
+    expect(diagram.interfaces[0].stereotypes).toEqual(['Repository', 'Cached']);
+    expect(diagram.enums[0].stereotypes).toEqual([]);
+  });
+  
+  test('should parse attribute default values', () => {
+    const diagram = parser.parse(`
+      class Order {
+        -count: int = 0
+        +status: Status = Status.ACTIVE
+        -title: String = "draft  one"
+        -active = true
+        -note: String
+      }
+    `);
+    
+    expect(diagram.classes[0].attributes.map(a => [a.name, a.type, a.defaultValue])).toEqual([
+      ['count', 'int', '0'],
+      ['status', 'Status', 'Status.ACTIVE'],
+      ['title', 'String', '"draft  one"'],
+      ['active', 'Object', 'true'],
+      ['note', 'String', null]
+    ]);
+  });
+  
+  test('should accept Java-style members next to the colon notation', () => {
+    const diagram = parser.parse(`
+      class UserService {
+        -String name
+        -Map<String, User> byName = null
+        +List<User> findAll(int page, size: int)
+        +count(): int
+        +UserService(String name)
+      }
+    `);
+    
+    const service = diagram.classes[0];
+    expect(diagram.diagnostics).toEqual([]);
+    expect(service.attributes.map(a => [a.name, a.type, a.defaultValue])).toEqual([
+      ['name', 'String', null],
+      ['byName', 'Map<String, User>', 'null']
+    ]);
+    expect(service.methods.map(m => [m.name, m.returnType, m.parameters.map(p => `${p.name}: ${p.type}`)])).toEqual([
+      ['findAll', 'List<User>', ['page: int', 'size: int']],
+      ['count', 'int', []]
+    ]);
+    expect(service.constructors[0].parameters.map(p => [p.name, p.type])).toEqual([['name', 'String']]);
+  });
+  
+  test('should parse bounded and variant type parameters', () => {
+    const diagram = parser.parse(`
+      class Repository<T extends Entity, K> {
+        +find(id: K): T
+      }
+      class Sorted<T : Entity & Comparable<T>>
+      interface Source<out T>
+    `);
+    
+    expect(diagram.classes.map(c => c.generics.map(g => [g.name, g.bounds, g.variance]))).toEqual([
+      [['T', ['Entity'], null], ['K', [], null]],
+      [['T', ['Entity', 'Comparable<T>'], null]]
+    ]);
+    expect(diagram.interfaces[0].generics).toMatchObject([{ name: 'T', bounds: [], variance: 'out' }]);
+  });
+  
+  test('should record the type arguments given to supertypes', () => {
+    const diagram = parser.parse(`
+      class UserRepository extends Base<Map<String, User>> implements Repository<User, long>, Auditable
+      UserRepository ..|> Auditable
+    `);
+    
+    expect(diagram.relationships.map(r => [r.targetClass, r.typeArguments])).toEqual([
+      ['Base', ['Map<String, User>']],
+      ['Repository', ['User', 'long']],
+      ['Auditable', []]
+    ]);
+  });
+  
+  test('should record interface extension written with the keyword', () => {
+    const diagram = parser.parse(`
+      interface Named
+      interface Entity extends Named
+      enum Status extends Named { OPEN }
+    `);
+    
+    expect(diagram.relationships.map(r => [r.sourceClass, r.type, r.targetClass])).toEqual([
+      ['Entity', 'inheritance', 'Named']
+    ]);
+    expect(diagram.diagnostics.map(d => [d.code, d.line])).toEqual([['unsupported-inheritance', 4]]);
+  });
+  
+  test('should parse generic methods in prefix and suffix notation', () => {
+    const diagram = parser.parse(`
+      interface Stream<T> {
+        +<R> flatMap(fn: Function<T, Stream<R>>): Stream<R>
+        +map<R>(fn: Function<T, R>): Stream<R>
+        +{static} <U extends Comparable<U>> U max(List<U> items)
+      }
+    `);
+    
+    expect(diagram.diagnostics).toEqual([]);
+    expect(diagram.interfaces[0].methods.map(m => [m.name, m.returnType, m.generics.map(g => [g.name, g.bounds])])).toEqual([
+      ['flatMap', 'Stream<R>', [['R', []]]],
+      ['map', 'Stream<R>', [['R', []]]],
+      ['max', 'U', [['U', ['Comparable<U>']]]]
+    ]);
+  });
+  
+  test('should parse array, varargs and nullable types', () => {
+    const diagram = parser.parse(`
+      class Report {
+        -grid: String[][]
+        -title: String?
+        +format(pattern: String, args: Object...): Map<String, int[]>
+      }
+      Report ... Printer
+    `);
+    
+    const report = diagram.classes[0];
+    expect(report.attributes[0].typeRef).toMatchObject({ name: 'String', arrayDimensions: 2, isNullable: false });
+    expect(report.attributes[1].typeRef).toMatchObject({ name: 'String', arrayDimensions: 0, isNullable: true });
+    expect(report.methods[0].parameters[1].typeRef).toMatchObject({ name: 'Object', isVarargs: true });
+    
+    const returnTypeRef = report.methods[0].returnTypeRef;
+    expect(returnTypeRef.name).toBe('Map');
+    expect(returnTypeRef.typeArguments[1]).toMatchObject({ name: 'int', arrayDimensions: 1 });
+    expect(diagram.relationships).toHaveLength(1);
+  });
+});
+
+describe('PlantUMLParser diagnostics', () => {
+  let parser;
+  
+  beforeEach(() => {
+    parser = new PlantUMLParser();
+  });
+  
+  test('should report unrecognized statements and members with their position', () => {
+    const diagram = parser.parse([
+      'clas Typo {',
+      '}',
+      'class User {',
+      '  +getName(: String',
+      '}'
+    ].join('\n'));
+    
+    expect(diagram.diagnostics.map(d => [d.severity, d.code, d.line, d.column, d.text])).toEqual([
+      ['error', 'unrecognized-statement', 1, 1, 'clas Typo {'],
+      ['error', 'unrecognized-member', 4, 3, '+getName(: String']
+    ]);
+  });
+  
+  test('should report parameters without a name and keep the method', () => {
+    const diagram = parser.parse('class User {\n  +rename(: String, force: bool): void\n}');
+    
+    expect(diagram.classes[0].methods[0].parameters.map(p => p.name)).toEqual(['force']);
+    expect(diagram.diagnostics.map(d => [d.severity, d.code, d.line, d.column, d.text])).toEqual([
+      ['error', 'missing-name', 2, 11, ': String']
+    ]);
+  });
+  
+  test('should warn about members the entity kind cannot hold', () => {
+    const diagram = parser.parse('interface Service {\n  -cache: Map\n}');
+    
+    expect(diagram.diagnostics).toHaveLength(1);
+    expect(diagram.diagnostics[0]).toMatchObject({ severity: 'warning', code: 'unsupported-member', line: 2 });
+  });
+  
+  test('should skip rendering directives without diagnostics', () => {
+    const diagram = parser.parse([
+      '@startuml',
+      'skinparam class {',
+      '  BackgroundColor White',
+      '}',
+      'hide empty members',
+      'title Orders',
+      'note left of Order',
+      '  Order --> Nothing',
+      'end note',
+      'class Order',
+      '@enduml'
+    ].join('\n'));
+    
+    expect(diagram.diagnostics).toEqual([]);
+    expect(diagram.relationships).toEqual([]);
+  });
+  
+  test('should skip member separators without diagnostics', () => {
+    const diagram = parser.parse([
+      'class User {',
+      '  __ Fields __',
+      '  -id: int',
+      '  --',
+      '  -- Names --',
+      '  -name: String',
+      '  .. Getters ..',
+      '  +getName(): String',
+      '  == Internal ==',
+      '  ~validate(): bool',
+      '}'
+    ].join('\n'));
+    
+    expect(diagram.diagnostics).toEqual([]);
+    expect(diagram.classes[0].attributes.map(a => a.name)).toEqual(['id', 'name']);
+    expect(diagram.classes[0].methods.map(m => m.name)).toEqual(['getName', 'validate']);
+  });
+  
+  test('should report blocks that are never closed', () => {
+    const diagram = parser.parse('class User {\n  -id: int\n');
+    
+    expect(diagram.diagnostics.map(d => d.code)).toEqual(['unclosed-block']);
+  });
+});
+
+describe('Lexer', () => {
+  test('should treat a quote as a comment only at the start of a line', () => {
+    const tokens = new Lexer().tokenize("' a comment\n  ' indented comment\n-grade: char = 'A'");
+    const values = tokens.filter(t => t.type !== 'newline' && t.type !== 'eof').map(t => t.value);
+    
+    expect(values).toEqual(['-', 'grade', ':', 'char', '=', "'", 'A', "'"]);
+    
+    const diagram = new PlantUMLParser().parse("class Student {\n  -grade: char = 'A'\n}");
+    expect(diagram.diagnostics).toEqual([]);
+    expect(diagram.classes[0].attributes[0].defaultValue).toBe("'A'");
+  });
+});